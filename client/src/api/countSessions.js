@@ -0,0 +1,164 @@
+/**
+ * @module api/countSessions
+ * @description Count Session API client for cycle counts (physical stock-takes)
+ */
+
+import axios from "axios";
+
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+/**
+ * Count Session API namespace
+ * @namespace countSessionAPI
+ */
+export const countSessionAPI = {
+	/**
+	 * Open a count session; expected quantities are frozen at this moment
+	 * @async
+	 * @param {Object} sessionData - Session data
+	 * @param {string} sessionData.storeId - Store to count
+	 * @param {string} [sessionData.location] - Limit to floor or back
+	 * @param {string} [sessionData.notes] - Additional notes
+	 * @returns {Promise<Object>} Response with created count session
+	 */
+	openSession: async (sessionData) => {
+		const response = await axios.post(
+			`${API_URL}/api/count-sessions`,
+			sessionData,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Get count sessions visible to the current user
+	 * @async
+	 * @param {Object} [options={}] - Filter options
+	 * @param {string} [options.status] - Filter by status
+	 * @param {string} [options.storeId] - Filter by store (partners only)
+	 * @returns {Promise<Object>} Response with count sessions array
+	 */
+	getSessions: async (options = {}) => {
+		const params = {};
+		if (options.status) {
+			params.status = options.status;
+		}
+		if (options.storeId) {
+			params.storeId = options.storeId;
+		}
+
+		const response = await axios.get(`${API_URL}/api/count-sessions`, {
+			params,
+			withCredentials: true,
+		});
+		return response.data;
+	},
+
+	/**
+	 * Get a count session with lines and variances
+	 * @async
+	 * @param {string} sessionId - Count session ID
+	 * @returns {Promise<Object>} Response with count session
+	 */
+	getSession: async (sessionId) => {
+		const response = await axios.get(
+			`${API_URL}/api/count-sessions/${sessionId}`,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Record the counted quantity of a standard inventory item
+	 * @async
+	 * @param {string} sessionId - Count session ID
+	 * @param {string} inventoryId - Inventory ID
+	 * @param {number} countedQuantity - Units counted
+	 * @returns {Promise<Object>} Response with updated count session
+	 */
+	recordCount: async (sessionId, inventoryId, countedQuantity) => {
+		const response = await axios.put(
+			`${API_URL}/api/count-sessions/${sessionId}/lines/${inventoryId}`,
+			{ countedQuantity },
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Record the counted quantity of a card inside a container
+	 * @async
+	 * @param {string} sessionId - Count session ID
+	 * @param {string} inventoryId - Container inventory ID
+	 * @param {string} productId - Card product ID
+	 * @param {number} countedQuantity - Copies counted
+	 * @returns {Promise<Object>} Response with updated count session
+	 */
+	recordCardCount: async (sessionId, inventoryId, productId, countedQuantity) => {
+		const response = await axios.put(
+			`${API_URL}/api/count-sessions/${sessionId}/lines/${inventoryId}/cards/${productId}`,
+			{ countedQuantity },
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Submit a count session for manager review
+	 * @async
+	 * @param {string} sessionId - Count session ID
+	 * @returns {Promise<Object>} Response with updated count session
+	 */
+	submitSession: async (sessionId) => {
+		const response = await axios.post(
+			`${API_URL}/api/count-sessions/${sessionId}/submit`,
+			{},
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Approve a submitted count and post its adjustments (managers and partners)
+	 * @async
+	 * @param {string} sessionId - Count session ID
+	 * @returns {Promise<Object>} Response with posted count session
+	 */
+	approveSession: async (sessionId) => {
+		const response = await axios.post(
+			`${API_URL}/api/count-sessions/${sessionId}/approve`,
+			{},
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Cancel a count session without changing inventory (managers and partners)
+	 * @async
+	 * @param {string} sessionId - Count session ID
+	 * @returns {Promise<Object>} Response with cancelled count session
+	 */
+	cancelSession: async (sessionId) => {
+		const response = await axios.post(
+			`${API_URL}/api/count-sessions/${sessionId}/cancel`,
+			{},
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+};
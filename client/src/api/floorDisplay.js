@@ -0,0 +1,93 @@
+/**
+ * @module api/floorDisplay
+ * @description Floor Display API client for floor display minimum rules
+ */
+
+import axios from "axios";
+
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+/**
+ * Floor Display API namespace
+ * @namespace floorDisplayAPI
+ */
+export const floorDisplayAPI = {
+	/**
+	 * Get a store's floor display rules
+	 * @async
+	 * @param {string} [storeId] - Store ID (partners; others get their assigned store)
+	 * @returns {Promise<Object>} Response with rules array
+	 */
+	getRules: async (storeId) => {
+		const response = await axios.get(`${API_URL}/api/floor-display/rules`, {
+			params: storeId ? { storeId } : {},
+			withCredentials: true,
+		});
+		return response.data;
+	},
+
+	/**
+	 * Create a floor display rule
+	 * @async
+	 * @param {Object} ruleData - { storeId, productId | productType and/or brand, minQuantity, notes? }
+	 * @returns {Promise<Object>} Response with created rule
+	 */
+	createRule: async (ruleData) => {
+		const response = await axios.post(
+			`${API_URL}/api/floor-display/rules`,
+			ruleData,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Update a floor display rule's minimum or notes
+	 * @async
+	 * @param {string} ruleId - Rule ID
+	 * @param {Object} updates - { minQuantity?, notes? }
+	 * @returns {Promise<Object>} Response with updated rule
+	 */
+	updateRule: async (ruleId, updates) => {
+		const response = await axios.put(
+			`${API_URL}/api/floor-display/rules/${ruleId}`,
+			updates,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Delete a floor display rule
+	 * @async
+	 * @param {string} ruleId - Rule ID
+	 * @returns {Promise<Object>} Response with success message
+	 */
+	deleteRule: async (ruleId) => {
+		const response = await axios.delete(
+			`${API_URL}/api/floor-display/rules/${ruleId}`,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Get the rules the floor currently fails, with suggested restock moves
+	 * @async
+	 * @param {string} [storeId] - Store ID (partners; others get their assigned store)
+	 * @returns {Promise<Object>} Response with unmet rules and suggested moves
+	 */
+	getReport: async (storeId) => {
+		const response = await axios.get(`${API_URL}/api/floor-display/report`, {
+			params: storeId ? { storeId } : {},
+			withCredentials: true,
+		});
+		return response.data;
+	},
+};
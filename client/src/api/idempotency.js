@@ -0,0 +1,45 @@
+/**
+ * Idempotency Key Helpers
+ * @module api/idempotency
+ * @description Generates Idempotency-Key headers so a retried submission is
+ * applied by the server only once
+ */
+
+/**
+ * Create a new idempotency key
+ * Generate one per form submission and reuse it when the same submission is
+ * sent again (e.g. after a network error)
+ * crypto.randomUUID only exists in secure contexts (HTTPS or localhost), so
+ * over plain HTTP a version 4 UUID is built from crypto.getRandomValues,
+ * which is available everywhere
+ * @returns {string} Random unique key
+ */
+export const createIdempotencyKey = () => {
+	if (typeof crypto.randomUUID === "function") {
+		return crypto.randomUUID();
+	}
+
+	const bytes = crypto.getRandomValues(new Uint8Array(16));
+	bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+	bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+	const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0"));
+
+	return [
+		hex.slice(0, 4),
+		hex.slice(4, 6),
+		hex.slice(6, 8),
+		hex.slice(8, 10),
+		hex.slice(10, 16),
+	]
+		.map((group) => group.join(""))
+		.join("-");
+};
+
+/**
+ * Build request headers carrying an idempotency key
+ * @param {string} [key] - Key for this submission (a new one is generated if omitted)
+ * @returns {Object} Headers object for axios
+ */
+export const idempotencyHeaders = (key = createIdempotencyKey()) => ({
+	"Idempotency-Key": key,
+});
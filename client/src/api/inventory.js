@@ -5,6 +5,7 @@
  */
 
 import axios from "axios";
+import { idempotencyHeaders } from "./idempotency";
 
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
 
@@ -79,14 +80,17 @@ export const inventoryAPI = {
 
 	/**
 	 * Create new inventory item
+	 * Retrying with the same idempotency key won't add the quantity twice
 	 * @param {Object} inventoryData - Inventory data
+	 * @param {string} [idempotencyKey] - Key for this submission (generated if omitted)
 	 * @returns {Promise<Object>} Created inventory
 	 */
-	createInventory: async (inventoryData) => {
+	createInventory: async (inventoryData, idempotencyKey) => {
 		const response = await axios.post(
 			`${API_URL}/api/inventory`,
 			inventoryData,
 			{
+				headers: idempotencyHeaders(idempotencyKey),
 				withCredentials: true,
 			}
 		);
@@ -124,4 +128,260 @@ export const inventoryAPI = {
 		);
 		return response.data;
 	},
+
+	/**
+	 * Get low-stock inventory and under-filled card containers
+	 * Managers always get their own store
+	 * @param {Object} options - Optional filters (storeId, cardThreshold)
+	 * @returns {Promise<Object>} Low-stock items, containers and the card threshold used
+	 */
+	getLowStock: async (options = {}) => {
+		const params = {};
+		if (options.storeId) {
+			params.storeId = options.storeId;
+		}
+		if (options.cardThreshold !== undefined) {
+			params.cardThreshold = options.cardThreshold;
+		}
+
+		const response = await axios.get(`${API_URL}/api/inventory/low-stock`, {
+			params,
+			withCredentials: true,
+		});
+		return response.data;
+	},
+
+	/**
+	 * Move units of a product between the floor and back room
+	 * @param {string} inventoryId - Inventory ID of the source record
+	 * @param {Object} moveData - { quantity, toLocation? }
+	 * @returns {Promise<Object>} Updated source (from) and destination (to) records
+	 */
+	moveInventory: async (inventoryId, moveData) => {
+		const response = await axios.post(
+			`${API_URL}/api/inventory/${inventoryId}/move`,
+			moveData,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Get the stock movement history of an inventory item
+	 * @param {string} inventoryId - Inventory ID
+	 * @returns {Promise<Object>} Inventory and its ledger entries, newest first
+	 */
+	getInventoryHistory: async (inventoryId) => {
+		const response = await axios.get(
+			`${API_URL}/api/inventory/${inventoryId}/history`,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Hold units of an inventory item so transfers and sales can't use them
+	 * @param {string} inventoryId - Inventory ID
+	 * @param {Object} holdData - { quantity, reason, expiresAt? }
+	 * @returns {Promise<Object>} Updated inventory with holds
+	 */
+	placeHold: async (inventoryId, holdData) => {
+		const response = await axios.post(
+			`${API_URL}/api/inventory/${inventoryId}/holds`,
+			holdData,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Release a hold on an inventory item
+	 * @param {string} inventoryId - Inventory ID
+	 * @param {string} holdId - Hold ID
+	 * @returns {Promise<Object>} Updated inventory with holds
+	 */
+	releaseHold: async (inventoryId, holdId) => {
+		const response = await axios.delete(
+			`${API_URL}/api/inventory/${inventoryId}/holds/${holdId}`,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Get card containers for a specific store
+	 * @param {string} storeId - Store ID
+	 * @returns {Promise<Object>} Containers data
+	 */
+	getContainersByStore: async (storeId) => {
+		const response = await axios.get(
+			`${API_URL}/api/inventory/containers/store/${storeId}`,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Get a card container with its card inventory
+	 * @param {string} containerId - Container inventory ID
+	 * @returns {Promise<Object>} Container data
+	 */
+	getContainer: async (containerId) => {
+		const response = await axios.get(
+			`${API_URL}/api/inventory/containers/${containerId}`,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Create new card container
+	 * @param {Object} containerData - Container data (storeId, location, containerType, containerName, containerUnitSize)
+	 * @returns {Promise<Object>} Created container
+	 */
+	createContainer: async (containerData) => {
+		const response = await axios.post(
+			`${API_URL}/api/inventory/containers`,
+			containerData,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Update card container details (rename, resize, retype, relocate)
+	 * @param {string} containerId - Container inventory ID
+	 * @param {Object} updates - Fields to update
+	 * @returns {Promise<Object>} Updated container
+	 */
+	updateContainer: async (containerId, updates) => {
+		const response = await axios.put(
+			`${API_URL}/api/inventory/containers/${containerId}`,
+			updates,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Archive an empty card container
+	 * @param {string} containerId - Container inventory ID
+	 * @returns {Promise<Object>} Archive confirmation
+	 */
+	archiveContainer: async (containerId) => {
+		const response = await axios.delete(
+			`${API_URL}/api/inventory/containers/${containerId}`,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Add copies of a single card to a container
+	 * @param {string} containerId - Container inventory ID
+	 * @param {string} productId - Single card product ID
+	 * @param {number} quantity - Number of copies to add
+	 * @returns {Promise<Object>} Updated container
+	 */
+	addCardsToContainer: async (containerId, productId, quantity) => {
+		const response = await axios.post(
+			`${API_URL}/api/inventory/containers/${containerId}/cards`,
+			{ productId, quantity },
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Set the exact count of a card in a container (0 removes it)
+	 * @param {string} containerId - Container inventory ID
+	 * @param {string} productId - Single card product ID
+	 * @param {number} quantity - Exact number of copies
+	 * @returns {Promise<Object>} Updated container
+	 */
+	setContainerCardQuantity: async (containerId, productId, quantity) => {
+		const response = await axios.put(
+			`${API_URL}/api/inventory/containers/${containerId}/cards/${productId}`,
+			{ quantity },
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Remove copies of a card from a container
+	 * @param {string} containerId - Container inventory ID
+	 * @param {string} productId - Single card product ID
+	 * @param {number} [quantity] - Copies to remove (omit to remove the card entirely)
+	 * @returns {Promise<Object>} Updated container
+	 */
+	removeCardsFromContainer: async (containerId, productId, quantity) => {
+		const params = {};
+		if (quantity !== undefined) {
+			params.quantity = quantity;
+		}
+
+		const response = await axios.delete(
+			`${API_URL}/api/inventory/containers/${containerId}/cards/${productId}`,
+			{
+				params,
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Move copies of a card into another container in the same store
+	 * @param {string} fromContainerId - Source container inventory ID
+	 * @param {Object} moveData - { toContainerId, productId, quantity, notes? }
+	 * @returns {Promise<Object>} Recorded move with both updated containers
+	 */
+	moveCards: async (fromContainerId, moveData) => {
+		const response = await axios.post(
+			`${API_URL}/api/inventory/containers/${fromContainerId}/move`,
+			moveData,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Get the card move history of a container
+	 * @param {string} containerId - Container inventory ID
+	 * @returns {Promise<Object>} Card moves, newest first
+	 */
+	getContainerMoves: async (containerId) => {
+		const response = await axios.get(
+			`${API_URL}/api/inventory/containers/${containerId}/moves`,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
 };
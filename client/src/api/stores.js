@@ -90,4 +90,24 @@ export const storeAPI = {
 		});
 		return response.data;
 	},
+
+	/**
+	 * Recompute used capacity from inventory and correct stores that drifted
+	 * Partners only
+	 * @async
+	 * @param {Object} [options={}] - Reconciliation options
+	 * @param {string} [options.storeId] - Only reconcile this store
+	 * @param {boolean} [options.dryRun=false] - Report drift without correcting it
+	 * @returns {Promise<Object>} Response with the drift report
+	 */
+	reconcileCapacity: async (options = {}) => {
+		const response = await axios.post(
+			`${API_URL}/api/stores/capacity/reconcile`,
+			options,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
 };
@@ -4,6 +4,7 @@
  */
 
 import axios from "axios";
+import { idempotencyHeaders } from "./idempotency";
 
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
 
@@ -21,14 +22,16 @@ export const transferRequestAPI = {
 	 * @param {string} requestData.toStoreId - Destination store ID
 	 * @param {Array<Object>} requestData.items - Items to transfer
 	 * @param {string} [requestData.notes] - Additional notes
+	 * @param {string} [idempotencyKey] - Key for this submission (generated if omitted)
 	 * @returns {Promise<Object>} Response with created transfer request and request number
 	 * @throws {Error} If validation fails or insufficient inventory
 	 */
-	createTransferRequest: async (requestData) => {
+	createTransferRequest: async (requestData, idempotencyKey) => {
 		const response = await axios.post(
 			`${API_URL}/api/transfer-requests`,
 			requestData,
 			{
+				headers: idempotencyHeaders(idempotencyKey),
 				withCredentials: true,
 			}
 		);
@@ -61,6 +64,25 @@ export const transferRequestAPI = {
 		return response.data;
 	},
 
+	/**
+	 * Get suggested transfers that cover low stock from other stores' surplus
+	 * Partners only
+	 * @async
+	 * @returns {Promise<Object>} Response with suggestions: [{ fromStore,
+	 *   toStore, items: [{ inventoryId, productId, productName, sku,
+	 *   requestedQuantity, shortfall }], space }]
+	 * @throws {Error} If not a partner
+	 */
+	getRebalancingSuggestions: async () => {
+		const response = await axios.get(
+			`${API_URL}/api/transfer-requests/suggestions`,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
 	/**
 	 * Get a specific transfer request by ID
 	 * @async
@@ -75,6 +97,66 @@ export const transferRequestAPI = {
 		return response.data;
 	},
 
+	/**
+	 * Edit an open (draft) transfer request
+	 * @async
+	 * @param {string} id - Transfer request ID
+	 * @param {Object} data - Fields to change
+	 * @param {Array} [data.items] - Full item list; replaces the current items
+	 * @param {string} [data.notes] - Additional notes
+	 * @returns {Promise<Object>} Response with updated transfer request
+	 * @throws {Error} If the request isn't open, an item is unavailable, or
+	 *   insufficient permissions
+	 */
+	updateTransferRequest: async (id, data) => {
+		const response = await axios.put(
+			`${API_URL}/api/transfer-requests/${id}`,
+			data,
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Get a printable document for a transfer request
+	 * @async
+	 * @param {string} id - Transfer request ID
+	 * @param {string} type - 'packing-slip' or 'receiving-manifest'
+	 * @returns {Promise<string>} Print-ready HTML document
+	 * @throws {Error} If the document isn't available at the request's status
+	 */
+	getTransferDocument: async (id, type) => {
+		const response = await axios.get(
+			`${API_URL}/api/transfer-requests/${id}/documents/${type}`,
+			{
+				responseType: "text",
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
+	/**
+	 * Post a comment to a transfer request's thread
+	 * @async
+	 * @param {string} id - Transfer request ID
+	 * @param {string} body - Comment text
+	 * @returns {Promise<Object>} Response with the updated transfer request
+	 * @throws {Error} If the comment is empty or insufficient permissions
+	 */
+	addComment: async (id, body) => {
+		const response = await axios.post(
+			`${API_URL}/api/transfer-requests/${id}/comments`,
+			{ body },
+			{
+				withCredentials: true,
+			}
+		);
+		return response.data;
+	},
+
 	/**
 	 * Update transfer request status
 	 * Enforces role-based state transition rules
@@ -82,13 +164,22 @@ export const transferRequestAPI = {
 	 * @param {string} id - Transfer request ID
 	 * @param {string} status - New status ('approved', 'in-transit', 'completed', 'cancelled')
 	 * @param {string} [closeReason=null] - Reason for closing/cancelling
+	 * @param {Object} [details={}] - Details for the transition
+	 * @param {Array} [details.items] - Per-item counts: { inventoryId,
+	 *   proposedQuantity } when counter-proposing, { inventoryId,
+	 *   shippedQuantity } when sending, { inventoryId, receivedQuantity,
+	 *   damagedQuantity } when receiving, with a reason for any shortfall
+	 * @param {string} [details.note] - Status note (resolution note for
+	 *   partially-received, reason when rejecting)
+	 * @param {string} [details.decision] - Answer to a counter-proposal
+	 *   ('accepted' or 'declined')
 	 * @returns {Promise<Object>} Response with updated transfer request
 	 * @throws {Error} If invalid transition or insufficient permissions
 	 */
-	updateTransferStatus: async (id, status, closeReason = null) => {
+	updateTransferStatus: async (id, status, closeReason = null, details = {}) => {
 		const response = await axios.patch(
 			`${API_URL}/api/transfer-requests/${id}/status`,
-			{ status, closeReason },
+			{ status, closeReason, ...details },
 			{
 				withCredentials: true,
 			}
@@ -98,7 +189,7 @@ export const transferRequestAPI = {
 
 	/**
 	 * Delete a transfer request (soft delete)
-	 * Only partners can delete, and only if status is 'open' or 'closed'
+	 * Only partners can delete, and only if status is 'open', 'rejected' or 'closed'
 	 * @async
 	 * @param {string} id - Transfer request ID
 	 * @returns {Promise<Object>} Response with deletion confirmation
@@ -0,0 +1,574 @@
+/**
+ * Cycle Counts Component
+ * Run physical stock-takes: open a count, enter counted quantities,
+ * review variances and post the adjustments
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import {
+	Container,
+	Row,
+	Col,
+	Card,
+	Form,
+	Table,
+	Button,
+	Badge,
+	Spinner,
+	Alert,
+	Modal,
+} from "react-bootstrap";
+import { countSessionAPI } from "../api/countSessions";
+import { storeAPI } from "../api/stores";
+
+const STATUS_BADGES = {
+	open: "primary",
+	submitted: "warning",
+	posted: "success",
+	cancelled: "secondary",
+};
+
+// Format date
+const formatDate = (dateString) => {
+	if (!dateString) return "-";
+	return new Date(dateString).toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "short",
+		day: "numeric",
+		hour: "2-digit",
+		minute: "2-digit",
+	});
+};
+
+// Draft key for a standard line or a card inside a container line
+const draftKey = (inventoryId, productId) =>
+	productId ? `${inventoryId}:${productId}` : inventoryId;
+
+function VarianceCell({ variance }) {
+	if (variance === null || variance === undefined) {
+		return <span className="text-muted">-</span>;
+	}
+	if (variance === 0) {
+		return <span className="text-success">0</span>;
+	}
+	return (
+		<strong className={variance > 0 ? "text-primary" : "text-danger"}>
+			{variance > 0 ? `+${variance}` : variance}
+		</strong>
+	);
+}
+
+function CycleCounts({ user }) {
+	const [sessions, setSessions] = useState([]);
+	const [stores, setStores] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [success, setSuccess] = useState(null);
+	const [statusFilter, setStatusFilter] = useState("all");
+
+	// New count modal
+	const [showOpenModal, setShowOpenModal] = useState(false);
+	const [newSession, setNewSession] = useState({
+		storeId: "",
+		location: "",
+		notes: "",
+	});
+
+	// Session detail modal
+	const [selectedSession, setSelectedSession] = useState(null);
+	const [loadingDetail, setLoadingDetail] = useState(false);
+	const [drafts, setDrafts] = useState({});
+
+	const isPartner = user?.role === "partner";
+	const isManager = user?.role === "store-manager";
+	const canManage = isPartner || isManager;
+
+	const loadSessions = useCallback(async () => {
+		try {
+			setLoading(true);
+			setError(null);
+
+			const options = {};
+			if (statusFilter !== "all") {
+				options.status = statusFilter;
+			}
+
+			const response = await countSessionAPI.getSessions(options);
+			setSessions(response.countSessions || []);
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [statusFilter]);
+
+	useEffect(() => {
+		loadSessions();
+	}, [loadSessions]);
+
+	// Partners pick the store to count; everyone else counts their own
+	useEffect(() => {
+		if (!isPartner) return;
+
+		const loadStores = async () => {
+			try {
+				const response = await storeAPI.getStores();
+				setStores(response.stores || []);
+			} catch (err) {
+				setError(err.response?.data?.message || err.message);
+			}
+		};
+		loadStores();
+	}, [isPartner]);
+
+	const showSession = (session) => {
+		setSelectedSession(session);
+		setDrafts({});
+	};
+
+	const handleViewSession = async (sessionId) => {
+		try {
+			setLoadingDetail(true);
+			const response = await countSessionAPI.getSession(sessionId);
+			showSession(response.countSession);
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		} finally {
+			setLoadingDetail(false);
+		}
+	};
+
+	const handleOpenSession = async () => {
+		try {
+			setError(null);
+			const response = await countSessionAPI.openSession({
+				storeId: isPartner ? newSession.storeId : user.assignedStoreId,
+				location: newSession.location || undefined,
+				notes: newSession.notes || undefined,
+			});
+			setShowOpenModal(false);
+			setNewSession({ storeId: "", location: "", notes: "" });
+			setSuccess("Count started - expected quantities are frozen as of now");
+			showSession(response.countSession);
+			loadSessions();
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		}
+	};
+
+	// Save a count when the input loses focus
+	const handleSaveCount = async (line, card) => {
+		const key = draftKey(line.inventoryId, card?.productId?._id);
+		const draft = drafts[key];
+		if (draft === undefined || draft === "") return;
+
+		const countedQuantity = parseInt(draft);
+		const current = card ? card.countedQuantity : line.countedQuantity;
+		if (countedQuantity === current) return;
+
+		try {
+			setError(null);
+			const response = card
+				? await countSessionAPI.recordCardCount(
+						selectedSession._id,
+						line.inventoryId,
+						card.productId._id,
+						countedQuantity
+					)
+				: await countSessionAPI.recordCount(
+						selectedSession._id,
+						line.inventoryId,
+						countedQuantity
+					);
+			setSelectedSession(response.countSession);
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		}
+	};
+
+	const handleSessionAction = async (action, message) => {
+		try {
+			setError(null);
+			const response = await countSessionAPI[action](selectedSession._id);
+			setSelectedSession(response.countSession);
+			setSuccess(message);
+			loadSessions();
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		}
+	};
+
+	const renderCountInput = (line, card) => {
+		const key = draftKey(line.inventoryId, card?.productId?._id);
+		const counted = card ? card.countedQuantity : line.countedQuantity;
+
+		if (selectedSession.status !== "open") {
+			return counted ?? <span className="text-muted">-</span>;
+		}
+
+		return (
+			<Form.Control
+				type="number"
+				min="0"
+				size="sm"
+				style={{ width: "6rem" }}
+				value={drafts[key] ?? counted ?? ""}
+				placeholder="Count"
+				onChange={(e) => setDrafts({ ...drafts, [key]: e.target.value })}
+				onBlur={() => handleSaveCount(line, card)}
+			/>
+		);
+	};
+
+	const describeScope = (session) =>
+		session.location
+			? `${session.location === "floor" ? "Floor" : "Back"} only`
+			: "Whole store";
+
+	return (
+		<Container className="py-4">
+			<Row className="mb-4">
+				<Col>
+					<h2>Cycle Counts</h2>
+					<p className="text-muted">
+						Count stock on the shelves and reconcile it with the system
+					</p>
+				</Col>
+				<Col xs="auto">
+					{canManage && (
+						<Button variant="primary" onClick={() => setShowOpenModal(true)}>
+							Start New Count
+						</Button>
+					)}
+				</Col>
+			</Row>
+
+			{error && (
+				<Alert variant="danger" dismissible onClose={() => setError(null)}>
+					{error}
+				</Alert>
+			)}
+
+			{success && (
+				<Alert variant="success" dismissible onClose={() => setSuccess(null)}>
+					{success}
+				</Alert>
+			)}
+
+			{/* Filters */}
+			<Card className="mb-4">
+				<Card.Body>
+					<Row>
+						<Col md={4}>
+							<Form.Group>
+								<Form.Label>Filter by Status</Form.Label>
+								<Form.Select
+									value={statusFilter}
+									onChange={(e) => setStatusFilter(e.target.value)}
+								>
+									<option value="all">All Statuses</option>
+									<option value="open">Open</option>
+									<option value="submitted">Submitted</option>
+									<option value="posted">Posted</option>
+									<option value="cancelled">Cancelled</option>
+								</Form.Select>
+							</Form.Group>
+						</Col>
+					</Row>
+				</Card.Body>
+			</Card>
+
+			{/* Sessions Table */}
+			<Card>
+				<Card.Body>
+					{loading ? (
+						<div className="text-center py-5">
+							<Spinner animation="border" />
+							<p className="text-muted mt-2">Loading counts...</p>
+						</div>
+					) : (
+						<Table responsive hover>
+							<thead>
+								<tr>
+									<th>Started</th>
+									<th>Store</th>
+									<th>Scope</th>
+									<th>Progress</th>
+									<th>Status</th>
+									<th>Actions</th>
+								</tr>
+							</thead>
+							<tbody>
+								{sessions.length === 0 ? (
+									<tr>
+										<td colSpan="6" className="text-center text-muted py-4">
+											No counts found
+										</td>
+									</tr>
+								) : (
+									sessions.map((session) => (
+										<tr key={session._id}>
+											<td>
+												<div>{formatDate(session.createdAt)}</div>
+												<div className="small text-muted">
+													by {session.openedBy?.username}
+												</div>
+											</td>
+											<td>{session.storeId?.name}</td>
+											<td>{describeScope(session)}</td>
+											<td>
+												{session.countedItems} / {session.totalItems} counted
+											</td>
+											<td>
+												<Badge
+													bg={STATUS_BADGES[session.status] || "secondary"}
+													style={{ textTransform: "uppercase" }}
+												>
+													{session.status}
+												</Badge>
+											</td>
+											<td>
+												<Button
+													variant="outline-primary"
+													size="sm"
+													onClick={() => handleViewSession(session._id)}
+													disabled={loadingDetail}
+												>
+													{session.status === "open" ? "Count" : "View"}
+												</Button>
+											</td>
+										</tr>
+									))
+								)}
+							</tbody>
+						</Table>
+					)}
+				</Card.Body>
+			</Card>
+
+			{/* Start Count Modal */}
+			<Modal show={showOpenModal} onHide={() => setShowOpenModal(false)}>
+				<Modal.Header closeButton>
+					<Modal.Title>Start New Count</Modal.Title>
+				</Modal.Header>
+				<Modal.Body>
+					{isPartner && (
+						<Form.Group className="mb-3">
+							<Form.Label>Store *</Form.Label>
+							<Form.Select
+								value={newSession.storeId}
+								onChange={(e) =>
+									setNewSession({ ...newSession, storeId: e.target.value })
+								}
+							>
+								<option value="">Select a store...</option>
+								{stores.map((store) => (
+									<option value={store._id} key={store._id}>
+										{store.name}
+									</option>
+								))}
+							</Form.Select>
+						</Form.Group>
+					)}
+					<Form.Group className="mb-3">
+						<Form.Label>What to Count</Form.Label>
+						<Form.Select
+							value={newSession.location}
+							onChange={(e) =>
+								setNewSession({ ...newSession, location: e.target.value })
+							}
+						>
+							<option value="">Whole store</option>
+							<option value="floor">Floor only</option>
+							<option value="back">Back only</option>
+						</Form.Select>
+					</Form.Group>
+					<Form.Group className="mb-3">
+						<Form.Label>Notes</Form.Label>
+						<Form.Control
+							as="textarea"
+							rows={2}
+							value={newSession.notes}
+							onChange={(e) =>
+								setNewSession({ ...newSession, notes: e.target.value })
+							}
+							placeholder="Optional notes..."
+						/>
+					</Form.Group>
+					<Alert variant="info" className="mb-0">
+						<small>
+							Expected quantities are captured when the count starts. Sales and
+							restocks during the count won&apos;t change them.
+						</small>
+					</Alert>
+				</Modal.Body>
+				<Modal.Footer>
+					<Button variant="secondary" onClick={() => setShowOpenModal(false)}>
+						Cancel
+					</Button>
+					<Button
+						variant="primary"
+						onClick={handleOpenSession}
+						disabled={isPartner && !newSession.storeId}
+					>
+						Start Count
+					</Button>
+				</Modal.Footer>
+			</Modal>
+
+			{/* Session Detail Modal */}
+			<Modal
+				show={!!selectedSession}
+				onHide={() => setSelectedSession(null)}
+				size="xl"
+			>
+				<Modal.Header closeButton>
+					<Modal.Title>
+						Count - {selectedSession?.storeId?.name}{" "}
+						{selectedSession && (
+							<Badge bg={STATUS_BADGES[selectedSession.status] || "secondary"}>
+								{selectedSession.status}
+							</Badge>
+						)}
+					</Modal.Title>
+				</Modal.Header>
+				<Modal.Body>
+					{selectedSession && (
+						<>
+							<p className="text-muted">
+								{describeScope(selectedSession)} • started{" "}
+								{formatDate(selectedSession.createdAt)} by{" "}
+								{selectedSession.openedBy?.username} •{" "}
+								{selectedSession.countedItems} of {selectedSession.totalItems}{" "}
+								items counted
+								{selectedSession.postedBy && (
+									<>
+										{" "}
+										• posted {formatDate(selectedSession.postedAt)} by{" "}
+										{selectedSession.postedBy.username}
+									</>
+								)}
+							</p>
+
+							<Table size="sm" responsive>
+								<thead>
+									<tr>
+										<th>Item</th>
+										<th>Location</th>
+										<th className="text-end">Expected</th>
+										<th>Counted</th>
+										<th className="text-end">Variance</th>
+									</tr>
+								</thead>
+								<tbody>
+									{selectedSession.lines.map((line) =>
+										line.isCardContainer ? (
+											[
+												<tr key={line.inventoryId} className="table-light">
+													<td colSpan="5">
+														<strong>{line.containerName}</strong>{" "}
+														<small className="text-muted">
+															({line.location}) - count each card
+														</small>
+													</td>
+												</tr>,
+												...line.cards.map((card) => (
+													<tr key={`${line.inventoryId}-${card.productId?._id}`}>
+														<td className="ps-4">
+															{card.productId?.name}
+															{card.expectedQuantity === 0 && (
+																<Badge bg="info" className="ms-2">
+																	Found
+																</Badge>
+															)}
+														</td>
+														<td>{line.location}</td>
+														<td className="text-end">{card.expectedQuantity}</td>
+														<td>{renderCountInput(line, card)}</td>
+														<td className="text-end">
+															<VarianceCell variance={card.variance} />
+														</td>
+													</tr>
+												)),
+											]
+										) : (
+											<tr key={line.inventoryId}>
+												<td>
+													{line.productId?.name}
+													<div className="small text-muted">
+														{line.productId?.sku}
+													</div>
+												</td>
+												<td>{line.location}</td>
+												<td className="text-end">{line.expectedQuantity}</td>
+												<td>{renderCountInput(line)}</td>
+												<td className="text-end">
+													<VarianceCell variance={line.variance} />
+												</td>
+											</tr>
+										)
+									)}
+								</tbody>
+							</Table>
+
+							{selectedSession.status === "submitted" && (
+								<Alert variant="warning" className="mb-0">
+									<small>
+										Approving applies each variance to the current stock level
+										and records it as a count adjustment. Uncounted items are
+										left unchanged.
+									</small>
+								</Alert>
+							)}
+						</>
+					)}
+				</Modal.Body>
+				<Modal.Footer>
+					{canManage &&
+						["open", "submitted"].includes(selectedSession?.status) && (
+							<Button
+								variant="outline-danger"
+								className="me-auto"
+								onClick={() =>
+									handleSessionAction("cancelSession", "Count cancelled")
+								}
+							>
+								Cancel Count
+							</Button>
+						)}
+					<Button variant="secondary" onClick={() => setSelectedSession(null)}>
+						Close
+					</Button>
+					{selectedSession?.status === "open" && (
+						<Button
+							variant="primary"
+							onClick={() =>
+								handleSessionAction(
+									"submitSession",
+									"Count submitted for manager review"
+								)
+							}
+						>
+							Submit for Review
+						</Button>
+					)}
+					{canManage && selectedSession?.status === "submitted" && (
+						<Button
+							variant="success"
+							onClick={() =>
+								handleSessionAction(
+									"approveSession",
+									"Count approved and adjustments posted"
+								)
+							}
+						>
+							Approve &amp; Post Adjustments
+						</Button>
+					)}
+				</Modal.Footer>
+			</Modal>
+		</Container>
+	);
+}
+
+export default CycleCounts;
@@ -6,6 +6,9 @@ import StoreManagement from "./StoreManagement";
 import InventoryManagement from "./InventoryManagement";
 import ProductManagement from "./ProductManagement";
 import TransferRequests from "./TransferRequests";
+import CycleCounts from "./CycleCounts";
+import FloorDisplay from "./FloorDisplay";
+import LowStockPanel from "./LowStockPanel";
 
 function Dashboard({ user, onLogout }) {
 	const [store, setStore] = useState(null);
@@ -110,6 +113,30 @@ function Dashboard({ user, onLogout }) {
 				<TransferRequests user={user} />
 			</>
 		);
+	} else if (currentView === "counts") {
+		return (
+			<>
+				<Navigation
+					user={user}
+					currentView={currentView}
+					onNavigate={setCurrentView}
+					onLogout={onLogout}
+				/>
+				<CycleCounts user={user} />
+			</>
+		);
+	} else if (currentView === "floor-display") {
+		return (
+			<>
+				<Navigation
+					user={user}
+					currentView={currentView}
+					onNavigate={setCurrentView}
+					onLogout={onLogout}
+				/>
+				<FloorDisplay user={user} />
+			</>
+		);
 	}
 
 	// Otherwise render dashboard
@@ -171,6 +198,10 @@ function Dashboard({ user, onLogout }) {
 					</Card.Body>
 				</Card>
 
+				{(user.role === "partner" || user.role === "store-manager") && (
+					<LowStockPanel user={user} />
+				)}
+
 				<Card>
 					<Card.Body>
 						<Card.Title>Your Capabilities</Card.Title>
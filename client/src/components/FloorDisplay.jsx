@@ -0,0 +1,574 @@
+/**
+ * Floor Display Component
+ * Set floor display minimums (by product, type, brand or type+brand) and see
+ * which ones the sales floor fails, with back-room stock to restock from
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import {
+	Container,
+	Row,
+	Col,
+	Card,
+	Form,
+	Table,
+	Button,
+	Badge,
+	Spinner,
+	Alert,
+} from "react-bootstrap";
+import { floorDisplayAPI } from "../api/floorDisplay";
+import { inventoryAPI } from "../api/inventory";
+import { productAPI } from "../api/products";
+import { storeAPI } from "../api/stores";
+import { PRODUCT_TYPES, PRODUCT_TYPE_LABELS } from "../constants/enums";
+
+const TARGET_OPTIONS = [
+	{ value: "productTypeAndBrand", label: "Product type and brand" },
+	{ value: "productType", label: "Product type (any brand)" },
+	{ value: "brand", label: "Brand (any product type)" },
+	{ value: "product", label: "Specific product" },
+];
+
+const EMPTY_RULE = {
+	target: "productTypeAndBrand",
+	productId: "",
+	productType: "",
+	brand: "",
+	minQuantity: 1,
+	notes: "",
+};
+
+// Human-readable description of what a rule covers
+const describeRule = (rule) => {
+	const typeLabel =
+		PRODUCT_TYPE_LABELS[rule.productType] || rule.productType || "";
+	switch (rule.scope) {
+		case "product":
+			return rule.productId?.name || "Deleted product";
+		case "productTypeAndBrand":
+			return `${rule.brand} ${typeLabel}`;
+		case "productType":
+			return `${typeLabel} (any brand)`;
+		default:
+			return `${rule.brand} (any product type)`;
+	}
+};
+
+function FloorDisplay({ user }) {
+	const isPartner = user?.role === "partner";
+	const isManager = user?.role === "store-manager";
+	const canManage = isPartner || isManager;
+
+	const [stores, setStores] = useState([]);
+	const [storeId, setStoreId] = useState(
+		isPartner ? "" : user?.assignedStoreId || ""
+	);
+	const [rules, setRules] = useState([]);
+	const [report, setReport] = useState(null);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+	const [success, setSuccess] = useState(null);
+	const [movingId, setMovingId] = useState(null);
+
+	// Rule editing
+	const [products, setProducts] = useState([]);
+	const [brands, setBrands] = useState([]);
+	const [newRule, setNewRule] = useState(EMPTY_RULE);
+	const [minDrafts, setMinDrafts] = useState({});
+
+	const loadData = useCallback(async () => {
+		if (!storeId) return;
+
+		try {
+			setLoading(true);
+			setError(null);
+			const [rulesResponse, reportResponse] = await Promise.all([
+				floorDisplayAPI.getRules(storeId),
+				floorDisplayAPI.getReport(storeId),
+			]);
+			setRules(rulesResponse.rules || []);
+			setReport(reportResponse);
+			setMinDrafts({});
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [storeId]);
+
+	useEffect(() => {
+		loadData();
+	}, [loadData]);
+
+	// Partners pick the store; everyone else sees their own
+	useEffect(() => {
+		if (!isPartner) return;
+
+		const loadStores = async () => {
+			try {
+				const response = await storeAPI.getStores();
+				setStores(response.stores || []);
+			} catch (err) {
+				setError(err.response?.data?.message || err.message);
+			}
+		};
+		loadStores();
+	}, [isPartner]);
+
+	// Products and brands for the new rule form
+	useEffect(() => {
+		if (!canManage) return;
+
+		const loadOptions = async () => {
+			try {
+				const [productsResponse, brandsResponse] = await Promise.all([
+					productAPI.getProducts({ isActive: true }),
+					productAPI.getBrands(),
+				]);
+				setProducts(
+					(productsResponse.products || []).filter(
+						(product) => product.productType !== PRODUCT_TYPES.SINGLE_CARD
+					)
+				);
+				setBrands(brandsResponse.brands || []);
+			} catch (err) {
+				console.error("Error loading products:", err);
+			}
+		};
+		loadOptions();
+	}, [canManage]);
+
+	const handleMove = async (move) => {
+		try {
+			setError(null);
+			setMovingId(move.inventoryId);
+			await inventoryAPI.moveInventory(move.inventoryId, {
+				quantity: move.quantity,
+				toLocation: "floor",
+			});
+			setSuccess(`Moved ${move.quantity} ${move.product.name} to the floor`);
+			await loadData();
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		} finally {
+			setMovingId(null);
+		}
+	};
+
+	const handleCreateRule = async () => {
+		const { target } = newRule;
+		try {
+			setError(null);
+			await floorDisplayAPI.createRule({
+				storeId,
+				productId: target === "product" ? newRule.productId : undefined,
+				productType:
+					target === "productType" || target === "productTypeAndBrand"
+						? newRule.productType
+						: undefined,
+				brand:
+					target === "brand" || target === "productTypeAndBrand"
+						? newRule.brand
+						: undefined,
+				minQuantity: parseInt(newRule.minQuantity),
+				notes: newRule.notes || undefined,
+			});
+			setSuccess("Floor display rule created");
+			setNewRule(EMPTY_RULE);
+			await loadData();
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		}
+	};
+
+	const handleSaveMinimum = async (rule) => {
+		try {
+			setError(null);
+			await floorDisplayAPI.updateRule(rule._id, {
+				minQuantity: parseInt(minDrafts[rule._id]),
+			});
+			setSuccess("Floor display rule updated");
+			await loadData();
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		}
+	};
+
+	const handleDeleteRule = async (rule) => {
+		if (!window.confirm(`Delete the floor minimum for ${describeRule(rule)}?`)) {
+			return;
+		}
+
+		try {
+			setError(null);
+			await floorDisplayAPI.deleteRule(rule._id);
+			setSuccess("Floor display rule deleted");
+			await loadData();
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		}
+	};
+
+	const needsType =
+		newRule.target === "productType" ||
+		newRule.target === "productTypeAndBrand";
+	const needsBrand =
+		newRule.target === "brand" || newRule.target === "productTypeAndBrand";
+	const isNewRuleValid =
+		parseInt(newRule.minQuantity) >= 1 &&
+		(newRule.target !== "product" || newRule.productId) &&
+		(!needsType || newRule.productType) &&
+		(!needsBrand || newRule.brand);
+
+	return (
+		<Container className="py-4">
+			<Row className="mb-4 align-items-center">
+				<Col>
+					<h1>Floor Display</h1>
+					<p className="text-muted mb-0">
+						Minimum stock to keep on the sales floor, and what to bring out
+						from the back to meet it
+					</p>
+				</Col>
+				{isPartner && (
+					<Col md={4}>
+						<Form.Select
+							value={storeId}
+							onChange={(e) => setStoreId(e.target.value)}
+						>
+							<option value="">Select a store...</option>
+							{stores.map((store) => (
+								<option key={store._id} value={store._id}>
+									{store.name}
+								</option>
+							))}
+						</Form.Select>
+					</Col>
+				)}
+			</Row>
+
+			{error && (
+				<Alert variant="danger" dismissible onClose={() => setError(null)}>
+					{error}
+				</Alert>
+			)}
+			{success && (
+				<Alert variant="success" dismissible onClose={() => setSuccess(null)}>
+					{success}
+				</Alert>
+			)}
+
+			{!storeId ? (
+				<Alert variant="info">Select a store to see its floor display.</Alert>
+			) : loading && !report ? (
+				<div className="text-center py-5">
+					<Spinner animation="border" />
+				</div>
+			) : (
+				<>
+					<Card className="mb-4">
+						<Card.Body>
+							<Card.Title>
+								Unmet Minimums{" "}
+								{report && (
+									<Badge bg={report.unmet.length > 0 ? "danger" : "success"}>
+										{report.metRules} of {report.totalRules} met
+									</Badge>
+								)}
+							</Card.Title>
+
+							{!report || report.unmet.length === 0 ? (
+								<p className="text-muted mb-0">
+									The floor meets every display minimum.
+								</p>
+							) : (
+								<Table size="sm" hover responsive>
+									<thead>
+										<tr>
+											<th>Rule</th>
+											<th className="text-end">On Floor</th>
+											<th className="text-end">Minimum</th>
+											<th className="text-end">Short</th>
+											<th>Bring out</th>
+										</tr>
+									</thead>
+									<tbody>
+										{report.unmet.map((entry) => (
+											<tr key={entry.rule._id}>
+												<td>{describeRule(entry.rule)}</td>
+												<td className="text-end">{entry.currentQuantity}</td>
+												<td className="text-end">{entry.rule.minQuantity}</td>
+												<td className="text-end text-danger fw-bold">
+													{entry.shortfall}
+												</td>
+												<td>
+													{entry.suggestedMoves.map((move) => (
+														<div key={move.inventoryId}>
+															<small>
+																{move.quantity} × {move.product.name}
+															</small>
+														</div>
+													))}
+													{entry.suggestedMoves.length === 0 &&
+														entry.uncoveredQuantity === 0 && (
+															<small className="text-muted">
+																Covered by the moves above
+															</small>
+														)}
+													{entry.uncoveredQuantity > 0 && (
+														<Badge bg="warning" text="dark">
+															{entry.uncoveredQuantity} short in the back room
+														</Badge>
+													)}
+												</td>
+											</tr>
+										))}
+									</tbody>
+								</Table>
+							)}
+
+							{report?.suggestedMoves.length > 0 && (
+								<>
+									<h6 className="mt-3">Suggested Restock Moves</h6>
+									<Table size="sm" hover responsive className="mb-0">
+										<thead>
+											<tr>
+												<th>Product</th>
+												<th>SKU</th>
+												<th className="text-end">Quantity</th>
+												<th></th>
+											</tr>
+										</thead>
+										<tbody>
+											{report.suggestedMoves.map((move) => (
+												<tr key={move.inventoryId}>
+													<td>{move.product.name}</td>
+													<td>
+														<code>{move.product.sku}</code>
+													</td>
+													<td className="text-end">{move.quantity}</td>
+													<td className="text-end">
+														<Button
+															variant="outline-primary"
+															size="sm"
+															onClick={() => handleMove(move)}
+															disabled={movingId !== null}
+														>
+															{movingId === move.inventoryId ? (
+																<Spinner animation="border" size="sm" />
+															) : (
+																"Move to Floor"
+															)}
+														</Button>
+													</td>
+												</tr>
+											))}
+										</tbody>
+									</Table>
+								</>
+							)}
+						</Card.Body>
+					</Card>
+
+					<Card>
+						<Card.Body>
+							<Card.Title>Display Minimums</Card.Title>
+
+							{rules.length === 0 ? (
+								<p className="text-muted">No floor display minimums yet.</p>
+							) : (
+								<Table size="sm" hover responsive>
+									<thead>
+										<tr>
+											<th>Covers</th>
+											<th style={{ width: "160px" }}>Minimum</th>
+											<th>Notes</th>
+											{canManage && <th></th>}
+										</tr>
+									</thead>
+									<tbody>
+										{rules.map((rule) => {
+											const draft = minDrafts[rule._id];
+											const isChanged =
+												draft !== undefined &&
+												parseInt(draft) !== rule.minQuantity;
+											return (
+												<tr key={rule._id}>
+													<td>{describeRule(rule)}</td>
+													<td>
+														{canManage ? (
+															<Form.Control
+																size="sm"
+																type="number"
+																min="1"
+																value={draft ?? rule.minQuantity}
+																onChange={(e) =>
+																	setMinDrafts({
+																		...minDrafts,
+																		[rule._id]: e.target.value,
+																	})
+																}
+															/>
+														) : (
+															rule.minQuantity
+														)}
+													</td>
+													<td>
+														<small className="text-muted">{rule.notes}</small>
+													</td>
+													{canManage && (
+														<td className="text-end">
+															{isChanged && (
+																<Button
+																	variant="primary"
+																	size="sm"
+																	className="me-2"
+																	onClick={() => handleSaveMinimum(rule)}
+																	disabled={parseInt(draft) < 1 || !draft}
+																>
+																	Save
+																</Button>
+															)}
+															<Button
+																variant="outline-danger"
+																size="sm"
+																onClick={() => handleDeleteRule(rule)}
+															>
+																Delete
+															</Button>
+														</td>
+													)}
+												</tr>
+											);
+										})}
+									</tbody>
+								</Table>
+							)}
+
+							{canManage && (
+								<>
+									<h6 className="mt-3">Add a Minimum</h6>
+									<Row className="g-2 align-items-end">
+										<Col md={3}>
+											<Form.Label className="small">Covers</Form.Label>
+											<Form.Select
+												size="sm"
+												value={newRule.target}
+												onChange={(e) =>
+													setNewRule({ ...EMPTY_RULE, target: e.target.value })
+												}
+											>
+												{TARGET_OPTIONS.map((option) => (
+													<option key={option.value} value={option.value}>
+														{option.label}
+													</option>
+												))}
+											</Form.Select>
+										</Col>
+										{newRule.target === "product" && (
+											<Col md={4}>
+												<Form.Label className="small">Product</Form.Label>
+												<Form.Select
+													size="sm"
+													value={newRule.productId}
+													onChange={(e) =>
+														setNewRule({ ...newRule, productId: e.target.value })
+													}
+												>
+													<option value="">Select a product...</option>
+													{products.map((product) => (
+														<option key={product._id} value={product._id}>
+															{product.name} ({product.sku})
+														</option>
+													))}
+												</Form.Select>
+											</Col>
+										)}
+										{needsType && (
+											<Col md={2}>
+												<Form.Label className="small">Product Type</Form.Label>
+												<Form.Select
+													size="sm"
+													value={newRule.productType}
+													onChange={(e) =>
+														setNewRule({
+															...newRule,
+															productType: e.target.value,
+														})
+													}
+												>
+													<option value="">Select...</option>
+													{Object.values(PRODUCT_TYPES)
+														.filter((type) => type !== PRODUCT_TYPES.SINGLE_CARD)
+														.map((type) => (
+															<option key={type} value={type}>
+																{PRODUCT_TYPE_LABELS[type]}
+															</option>
+														))}
+												</Form.Select>
+											</Col>
+										)}
+										{needsBrand && (
+											<Col md={2}>
+												<Form.Label className="small">Brand</Form.Label>
+												<Form.Select
+													size="sm"
+													value={newRule.brand}
+													onChange={(e) =>
+														setNewRule({ ...newRule, brand: e.target.value })
+													}
+												>
+													<option value="">Select...</option>
+													{brands.map((brand) => (
+														<option key={brand} value={brand}>
+															{brand}
+														</option>
+													))}
+												</Form.Select>
+											</Col>
+										)}
+										<Col md={1}>
+											<Form.Label className="small">Minimum</Form.Label>
+											<Form.Control
+												size="sm"
+												type="number"
+												min="1"
+												value={newRule.minQuantity}
+												onChange={(e) =>
+													setNewRule({ ...newRule, minQuantity: e.target.value })
+												}
+											/>
+										</Col>
+										<Col md={2}>
+											<Form.Label className="small">Notes</Form.Label>
+											<Form.Control
+												size="sm"
+												type="text"
+												value={newRule.notes}
+												onChange={(e) =>
+													setNewRule({ ...newRule, notes: e.target.value })
+												}
+											/>
+										</Col>
+										<Col md="auto">
+											<Button
+												size="sm"
+												onClick={handleCreateRule}
+												disabled={!isNewRuleValid}
+											>
+												Add
+											</Button>
+										</Col>
+									</Row>
+								</>
+							)}
+						</Card.Body>
+					</Card>
+				</>
+			)}
+		</Container>
+	);
+}
+
+export default FloorDisplay;
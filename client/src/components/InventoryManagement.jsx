@@ -3,7 +3,7 @@
  * Main page for managing inventory with role-based access
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import {
 	Container,
 	Row,
@@ -20,12 +20,41 @@ import {
 import { inventoryAPI } from "../api/inventory";
 import { storeAPI } from "../api/stores";
 import { productAPI } from "../api/products";
+import { createIdempotencyKey } from "../api/idempotency";
 import CreateInventoryModal from "./modals/CreateInventoryModal";
 import UpdateInventoryModal from "./modals/UpdateInventoryModal";
 import DeleteInventoryModal from "./modals/DeleteInventoryModal";
-import { PRODUCT_TYPES, PRODUCT_TYPE_LABELS } from "../constants/enums";
+import MoveInventoryModal from "./modals/MoveInventoryModal";
+import InventoryHistoryModal from "./modals/InventoryHistoryModal";
+import InventoryHoldsModal from "./modals/InventoryHoldsModal";
+import StoreCapacityCard from "./StoreCapacityCard";
+import {
+	PRODUCT_TYPES,
+	PRODUCT_TYPE_LABELS,
+	STOCK_MOVEMENT_REASONS,
+} from "../constants/enums";
 import { useDebounce } from "../hooks";
 
+const EMPTY_CAPACITY = {
+	current: 0,
+	max: 0,
+	floor: { current: 0, max: null },
+	back: { current: 0, max: null },
+};
+
+/**
+ * Space left for new stock at a location: the store-wide room, capped by the
+ * location's own limit when one is set
+ */
+const availableCapacityAt = (storeCapacity, location) => {
+	const storeAvailable = storeCapacity.max - storeCapacity.current;
+	const usage = storeCapacity[location];
+	if (usage?.max === null || usage?.max === undefined) {
+		return storeAvailable;
+	}
+	return Math.min(storeAvailable, usage.max - usage.current);
+};
+
 /**
  * Inventory Management Component
  * Displays and manages inventory across stores with role-based access
@@ -36,12 +65,12 @@ function InventoryManagement({ user }) {
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState(null);
 	const [success, setSuccess] = useState(null);
+	// One key per create submission, so a retry after a dropped connection
+	// doesn't add the quantity twice
+	const createKeyRef = useRef(null);
 
 	// Store capacity
-	const [storeCapacity, setStoreCapacity] = useState({
-		current: 0,
-		max: 0,
-	});
+	const [storeCapacity, setStoreCapacity] = useState(EMPTY_CAPACITY);
 
 	// Filters
 	const [selectedStore, setSelectedStore] = useState("");
@@ -55,6 +84,17 @@ function InventoryManagement({ user }) {
 	const [showCreateModal, setShowCreateModal] = useState(false);
 	const [showUpdateModal, setShowUpdateModal] = useState(false);
 	const [showDeleteModal, setShowDeleteModal] = useState(false);
+	const [showMoveModal, setShowMoveModal] = useState(false);
+	const [moveQuantity, setMoveQuantity] = useState(1);
+	const [showHistoryModal, setShowHistoryModal] = useState(false);
+	const [history, setHistory] = useState([]);
+	const [historyLoading, setHistoryLoading] = useState(false);
+	const [showHoldsModal, setShowHoldsModal] = useState(false);
+	const [holdForm, setHoldForm] = useState({
+		quantity: 1,
+		reason: "",
+		expiresAt: "",
+	});
 	const [selectedItem, setSelectedItem] = useState(null);
 
 	// Create form
@@ -75,7 +115,10 @@ function InventoryManagement({ user }) {
 		location: "floor",
 		minStockLevel: 0,
 		notes: "",
+		reason: STOCK_MOVEMENT_REASONS.MANUAL,
 	});
+	// Latest state of an item someone else saved while it was being edited
+	const [updateConflict, setUpdateConflict] = useState(null);
 
 	// Determine user's accessible stores
 	const isPartner = user?.role === "partner";
@@ -118,13 +161,22 @@ function InventoryManagement({ user }) {
 			if (currentStoreId) {
 				const storeResponse = await storeAPI.getStore(currentStoreId);
 				if (storeResponse?.store) {
+					const { locationCapacity } = storeResponse.store;
 					setStoreCapacity({
 						current: storeResponse.store.currentCapacity || 0,
 						max: storeResponse.store.maxCapacity || 0,
+						floor: {
+							current: locationCapacity?.floor?.currentCapacity || 0,
+							max: locationCapacity?.floor?.maxCapacity ?? null,
+						},
+						back: {
+							current: locationCapacity?.back?.currentCapacity || 0,
+							max: locationCapacity?.back?.maxCapacity ?? null,
+						},
 					});
 				}
 			} else {
-				setStoreCapacity({ current: 0, max: 0 });
+				setStoreCapacity(EMPTY_CAPACITY);
 			}
 		} catch (err) {
 			setError(err.response?.data?.message || err.message);
@@ -262,6 +314,7 @@ function InventoryManagement({ user }) {
 		try {
 			const response = await productAPI.getProducts({ isActive: true });
 			setProducts(response.products || []);
+			createKeyRef.current = createIdempotencyKey();
 			setShowCreateModal(true);
 		} catch (err) {
 			setError(
@@ -308,7 +361,10 @@ function InventoryManagement({ user }) {
 
 			// Check capacity
 			const requiredSpace = selectedProduct.unitSize * newInventory.quantity;
-			const availableSpace = storeCapacity.max - storeCapacity.current;
+			const availableSpace = availableCapacityAt(
+				storeCapacity,
+				newInventory.location
+			);
 
 			if (requiredSpace > availableSpace) {
 				setError(
@@ -317,14 +373,18 @@ function InventoryManagement({ user }) {
 				return;
 			}
 
-			const response = await inventoryAPI.createInventory({
-				storeId: targetStoreId,
-				productId: selectedProduct._id,
-				quantity: parseInt(newInventory.quantity),
-				location: newInventory.location,
-				minStockLevel: parseInt(newInventory.minStockLevel),
-				notes: newInventory.notes || undefined,
-			});
+			const response = await inventoryAPI.createInventory(
+				{
+					storeId: targetStoreId,
+					productId: selectedProduct._id,
+					quantity: parseInt(newInventory.quantity),
+					location: newInventory.location,
+					minStockLevel: parseInt(newInventory.minStockLevel),
+					notes: newInventory.notes || undefined,
+				},
+				createKeyRef.current
+			);
+			createKeyRef.current = createIdempotencyKey();
 
 			if (response.merged) {
 				setSuccess(
@@ -359,10 +419,25 @@ function InventoryManagement({ user }) {
 			location: item.location || "floor",
 			minStockLevel: item.minStockLevel || 0,
 			notes: item.notes || "",
+			reason: STOCK_MOVEMENT_REASONS.MANUAL,
 		});
+		setUpdateConflict(null);
 		setShowUpdateModal(true);
 	};
 
+	// Start the edit again from the item's latest values
+	const handleReloadConflict = () => {
+		setError(null);
+		handleOpenUpdateModal(updateConflict);
+	};
+
+	// Keep the edits, now based on the latest version of the item
+	const handleKeepEditsConflict = () => {
+		setError(null);
+		setSelectedItem(updateConflict);
+		setUpdateConflict(null);
+	};
+
 	const handleUpdateInventory = async () => {
 		try {
 			setError(null);
@@ -385,18 +460,39 @@ function InventoryManagement({ user }) {
 					);
 					return;
 				}
+
+				// Relocated stock needs its full size at the new location
+				const locationSpace =
+					updateForm.location === selectedItem.location
+						? spaceChange
+						: newSpace;
+				const locationUsage = storeCapacity[updateForm.location];
+				if (
+					locationUsage?.max !== null &&
+					locationUsage?.max !== undefined &&
+					locationSpace > locationUsage.max - locationUsage.current
+				) {
+					setError(
+						`Not enough ${updateForm.location} capacity. Required: ${locationSpace}, Available: ${
+							locationUsage.max - locationUsage.current
+						}`
+					);
+					return;
+				}
 			}
 
 			// Build update payload based on item type
 			const updatePayload = {
 				location: updateForm.location,
 				notes: updateForm.notes || undefined,
+				version: selectedItem.__v,
 			};
 
 			// Only include quantity and minStockLevel for non-containers
 			if (!isContainer) {
 				updatePayload.quantity = parseInt(updateForm.quantity);
 				updatePayload.minStockLevel = parseInt(updateForm.minStockLevel);
+				updatePayload.reason = updateForm.reason;
 			}
 
 			await inventoryAPI.updateInventory(selectedItem._id, updatePayload);
@@ -410,6 +506,10 @@ function InventoryManagement({ user }) {
 			setSelectedItem(null);
 			await loadInventory();
 		} catch (err) {
+			if (err.response?.status === 409 && err.response.data?.current) {
+				setUpdateConflict(err.response.data.current);
+				return;
+			}
 			setError(
 				"Failed to update inventory: " +
 					(err.response?.data?.message || err.message)
@@ -417,6 +517,111 @@ function InventoryManagement({ user }) {
 		}
 	};
 
+	const handleOpenMoveModal = (item) => {
+		setSelectedItem(item);
+		setMoveQuantity(1);
+		setShowMoveModal(true);
+	};
+
+	const handleMoveInventory = async () => {
+		try {
+			setError(null);
+
+			if (!selectedItem) return;
+
+			const response = await inventoryAPI.moveInventory(selectedItem._id, {
+				quantity: parseInt(moveQuantity),
+			});
+
+			setSuccess(
+				`Moved ${parseInt(moveQuantity)} ${
+					selectedItem.productId?.name || "units"
+				} to the ${response.to?.location}`
+			);
+			setShowMoveModal(false);
+			setSelectedItem(null);
+			await loadInventory();
+		} catch (err) {
+			setError(
+				"Failed to move inventory: " +
+					(err.response?.data?.message || err.message)
+			);
+		}
+	};
+
+	const handleOpenHistoryModal = async (item) => {
+		setSelectedItem(item);
+		setHistory([]);
+		setShowHistoryModal(true);
+
+		try {
+			setHistoryLoading(true);
+			const response = await inventoryAPI.getInventoryHistory(item._id);
+			setHistory(response.history || []);
+		} catch (err) {
+			setError(
+				"Failed to load stock history: " +
+					(err.response?.data?.message || err.message)
+			);
+		} finally {
+			setHistoryLoading(false);
+		}
+	};
+
+	const handleOpenHoldsModal = (item) => {
+		setSelectedItem(item);
+		setHoldForm({ quantity: 1, reason: "", expiresAt: "" });
+		setShowHoldsModal(true);
+	};
+
+	const handlePlaceHold = async () => {
+		try {
+			setError(null);
+
+			if (!selectedItem) return;
+
+			const response = await inventoryAPI.placeHold(selectedItem._id, {
+				quantity: parseInt(holdForm.quantity),
+				reason: holdForm.reason,
+				expiresAt: holdForm.expiresAt
+					? new Date(holdForm.expiresAt).toISOString()
+					: undefined,
+			});
+
+			setSuccess(
+				`Held ${parseInt(holdForm.quantity)} ${
+					selectedItem.productId?.name || "units"
+				}`
+			);
+			setSelectedItem(response.inventory);
+			setHoldForm({ quantity: 1, reason: "", expiresAt: "" });
+			await loadInventory();
+		} catch (err) {
+			setError(
+				"Failed to place hold: " + (err.response?.data?.message || err.message)
+			);
+		}
+	};
+
+	const handleReleaseHold = async (holdId) => {
+		try {
+			setError(null);
+
+			if (!selectedItem) return;
+
+			const response = await inventoryAPI.releaseHold(selectedItem._id, holdId);
+
+			setSuccess("Hold released");
+			setSelectedItem(response.inventory);
+			await loadInventory();
+		} catch (err) {
+			setError(
+				"Failed to release hold: " +
+					(err.response?.data?.message || err.message)
+			);
+		}
+	};
+
 	const handleOpenDeleteModal = (item) => {
 		setSelectedItem(item);
 		setShowDeleteModal(true);
@@ -478,62 +683,7 @@ function InventoryManagement({ user }) {
 
 			{/* Store Capacity Display */}
 			{storeCapacity.max > 0 && (
-				<Card className="mb-4">
-					<Card.Body>
-						<div className="d-flex justify-content-between align-items-center mb-3">
-							<h5 className="mb-0">Store Capacity</h5>
-							<Badge
-								bg={
-									storeCapacity.current / storeCapacity.max >= 0.9
-										? "danger"
-										: storeCapacity.current / storeCapacity.max >= 0.75
-										? "warning"
-										: "success"
-								}
-								className="fs-6"
-							>
-								{Math.round((storeCapacity.current / storeCapacity.max) * 100)}%
-							</Badge>
-						</div>
-						<div className="mb-2">
-							<div className="d-flex justify-content-between text-muted small mb-1">
-								<span>
-									{storeCapacity.current} / {storeCapacity.max} units
-								</span>
-								<span>
-									{storeCapacity.max - storeCapacity.current} units available
-								</span>
-							</div>
-							<div className="progress" style={{ height: "20px" }}>
-								<div
-									className={`progress-bar ${
-										storeCapacity.current / storeCapacity.max >= 0.9
-											? "bg-danger"
-											: storeCapacity.current / storeCapacity.max >= 0.75
-											? "bg-warning"
-											: "bg-success"
-									}`}
-									role="progressbar"
-									style={{
-										width: `${
-											(storeCapacity.current / storeCapacity.max) * 100
-										}%`,
-									}}
-									aria-valuenow={storeCapacity.current}
-									aria-valuemin="0"
-									aria-valuemax={storeCapacity.max}
-								/>
-							</div>
-						</div>
-						{storeCapacity.current / storeCapacity.max >= 0.9 && (
-							<Alert variant="danger" className="mb-0 mt-2">
-								<strong>Warning:</strong> Store is at{" "}
-								{Math.round((storeCapacity.current / storeCapacity.max) * 100)}%
-								capacity!
-							</Alert>
-						)}
-					</Card.Body>
-				</Card>
+				<StoreCapacityCard storeCapacity={storeCapacity} />
 			)}
 
 			{/* Filters */}
@@ -1090,6 +1240,24 @@ function InventoryManagement({ user }) {
 													>
 														{item.quantity}
 													</span>
+													{item.heldQuantity > 0 && (
+														<div>
+															<small className="text-muted">
+																{item.availableQuantity} available,{" "}
+																{item.heldQuantity} on hold
+															</small>
+														</div>
+													)}
+													{item.holds
+														?.filter((hold) => hold.transferRequestId)
+														.map((hold) => (
+															<div key={hold._id}>
+																<small className="text-muted">
+																	{hold.quantity} committed to transfer{" "}
+																	{hold.transferRequestId.requestNumber}
+																</small>
+															</div>
+														))}
 													{isLowStock && (
 														<Badge bg="danger" className="ms-2">
 															Low Stock
@@ -1135,6 +1303,28 @@ function InventoryManagement({ user }) {
 														>
 															Edit
 														</Button>
+														<Button
+															variant="outline-info"
+															onClick={() => handleOpenHistoryModal(item)}
+															style={{ fontWeight: "500" }}
+														>
+															History
+														</Button>
+														<Button
+															variant="outline-warning"
+															onClick={() => handleOpenHoldsModal(item)}
+															style={{ fontWeight: "500" }}
+														>
+															Holds
+														</Button>
+														<Button
+															variant="outline-secondary"
+															onClick={() => handleOpenMoveModal(item)}
+															disabled={!item.availableQuantity}
+															style={{ fontWeight: "500" }}
+														>
+															{item.location === "back" ? "To Floor" : "To Back"}
+														</Button>
 														<Button
 															variant="outline-danger"
 															onClick={() => handleOpenDeleteModal(item)}
@@ -1179,6 +1369,41 @@ function InventoryManagement({ user }) {
 				updateForm={updateForm}
 				setUpdateForm={setUpdateForm}
 				onSubmit={handleUpdateInventory}
+				conflict={updateConflict}
+				onReloadConflict={handleReloadConflict}
+				onKeepEditsConflict={handleKeepEditsConflict}
+				error={error}
+			/>
+
+			{/* Move Between Locations Modal */}
+			<MoveInventoryModal
+				show={showMoveModal}
+				onHide={() => setShowMoveModal(false)}
+				selectedItem={selectedItem}
+				moveQuantity={moveQuantity}
+				setMoveQuantity={setMoveQuantity}
+				onSubmit={handleMoveInventory}
+				error={error}
+			/>
+
+			{/* Stock History Modal */}
+			<InventoryHistoryModal
+				show={showHistoryModal}
+				onHide={() => setShowHistoryModal(false)}
+				selectedItem={selectedItem}
+				history={history}
+				loading={historyLoading}
+			/>
+
+			{/* Stock Holds Modal */}
+			<InventoryHoldsModal
+				show={showHoldsModal}
+				onHide={() => setShowHoldsModal(false)}
+				selectedItem={selectedItem}
+				holdForm={holdForm}
+				setHoldForm={setHoldForm}
+				onPlaceHold={handlePlaceHold}
+				onReleaseHold={handleReleaseHold}
 				error={error}
 			/>
 
@@ -0,0 +1,201 @@
+/**
+ * LowStockPanel Component
+ * Dashboard widget listing inventory below its minimum stock level and card
+ * containers running low on cards, so managers know what to reorder
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import {
+	Card,
+	Table,
+	Badge,
+	Form,
+	Row,
+	Col,
+	Spinner,
+	Alert,
+} from "react-bootstrap";
+import { inventoryAPI } from "../api/inventory";
+import { storeAPI } from "../api/stores";
+
+const DEFAULT_CARD_THRESHOLD = 10;
+
+function LowStockPanel({ user }) {
+	const isPartner = user?.role === "partner";
+
+	const [items, setItems] = useState([]);
+	const [containers, setContainers] = useState([]);
+	const [stores, setStores] = useState([]);
+	const [storeFilter, setStoreFilter] = useState("");
+	const [cardThreshold, setCardThreshold] = useState(DEFAULT_CARD_THRESHOLD);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	const loadLowStock = useCallback(async () => {
+		try {
+			setLoading(true);
+			setError(null);
+			const response = await inventoryAPI.getLowStock({
+				storeId: storeFilter || undefined,
+				cardThreshold: parseInt(cardThreshold) || 0,
+			});
+			setItems(response.items || []);
+			setContainers(response.containers || []);
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [storeFilter, cardThreshold]);
+
+	useEffect(() => {
+		loadLowStock();
+	}, [loadLowStock]);
+
+	// Partners can narrow the list to one store
+	useEffect(() => {
+		if (!isPartner) return;
+
+		const loadStores = async () => {
+			try {
+				const response = await storeAPI.getStores();
+				setStores(response.stores || []);
+			} catch (err) {
+				setError(err.response?.data?.message || err.message);
+			}
+		};
+		loadStores();
+	}, [isPartner]);
+
+	const total = items.length + containers.length;
+
+	return (
+		<Card className="mb-4">
+			<Card.Body>
+				<Card.Title className="d-flex justify-content-between align-items-center">
+					<span>
+						Low Stock{" "}
+						{!loading && (
+							<Badge bg={total > 0 ? "danger" : "success"}>{total}</Badge>
+						)}
+					</span>
+				</Card.Title>
+
+				<Row className="mb-3">
+					{isPartner && (
+						<Col md={6}>
+							<Form.Select
+								size="sm"
+								value={storeFilter}
+								onChange={(e) => setStoreFilter(e.target.value)}
+							>
+								<option value="">All stores</option>
+								{stores.map((store) => (
+									<option key={store._id} value={store._id}>
+										{store.name}
+									</option>
+								))}
+							</Form.Select>
+						</Col>
+					)}
+					<Col md={isPartner ? 6 : 12}>
+						<Form.Group as={Row} className="align-items-center">
+							<Form.Label column sm="auto" className="small">
+								Flag containers with fewer than
+							</Form.Label>
+							<Col sm={3}>
+								<Form.Control
+									size="sm"
+									type="number"
+									min="0"
+									value={cardThreshold}
+									onChange={(e) => setCardThreshold(e.target.value)}
+								/>
+							</Col>
+							<Form.Label column sm="auto" className="small">
+								cards
+							</Form.Label>
+						</Form.Group>
+					</Col>
+				</Row>
+
+				{error && <Alert variant="danger">{error}</Alert>}
+
+				{loading ? (
+					<div className="text-center py-3">
+						<Spinner animation="border" size="sm" /> Loading low stock...
+					</div>
+				) : total === 0 ? (
+					<p className="text-muted text-center py-2 mb-0">
+						Everything is stocked above its minimum
+					</p>
+				) : (
+					<Table size="sm" hover responsive className="mb-0">
+						<thead>
+							<tr>
+								<th>Item</th>
+								{isPartner && <th>Store</th>}
+								<th>Location</th>
+								<th className="text-end">On Hand</th>
+								<th className="text-end">Minimum</th>
+								<th className="text-end">To Reorder</th>
+							</tr>
+						</thead>
+						<tbody>
+							{items.map((item) => (
+								<tr key={item._id}>
+									<td>
+										{item.productId?.name || "N/A"}{" "}
+										<small className="text-muted">{item.productId?.sku}</small>
+									</td>
+									{isPartner && <td>{item.storeId?.name}</td>}
+									<td>
+										<Badge
+											bg={item.location === "floor" ? "primary" : "secondary"}
+										>
+											{item.location}
+										</Badge>
+									</td>
+									<td className="text-end text-danger fw-bold">
+										{item.quantity}
+									</td>
+									<td className="text-end">{item.minStockLevel}</td>
+									<td className="text-end">
+										{item.minStockLevel - item.quantity}
+									</td>
+								</tr>
+							))}
+							{containers.map((container) => (
+								<tr key={container._id}>
+									<td>
+										{container.cardContainer?.containerName}{" "}
+										<Badge bg="info">cards</Badge>
+									</td>
+									{isPartner && <td>{container.storeId?.name}</td>}
+									<td>
+										<Badge
+											bg={
+												container.location === "floor" ? "primary" : "secondary"
+											}
+										>
+											{container.location}
+										</Badge>
+									</td>
+									<td className="text-end text-danger fw-bold">
+										{container.totalCards}
+									</td>
+									<td className="text-end">{cardThreshold}</td>
+									<td className="text-end">
+										{cardThreshold - container.totalCards}
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</Table>
+				)}
+			</Card.Body>
+		</Card>
+	);
+}
+
+export default LowStockPanel;
@@ -77,6 +77,24 @@ function Navigation({ user, currentView, onNavigate, onLogout }) {
 							</Nav.Link>
 						)}
 
+						{/* Cycle Counts - Everyone */}
+						<Nav.Link
+							active={currentView === "counts"}
+							onClick={() => onNavigate("counts")}
+							className="mx-2"
+						>
+							Cycle Counts
+						</Nav.Link>
+
+						{/* Floor Display - Everyone */}
+						<Nav.Link
+							active={currentView === "floor-display"}
+							onClick={() => onNavigate("floor-display")}
+							className="mx-2"
+						>
+							Floor Display
+						</Nav.Link>
+
 						{/* Transfer Requests - Managers and Partners */}
 						{(isManager || isPartner) && (
 							<Nav.Link
@@ -0,0 +1,87 @@
+/**
+ * StoreCapacityCard Component
+ * Shows how full the selected store is overall, with a gauge each for the
+ * floor and the back room
+ */
+
+import { Card, Alert, Badge, Row, Col } from "react-bootstrap";
+
+const usageVariant = (ratio) =>
+	ratio >= 0.9 ? "danger" : ratio >= 0.75 ? "warning" : "success";
+
+function CapacityGauge({ current, max, height = "20px" }) {
+	const ratio = max > 0 ? current / max : 0;
+
+	return (
+		<div className="progress" style={{ height }}>
+			<div
+				className={`progress-bar bg-${usageVariant(ratio)}`}
+				role="progressbar"
+				style={{ width: `${Math.min(ratio, 1) * 100}%` }}
+				aria-valuenow={current}
+				aria-valuemin="0"
+				aria-valuemax={max}
+			/>
+		</div>
+	);
+}
+
+function LocationGauge({ label, usage, storeMax }) {
+	const hasLimit = usage.max !== null && usage.max !== undefined;
+	const max = hasLimit ? usage.max : storeMax;
+
+	return (
+		<>
+			<div className="d-flex justify-content-between small mb-1">
+				<strong>{label}</strong>
+				<span className="text-muted">
+					{usage.current} / {hasLimit ? `${max} units` : "no separate limit"}
+				</span>
+			</div>
+			<CapacityGauge current={usage.current} max={max} height="12px" />
+		</>
+	);
+}
+
+function StoreCapacityCard({ storeCapacity }) {
+	const { current, max, floor, back } = storeCapacity;
+	const ratio = current / max;
+
+	return (
+		<Card className="mb-4">
+			<Card.Body>
+				<div className="d-flex justify-content-between align-items-center mb-3">
+					<h5 className="mb-0">Store Capacity</h5>
+					<Badge bg={usageVariant(ratio)} className="fs-6">
+						{Math.round(ratio * 100)}%
+					</Badge>
+				</div>
+				<div className="mb-3">
+					<div className="d-flex justify-content-between text-muted small mb-1">
+						<span>
+							{current} / {max} units
+						</span>
+						<span>{max - current} units available</span>
+					</div>
+					<CapacityGauge current={current} max={max} />
+				</div>
+				<Row>
+					<Col md={6} className="mb-2 mb-md-0">
+						<LocationGauge label="Floor" usage={floor} storeMax={max} />
+					</Col>
+					<Col md={6}>
+						<LocationGauge label="Back Room" usage={back} storeMax={max} />
+					</Col>
+				</Row>
+				{ratio >= 0.9 && (
+					<Alert variant="danger" className="mb-0 mt-3">
+						<strong>Warning:</strong> Store is at {Math.round(ratio * 100)}%
+						capacity!
+					</Alert>
+				)}
+			</Card.Body>
+		</Card>
+	);
+}
+
+export default StoreCapacityCard;
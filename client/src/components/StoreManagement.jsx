@@ -30,6 +30,10 @@ const StoreManagement = ({ user, onUnauthorized }) => {
 	const [showDeleteModal, setShowDeleteModal] = useState(false);
 	const [selectedStore, setSelectedStore] = useState(null);
 
+	// Capacity reconciliation (partners only)
+	const [reconciling, setReconciling] = useState(false);
+	const [reconcileReport, setReconcileReport] = useState(null);
+
 	const filterStoresByRole = (allStores) => {
 		if (user.role === "partner") {
 			return allStores; // Partners see all stores
@@ -108,6 +112,24 @@ const StoreManagement = ({ user, onUnauthorized }) => {
 		}
 	};
 
+	const handleReconcileCapacity = async () => {
+		try {
+			setReconciling(true);
+			setError("");
+			const response = await storeAPI.reconcileCapacity();
+			if (response.success) {
+				setReconcileReport(response.report);
+				await fetchStores();
+			}
+		} catch (err) {
+			setError(
+				err.response?.data?.message || "Error reconciling store capacity"
+			);
+		} finally {
+			setReconciling(false);
+		}
+	};
+
 	const calculateCapacityPercentage = (current, max) => {
 		return Math.round((current / max) * 100);
 	};
@@ -137,12 +159,53 @@ const StoreManagement = ({ user, onUnauthorized }) => {
 			<div className="d-flex justify-content-between align-items-center mb-4">
 				<h2>Store Management</h2>
 				{user.role === "partner" && (
-					<Button variant="primary" onClick={handleAddStore}>
-						Add New Store
-					</Button>
+					<div className="d-flex gap-2">
+						<Button
+							variant="outline-secondary"
+							onClick={handleReconcileCapacity}
+							disabled={reconciling}
+						>
+							{reconciling ? "Reconciling..." : "Reconcile Capacity"}
+						</Button>
+						<Button variant="primary" onClick={handleAddStore}>
+							Add New Store
+						</Button>
+					</div>
 				)}
 			</div>
 
+			{reconcileReport && (
+				<Alert
+					variant={reconcileReport.drifted.length > 0 ? "warning" : "success"}
+					dismissible
+					onClose={() => setReconcileReport(null)}
+				>
+					{reconcileReport.drifted.length === 0 ? (
+						<>
+							Capacity is accurate for all {reconcileReport.storesChecked}{" "}
+							stores.
+						</>
+					) : (
+						<>
+							<strong>
+								Corrected {reconcileReport.drifted.length} of{" "}
+								{reconcileReport.storesChecked} stores:
+							</strong>
+							<ul className="mb-0 mt-2">
+								{reconcileReport.drifted.map((entry) => (
+									<li key={entry.storeId}>
+										{entry.name}: {entry.recorded.total} →{" "}
+										{entry.actual.total} units (
+										{entry.drift.total > 0 ? "+" : ""}
+										{entry.drift.total})
+									</li>
+								))}
+							</ul>
+						</>
+					)}
+				</Alert>
+			)}
+
 			{error && (
 				<Alert variant="danger" dismissible onClose={() => setError("")}>
 					{error}
@@ -3,7 +3,7 @@
  * Manage inventory transfers between stores with multi-stage workflow
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import {
 	Container,
 	Row,
@@ -19,7 +19,75 @@ import {
 } from "react-bootstrap";
 import { transferRequestAPI } from "../api/transferRequests";
 import { storeAPI } from "../api/stores";
+import { inventoryAPI } from "../api/inventory";
+import { createIdempotencyKey } from "../api/idempotency";
+import {
+	LOCATIONS,
+	TRANSFER_DOCUMENT_TYPES,
+	TRANSFER_ITEM_TYPES,
+} from "../constants/enums";
 import CreateTransferRequestModal from "./modals/CreateTransferRequestModal";
+import RebalancingSuggestionsModal from "./modals/RebalancingSuggestionsModal";
+
+// Name shown for a transfer item (product, cards from a container, or a container)
+const transferItemLabel = (item) => {
+	const containerName = item.inventoryId?.cardContainer?.containerName;
+
+	switch (item.itemType) {
+		case TRANSFER_ITEM_TYPES.CARDS:
+			return `Cards from ${containerName || "card container"}`;
+		case TRANSFER_ITEM_TYPES.CONTAINER:
+			return `${containerName || "Card container"} (whole container)`;
+		default:
+			return item.productId?.name;
+	}
+};
+
+// Only standard product items can ship or arrive short; card items move whole
+const isProductItem = (item) =>
+	!item.itemType || item.itemType === TRANSFER_ITEM_TYPES.PRODUCT;
+
+// Quantity the source store actually sent for an item
+const shippedQuantityOf = (item) => item.shippedQuantity ?? item.requestedQuantity;
+
+// Statuses in which each printable document is available
+const PACKING_SLIP_STATUSES = [
+	"requested",
+	"sent",
+	"partially-received",
+	"complete",
+];
+const MANIFEST_STATUSES = ["sent", "partially-received", "complete"];
+
+// Timeline badge text for a status history entry
+const timelineLabel = (entry, previous) => {
+	if (entry.decision) return `offer ${entry.decision}`;
+
+	switch (entry.status) {
+		case "open":
+			return "created";
+		case "complete":
+			return previous?.status === "partially-received"
+				? "resolved"
+				: "completed";
+		default:
+			return entry.status;
+	}
+};
+
+// Status changes and comments in the order they happened
+const buildTimeline = (request) =>
+	[
+		...(request.statusHistory || []).map((entry, idx, history) => ({
+			at: entry.changedAt,
+			entry,
+			previous: history[idx - 1],
+		})),
+		...(request.comments || []).map((comment) => ({
+			at: comment.createdAt,
+			comment,
+		})),
+	].sort((a, b) => new Date(a.at) - new Date(b.at));
 
 function TransferRequests({ user }) {
 	const [transferRequests, setTransferRequests] = useState([]);
@@ -27,6 +95,8 @@ function TransferRequests({ user }) {
 	const [userStore, setUserStore] = useState(null);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState(null);
+	// One key per create submission, so a retry doesn't open a second request
+	const createKeyRef = useRef(null);
 	const [success, setSuccess] = useState(null);
 
 	// Filters
@@ -35,16 +105,37 @@ function TransferRequests({ user }) {
 
 	// Modals
 	const [showCreateModal, setShowCreateModal] = useState(false);
+	// Open request being edited in the create modal (null when creating)
+	const [editingRequest, setEditingRequest] = useState(null);
+
+	// Rebalancing suggestions modal (partners)
+	const [showSuggestionsModal, setShowSuggestionsModal] = useState(false);
+	const [suggestions, setSuggestions] = useState([]);
+	const [loadingSuggestions, setLoadingSuggestions] = useState(false);
+	const [suggestionsError, setSuggestionsError] = useState(null);
+	// Source and destination of the suggestion being created
+	const [creatingSuggestionKey, setCreatingSuggestionKey] = useState(null);
 
 	// Detail modal
 	const [showDetailModal, setShowDetailModal] = useState(false);
 	const [selectedRequest, setSelectedRequest] = useState(null);
 	const [loadingDetail, setLoadingDetail] = useState(false);
+	const [commentText, setCommentText] = useState("");
+	const [postingComment, setPostingComment] = useState(false);
+	const [commentError, setCommentError] = useState(null);
 
 	// Status update modal
 	const [showStatusModal, setShowStatusModal] = useState(false);
 	const [newStatus, setNewStatus] = useState("");
 	const [closeReason, setCloseReason] = useState("");
+	// Per-item counts entered when sending or receiving, keyed by item index
+	const [quantityEntries, setQuantityEntries] = useState({});
+	const [statusNote, setStatusNote] = useState("");
+	// Answer to a counter-proposal ("accepted" or "declined")
+	const [decision, setDecision] = useState(null);
+	// Where each item is put away on receipt, keyed by item index
+	const [destinationEntries, setDestinationEntries] = useState({});
+	const [destinationContainers, setDestinationContainers] = useState([]);
 
 	// User permissions
 	const isPartner = user?.role === "partner";
@@ -100,10 +191,97 @@ function TransferRequests({ user }) {
 		loadStores();
 	}, [isManager, user?.assignedStoreId]);
 
+	// Open the create modal with a fresh submission key
+	const handleOpenCreateModal = () => {
+		createKeyRef.current = createIdempotencyKey();
+		setEditingRequest(null);
+		setShowCreateModal(true);
+	};
+
+	// Load rebalancing suggestions
+	const loadSuggestions = async () => {
+		try {
+			setLoadingSuggestions(true);
+			setSuggestionsError(null);
+			const response = await transferRequestAPI.getRebalancingSuggestions();
+			setSuggestions(response.suggestions || []);
+		} catch (err) {
+			setSuggestionsError(err.response?.data?.message || err.message);
+		} finally {
+			setLoadingSuggestions(false);
+		}
+	};
+
+	const handleOpenSuggestions = () => {
+		setSuggestions([]);
+		setShowSuggestionsModal(true);
+		loadSuggestions();
+	};
+
+	// Create an open request from a suggestion as it stands
+	const handleCreateFromSuggestion = async (suggestion) => {
+		try {
+			setCreatingSuggestionKey(
+				`${suggestion.fromStore._id}:${suggestion.toStore._id}`
+			);
+			setSuggestionsError(null);
+			const response = await transferRequestAPI.createTransferRequest(
+				{
+					fromStoreId: suggestion.fromStore._id,
+					toStoreId: suggestion.toStore._id,
+					items: suggestion.items.map((item) => ({
+						inventoryId: item.inventoryId,
+						productId: item.productId,
+						requestedQuantity: item.requestedQuantity,
+					})),
+					notes: "Suggested to cover low stock",
+				},
+				createIdempotencyKey()
+			);
+			setSuccess(
+				`Transfer request ${response.transferRequest.requestNumber} created from suggestion`
+			);
+			loadTransferRequests();
+			loadSuggestions();
+		} catch (err) {
+			setSuggestionsError(err.response?.data?.message || err.message);
+		} finally {
+			setCreatingSuggestionKey(null);
+		}
+	};
+
+	// Reopen a draft request in the create modal
+	const handleEditDraft = () => {
+		setEditingRequest(selectedRequest);
+		setShowDetailModal(false);
+		setShowCreateModal(true);
+	};
+
+	// Save changes to the draft being edited
+	const handleUpdateDraft = async (requestData) => {
+		try {
+			await transferRequestAPI.updateTransferRequest(
+				editingRequest._id,
+				requestData
+			);
+			setSuccess(`Transfer request ${editingRequest.requestNumber} updated`);
+			setShowCreateModal(false);
+			setEditingRequest(null);
+			setError(null);
+			loadTransferRequests();
+		} catch (err) {
+			setError(err.response?.data?.message || err.message);
+		}
+	};
+
 	// Handle create transfer request
 	const handleCreateTransfer = async (requestData) => {
 		try {
-			await transferRequestAPI.createTransferRequest(requestData);
+			await transferRequestAPI.createTransferRequest(
+				requestData,
+				createKeyRef.current
+			);
+			createKeyRef.current = createIdempotencyKey();
 			setSuccess("Transfer request created successfully");
 			setShowCreateModal(false);
 			setError(null);
@@ -118,6 +296,8 @@ function TransferRequests({ user }) {
 		try {
 			setLoadingDetail(true);
 			setShowDetailModal(true);
+			setCommentText("");
+			setCommentError(null);
 			const response = await transferRequestAPI.getTransferRequestById(
 				requestId
 			);
@@ -130,37 +310,204 @@ function TransferRequests({ user }) {
 		}
 	};
 
+	// Open a packing slip or receiving manifest in a new window for printing
+	const handlePrintDocument = async (type) => {
+		// Open the window before the request so popup blockers allow it
+		const printWindow = window.open("", "_blank");
+		if (!printWindow) {
+			setError("Allow pop-ups for this site to print transfer documents");
+			return;
+		}
+
+		try {
+			const html = await transferRequestAPI.getTransferDocument(
+				selectedRequest._id,
+				type
+			);
+			printWindow.document.open();
+			printWindow.document.write(html);
+			printWindow.document.close();
+		} catch (err) {
+			printWindow.close();
+			setError(err.response?.data?.message || err.message);
+		}
+	};
+
+	// Post a comment to the open request's thread
+	const handleAddComment = async () => {
+		try {
+			setPostingComment(true);
+			setCommentError(null);
+			const response = await transferRequestAPI.addComment(
+				selectedRequest._id,
+				commentText
+			);
+			setSelectedRequest(response.transferRequest);
+			setCommentText("");
+		} catch (err) {
+			setCommentError(err.response?.data?.message || err.message);
+		} finally {
+			setPostingComment(false);
+		}
+	};
+
+	// Whether the open status modal confirms receipt (not a partner resolving)
+	const isReceiving =
+		newStatus === "complete" && selectedRequest?.status === "sent";
+	const isResolving =
+		newStatus === "complete" &&
+		selectedRequest?.status === "partially-received";
+	const isProposing = newStatus === "counter-proposed";
+	const isRejecting = newStatus === "rejected";
+	const isAnswering =
+		newStatus === "requested" &&
+		selectedRequest?.status === "counter-proposed";
+	const isNoteRequired = isResolving || isRejecting;
+
+	// Counts to send with the status change, only for items that differ
+	const buildItemDetails = () => {
+		return (selectedRequest?.items || []).flatMap((item, idx) => {
+			const entry = quantityEntries[idx];
+			if (!entry || !isProductItem(item)) return [];
+
+			const quantity = parseInt(entry.quantity, 10) || 0;
+			const damaged = parseInt(entry.damaged, 10) || 0;
+			const base = { inventoryId: item.inventoryId?._id, reason: entry.reason };
+
+			if (isProposing) {
+				return quantity === item.requestedQuantity
+					? []
+					: [{ inventoryId: base.inventoryId, proposedQuantity: quantity }];
+			}
+			if (newStatus === "sent") {
+				return quantity === item.requestedQuantity
+					? []
+					: [{ ...base, shippedQuantity: quantity }];
+			}
+			return quantity === shippedQuantityOf(item) && damaged === 0
+				? []
+				: [{ ...base, receivedQuantity: quantity, damagedQuantity: damaged }];
+		});
+	};
+
 	// Handle status update
 	const handleUpdateStatus = async () => {
 		try {
-			await transferRequestAPI.updateTransferStatus(
+			const details = {};
+			if (newStatus === "sent" || isReceiving || isProposing) {
+				details.items = buildItemDetails();
+			}
+			if (isReceiving) {
+				details.destinations = selectedRequest.items.map((item, idx) => ({
+					inventoryId: item.inventoryId?._id,
+					...destinationEntries[idx],
+				}));
+			}
+			if (isResolving || isRejecting || isProposing || isAnswering) {
+				details.note = statusNote;
+			}
+			if (isAnswering) {
+				details.decision = decision;
+			}
+
+			const response = await transferRequestAPI.updateTransferStatus(
 				selectedRequest._id,
 				newStatus,
-				closeReason
+				closeReason,
+				details
+			);
+			const finalStatus = response.transferRequest?.status || newStatus;
+			setSuccess(
+				finalStatus === "partially-received"
+					? "Receipt recorded with discrepancies. A partner will review it."
+					: `Transfer request status updated to ${finalStatus}`
 			);
-			setSuccess(`Transfer request status updated to ${newStatus}`);
 			setShowStatusModal(false);
 			setShowDetailModal(false);
 			setCloseReason("");
+			setStatusNote("");
 			loadTransferRequests();
 		} catch (err) {
 			setError(err.response?.data?.message || err.message);
 		}
 	};
 
-	// Open status update modal
-	const openStatusModal = (status) => {
+	// Load the destination store's containers for cards being received
+	const loadDestinationContainers = async (storeId) => {
+		try {
+			const response = await inventoryAPI.getContainersByStore(storeId);
+			setDestinationContainers(response.containers || []);
+		} catch (err) {
+			console.error("Error loading destination containers:", err);
+			setDestinationContainers([]);
+		}
+	};
+
+	// Open status update modal (with the answer when replying to a counter-proposal)
+	const openStatusModal = (status, nextDecision = null) => {
+		const destinations = {};
+		if (status === "complete" && selectedRequest?.status === "sent") {
+			selectedRequest.items.forEach((item, idx) => {
+				destinations[idx] = {
+					location: item.inventoryId?.location || LOCATIONS.FLOOR,
+				};
+				if (item.itemType === TRANSFER_ITEM_TYPES.CARDS) {
+					destinations[idx].destinationContainerId =
+						item.destinationContainerId?._id || "";
+				}
+			});
+			loadDestinationContainers(selectedRequest.toStoreId._id);
+		}
+		setDestinationEntries(destinations);
+
+		const entries = {};
+		if (["sent", "complete", "counter-proposed"].includes(status)) {
+			selectedRequest?.items?.forEach((item, idx) => {
+				if (isProductItem(item)) {
+					entries[idx] = {
+						quantity:
+							status === "complete"
+								? shippedQuantityOf(item)
+								: item.requestedQuantity,
+						damaged: 0,
+						reason: "",
+					};
+				}
+			});
+		}
+		setQuantityEntries(entries);
+		setDecision(nextDecision);
+		setStatusNote("");
 		setNewStatus(status);
 		setShowStatusModal(true);
 	};
 
+	// Update where an item is put away on receipt
+	const handleDestinationChange = (idx, changes) => {
+		setDestinationEntries((prev) => ({
+			...prev,
+			[idx]: { ...prev[idx], ...changes },
+		}));
+	};
+
+	// Update one field of an item's entered counts
+	const handleEntryChange = (idx, field, value) => {
+		setQuantityEntries((prev) => ({
+			...prev,
+			[idx]: { ...prev[idx], [field]: value },
+		}));
+	};
+
 	// Get status badge variant
 	const getStatusBadge = (status) => {
 		const variants = {
 			open: "secondary",
 			requested: "info",
+			"counter-proposed": "primary",
 			sent: "warning",
+			"partially-received": "dark",
 			complete: "success",
+			rejected: "danger",
 			closed: "danger",
 		};
 		return variants[status] || "secondary";
@@ -183,6 +530,28 @@ function TransferRequests({ user }) {
 		if (!request) return false;
 
 		const currentStatus = request.status;
+		const userStoreId = user?.assignedStoreId;
+		const isSourceManager =
+			isManager && request.fromStoreId?._id === userStoreId;
+		const isRequestingManager =
+			isManager && request.toStoreId?._id === userStoreId;
+
+		// Rejected requests are final
+		if (currentStatus === "rejected") return false;
+
+		// The source store rejects or counter-proposes a submitted request
+		if (targetStatus === "rejected" || targetStatus === "counter-proposed") {
+			return (
+				currentStatus === "requested" && (isPartner || isSourceManager)
+			);
+		}
+
+		// The requesting store answers a counter-proposal
+		if (currentStatus === "counter-proposed" && targetStatus !== "closed") {
+			return (
+				targetStatus === "requested" && (isPartner || isRequestingManager)
+			);
+		}
 
 		// Partners can do most transitions
 		if (isPartner) {
@@ -191,9 +560,11 @@ function TransferRequests({ user }) {
 			return true;
 		}
 
+		// Only partners resolve receiving discrepancies
+		if (currentStatus === "partially-received") return false;
+
 		// Managers need store-specific permissions
 		if (isManager) {
-			const userStoreId = user?.assignedStoreId;
 			if (!userStoreId) return false;
 
 			// Submit request (to store)
@@ -226,8 +597,17 @@ function TransferRequests({ user }) {
 					</p>
 				</Col>
 				<Col xs="auto">
+					{isPartner && (
+						<Button
+							variant="outline-primary"
+							className="me-2"
+							onClick={handleOpenSuggestions}
+						>
+							Rebalancing Suggestions
+						</Button>
+					)}
 					{(isPartner || isManager) && (
-						<Button variant="primary" onClick={() => setShowCreateModal(true)}>
+						<Button variant="primary" onClick={handleOpenCreateModal}>
 							New Transfer Request
 						</Button>
 					)}
@@ -260,8 +640,13 @@ function TransferRequests({ user }) {
 									<option value="all">All Statuses</option>
 									<option value="open">Open</option>
 									<option value="requested">Requested</option>
+									<option value="counter-proposed">Counter-Proposed</option>
 									<option value="sent">Sent</option>
+									<option value="partially-received">
+										Partially Received
+									</option>
 									<option value="complete">Complete</option>
+									<option value="rejected">Rejected</option>
 									<option value="closed">Closed</option>
 								</Form.Select>
 							</Form.Group>
@@ -330,8 +715,14 @@ function TransferRequests({ user }) {
 										const statusColors = {
 											open: { border: "#6c757d", bg: "#f8f9fa" },
 											requested: { border: "#0dcaf0", bg: "#e7f6fd" },
+											"counter-proposed": { border: "#0d6efd", bg: "#e7f1ff" },
 											sent: { border: "#ffc107", bg: "#fff8e1" },
+											"partially-received": {
+												border: "#212529",
+												bg: "#e9ecef",
+											},
 											complete: { border: "#198754", bg: "#d1e7dd" },
+											rejected: { border: "#dc3545", bg: "#f8d7da" },
 											closed: { border: "#dc3545", bg: "#f8d7da" },
 										};
 										const colors =
@@ -465,11 +856,26 @@ function TransferRequests({ user }) {
 			{/* Create Transfer Modal */}
 			<CreateTransferRequestModal
 				show={showCreateModal}
-				onHide={() => setShowCreateModal(false)}
+				onHide={() => {
+					setShowCreateModal(false);
+					setEditingRequest(null);
+				}}
 				stores={stores}
 				user={user}
-				onSubmit={handleCreateTransfer}
+				onSubmit={editingRequest ? handleUpdateDraft : handleCreateTransfer}
 				error={error}
+				transferRequest={editingRequest}
+			/>
+
+			{/* Rebalancing Suggestions Modal */}
+			<RebalancingSuggestionsModal
+				show={showSuggestionsModal}
+				onHide={() => setShowSuggestionsModal(false)}
+				suggestions={suggestions}
+				loading={loadingSuggestions}
+				creatingKey={creatingSuggestionKey}
+				onCreate={handleCreateFromSuggestion}
+				error={suggestionsError}
 			/>
 
 			{/* Detail Modal */}
@@ -572,17 +978,46 @@ function TransferRequests({ user }) {
 											{selectedRequest.items?.map((item, idx) => (
 												<tr key={idx}>
 													<td style={{ padding: "0.75rem" }}>
-														<strong>{item.productId?.name}</strong>
+														<strong>{transferItemLabel(item)}</strong>
+														{item.itemType === TRANSFER_ITEM_TYPES.CARDS && (
+															<div className="small text-muted">
+																{item.cardItems
+																	?.map(
+																		(card) =>
+																			`${card.quantity}× ${card.productId?.name}`
+																	)
+																	.join(", ")}
+																{" → "}
+																{item.destinationContainerId?.cardContainer
+																	?.containerName || "new container"}
+															</div>
+														)}
 													</td>
 													<td style={{ padding: "0.75rem" }}>
 														<code style={{ fontSize: "0.9rem" }}>
-															{item.productId?.sku}
+															{item.productId?.sku || "—"}
 														</code>
 													</td>
 													<td style={{ padding: "0.75rem" }}>
 														<Badge bg="primary" pill>
 															{item.requestedQuantity}
 														</Badge>
+														{item.proposedQuantity && (
+															<div className="small text-primary">
+																Offered {item.proposedQuantity}
+															</div>
+														)}
+														{item.shippedQuantity !== null &&
+															item.shippedQuantity !== undefined && (
+																<div className="small text-muted">
+																	Shipped {item.shippedQuantity}
+																	{item.receivedQuantity !== null &&
+																		item.receivedQuantity !== undefined &&
+																		` · Received ${item.receivedQuantity}`}
+																	{item.damagedQuantity > 0 &&
+																		` · Damaged ${item.damagedQuantity}`}
+																</div>
+															)}
 													</td>
 													<td style={{ padding: "0.75rem" }}>
 														<Badge
@@ -594,6 +1029,12 @@ function TransferRequests({ user }) {
 														>
 															{item.inventoryId?.location || "N/A"}
 														</Badge>
+														{item.receivedLocation && (
+															<span className="small text-muted">
+																{" → "}
+																{item.receivedLocation}
+															</span>
+														)}
 													</td>
 												</tr>
 											))}
@@ -629,76 +1070,128 @@ function TransferRequests({ user }) {
 											paddingLeft: "1.5rem",
 										}}
 									>
-										<div className="mb-3">
-											<Badge bg="secondary" className="mb-1">
-												CREATED
-											</Badge>
-											<div>
-												{formatDate(selectedRequest.createdAt)} by{" "}
-												<strong>{selectedRequest.createdBy?.username}</strong>
-											</div>
-										</div>
-										{selectedRequest.requestedAt && (
-											<div className="mb-3">
-												<Badge bg="info" className="mb-1">
-													REQUESTED
-												</Badge>
-												<div>
-													{formatDate(selectedRequest.requestedAt)} by{" "}
-													<strong>
-														{selectedRequest.requestedBy?.username}
-													</strong>
-												</div>
-											</div>
-										)}
-										{selectedRequest.sentAt && (
-											<div className="mb-3">
-												<Badge bg="warning" className="mb-1">
-													SENT
-												</Badge>
-												<div>
-													{formatDate(selectedRequest.sentAt)} by{" "}
-													<strong>{selectedRequest.sentBy?.username}</strong>
-												</div>
-											</div>
-										)}
-										{selectedRequest.completedAt && (
-											<div className="mb-3">
-												<Badge bg="success" className="mb-1">
-													COMPLETED
-												</Badge>
-												<div>
-													{formatDate(selectedRequest.completedAt)} by{" "}
-													<strong>
-														{selectedRequest.completedBy?.username}
-													</strong>
+										{buildTimeline(selectedRequest).map((event) =>
+											event.comment ? (
+												<div className="mb-3" key={event.comment._id}>
+													<Badge bg="light" text="dark" className="mb-1">
+														💬 COMMENT
+													</Badge>
+													<div>
+														{formatDate(event.comment.createdAt)} by{" "}
+														<strong>{event.comment.authorId?.username}</strong>
+														{event.comment.status && (
+															<small className="text-muted">
+																{" "}
+																while {event.comment.status}
+															</small>
+														)}
+													</div>
+													<div
+														className="mt-1 p-2"
+														style={{
+															backgroundColor: "#f1f8ff",
+															borderRadius: "4px",
+															fontSize: "0.9rem",
+															whiteSpace: "pre-wrap",
+														}}
+													>
+														{event.comment.body}
+													</div>
 												</div>
-											</div>
-										)}
-										{selectedRequest.closedAt && (
-											<div className="mb-3">
-												<Badge bg="danger" className="mb-1">
-													CLOSED
-												</Badge>
-												<div>
-													{formatDate(selectedRequest.closedAt)} by{" "}
-													<strong>{selectedRequest.closedBy?.username}</strong>
-													{selectedRequest.closeReason && (
+											) : (
+												<div className="mb-3" key={event.entry._id}>
+													<Badge
+														bg={getStatusBadge(event.entry.status)}
+														className="mb-1"
+														style={{ textTransform: "uppercase" }}
+													>
+														{timelineLabel(event.entry, event.previous)}
+													</Badge>
+													<div>
+														{formatDate(event.entry.changedAt)} by{" "}
+														<strong>{event.entry.changedBy?.username}</strong>
+													</div>
+													{event.entry.discrepancies?.map((discrepancy, idx) => (
+														<div key={idx} className="small">
+															{discrepancy.productId?.name}:{" "}
+															{discrepancy.actualQuantity} of{" "}
+															{discrepancy.expectedQuantity}
+															{discrepancy.damagedQuantity > 0 &&
+																`, ${discrepancy.damagedQuantity} damaged`}
+															{" - "}
+															<em>{discrepancy.reason}</em>
+														</div>
+													))}
+													{event.entry.proposal?.map((offer, idx) => (
+														<div key={idx} className="small">
+															{offer.productId?.name}: {offer.proposedQuantity}{" "}
+															of {offer.requestedQuantity} offered
+														</div>
+													))}
+													{event.entry.note && (
 														<div
 															className="mt-1 p-2"
 															style={{
-																backgroundColor: "#f8d7da",
+																backgroundColor: "#e9ecef",
 																borderRadius: "4px",
 																fontSize: "0.9rem",
 															}}
 														>
-															<em>Reason: {selectedRequest.closeReason}</em>
+															<em>{event.entry.note}</em>
 														</div>
 													)}
+													{event.entry.status === "closed" &&
+														selectedRequest.closeReason && (
+															<div
+																className="mt-1 p-2"
+																style={{
+																	backgroundColor: "#f8d7da",
+																	borderRadius: "4px",
+																	fontSize: "0.9rem",
+																}}
+															>
+																<em>Reason: {selectedRequest.closeReason}</em>
+															</div>
+														)}
 												</div>
-											</div>
+											)
 										)}
 									</div>
+									<Form
+										className="mt-3"
+										onSubmit={(e) => {
+											e.preventDefault();
+											handleAddComment();
+										}}
+									>
+										{commentError && (
+											<Alert
+												variant="danger"
+												dismissible
+												onClose={() => setCommentError(null)}
+											>
+												{commentError}
+											</Alert>
+										)}
+										<Form.Control
+											as="textarea"
+											rows={2}
+											maxLength={1000}
+											value={commentText}
+											onChange={(e) => setCommentText(e.target.value)}
+											placeholder="Add a comment for the other store..."
+										/>
+										<div className="d-flex justify-content-end mt-2">
+											<Button
+												type="submit"
+												size="sm"
+												variant="outline-primary"
+												disabled={!commentText.trim() || postingComment}
+											>
+												{postingComment ? "Posting..." : "Post Comment"}
+											</Button>
+										</div>
+									</Form>
 								</Card.Body>
 							</Card>
 
@@ -713,14 +1206,49 @@ function TransferRequests({ user }) {
 									<div className="d-flex flex-wrap gap-2">
 										{selectedRequest.status === "open" &&
 											canTransitionTo(selectedRequest, "requested") && (
-												<Button
-													variant="info"
-													onClick={() => openStatusModal("requested")}
-													style={{ fontWeight: "500" }}
-												>
-													📝 Submit Request
-												</Button>
+												<>
+													<Button
+														variant="outline-info"
+														onClick={handleEditDraft}
+														style={{ fontWeight: "500" }}
+													>
+														✏️ Edit Draft
+													</Button>
+													<Button
+														variant="info"
+														onClick={() => openStatusModal("requested")}
+														style={{ fontWeight: "500" }}
+													>
+														📝 Submit Request
+													</Button>
+												</>
 											)}
+										{PACKING_SLIP_STATUSES.includes(selectedRequest.status) && (
+											<Button
+												variant="outline-secondary"
+												onClick={() =>
+													handlePrintDocument(
+														TRANSFER_DOCUMENT_TYPES.PACKING_SLIP
+													)
+												}
+												style={{ fontWeight: "500" }}
+											>
+												🖨️ Packing Slip
+											</Button>
+										)}
+										{MANIFEST_STATUSES.includes(selectedRequest.status) && (
+											<Button
+												variant="outline-secondary"
+												onClick={() =>
+													handlePrintDocument(
+														TRANSFER_DOCUMENT_TYPES.RECEIVING_MANIFEST
+													)
+												}
+												style={{ fontWeight: "500" }}
+											>
+												📋 Receiving Manifest
+											</Button>
+										)}
 										{selectedRequest.status === "requested" &&
 											canTransitionTo(selectedRequest, "sent") && (
 												<Button
@@ -741,9 +1269,62 @@ function TransferRequests({ user }) {
 													✅ Confirm Receipt
 												</Button>
 											)}
+										{selectedRequest.items?.some(isProductItem) &&
+											canTransitionTo(selectedRequest, "counter-proposed") && (
+												<Button
+													variant="primary"
+													onClick={() => openStatusModal("counter-proposed")}
+													style={{ fontWeight: "500" }}
+												>
+													↩️ Offer Fewer
+												</Button>
+											)}
+										{canTransitionTo(selectedRequest, "rejected") && (
+											<Button
+												variant="outline-danger"
+												onClick={() => openStatusModal("rejected")}
+												style={{ fontWeight: "500" }}
+											>
+												🚫 Reject
+											</Button>
+										)}
+										{selectedRequest.status === "counter-proposed" &&
+											canTransitionTo(selectedRequest, "requested") && (
+												<>
+													<Button
+														variant="success"
+														onClick={() =>
+															openStatusModal("requested", "accepted")
+														}
+														style={{ fontWeight: "500" }}
+													>
+														👍 Accept Offer
+													</Button>
+													<Button
+														variant="outline-secondary"
+														onClick={() =>
+															openStatusModal("requested", "declined")
+														}
+														style={{ fontWeight: "500" }}
+													>
+														👎 Decline Offer
+													</Button>
+												</>
+											)}
+										{selectedRequest.status === "partially-received" &&
+											canTransitionTo(selectedRequest, "complete") && (
+												<Button
+													variant="dark"
+													onClick={() => openStatusModal("complete")}
+													style={{ fontWeight: "500" }}
+												>
+													🔍 Resolve Discrepancies
+												</Button>
+											)}
 										{canTransitionTo(selectedRequest, "closed") &&
 											selectedRequest.status !== "complete" &&
-											selectedRequest.status !== "closed" && (
+											selectedRequest.status !== "closed" &&
+											selectedRequest.status !== "rejected" && (
 												<Button
 													variant="danger"
 													onClick={() => openStatusModal("closed")}
@@ -755,6 +1336,7 @@ function TransferRequests({ user }) {
 										{!canTransitionTo(selectedRequest, "requested") &&
 											!canTransitionTo(selectedRequest, "sent") &&
 											!canTransitionTo(selectedRequest, "complete") &&
+											!canTransitionTo(selectedRequest, "rejected") &&
 											(!canTransitionTo(selectedRequest, "closed") ||
 												selectedRequest.status === "complete" ||
 												selectedRequest.status === "closed") && (
@@ -786,20 +1368,206 @@ function TransferRequests({ user }) {
 						<Badge bg={getStatusBadge(newStatus)}>{newStatus}</Badge>?
 					</p>
 
+					{newStatus === "requested" && !isAnswering && (
+						<Alert variant="info">
+							<strong>Note:</strong> Submitting will reserve the requested items
+							at the source store until they are sent or the request is closed.
+						</Alert>
+					)}
+
+					{isAnswering && (
+						<Alert variant={decision === "accepted" ? "success" : "secondary"}>
+							{decision === "accepted"
+								? "Accepting lowers the requested quantities to the source store's offer."
+								: "Declining keeps the original quantities. The source store can then send them or reject the request."}
+						</Alert>
+					)}
+
+					{isProposing && (
+						<Alert variant="primary">
+							<strong>Note:</strong> Offer the quantities your store can send.
+							The requesting store will accept or decline the offer.
+						</Alert>
+					)}
+
+					{isRejecting && (
+						<Alert variant="danger">
+							<strong>Note:</strong> Rejecting is final and releases the
+							reserved items.
+						</Alert>
+					)}
+
 					{newStatus === "sent" && (
 						<Alert variant="warning">
-							<strong>Note:</strong> Marking as sent will deduct the requested
+							<strong>Note:</strong> Marking as sent will deduct the shipped
 							items from the source store inventory.
 						</Alert>
 					)}
 
-					{newStatus === "complete" && (
+					{isReceiving && (
 						<Alert variant="success">
 							<strong>Note:</strong> Marking as complete will add the items to
-							the destination store inventory.
+							the destination store inventory where you put them away below,
+							if the store has room. Damaged units are stocked on hold, and
+							anything short is sent to a partner to resolve.
 						</Alert>
 					)}
 
+					{(newStatus === "sent" || isReceiving || isProposing) &&
+						selectedRequest?.items?.some(isProductItem) && (
+							<Table size="sm" className="mb-0">
+								<thead>
+									<tr>
+										<th>Product</th>
+										<th>{isReceiving ? "Shipped" : "Requested"}</th>
+										<th>
+											{isReceiving ? "Received" : isProposing ? "Offered" : "Shipped"}
+										</th>
+										{isReceiving && <th>Damaged</th>}
+									</tr>
+								</thead>
+								<tbody>
+									{selectedRequest.items.map((item, idx) => {
+										const entry = quantityEntries[idx];
+										if (!entry) return null;
+
+										const expected = isReceiving
+											? shippedQuantityOf(item)
+											: item.requestedQuantity;
+										const isShort =
+											(parseInt(entry.quantity, 10) || 0) < expected;
+
+										return (
+											<tr key={idx}>
+												<td>
+													{item.productId?.name}
+													{isShort && !isProposing && (
+														<Form.Control
+															size="sm"
+															className="mt-1"
+															value={entry.reason}
+															onChange={(e) =>
+																handleEntryChange(idx, "reason", e.target.value)
+															}
+															placeholder="Reason for the difference (required)"
+															maxLength={500}
+														/>
+													)}
+												</td>
+												<td>{expected}</td>
+												<td style={{ width: "90px" }}>
+													<Form.Control
+														size="sm"
+														type="number"
+														min={isProposing ? "1" : "0"}
+														max={expected}
+														value={entry.quantity}
+														onChange={(e) =>
+															handleEntryChange(idx, "quantity", e.target.value)
+														}
+													/>
+												</td>
+												{isReceiving && (
+													<td style={{ width: "90px" }}>
+														<Form.Control
+															size="sm"
+															type="number"
+															min="0"
+															max={expected}
+															value={entry.damaged}
+															onChange={(e) =>
+																handleEntryChange(idx, "damaged", e.target.value)
+															}
+														/>
+													</td>
+												)}
+											</tr>
+										);
+									})}
+								</tbody>
+							</Table>
+						)}
+
+					{isReceiving && (
+						<>
+							<h6 className="mt-3">Put Away</h6>
+							<Table size="sm" className="mb-0">
+								<tbody>
+									{selectedRequest.items.map((item, idx) => {
+										const destination = destinationEntries[idx] || {};
+										const isCards = item.itemType === TRANSFER_ITEM_TYPES.CARDS;
+
+										return (
+											<tr key={idx}>
+												<td>{transferItemLabel(item)}</td>
+												<td style={{ width: "55%" }}>
+													{isCards && (
+														<Form.Select
+															size="sm"
+															className="mb-1"
+															value={destination.destinationContainerId}
+															onChange={(e) =>
+																handleDestinationChange(idx, {
+																	destinationContainerId: e.target.value,
+																})
+															}
+														>
+															<option value="">New container</option>
+															{destinationContainers.map((container) => (
+																<option key={container._id} value={container._id}>
+																	{container.cardContainer.containerName} (
+																	{container.location})
+																</option>
+															))}
+														</Form.Select>
+													)}
+													{!(isCards && destination.destinationContainerId) && (
+														<Form.Select
+															size="sm"
+															value={destination.location}
+															onChange={(e) =>
+																handleDestinationChange(idx, {
+																	location: e.target.value,
+																})
+															}
+														>
+															<option value={LOCATIONS.FLOOR}>Floor</option>
+															<option value={LOCATIONS.BACK}>Back room</option>
+														</Form.Select>
+													)}
+												</td>
+											</tr>
+										);
+									})}
+								</tbody>
+							</Table>
+						</>
+					)}
+
+					{(isResolving || isRejecting || isProposing || isAnswering) && (
+						<Form.Group className="mt-3">
+							<Form.Label>
+								{isResolving && "Resolution Note *"}
+								{isRejecting && "Reason for Rejecting *"}
+								{(isProposing || isAnswering) && "Note (Optional)"}
+							</Form.Label>
+							<Form.Control
+								as="textarea"
+								rows={3}
+								value={statusNote}
+								onChange={(e) => setStatusNote(e.target.value)}
+								placeholder={
+									isResolving
+										? "Explain how the missing or damaged items were handled..."
+										: isRejecting
+											? "Explain why your store can't fulfil this request..."
+											: "Add a message for the other store..."
+								}
+								maxLength={500}
+							/>
+						</Form.Group>
+					)}
+
 					{newStatus === "closed" && (
 						<Form.Group>
 							<Form.Label>Reason for Closing (Optional)</Form.Label>
@@ -817,7 +1585,11 @@ function TransferRequests({ user }) {
 					<Button variant="secondary" onClick={() => setShowStatusModal(false)}>
 						Cancel
 					</Button>
-					<Button variant="primary" onClick={handleUpdateStatus}>
+					<Button
+						variant="primary"
+						onClick={handleUpdateStatus}
+						disabled={isNoteRequired && !statusNote.trim()}
+					>
 						Confirm
 					</Button>
 				</Modal.Footer>
@@ -25,6 +25,9 @@ function CreateInventoryModal({
 	const [confirmDifferentLocation, setConfirmDifferentLocation] =
 		useState(false);
 	const [checking, setChecking] = useState(false);
+	const locationUsage = storeCapacity[newInventory.location];
+	const hasLocationLimit =
+		locationUsage?.max !== null && locationUsage?.max !== undefined;
 
 	const handleProductSelect = async (product) => {
 		setSelectedProduct(product);
@@ -200,6 +203,13 @@ function CreateInventoryModal({
 							<br />
 							<strong>Available Capacity:</strong>{" "}
 							{storeCapacity.max - storeCapacity.current} units
+							{hasLocationLimit && (
+								<>
+									{" "}
+									({locationUsage.max - locationUsage.current} on the{" "}
+									{newInventory.location})
+								</>
+							)}
 						</Alert>
 
 						<Row>
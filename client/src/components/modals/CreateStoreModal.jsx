@@ -6,6 +6,28 @@
 import { useState } from "react";
 import { Modal, Button, Form, Row, Col, Alert } from "react-bootstrap";
 
+/**
+ * Validate an optional floor or back limit against the store's max capacity
+ */
+const validateLocationLimit = (value, maxCapacity) => {
+	if (value === "") return "";
+	if (isNaN(value) || Number(value) < 0) return "Must be a non-negative number";
+	if (maxCapacity && Number(value) > Number(maxCapacity))
+		return "Cannot exceed the store's max capacity";
+	return "";
+};
+
+/**
+ * Validate an optional transfer request prefix
+ */
+const validateRequestPrefix = (value) =>
+	value.trim() === "" || /^[A-Za-z0-9]{2,6}$/.test(value.trim())
+		? ""
+		: "Must be 2-6 letters or digits";
+
+// An empty limit field means the location shares the store's capacity
+const toLimit = (value) => (value === "" ? null : Number(value));
+
 function CreateStoreModal({ show, onHide, onStoreCreated }) {
 	const [loading, setLoading] = useState(false);
 	const [error, setError] = useState(null);
@@ -17,6 +39,9 @@ function CreateStoreModal({ show, onHide, onStoreCreated }) {
 		state: "",
 		zipCode: "",
 		maxCapacity: "",
+		floorMaxCapacity: "",
+		backMaxCapacity: "",
+		requestPrefix: "",
 	});
 
 	const [fieldErrors, setFieldErrors] = useState({});
@@ -43,6 +68,12 @@ function CreateStoreModal({ show, onHide, onStoreCreated }) {
 				if (isNaN(value) || Number(value) <= 0)
 					return "Max capacity must be a positive number";
 				return "";
+			case "floorMaxCapacity":
+				return validateLocationLimit(value, formData.maxCapacity);
+			case "backMaxCapacity":
+				return validateLocationLimit(value, formData.maxCapacity);
+			case "requestPrefix":
+				return validateRequestPrefix(value);
 			default:
 				return "";
 		}
@@ -107,6 +138,11 @@ function CreateStoreModal({ show, onHide, onStoreCreated }) {
 					zipCode: formData.zipCode.trim(),
 				},
 				maxCapacity: Number(formData.maxCapacity),
+				locationCapacity: {
+					floor: { maxCapacity: toLimit(formData.floorMaxCapacity) },
+					back: { maxCapacity: toLimit(formData.backMaxCapacity) },
+				},
+				requestPrefix: formData.requestPrefix.trim().toUpperCase() || null,
 			};
 
 			await onStoreCreated(submitData);
@@ -126,6 +162,9 @@ function CreateStoreModal({ show, onHide, onStoreCreated }) {
 			state: "",
 			zipCode: "",
 			maxCapacity: "",
+			floorMaxCapacity: "",
+			backMaxCapacity: "",
+			requestPrefix: "",
 		});
 		setFieldErrors({});
 		setError(null);
@@ -278,6 +317,75 @@ function CreateStoreModal({ show, onHide, onStoreCreated }) {
 							Maximum storage capacity in units
 						</Form.Text>
 					</Form.Group>
+
+					<Row>
+						<Col md={6}>
+							<Form.Group className="mb-3">
+								<Form.Label>Floor Max Capacity</Form.Label>
+								<Form.Control
+									type="number"
+									name="floorMaxCapacity"
+									value={formData.floorMaxCapacity}
+									onChange={handleChange}
+									onBlur={handleBlur}
+									disabled={loading}
+									isInvalid={!!fieldErrors.floorMaxCapacity}
+									placeholder="No separate limit"
+									min="0"
+								/>
+								<Form.Control.Feedback type="invalid">
+									{fieldErrors.floorMaxCapacity}
+								</Form.Control.Feedback>
+								<Form.Text className="text-muted">
+									{"Leave blank for no separate limit"}
+								</Form.Text>
+							</Form.Group>
+						</Col>
+
+						<Col md={6}>
+							<Form.Group className="mb-3">
+								<Form.Label>Back Room Max Capacity</Form.Label>
+								<Form.Control
+									type="number"
+									name="backMaxCapacity"
+									value={formData.backMaxCapacity}
+									onChange={handleChange}
+									onBlur={handleBlur}
+									disabled={loading}
+									isInvalid={!!fieldErrors.backMaxCapacity}
+									placeholder="No separate limit"
+									min="0"
+								/>
+								<Form.Control.Feedback type="invalid">
+									{fieldErrors.backMaxCapacity}
+								</Form.Control.Feedback>
+								<Form.Text className="text-muted">
+									{"Leave blank for no separate limit"}
+								</Form.Text>
+							</Form.Group>
+						</Col>
+					</Row>
+					<Form.Group className="mb-3">
+						<Form.Label>Transfer Request Prefix</Form.Label>
+						<Form.Control
+							type="text"
+							name="requestPrefix"
+							value={formData.requestPrefix}
+							onChange={handleChange}
+							onBlur={handleBlur}
+							disabled={loading}
+							isInvalid={!!fieldErrors.requestPrefix}
+							placeholder="e.g., SEA"
+							maxLength={6}
+						/>
+						<Form.Control.Feedback type="invalid">
+							{fieldErrors.requestPrefix}
+						</Form.Control.Feedback>
+						<Form.Text className="text-muted">
+							Optional. Added to numbers of requests made by this store (e.g.,
+							TR-SEA-20231215-0001)
+						</Form.Text>
+					</Form.Group>
 				</Form>
 			</Modal.Body>
 
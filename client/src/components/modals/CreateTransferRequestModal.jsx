@@ -1,9 +1,10 @@
 /**
  * CreateTransferRequestModal Component
- * Modal for creating new transfer requests between stores
+ * Modal for creating new transfer requests between stores, or editing the
+ * items and notes of an open (draft) request
  */
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import {
 	Modal,
 	Form,
@@ -16,6 +17,188 @@ import {
 	Spinner,
 } from "react-bootstrap";
 import { inventoryAPI } from "../../api/inventory";
+import { TRANSFER_ITEM_TYPES } from "../../constants/enums";
+
+// Name shown for an inventory record or card container
+const inventoryLabel = (inventory) =>
+	inventory.cardContainer
+		? inventory.cardContainer.containerName
+		: inventory.productId?.name;
+
+// ID of a reference that may or may not be populated
+const idOf = (value) => value?._id || value;
+
+// Selected-item state for an inventory record or card container
+const toSelectedItem = (inventory) =>
+	inventory.cardContainer
+		? {
+				inventoryId: inventory._id,
+				itemType: TRANSFER_ITEM_TYPES.CARDS,
+				productName: inventory.cardContainer.containerName,
+				location: inventory.location,
+				cards: inventory.cardContainer.cardInventory.map((card) => ({
+					productId: card.productId?._id,
+					name: card.productId?.name,
+					available: card.quantity,
+					quantity: 0,
+				})),
+				destinationContainerId: "",
+			}
+		: {
+				inventoryId: inventory._id,
+				itemType: TRANSFER_ITEM_TYPES.PRODUCT,
+				productId: inventory.productId._id,
+				requestedQuantity: 1,
+				maxQuantity: inventory.availableQuantity ?? inventory.quantity,
+				productName: inventory.productId.name,
+				sku: inventory.productId.sku,
+				location: inventory.location,
+			};
+
+// Selected-item state for an item already on a draft request, or null if
+// its inventory is no longer available at the source store
+const toDraftItem = (requestItem, availableInventory) => {
+	const inventory = availableInventory.find(
+		(inv) => inv._id === idOf(requestItem.inventoryId)
+	);
+	if (!inventory) return null;
+
+	const item = toSelectedItem(inventory);
+	switch (requestItem.itemType) {
+		case TRANSFER_ITEM_TYPES.CARDS:
+			return {
+				...item,
+				destinationContainerId:
+					idOf(requestItem.destinationContainerId) || "",
+				cards: item.cards.map((card) => ({
+					...card,
+					quantity:
+						requestItem.cardItems.find(
+							(cardItem) => idOf(cardItem.productId) === card.productId
+						)?.quantity || 0,
+				})),
+			};
+		case TRANSFER_ITEM_TYPES.CONTAINER:
+			return { ...item, itemType: TRANSFER_ITEM_TYPES.CONTAINER };
+		default:
+			return { ...item, requestedQuantity: requestItem.requestedQuantity };
+	}
+};
+
+// Turn a selected item into the shape the API expects
+const toRequestItem = (item) => {
+	switch (item.itemType) {
+		case TRANSFER_ITEM_TYPES.CARDS:
+			return {
+				inventoryId: item.inventoryId,
+				itemType: item.itemType,
+				cardItems: item.cards
+					.filter((card) => card.quantity > 0)
+					.map((card) => ({
+						productId: card.productId,
+						quantity: card.quantity,
+					})),
+				destinationContainerId: item.destinationContainerId || undefined,
+			};
+		case TRANSFER_ITEM_TYPES.CONTAINER:
+			return { inventoryId: item.inventoryId, itemType: item.itemType };
+		default:
+			return {
+				inventoryId: item.inventoryId,
+				productId: item.productId,
+				requestedQuantity: item.requestedQuantity,
+			};
+	}
+};
+
+/**
+ * Selected card container: transfer chosen cards into a destination
+ * container, or the whole container
+ */
+function ContainerItemRow({
+	item,
+	destinationContainers,
+	onChange,
+	onCardQuantityChange,
+	onRemove,
+}) {
+	const wholeContainer = item.itemType === TRANSFER_ITEM_TYPES.CONTAINER;
+
+	return (
+		<tr>
+			<td colSpan={4}>
+				<div className="d-flex align-items-center gap-2 mb-2">
+					<strong>{item.productName}</strong>
+					<Form.Select
+						size="sm"
+						value={item.itemType}
+						onChange={(e) => onChange({ itemType: e.target.value })}
+						style={{ width: "auto" }}
+					>
+						<option value={TRANSFER_ITEM_TYPES.CARDS}>Selected cards</option>
+						<option value={TRANSFER_ITEM_TYPES.CONTAINER}>
+							Whole container
+						</option>
+					</Form.Select>
+				</div>
+				{wholeContainer ? (
+					<small className="text-muted">
+						The container and all {item.cards.length} cards in it move to
+						the destination store.
+					</small>
+				) : (
+					<>
+						<Table size="sm" className="mb-2">
+							<tbody>
+								{item.cards.map((card) => (
+									<tr key={card.productId}>
+										<td>{card.name}</td>
+										<td className="text-muted">{card.available} available</td>
+										<td>
+											<Form.Control
+												type="number"
+												size="sm"
+												min="0"
+												max={card.available}
+												value={card.quantity}
+												onChange={(e) =>
+													onCardQuantityChange(card.productId, e.target.value)
+												}
+												style={{ width: "80px" }}
+											/>
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</Table>
+						<Form.Select
+							size="sm"
+							value={item.destinationContainerId}
+							onChange={(e) =>
+								onChange({ destinationContainerId: e.target.value })
+							}
+						>
+							<option value="">
+								Receive into a new container like this one
+							</option>
+							{destinationContainers.map((container) => (
+								<option key={container._id} value={container._id}>
+									Receive into {container.cardContainer.containerName} (
+									{container.location})
+								</option>
+							))}
+						</Form.Select>
+					</>
+				)}
+			</td>
+			<td>
+				<Button variant="outline-danger" size="sm" onClick={onRemove}>
+					Remove
+				</Button>
+			</td>
+		</tr>
+	);
+}
 
 function CreateTransferRequestModal({
 	show,
@@ -24,30 +207,49 @@ function CreateTransferRequestModal({
 	user,
 	onSubmit,
 	error,
+	transferRequest = null,
 }) {
 	const [fromStoreId, setFromStoreId] = useState("");
 	const [toStoreId, setToStoreId] = useState("");
 	const [availableInventory, setAvailableInventory] = useState([]);
+	// Store the loaded inventory belongs to
+	const [inventoryStoreId, setInventoryStoreId] = useState("");
+	const [destinationContainers, setDestinationContainers] = useState([]);
 	const [selectedItems, setSelectedItems] = useState([]);
 	const [transferNotes, setTransferNotes] = useState("");
 	const [loadingInventory, setLoadingInventory] = useState(false);
 	const [localError, setLocalError] = useState(null);
+	// Draft whose items still need to be matched to the loaded inventory
+	const pendingDraftRef = useRef(null);
 
+	const isEditing = Boolean(transferRequest);
 	const isPartner = user?.role === "partner";
 	const isManager = user?.role === "store-manager";
 	const userStoreId = user?.assignedStoreId;
 
 	// Auto-set destination to manager's store when modal opens
 	useEffect(() => {
-		if (show && isManager && userStoreId) {
+		if (show && isManager && userStoreId && !transferRequest) {
 			setToStoreId(userStoreId);
 		}
-	}, [show, isManager, userStoreId]);
+	}, [show, isManager, userStoreId, transferRequest]);
+
+	// Prefill the form from the draft being edited
+	useEffect(() => {
+		if (!show || !transferRequest) return;
+
+		pendingDraftRef.current = transferRequest;
+		setFromStoreId(idOf(transferRequest.fromStoreId));
+		setToStoreId(idOf(transferRequest.toStoreId));
+		setTransferNotes(transferRequest.notes || "");
+		setSelectedItems([]);
+	}, [show, transferRequest]);
 
 	// Load available inventory when source store is selected
 	useEffect(() => {
 		if (!fromStoreId) {
 			setAvailableInventory([]);
+			setInventoryStoreId("");
 			return;
 		}
 
@@ -57,6 +259,7 @@ function CreateTransferRequestModal({
 				setLocalError(null);
 				const response = await inventoryAPI.getInventoryByStore(fromStoreId);
 				setAvailableInventory(response.inventory || []);
+				setInventoryStoreId(fromStoreId);
 			} catch (err) {
 				console.error("Error loading inventory:", err);
 				setLocalError(err.response?.data?.message || err.message);
@@ -68,23 +271,50 @@ function CreateTransferRequestModal({
 		loadInventory();
 	}, [fromStoreId]);
 
+	// Fill in the draft's items once the source store's inventory is loaded
+	useEffect(() => {
+		const draft = pendingDraftRef.current;
+		if (!draft || idOf(draft.fromStoreId) !== inventoryStoreId) return;
+
+		pendingDraftRef.current = null;
+		const draftItems = draft.items.map((item) =>
+			toDraftItem(item, availableInventory)
+		);
+		setSelectedItems(draftItems.filter(Boolean));
+		if (draftItems.includes(null)) {
+			setLocalError(
+				"Some items on this draft are no longer stocked at the source store and were removed"
+			);
+		}
+	}, [show, transferRequest, inventoryStoreId, availableInventory]);
+
+	// Card containers at the destination store, for receiving transferred cards
+	useEffect(() => {
+		if (!toStoreId) {
+			setDestinationContainers([]);
+			return;
+		}
+
+		const loadContainers = async () => {
+			try {
+				const response = await inventoryAPI.getContainersByStore(toStoreId);
+				setDestinationContainers(response.containers || []);
+			} catch (err) {
+				console.error("Error loading destination containers:", err);
+				setDestinationContainers([]);
+			}
+		};
+
+		loadContainers();
+	}, [toStoreId]);
+
 	const handleAddItem = (inventory) => {
 		if (selectedItems.find((item) => item.inventoryId === inventory._id)) {
 			setLocalError("Item already added to transfer");
 			return;
 		}
 
-		const newItem = {
-			inventoryId: inventory._id,
-			productId: inventory.productId._id,
-			requestedQuantity: 1,
-			maxQuantity: inventory.quantity,
-			productName: inventory.productId.name,
-			sku: inventory.productId.sku,
-			location: inventory.location,
-		};
-
-		setSelectedItems([...selectedItems, newItem]);
+		setSelectedItems([...selectedItems, toSelectedItem(inventory)]);
 		setLocalError(null);
 	};
 
@@ -104,6 +334,31 @@ function CreateTransferRequestModal({
 		);
 	};
 
+	const handleUpdateContainerItem = (inventoryId, changes) => {
+		setSelectedItems(
+			selectedItems.map((item) =>
+				item.inventoryId === inventoryId ? { ...item, ...changes } : item
+			)
+		);
+	};
+
+	const handleUpdateCardQuantity = (inventoryId, productId, quantity) => {
+		setSelectedItems(
+			selectedItems.map((item) =>
+				item.inventoryId === inventoryId
+					? {
+							...item,
+							cards: item.cards.map((card) =>
+								card.productId === productId
+									? { ...card, quantity: parseInt(quantity) || 0 }
+									: card
+							),
+						}
+					: item
+			)
+		);
+	};
+
 	const handleSubmit = () => {
 		setLocalError(null);
 
@@ -117,18 +372,26 @@ function CreateTransferRequestModal({
 			return;
 		}
 
-		const requestData = {
-			fromStoreId,
-			toStoreId,
-			items: selectedItems.map((item) => ({
-				inventoryId: item.inventoryId,
-				productId: item.productId,
-				requestedQuantity: item.requestedQuantity,
-			})),
-			notes: transferNotes,
-		};
+		const emptyCardItem = selectedItems.find(
+			(item) =>
+				item.itemType === TRANSFER_ITEM_TYPES.CARDS &&
+				!item.cards.some((card) => card.quantity > 0)
+		);
+		if (emptyCardItem) {
+			setLocalError(
+				`Choose at least one card from ${emptyCardItem.productName} or transfer the whole container`
+			);
+			return;
+		}
 
-		onSubmit(requestData);
+		const items = selectedItems.map(toRequestItem);
+
+		// The stores of an existing request can't be changed
+		onSubmit(
+			isEditing
+				? { items, notes: transferNotes }
+				: { fromStoreId, toStoreId, items, notes: transferNotes }
+		);
 	};
 
 	const handleClose = () => {
@@ -137,7 +400,9 @@ function CreateTransferRequestModal({
 		setSelectedItems([]);
 		setTransferNotes("");
 		setAvailableInventory([]);
+		setInventoryStoreId("");
 		setLocalError(null);
+		pendingDraftRef.current = null;
 		onHide();
 	};
 
@@ -167,7 +432,11 @@ function CreateTransferRequestModal({
 	return (
 		<Modal show={show} onHide={handleClose} size="lg">
 			<Modal.Header closeButton>
-				<Modal.Title>Create Transfer Request</Modal.Title>
+				<Modal.Title>
+					{isEditing
+						? `Edit Transfer Request ${transferRequest.requestNumber}`
+						: "Create Transfer Request"}
+				</Modal.Title>
 			</Modal.Header>
 			<Modal.Body>
 				{(error || localError) && (
@@ -191,6 +460,7 @@ function CreateTransferRequestModal({
 										setFromStoreId(e.target.value);
 										setSelectedItems([]);
 									}}
+									disabled={isEditing}
 								>
 									<option value="">Select source store...</option>
 									{getSourceStores().map((store) => (
@@ -200,10 +470,16 @@ function CreateTransferRequestModal({
 										</option>
 									))}
 								</Form.Select>
-								{isManager && (
+								{isEditing ? (
 									<Form.Text className="text-muted">
-										Request inventory FROM other stores TO your store.
+										Stores can't be changed on an existing request.
 									</Form.Text>
+								) : (
+									isManager && (
+										<Form.Text className="text-muted">
+											Request inventory FROM other stores TO your store.
+										</Form.Text>
+									)
 								)}
 							</Form.Group>
 						</Col>
@@ -213,7 +489,7 @@ function CreateTransferRequestModal({
 								<Form.Select
 									value={toStoreId}
 									onChange={(e) => setToStoreId(e.target.value)}
-									disabled={isManager} // Managers can't change destination
+									disabled={isManager || isEditing} // Managers can't change destination
 								>
 									<option value="">Select destination store...</option>
 									{getDestinationStores().map((store) => (
@@ -264,9 +540,16 @@ function CreateTransferRequestModal({
 										<tbody>
 											{availableInventory.map((inv) => (
 												<tr key={inv._id}>
-													<td>{inv.productId?.name}</td>
 													<td>
-														<code>{inv.productId?.sku}</code>
+														{inventoryLabel(inv)}
+														{inv.cardContainer && (
+															<Badge bg="dark" className="ms-2">
+																Container
+															</Badge>
+														)}
+													</td>
+													<td>
+														<code>{inv.productId?.sku || "—"}</code>
 													</td>
 													<td>
 														<Badge
@@ -279,7 +562,16 @@ function CreateTransferRequestModal({
 															{inv.location}
 														</Badge>
 													</td>
-													<td>{inv.quantity}</td>
+													<td>
+														{inv.cardContainer
+															? `${inv.totalCards} cards`
+															: (inv.availableQuantity ?? inv.quantity)}
+														{inv.heldQuantity > 0 && (
+															<small className="text-muted ms-1">
+																({inv.heldQuantity} held)
+															</small>
+														)}
+													</td>
 													<td>
 														<Button
 															variant="outline-success"
@@ -315,39 +607,58 @@ function CreateTransferRequestModal({
 									</tr>
 								</thead>
 								<tbody>
-									{selectedItems.map((item) => (
-										<tr key={item.inventoryId}>
-											<td>{item.productName}</td>
-											<td>
-												<code>{item.sku}</code>
-											</td>
-											<td>{item.maxQuantity}</td>
-											<td>
-												<Form.Control
-													type="number"
-													min="1"
-													max={item.maxQuantity}
-													value={item.requestedQuantity}
-													onChange={(e) =>
-														handleUpdateQuantity(
-															item.inventoryId,
-															e.target.value
-														)
-													}
-													style={{ width: "80px" }}
-												/>
-											</td>
-											<td>
-												<Button
-													variant="outline-danger"
-													size="sm"
-													onClick={() => handleRemoveItem(item.inventoryId)}
-												>
-													Remove
-												</Button>
-											</td>
-										</tr>
-									))}
+									{selectedItems.map((item) =>
+										item.itemType === TRANSFER_ITEM_TYPES.PRODUCT ? (
+											<tr key={item.inventoryId}>
+												<td>{item.productName}</td>
+												<td>
+													<code>{item.sku}</code>
+												</td>
+												<td>{item.maxQuantity}</td>
+												<td>
+													<Form.Control
+														type="number"
+														min="1"
+														max={item.maxQuantity}
+														value={item.requestedQuantity}
+														onChange={(e) =>
+															handleUpdateQuantity(
+																item.inventoryId,
+																e.target.value
+															)
+														}
+														style={{ width: "80px" }}
+													/>
+												</td>
+												<td>
+													<Button
+														variant="outline-danger"
+														size="sm"
+														onClick={() => handleRemoveItem(item.inventoryId)}
+													>
+														Remove
+													</Button>
+												</td>
+											</tr>
+										) : (
+											<ContainerItemRow
+												key={item.inventoryId}
+												item={item}
+												destinationContainers={destinationContainers}
+												onChange={(changes) =>
+													handleUpdateContainerItem(item.inventoryId, changes)
+												}
+												onCardQuantityChange={(productId, quantity) =>
+													handleUpdateCardQuantity(
+														item.inventoryId,
+														productId,
+														quantity
+													)
+												}
+												onRemove={() => handleRemoveItem(item.inventoryId)}
+											/>
+										)
+									)}
 								</tbody>
 							</Table>
 						</>
@@ -374,7 +685,7 @@ function CreateTransferRequestModal({
 					onClick={handleSubmit}
 					disabled={!fromStoreId || !toStoreId || selectedItems.length === 0}
 				>
-					Create Request
+					{isEditing ? "Save Changes" : "Create Request"}
 				</Button>
 			</Modal.Footer>
 		</Modal>
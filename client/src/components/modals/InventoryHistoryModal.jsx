@@ -0,0 +1,125 @@
+/**
+ * InventoryHistoryModal Component
+ * Modal showing the stock movement ledger for an inventory item
+ */
+
+import { Modal, Button, Table, Badge, Spinner, Alert } from "react-bootstrap";
+import {
+	STOCK_MOVEMENT_REASONS,
+	STOCK_MOVEMENT_REASON_LABELS,
+} from "../../constants/enums";
+
+const REASON_VARIANTS = {
+	[STOCK_MOVEMENT_REASONS.RECEIVE]: "success",
+	[STOCK_MOVEMENT_REASONS.SALE]: "primary",
+	[STOCK_MOVEMENT_REASONS.DAMAGE]: "danger",
+	[STOCK_MOVEMENT_REASONS.TRANSFER_OUT]: "warning",
+	[STOCK_MOVEMENT_REASONS.TRANSFER_IN]: "info",
+	[STOCK_MOVEMENT_REASONS.COUNT_ADJUST]: "dark",
+	[STOCK_MOVEMENT_REASONS.RELOCATE]: "light",
+	[STOCK_MOVEMENT_REASONS.MANUAL]: "secondary",
+};
+
+// Format date
+const formatDate = (dateString) => {
+	if (!dateString) return "-";
+	return new Date(dateString).toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "short",
+		day: "numeric",
+		hour: "2-digit",
+		minute: "2-digit",
+	});
+};
+
+function InventoryHistoryModal({ show, onHide, selectedItem, history, loading }) {
+	return (
+		<Modal show={show} onHide={onHide} size="lg">
+			<Modal.Header closeButton>
+				<Modal.Title>Stock History</Modal.Title>
+			</Modal.Header>
+			<Modal.Body>
+				{selectedItem && (
+					<Alert variant="info">
+						<strong>Product:</strong> {selectedItem.productId?.name || "N/A"}
+						<br />
+						<strong>Location:</strong> {selectedItem.location}
+						<br />
+						<strong>Current Quantity:</strong> {selectedItem.quantity}
+					</Alert>
+				)}
+
+				{loading ? (
+					<div className="text-center py-4">
+						<Spinner animation="border" size="sm" /> Loading history...
+					</div>
+				) : history.length === 0 ? (
+					<p className="text-muted text-center py-3 mb-0">
+						No stock movements recorded yet
+					</p>
+				) : (
+					<Table size="sm" hover responsive className="mb-0">
+						<thead>
+							<tr>
+								<th>When</th>
+								<th>Reason</th>
+								<th className="text-end">Change</th>
+								<th className="text-end">Result</th>
+								<th>By</th>
+								<th>Notes</th>
+							</tr>
+						</thead>
+						<tbody>
+							{history.map((movement) => (
+								<tr key={movement._id}>
+									<td>
+										<small>{formatDate(movement.createdAt)}</small>
+									</td>
+									<td>
+										<Badge
+											bg={REASON_VARIANTS[movement.reason] || "secondary"}
+											text={
+												movement.reason === STOCK_MOVEMENT_REASONS.RELOCATE
+													? "dark"
+													: undefined
+											}
+										>
+											{STOCK_MOVEMENT_REASON_LABELS[movement.reason] ||
+												movement.reason}
+										</Badge>
+									</td>
+									<td
+										className={`text-end fw-bold ${
+											movement.delta > 0 ? "text-success" : "text-danger"
+										}`}
+									>
+										{movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+									</td>
+									<td className="text-end">{movement.resultingQuantity}</td>
+									<td>
+										<small>{movement.performedBy?.username || "System"}</small>
+									</td>
+									<td>
+										<small className="text-muted">
+											{movement.transferRequestId?.requestNumber && (
+												<>{movement.transferRequestId.requestNumber} </>
+											)}
+											{movement.notes}
+										</small>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</Table>
+				)}
+			</Modal.Body>
+			<Modal.Footer>
+				<Button variant="secondary" onClick={onHide}>
+					Close
+				</Button>
+			</Modal.Footer>
+		</Modal>
+	);
+}
+
+export default InventoryHistoryModal;
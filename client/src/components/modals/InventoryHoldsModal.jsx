@@ -0,0 +1,179 @@
+/**
+ * InventoryHoldsModal Component
+ * Modal for placing and releasing holds on an inventory item
+ */
+
+import { Modal, Form, Button, Table, Alert, Row, Col } from "react-bootstrap";
+
+// Format date
+const formatDate = (dateString) => {
+	if (!dateString) return "Until released";
+	return new Date(dateString).toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "short",
+		day: "numeric",
+		hour: "2-digit",
+		minute: "2-digit",
+	});
+};
+
+function InventoryHoldsModal({
+	show,
+	onHide,
+	selectedItem,
+	holdForm,
+	setHoldForm,
+	onPlaceHold,
+	onReleaseHold,
+	error,
+}) {
+	const available = selectedItem?.availableQuantity ?? 0;
+	const quantity = parseInt(holdForm.quantity) || 0;
+	const isValid =
+		quantity >= 1 && quantity <= available && holdForm.reason.trim() !== "";
+	const now = new Date();
+
+	return (
+		<Modal show={show} onHide={onHide} size="lg">
+			<Modal.Header closeButton>
+				<Modal.Title>Stock Holds</Modal.Title>
+			</Modal.Header>
+			<Modal.Body>
+				{error && (
+					<Alert variant="danger" className="mb-3">
+						{error}
+					</Alert>
+				)}
+
+				{selectedItem && (
+					<>
+						<Alert variant="info">
+							<strong>Product:</strong> {selectedItem.productId?.name || "N/A"}
+							<br />
+							<strong>On hand:</strong> {selectedItem.quantity} |{" "}
+							<strong>On hold:</strong> {selectedItem.heldQuantity} |{" "}
+							<strong>Available:</strong> {available}
+						</Alert>
+
+						{selectedItem.holds?.length > 0 ? (
+							<Table size="sm" hover responsive className="mb-4">
+								<thead>
+									<tr>
+										<th className="text-end">Qty</th>
+										<th>Reason</th>
+										<th>Owner</th>
+										<th>Expires</th>
+										<th></th>
+									</tr>
+								</thead>
+								<tbody>
+									{selectedItem.holds.map((hold) => {
+										const isExpired =
+											hold.expiresAt && new Date(hold.expiresAt) <= now;
+										return (
+											<tr
+												key={hold._id}
+												className={isExpired ? "text-muted" : undefined}
+											>
+												<td className="text-end fw-bold">{hold.quantity}</td>
+												<td>{hold.reason}</td>
+												<td>
+													<small>{hold.ownerId?.username || "-"}</small>
+												</td>
+												<td>
+													<small>
+														{isExpired
+															? "Expired"
+															: formatDate(hold.expiresAt)}
+													</small>
+												</td>
+												<td className="text-end">
+													{/* Transfer holds are released by the transfer itself */}
+													{hold.transferRequestId ? (
+														<small className="text-muted">
+															Until {hold.transferRequestId.requestNumber} is
+															sent, rejected or closed
+														</small>
+													) : (
+														<Button
+															variant="outline-danger"
+															size="sm"
+															onClick={() => onReleaseHold(hold._id)}
+														>
+															Release
+														</Button>
+													)}
+												</td>
+											</tr>
+										);
+									})}
+								</tbody>
+							</Table>
+						) : (
+							<p className="text-muted text-center py-2">
+								No units are on hold
+							</p>
+						)}
+
+						<h6>Place a Hold</h6>
+						<Row>
+							<Col md={3}>
+								<Form.Group className="mb-3">
+									<Form.Label>Quantity *</Form.Label>
+									<Form.Control
+										type="number"
+										min="1"
+										max={available}
+										value={holdForm.quantity}
+										onChange={(e) =>
+											setHoldForm({ ...holdForm, quantity: e.target.value })
+										}
+									/>
+								</Form.Group>
+							</Col>
+							<Col md={5}>
+								<Form.Group className="mb-3">
+									<Form.Label>Reason *</Form.Label>
+									<Form.Control
+										type="text"
+										placeholder="e.g., Reserved for tournament"
+										maxLength={200}
+										value={holdForm.reason}
+										onChange={(e) =>
+											setHoldForm({ ...holdForm, reason: e.target.value })
+										}
+									/>
+								</Form.Group>
+							</Col>
+							<Col md={4}>
+								<Form.Group className="mb-3">
+									<Form.Label>Expires</Form.Label>
+									<Form.Control
+										type="datetime-local"
+										value={holdForm.expiresAt}
+										onChange={(e) =>
+											setHoldForm({ ...holdForm, expiresAt: e.target.value })
+										}
+									/>
+									<Form.Text className="text-muted">
+										Leave empty to hold until released
+									</Form.Text>
+								</Form.Group>
+							</Col>
+						</Row>
+					</>
+				)}
+			</Modal.Body>
+			<Modal.Footer>
+				<Button variant="secondary" onClick={onHide}>
+					Close
+				</Button>
+				<Button variant="warning" onClick={onPlaceHold} disabled={!isValid}>
+					Hold {quantity > 0 ? quantity : ""} unit(s)
+				</Button>
+			</Modal.Footer>
+		</Modal>
+	);
+}
+
+export default InventoryHoldsModal;
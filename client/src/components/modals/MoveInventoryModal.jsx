@@ -0,0 +1,82 @@
+/**
+ * MoveInventoryModal Component
+ * Modal for moving units of a product between the floor and back room
+ */
+
+import { Modal, Form, Button, Alert } from "react-bootstrap";
+
+function MoveInventoryModal({
+	show,
+	onHide,
+	selectedItem,
+	moveQuantity,
+	setMoveQuantity,
+	onSubmit,
+	error,
+}) {
+	const toLocation = selectedItem?.location === "floor" ? "back" : "floor";
+	const quantity = parseInt(moveQuantity) || 0;
+	const available =
+		selectedItem?.availableQuantity ?? (selectedItem?.quantity || 0);
+	const isValid = quantity >= 1 && quantity <= available;
+
+	return (
+		<Modal show={show} onHide={onHide}>
+			<Modal.Header closeButton>
+				<Modal.Title>
+					{toLocation === "floor" ? "Restock Floor" : "Move to Back"}
+				</Modal.Title>
+			</Modal.Header>
+			<Modal.Body>
+				{error && (
+					<Alert variant="danger" className="mb-3">
+						{error}
+					</Alert>
+				)}
+
+				{selectedItem && (
+					<>
+						<Alert variant="info">
+							<strong>Product:</strong> {selectedItem.productId?.name || "N/A"}
+							<br />
+							<strong>On the {selectedItem.location}:</strong>{" "}
+							{selectedItem.quantity}
+							{selectedItem.heldQuantity > 0 && (
+								<>
+									<br />
+									<strong>On hold:</strong> {selectedItem.heldQuantity} (
+									{available} available to move)
+								</>
+							)}
+						</Alert>
+
+						<Form.Group className="mb-3">
+							<Form.Label>Quantity to move to the {toLocation} *</Form.Label>
+							<Form.Control
+								type="number"
+								min="1"
+								max={available}
+								value={moveQuantity}
+								onChange={(e) => setMoveQuantity(e.target.value)}
+							/>
+							<Form.Text className="text-muted">
+								Added to the existing {toLocation} stock for this product, or
+								a new {toLocation} entry if there is none.
+							</Form.Text>
+						</Form.Group>
+					</>
+				)}
+			</Modal.Body>
+			<Modal.Footer>
+				<Button variant="secondary" onClick={onHide}>
+					Cancel
+				</Button>
+				<Button variant="primary" onClick={onSubmit} disabled={!isValid}>
+					Move {quantity > 0 ? quantity : ""} to {toLocation}
+				</Button>
+			</Modal.Footer>
+		</Modal>
+	);
+}
+
+export default MoveInventoryModal;
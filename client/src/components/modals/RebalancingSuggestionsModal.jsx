@@ -0,0 +1,108 @@
+/**
+ * RebalancingSuggestionsModal Component
+ * Modal listing suggested transfers that cover low stock with surplus from
+ * other stores, each of which can be created as an open request
+ */
+
+import { Modal, Button, Table, Alert, Card, Spinner } from "react-bootstrap";
+
+// Identifies a suggestion by its source and destination stores
+const suggestionKey = (suggestion) =>
+	`${suggestion.fromStore._id}:${suggestion.toStore._id}`;
+
+function RebalancingSuggestionsModal({
+	show,
+	onHide,
+	suggestions,
+	loading,
+	creatingKey,
+	onCreate,
+	error,
+}) {
+	return (
+		<Modal show={show} onHide={onHide} size="lg">
+			<Modal.Header closeButton>
+				<Modal.Title>Rebalancing Suggestions</Modal.Title>
+			</Modal.Header>
+			<Modal.Body>
+				{error && (
+					<Alert variant="danger" className="mb-3">
+						{error}
+					</Alert>
+				)}
+
+				<p className="text-muted">
+					Stock below its minimum level, covered from what other stores have
+					above theirs. Requests already open or on the way are counted, and
+					quantities are limited to the space the receiving store has free,
+					including its floor and back limits.
+				</p>
+
+				{loading ? (
+					<div className="text-center py-4">
+						<Spinner animation="border" />
+					</div>
+				) : suggestions.length === 0 ? (
+					<Alert variant="success">
+						No low stock that another store can cover right now.
+					</Alert>
+				) : (
+					suggestions.map((suggestion) => {
+						const key = suggestionKey(suggestion);
+						return (
+							<Card className="mb-3" key={key}>
+								<Card.Header className="d-flex justify-content-between align-items-center">
+									<span>
+										<strong>{suggestion.fromStore.name}</strong> →{" "}
+										<strong>{suggestion.toStore.name}</strong>
+									</span>
+									<Button
+										size="sm"
+										variant="primary"
+										onClick={() => onCreate(suggestion)}
+										disabled={Boolean(creatingKey)}
+									>
+										{creatingKey === key ? "Creating..." : "Create Request"}
+									</Button>
+								</Card.Header>
+								<Card.Body className="p-0">
+									<Table size="sm" className="mb-0">
+										<thead>
+											<tr>
+												<th>Product</th>
+												<th>SKU</th>
+												<th className="text-end">Short</th>
+												<th className="text-end">Transfer</th>
+											</tr>
+										</thead>
+										<tbody>
+											{suggestion.items.map((item) => (
+												<tr key={item.inventoryId}>
+													<td>{item.productName}</td>
+													<td>
+														<code>{item.sku}</code>
+													</td>
+													<td className="text-end">{item.shortfall}</td>
+													<td className="text-end fw-bold">
+														{item.requestedQuantity}
+													</td>
+												</tr>
+											))}
+										</tbody>
+									</Table>
+								</Card.Body>
+							</Card>
+						);
+					})
+				)}
+			</Modal.Body>
+			<Modal.Footer>
+				<Button variant="secondary" onClick={onHide}>
+					Close
+				</Button>
+			</Modal.Footer>
+		</Modal>
+	);
+}
+
+export default RebalancingSuggestionsModal;
@@ -3,7 +3,28 @@
  * Modal for updating existing inventory
  */
 
-import { Modal, Form, Button, Alert, Row, Col } from "react-bootstrap";
+import { Modal, Form, Button, Alert, Row, Col, Table } from "react-bootstrap";
+import {
+	STOCK_MOVEMENT_REASONS,
+	STOCK_MOVEMENT_REASON_LABELS,
+} from "../../constants/enums";
+
+// Reasons a user can pick for a hand edit (transfers and moves record their own)
+const EDIT_REASONS = [
+	STOCK_MOVEMENT_REASONS.MANUAL,
+	STOCK_MOVEMENT_REASONS.RECEIVE,
+	STOCK_MOVEMENT_REASONS.SALE,
+	STOCK_MOVEMENT_REASONS.DAMAGE,
+	STOCK_MOVEMENT_REASONS.COUNT_ADJUST,
+];
+
+// Fields compared when someone else saved the item mid-edit
+const CONFLICT_FIELDS = [
+	{ key: "quantity", label: "Quantity", standardOnly: true },
+	{ key: "location", label: "Location" },
+	{ key: "minStockLevel", label: "Min Stock Level", standardOnly: true },
+	{ key: "notes", label: "Notes" },
+];
 
 function UpdateInventoryModal({
 	show,
@@ -12,9 +33,16 @@ function UpdateInventoryModal({
 	updateForm,
 	setUpdateForm,
 	onSubmit,
+	conflict,
+	onReloadConflict,
+	onKeepEditsConflict,
 	error,
 }) {
 	const isContainer = selectedItem?.cardContainer !== null;
+	const quantityChanged =
+		!isContainer &&
+		selectedItem &&
+		parseInt(updateForm.quantity) !== selectedItem.quantity;
 
 	return (
 		<Modal show={show} onHide={onHide}>
@@ -30,6 +58,55 @@ function UpdateInventoryModal({
 					</Alert>
 				)}
 
+				{conflict && (
+					<Alert variant="warning">
+						<Alert.Heading as="h6">This item changed</Alert.Heading>
+						<p className="mb-2">
+							Someone else saved this item while you were editing it. Review
+							their changes, then retry.
+						</p>
+						<Table size="sm" bordered className="mb-2 bg-white">
+							<thead>
+								<tr>
+									<th></th>
+									<th>Your edit</th>
+									<th>Latest</th>
+								</tr>
+							</thead>
+							<tbody>
+								{CONFLICT_FIELDS.filter(
+									(field) => !(isContainer && field.standardOnly)
+								).map(({ key, label }) => {
+									const yours = String(updateForm[key] ?? "");
+									const latest = String(conflict[key] ?? "");
+									return (
+										<tr
+											key={key}
+											className={yours !== latest ? "fw-bold" : undefined}
+										>
+											<td>{label}</td>
+											<td>{yours || "—"}</td>
+											<td>{latest || "—"}</td>
+										</tr>
+									);
+								})}
+							</tbody>
+						</Table>
+						<div className="d-flex gap-2">
+							<Button size="sm" variant="primary" onClick={onReloadConflict}>
+								Start Over From Latest
+							</Button>
+							<Button
+								size="sm"
+								variant="outline-secondary"
+								onClick={onKeepEditsConflict}
+							>
+								Keep My Edits
+							</Button>
+						</div>
+					</Alert>
+				)}
+
 				{selectedItem && (
 					<>
 						<Alert variant="info">
@@ -103,6 +180,27 @@ function UpdateInventoryModal({
 							</Col>
 						</Row>
 
+						{quantityChanged && (
+							<Form.Group className="mb-3">
+								<Form.Label>Reason for Quantity Change</Form.Label>
+								<Form.Select
+									value={updateForm.reason}
+									onChange={(e) =>
+										setUpdateForm({ ...updateForm, reason: e.target.value })
+									}
+								>
+									{EDIT_REASONS.map((reason) => (
+										<option key={reason} value={reason}>
+											{STOCK_MOVEMENT_REASON_LABELS[reason]}
+										</option>
+									))}
+								</Form.Select>
+								<Form.Text className="text-muted">
+									Recorded in the item&apos;s stock history
+								</Form.Text>
+							</Form.Group>
+						)}
+
 						{!isContainer && (
 							<Form.Group className="mb-3">
 								<Form.Label>Minimum Stock Level</Form.Label>
@@ -152,7 +250,7 @@ function UpdateInventoryModal({
 				<Button
 					variant="primary"
 					onClick={onSubmit}
-					disabled={!isContainer && updateForm.quantity < 0}
+					disabled={!!conflict || (!isContainer && updateForm.quantity < 0)}
 				>
 					{isContainer ? "Update Container" : "Update Inventory"}
 				</Button>
@@ -6,6 +6,31 @@
 import { useState, useEffect } from "react";
 import { Modal, Button, Form, Row, Col, Alert } from "react-bootstrap";
 
+/**
+ * Validate an optional floor or back limit against the store's max capacity
+ */
+const validateLocationLimit = (location, value, maxCapacity, store) => {
+	if (value === "") return "";
+	if (isNaN(value) || Number(value) < 0) return "Must be a non-negative number";
+	if (maxCapacity && Number(value) > Number(maxCapacity))
+		return "Cannot exceed the store's max capacity";
+	const usage = store?.locationCapacity?.[location]?.currentCapacity || 0;
+	if (Number(value) < usage)
+		return `Cannot be less than current ${location} usage (${usage})`;
+	return "";
+};
+
+/**
+ * Validate an optional transfer request prefix
+ */
+const validateRequestPrefix = (value) =>
+	value.trim() === "" || /^[A-Za-z0-9]{2,6}$/.test(value.trim())
+		? ""
+		: "Must be 2-6 letters or digits";
+
+// An empty limit field means the location shares the store's capacity
+const toLimit = (value) => (value === "" ? null : Number(value));
+
 function UpdateStoreModal({ show, onHide, store, onStoreUpdated }) {
 	const [loading, setLoading] = useState(false);
 	const [error, setError] = useState(null);
@@ -17,6 +42,9 @@ function UpdateStoreModal({ show, onHide, store, onStoreUpdated }) {
 		state: "",
 		zipCode: "",
 		maxCapacity: "",
+		floorMaxCapacity: "",
+		backMaxCapacity: "",
+		requestPrefix: "",
 	});
 
 	const [fieldErrors, setFieldErrors] = useState({});
@@ -31,6 +59,9 @@ function UpdateStoreModal({ show, onHide, store, onStoreUpdated }) {
 				state: store.location?.state || "",
 				zipCode: store.location?.zipCode || "",
 				maxCapacity: store.maxCapacity || "",
+				floorMaxCapacity: store.locationCapacity?.floor?.maxCapacity ?? "",
+				backMaxCapacity: store.locationCapacity?.back?.maxCapacity ?? "",
+				requestPrefix: store.requestPrefix || "",
 			});
 		}
 	}, [store]);
@@ -61,6 +92,20 @@ function UpdateStoreModal({ show, onHide, store, onStoreUpdated }) {
 					return `Max capacity cannot be less than current capacity (${store.currentCapacity})`;
 				}
 				return "";
+			case "floorMaxCapacity":
+				return validateLocationLimit(
+					"floor",
+					value,
+					formData.maxCapacity, store
+				);
+			case "backMaxCapacity":
+				return validateLocationLimit(
+					"back",
+					value,
+					formData.maxCapacity, store
+				);
+			case "requestPrefix":
+				return validateRequestPrefix(value);
 			default:
 				return "";
 		}
@@ -125,6 +170,11 @@ function UpdateStoreModal({ show, onHide, store, onStoreUpdated }) {
 					zipCode: formData.zipCode.trim(),
 				},
 				maxCapacity: Number(formData.maxCapacity),
+				locationCapacity: {
+					floor: { maxCapacity: toLimit(formData.floorMaxCapacity) },
+					back: { maxCapacity: toLimit(formData.backMaxCapacity) },
+				},
+				requestPrefix: formData.requestPrefix.trim().toUpperCase() || null,
 			};
 
 			await onStoreUpdated(submitData);
@@ -298,6 +348,77 @@ function UpdateStoreModal({ show, onHide, store, onStoreUpdated }) {
 								: "Maximum storage capacity in units"}
 						</Form.Text>
 					</Form.Group>
+
+					<Row>
+						<Col md={6}>
+							<Form.Group className="mb-3">
+								<Form.Label>Floor Max Capacity</Form.Label>
+								<Form.Control
+									type="number"
+									name="floorMaxCapacity"
+									value={formData.floorMaxCapacity}
+									onChange={handleChange}
+									onBlur={handleBlur}
+									disabled={loading}
+									isInvalid={!!fieldErrors.floorMaxCapacity}
+									placeholder="No separate limit"
+									min="0"
+								/>
+								<Form.Control.Feedback type="invalid">
+									{fieldErrors.floorMaxCapacity}
+								</Form.Control.Feedback>
+								<Form.Text className="text-muted">
+									{store?.locationCapacity?.floor?.currentCapacity || 0} units in
+									use. Leave blank for no separate limit
+								</Form.Text>
+							</Form.Group>
+						</Col>
+
+						<Col md={6}>
+							<Form.Group className="mb-3">
+								<Form.Label>Back Room Max Capacity</Form.Label>
+								<Form.Control
+									type="number"
+									name="backMaxCapacity"
+									value={formData.backMaxCapacity}
+									onChange={handleChange}
+									onBlur={handleBlur}
+									disabled={loading}
+									isInvalid={!!fieldErrors.backMaxCapacity}
+									placeholder="No separate limit"
+									min="0"
+								/>
+								<Form.Control.Feedback type="invalid">
+									{fieldErrors.backMaxCapacity}
+								</Form.Control.Feedback>
+								<Form.Text className="text-muted">
+									{store?.locationCapacity?.back?.currentCapacity || 0} units in
+									use. Leave blank for no separate limit
+								</Form.Text>
+							</Form.Group>
+						</Col>
+					</Row>
+					<Form.Group className="mb-3">
+						<Form.Label>Transfer Request Prefix</Form.Label>
+						<Form.Control
+							type="text"
+							name="requestPrefix"
+							value={formData.requestPrefix}
+							onChange={handleChange}
+							onBlur={handleBlur}
+							disabled={loading}
+							isInvalid={!!fieldErrors.requestPrefix}
+							placeholder="e.g., SEA"
+							maxLength={6}
+						/>
+						<Form.Control.Feedback type="invalid">
+							{fieldErrors.requestPrefix}
+						</Form.Control.Feedback>
+						<Form.Text className="text-muted">
+							Optional. Added to numbers of requests made by this store (e.g.,
+							TR-SEA-20231215-0001)
+						</Form.Text>
+					</Form.Group>
 				</Form>
 			</Modal.Body>
 
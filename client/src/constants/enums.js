@@ -59,6 +59,29 @@ export const CARD_FINISHES = {
 	REVERSE_HOLO: "reverse-holo",
 };
 
+export const STOCK_MOVEMENT_REASONS = {
+	RECEIVE: "receive",
+	SALE: "sale",
+	DAMAGE: "damage",
+	TRANSFER_OUT: "transfer-out",
+	TRANSFER_IN: "transfer-in",
+	COUNT_ADJUST: "count-adjust",
+	RELOCATE: "relocate",
+	MANUAL: "manual",
+};
+
+// What a transfer request item moves
+export const TRANSFER_ITEM_TYPES = {
+	PRODUCT: "product",
+	CARDS: "cards",
+	CONTAINER: "container",
+};
+
+export const TRANSFER_DOCUMENT_TYPES = {
+	PACKING_SLIP: "packing-slip",
+	RECEIVING_MANIFEST: "receiving-manifest",
+};
+
 // Helper function to get all values from an enum object
 export const getEnumValues = (enumObj) => Object.values(enumObj);
 
@@ -105,3 +128,14 @@ export const CARD_FINISH_LABELS = {
 	[CARD_FINISHES.HOLO]: "Holo",
 	[CARD_FINISHES.REVERSE_HOLO]: "Reverse Holo",
 };
+
+export const STOCK_MOVEMENT_REASON_LABELS = {
+	[STOCK_MOVEMENT_REASONS.RECEIVE]: "Received",
+	[STOCK_MOVEMENT_REASONS.SALE]: "Sale",
+	[STOCK_MOVEMENT_REASONS.DAMAGE]: "Damaged",
+	[STOCK_MOVEMENT_REASONS.TRANSFER_OUT]: "Transfer Out",
+	[STOCK_MOVEMENT_REASONS.TRANSFER_IN]: "Transfer In",
+	[STOCK_MOVEMENT_REASONS.COUNT_ADJUST]: "Count Adjustment",
+	[STOCK_MOVEMENT_REASONS.RELOCATE]: "Floor/Back Move",
+	[STOCK_MOVEMENT_REASONS.MANUAL]: "Manual Edit",
+};
@@ -8,11 +8,18 @@ const session = require("express-session");
 const cors = require("cors");
 const { connectDatabase } = require("./src/config/database");
 const apiRouter = require("./src/routes");
+const {
+	scheduleCapacityReconciliation,
+} = require("./src/jobs/capacityReconciliation.job");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI =
 	process.env.MONGODB_URI || "mongodb://localhost:27017/tcg-inventory";
+// Minutes between capacity reconciliation runs (unset or 0 disables them)
+const CAPACITY_RECONCILE_INTERVAL = Number(
+	process.env.CAPACITY_RECONCILE_INTERVAL_MINUTES || 0
+);
 
 // Middleware
 app.use(
@@ -47,6 +54,13 @@ async function startServer() {
 		// Connect to MongoDB
 		await connectDatabase(MONGODB_URI);
 
+		if (CAPACITY_RECONCILE_INTERVAL > 0) {
+			scheduleCapacityReconciliation(CAPACITY_RECONCILE_INTERVAL);
+			console.log(
+				`🔁 Capacity reconciliation every ${CAPACITY_RECONCILE_INTERVAL} minutes`
+			);
+		}
+
 		// Start listening
 		const server = app.listen(PORT, "0.0.0.0", () => {
 			console.log(`🚀 Server running on http://localhost:${PORT}`);
@@ -57,6 +57,29 @@ const CARD_FINISHES = {
 	REVERSE_HOLO: "reverse-holo",
 };
 
+const STOCK_MOVEMENT_REASONS = {
+	RECEIVE: "receive",
+	SALE: "sale",
+	DAMAGE: "damage",
+	TRANSFER_OUT: "transfer-out",
+	TRANSFER_IN: "transfer-in",
+	COUNT_ADJUST: "count-adjust",
+	RELOCATE: "relocate",
+	MANUAL: "manual",
+};
+
+// What a transfer request item moves
+const TRANSFER_ITEM_TYPES = {
+	PRODUCT: "product",
+	CARDS: "cards",
+	CONTAINER: "container",
+};
+
+const TRANSFER_DOCUMENT_TYPES = {
+	PACKING_SLIP: "packing-slip",
+	RECEIVING_MANIFEST: "receiving-manifest",
+};
+
 const US_STATES = [
 	"AL",
 	"AK",
@@ -126,6 +149,9 @@ module.exports = {
 	CARD_RARITIES,
 	CARD_CONDITIONS,
 	CARD_FINISHES,
+	STOCK_MOVEMENT_REASONS,
+	TRANSFER_ITEM_TYPES,
+	TRANSFER_DOCUMENT_TYPES,
 	US_STATES,
 	getEnumValues,
 	isValidEnumValue,
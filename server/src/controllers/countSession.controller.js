@@ -0,0 +1,210 @@
+/**
+ * Count Session Controller
+ * Handles HTTP request/response for cycle count operations
+ */
+
+const countSessionService = require("../services/countSession.service");
+const { sendErrorResponse } = require("../utils/errorHandler");
+
+/**
+ * Open a new count session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Session data
+ * @param {string} req.body.storeId - Store to count
+ * @param {string} [req.body.location] - Limit to floor or back
+ * @param {string} [req.body.notes] - Optional notes
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with created count session
+ * @throws {400} If validation fails
+ * @throws {409} If a count is already in progress for the location
+ */
+exports.openSession = async (req, res) => {
+	try {
+		const countSession = await countSessionService.openSession(
+			req.body,
+			req.user
+		);
+		res.status(201).json({ success: true, countSession });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error opening count session", "[CountSessionController] Open session");
+	}
+};
+
+/**
+ * Get count sessions visible to the current user
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.storeId] - Filter by store (partners only)
+ * @param {string} [req.query.status] - Filter by status (open, submitted, posted, cancelled)
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with count sessions
+ */
+exports.getSessions = async (req, res) => {
+	try {
+		const countSessions = await countSessionService.getSessions(
+			req.user,
+			req.query
+		);
+		res.json({ success: true, countSessions });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error fetching count sessions", "[CountSessionController] Get sessions");
+	}
+};
+
+/**
+ * Get a count session with lines and variances
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Count session ID
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with count session
+ * @throws {404} If count session not found
+ */
+exports.getSessionById = async (req, res) => {
+	try {
+		const countSession = await countSessionService.getSessionById(
+			req.params.id,
+			req.user
+		);
+		res.json({ success: true, countSession });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error fetching count session", "[CountSessionController] Get session");
+	}
+};
+
+/**
+ * Record the counted quantity of a standard inventory record
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Count session ID
+ * @param {string} req.params.inventoryId - Inventory ID
+ * @param {Object} req.body - Count data
+ * @param {number} req.body.countedQuantity - Units counted
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated count session
+ * @throws {400} If the session is not open or quantity is invalid
+ */
+exports.recordCount = async (req, res) => {
+	try {
+		const countSession = await countSessionService.recordCount(
+			req.params.id,
+			req.params.inventoryId,
+			req.body.countedQuantity,
+			req.user
+		);
+		res.json({ success: true, countSession });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error recording count", "[CountSessionController] Record count");
+	}
+};
+
+/**
+ * Record the counted quantity of a card inside a container
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Count session ID
+ * @param {string} req.params.inventoryId - Container inventory ID
+ * @param {string} req.params.productId - Card product ID
+ * @param {Object} req.body - Count data
+ * @param {number} req.body.countedQuantity - Copies counted
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated count session
+ * @throws {400} If the session is not open or quantity is invalid
+ */
+exports.recordCardCount = async (req, res) => {
+	try {
+		const countSession = await countSessionService.recordCardCount(
+			req.params.id,
+			req.params.inventoryId,
+			req.params.productId,
+			req.body.countedQuantity,
+			req.user
+		);
+		res.json({ success: true, countSession });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error recording card count", "[CountSessionController] Record card count");
+	}
+};
+
+/**
+ * Submit a count session for manager review
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Count session ID
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated count session
+ * @throws {400} If the session is not open or nothing was counted
+ */
+exports.submitSession = async (req, res) => {
+	try {
+		const countSession = await countSessionService.submitSession(
+			req.params.id,
+			req.user
+		);
+		res.json({ success: true, countSession });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error submitting count session", "[CountSessionController] Submit session");
+	}
+};
+
+/**
+ * Approve a count session and post its adjustments
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Count session ID
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with posted count session
+ * @throws {400} If the session is not submitted
+ */
+exports.approveSession = async (req, res) => {
+	try {
+		const countSession = await countSessionService.approveSession(
+			req.params.id,
+			req.user
+		);
+		res.json({
+			success: true,
+			countSession,
+			message: "Count approved and adjustments posted",
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error approving count session", "[CountSessionController] Approve session");
+	}
+};
+
+/**
+ * Cancel a count session without changing inventory
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Count session ID
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with cancelled count session
+ * @throws {400} If the session is already posted or cancelled
+ */
+exports.cancelSession = async (req, res) => {
+	try {
+		const countSession = await countSessionService.cancelSession(
+			req.params.id,
+			req.user
+		);
+		res.json({ success: true, countSession });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error cancelling count session", "[CountSessionController] Cancel session");
+	}
+};
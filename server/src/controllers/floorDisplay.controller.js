@@ -0,0 +1,130 @@
+/**
+ * Floor Display Controller
+ * Handles HTTP request/response for floor display minimum rules
+ */
+
+const floorDisplayService = require("../services/floorDisplay.service");
+const { sendErrorResponse } = require("../utils/errorHandler");
+
+/**
+ * Get the floor display rules of a store
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.storeId] - Store ID (defaults to the user's assigned store)
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with rules array
+ * @throws {403} If user cannot access the store
+ */
+exports.getRules = async (req, res) => {
+	try {
+		const rules = await floorDisplayService.getRules(
+			req.query.storeId,
+			req.user
+		);
+		res.json({ success: true, rules });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error fetching floor display rules", "[FloorDisplayController] Get rules");
+	}
+};
+
+/**
+ * Create a floor display rule
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Rule data
+ * @param {string} req.body.storeId - Store ID
+ * @param {string} [req.body.productId] - Product the rule covers
+ * @param {string} [req.body.productType] - Product type the rule covers
+ * @param {string} [req.body.brand] - Brand the rule covers
+ * @param {number} req.body.minQuantity - Units that must be on the floor
+ * @param {string} [req.body.notes] - Additional notes
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with created rule (201 status)
+ * @throws {400} If validation fails
+ * @throws {409} If the store already has a rule for the same target
+ */
+exports.createRule = async (req, res) => {
+	try {
+		const rule = await floorDisplayService.createRule(req.body, req.user);
+		res.status(201).json({
+			success: true,
+			rule,
+			message: "Floor display rule created",
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error creating floor display rule", "[FloorDisplayController] Create rule");
+	}
+};
+
+/**
+ * Update a floor display rule
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Rule ID
+ * @param {Object} req.body - Fields to update
+ * @param {number} [req.body.minQuantity] - Units that must be on the floor
+ * @param {string} [req.body.notes] - Additional notes
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated rule
+ * @throws {404} If rule not found
+ */
+exports.updateRule = async (req, res) => {
+	try {
+		const rule = await floorDisplayService.updateRule(
+			req.params.id,
+			req.body,
+			req.user
+		);
+		res.json({ success: true, rule, message: "Floor display rule updated" });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error updating floor display rule", "[FloorDisplayController] Update rule");
+	}
+};
+
+/**
+ * Delete a floor display rule
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Rule ID
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with success message
+ * @throws {404} If rule not found
+ */
+exports.deleteRule = async (req, res) => {
+	try {
+		await floorDisplayService.deleteRule(req.params.id, req.user);
+		res.json({ success: true, message: "Floor display rule deleted" });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error deleting floor display rule", "[FloorDisplayController] Delete rule");
+	}
+};
+
+/**
+ * Get the floor display rules a store fails, with suggested restock moves
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.storeId] - Store ID (defaults to the user's assigned store)
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with unmet rules and suggested moves
+ * @throws {403} If user cannot access the store
+ */
+exports.getUnmetReport = async (req, res) => {
+	try {
+		const report = await floorDisplayService.getUnmetReport(
+			req.query.storeId,
+			req.user
+		);
+		res.json({ success: true, ...report });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error building floor display report", "[FloorDisplayController] Get unmet report");
+	}
+};
@@ -71,6 +71,28 @@ exports.getInventoryByStore = async (req, res) => {
 	}
 };
 
+/**
+ * Get low-stock inventory and under-filled card containers
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.storeId] - Limit to one store (partners)
+ * @param {number} [req.query.cardThreshold] - Containers with fewer cards than this are low
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with low-stock items and containers
+ * @throws {400} If store ID or threshold is invalid
+ * @throws {403} If a manager asks for another store
+ */
+exports.getLowStock = async (req, res) => {
+	try {
+		const result = await inventoryService.getLowStock(req.user, req.query);
+		res.json({ success: true, ...result });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error fetching low-stock inventory", "[InventoryController] Get low stock");
+	}
+};
+
 /**
  * Create new inventory item or merge with existing
  * @async
@@ -87,7 +109,10 @@ exports.getInventoryByStore = async (req, res) => {
  */
 exports.createInventory = async (req, res) => {
 	try {
-		const result = await inventoryService.createInventory(req.body);
+		const result = await inventoryService.createInventory(
+			req.body,
+			req.user
+		);
 		const statusCode = result.merged ? 200 : 201;
 		res.status(statusCode).json({ success: true, ...result });
 	} catch (error) {
@@ -104,16 +129,19 @@ exports.createInventory = async (req, res) => {
  * @param {Object} req.body - Updated inventory data
  * @param {number} [req.body.quantity] - New quantity
  * @param {Object} [req.body.cardContainer] - Updated container details
+ * @param {number} [req.body.version] - Version the edit is based on (the item's __v)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with updated inventory
  * @throws {404} If inventory not found
  * @throws {400} If validation fails or capacity exceeded
+ * @throws {409} If the item changed since that version (response includes `current`)
  */
 exports.updateInventory = async (req, res) => {
 	try {
 		const inventory = await inventoryService.updateInventory(
 			req.params.id,
-			req.body
+			req.body,
+			req.user
 		);
 		res.json({
 			success: true,
@@ -137,7 +165,7 @@ exports.updateInventory = async (req, res) => {
  */
 exports.deleteInventory = async (req, res) => {
 	try {
-		await inventoryService.deleteInventory(req.params.id);
+		await inventoryService.deleteInventory(req.params.id, req.user);
 		res.json({
 			success: true,
 			message: "Inventory removed successfully",
@@ -146,3 +174,402 @@ exports.deleteInventory = async (req, res) => {
 		sendErrorResponse(res, error, "Error deleting inventory", "[InventoryController] Delete inventory");
 	}
 };
+
+/**
+ * Get card containers for a specific store
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Store ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with containers array
+ * @throws {400} If invalid store ID
+ */
+exports.getContainersByStore = async (req, res) => {
+	try {
+		const containers = await inventoryService.getContainersByStore(
+			req.params.id
+		);
+		res.json({ success: true, containers });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error fetching containers", "[InventoryController] Get store containers");
+	}
+};
+
+/**
+ * Get a card container by ID
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Container inventory ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with container
+ * @throws {404} If container not found
+ */
+exports.getContainerById = async (req, res) => {
+	try {
+		const container = await inventoryService.getContainerById(req.params.id);
+		res.json({ success: true, container });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error fetching container", "[InventoryController] Get container");
+	}
+};
+
+/**
+ * Create new card container
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Container data
+ * @param {string} req.body.storeId - Store ID
+ * @param {string} req.body.location - Location (floor/back)
+ * @param {string} req.body.containerType - Container type (display-case/bulk-box/bulk-bin)
+ * @param {string} req.body.containerName - Container label
+ * @param {number} [req.body.containerUnitSize] - Physical space the container occupies
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with created container
+ * @throws {400} If validation fails or capacity exceeded
+ */
+exports.createContainer = async (req, res) => {
+	try {
+		const container = await inventoryService.createContainer(
+			req.body,
+			req.user
+		);
+		res.status(201).json({
+			success: true,
+			container,
+			message: "Container created successfully",
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error creating container", "[InventoryController] Create container");
+	}
+};
+
+/**
+ * Update card container details
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Container inventory ID
+ * @param {Object} req.body - Updated container data
+ * @param {string} [req.body.containerName] - New label
+ * @param {string} [req.body.containerType] - New container type
+ * @param {number} [req.body.containerUnitSize] - New physical size
+ * @param {string} [req.body.location] - New location
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated container
+ * @throws {404} If container not found
+ * @throws {400} If validation fails or capacity exceeded
+ */
+exports.updateContainer = async (req, res) => {
+	try {
+		const container = await inventoryService.updateContainer(
+			req.params.id,
+			req.body,
+			req.user
+		);
+		res.json({
+			success: true,
+			container,
+			message: "Container updated successfully",
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error updating container", "[InventoryController] Update container");
+	}
+};
+
+/**
+ * Archive card container (soft delete - sets isActive to false)
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Container inventory ID
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with success message
+ * @throws {404} If container not found
+ * @throws {400} If container still holds cards
+ */
+exports.archiveContainer = async (req, res) => {
+	try {
+		await inventoryService.archiveContainer(req.params.id, req.user);
+		res.json({
+			success: true,
+			message: "Container archived successfully",
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error archiving container", "[InventoryController] Archive container");
+	}
+};
+
+/**
+ * Add copies of a single card to a container
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Container inventory ID
+ * @param {Object} req.body - Card data
+ * @param {string} req.body.productId - Single card product ID
+ * @param {number} req.body.quantity - Number of copies to add
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated container
+ * @throws {400} If product is not a single card or quantity invalid
+ * @throws {404} If container or product not found
+ */
+exports.addCardsToContainer = async (req, res) => {
+	try {
+		const container = await inventoryService.addCardsToContainer(
+			req.params.id,
+			req.body,
+			req.user
+		);
+		res.json({
+			success: true,
+			container,
+			message: `Added ${req.body.quantity} card(s) to container`,
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error adding cards", "[InventoryController] Add cards to container");
+	}
+};
+
+/**
+ * Set the exact count of a card in a container (0 removes the card)
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Container inventory ID
+ * @param {string} req.params.productId - Single card product ID
+ * @param {Object} req.body - Update data
+ * @param {number} req.body.quantity - Exact number of copies
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated container
+ * @throws {400} If quantity invalid
+ * @throws {404} If container or product not found
+ */
+exports.setCardQuantity = async (req, res) => {
+	try {
+		const container = await inventoryService.setCardQuantity(
+			req.params.id,
+			req.params.productId,
+			req.body.quantity,
+			req.user
+		);
+		res.json({
+			success: true,
+			container,
+			message: "Card quantity updated",
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error updating card quantity", "[InventoryController] Set card quantity");
+	}
+};
+
+/**
+ * Remove copies of a card from a container
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Container inventory ID
+ * @param {string} req.params.productId - Single card product ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.quantity] - Copies to remove (omit to remove the card entirely)
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated container
+ * @throws {400} If quantity exceeds the copies in the container
+ * @throws {404} If container not found or card not in container
+ */
+exports.removeCardsFromContainer = async (req, res) => {
+	try {
+		const quantity =
+			req.query.quantity !== undefined ? Number(req.query.quantity) : undefined;
+		const container = await inventoryService.removeCardsFromContainer(
+			req.params.id,
+			req.params.productId,
+			quantity,
+			req.user
+		);
+		res.json({
+			success: true,
+			container,
+			message: "Card(s) removed from container",
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error removing cards", "[InventoryController] Remove cards from container");
+	}
+};
+
+/**
+ * Move copies of a card to another container in the same store
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Source container inventory ID
+ * @param {Object} req.body - Move data
+ * @param {string} req.body.toContainerId - Destination container inventory ID
+ * @param {string} req.body.productId - Single card product ID
+ * @param {number} req.body.quantity - Number of copies to move
+ * @param {string} [req.body.notes] - Optional note
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the move and both containers
+ * @throws {400} If the source holds too few copies or containers are in different stores
+ * @throws {404} If a container not found or card not in source container
+ */
+exports.moveCards = async (req, res) => {
+	try {
+		const result = await inventoryService.moveCardsBetweenContainers(
+			req.params.id,
+			req.body,
+			req.user
+		);
+		res.json({
+			success: true,
+			...result,
+			message: `Moved ${req.body.quantity} card(s)`,
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error moving cards", "[InventoryController] Move cards");
+	}
+};
+
+/**
+ * Get card moves into or out of a container
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Container inventory ID
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with card moves
+ * @throws {404} If container not found
+ */
+exports.getContainerMoves = async (req, res) => {
+	try {
+		const moves = await inventoryService.getContainerMoves(
+			req.params.id,
+			req.user
+		);
+		res.json({ success: true, moves });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error fetching card moves", "[InventoryController] Get container moves");
+	}
+};
+
+/**
+ * Move units of a product between the floor and back room
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Inventory ID of the source record
+ * @param {Object} req.body - Move data
+ * @param {number} req.body.quantity - Number of units to move
+ * @param {string} [req.body.toLocation] - Destination location (defaults to the other location)
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated source and destination records
+ * @throws {400} If quantity is invalid or exceeds the units at the source
+ * @throws {404} If inventory not found
+ */
+exports.moveInventory = async (req, res) => {
+	try {
+		const result = await inventoryService.moveBetweenLocations(
+			req.params.id,
+			req.body,
+			req.user
+		);
+		res.json({
+			success: true,
+			...result,
+			message: `Moved ${req.body.quantity} unit(s) to the ${result.to.location}`,
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error moving inventory", "[InventoryController] Move inventory");
+	}
+};
+
+/**
+ * Get the stock movement history of an inventory item
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Inventory ID
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with inventory and its ledger entries
+ * @throws {404} If inventory not found
+ */
+exports.getInventoryHistory = async (req, res) => {
+	try {
+		const result = await inventoryService.getInventoryHistory(
+			req.params.id,
+			req.user
+		);
+		res.json({ success: true, ...result });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error fetching inventory history", "[InventoryController] Get inventory history");
+	}
+};
+
+/**
+ * Place a hold on units of an inventory item
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Inventory ID
+ * @param {Object} req.body - Hold data
+ * @param {number} req.body.quantity - Number of units to hold
+ * @param {string} req.body.reason - Why the units are held
+ * @param {string} [req.body.expiresAt] - When the hold lapses
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated inventory (201 status)
+ * @throws {400} If hold data is invalid or too few units are available
+ * @throws {404} If inventory not found
+ */
+exports.placeHold = async (req, res) => {
+	try {
+		const inventory = await inventoryService.placeHold(
+			req.params.id,
+			req.body,
+			req.user
+		);
+		res.status(201).json({
+			success: true,
+			inventory,
+			message: `Held ${req.body.quantity} unit(s)`,
+		});
+	} catch (error) {
+		sendErrorResponse(res, error, "Error placing hold", "[InventoryController] Place hold");
+	}
+};
+
+/**
+ * Release a hold on an inventory item
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Inventory ID
+ * @param {string} req.params.holdId - Hold ID
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated inventory
+ * @throws {404} If inventory or hold not found
+ */
+exports.releaseHold = async (req, res) => {
+	try {
+		const inventory = await inventoryService.releaseHold(
+			req.params.id,
+			req.params.holdId,
+			req.user
+		);
+		res.json({ success: true, inventory, message: "Hold released" });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error releasing hold", "[InventoryController] Release hold");
+	}
+};
@@ -50,6 +50,7 @@ exports.getStoreById = async (req, res) => {
  * @param {string} req.body.name - Store name
  * @param {Object} req.body.location - Store location details
  * @param {number} req.body.maxCapacity - Maximum storage capacity
+ * @param {Object} [req.body.locationCapacity] - Optional floor/back limits ({ floor: { maxCapacity }, back: { maxCapacity } })
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with created store
  * @throws {400} If validation fails
@@ -76,6 +77,7 @@ exports.createStore = async (req, res) => {
  * @param {Object} req.body - Updated store data
  * @param {string} [req.body.name] - Updated store name
  * @param {number} [req.body.maxCapacity] - Updated maximum capacity
+ * @param {Object} [req.body.locationCapacity] - Updated floor/back limits (null removes a limit)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with updated store
  * @throws {404} If store not found
@@ -116,3 +118,26 @@ exports.deleteStore = async (req, res) => {
 		sendErrorResponse(res, error, "Error deleting store", "[StoreController] Delete store");
 	}
 };
+
+/**
+ * Reconcile cached store capacity with actual inventory
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Reconciliation options
+ * @param {string} [req.body.storeId] - Only reconcile this store (defaults to all active stores)
+ * @param {boolean} [req.body.dryRun=false] - Report drift without correcting it
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the drift report
+ * @throws {404} If store not found
+ */
+exports.reconcileCapacity = async (req, res) => {
+	try {
+		const report = await storeService.reconcileCapacity({
+			storeId: req.body?.storeId,
+			dryRun: req.body?.dryRun === true,
+		});
+		res.json({ success: true, report });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error reconciling store capacity", "[StoreController] Reconcile capacity");
+	}
+};
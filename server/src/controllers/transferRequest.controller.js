@@ -38,7 +38,7 @@ exports.createTransferRequest = async (req, res) => {
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
- * @param {string} [req.query.status] - Filter by status (open, requested, sent, complete, closed)
+ * @param {string} [req.query.status] - Filter by status (open, requested, counter-proposed, sent, partially-received, complete, rejected, closed)
  * @param {string} [req.query.storeId] - Filter by store ID (partners only)
  * @param {Object} req.user - Current authenticated user
  * @param {Object} res - Express response object
@@ -79,6 +79,107 @@ exports.getTransferRequestById = async (req, res) => {
 	}
 };
 
+/**
+ * Edit the items or notes of an open transfer request
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Transfer request ID
+ * @param {Object} req.body - Fields to change
+ * @param {Array} [req.body.items] - Full list of items to transfer (replaces the current items)
+ * @param {string} [req.body.notes] - Optional notes
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated transfer request
+ * @throws {400} If the request isn't open or an item is invalid or unavailable
+ * @throws {403} If user lacks permission
+ * @throws {404} If transfer request not found
+ * @throws {409} If the request changed while this update ran
+ */
+exports.updateTransferRequest = async (req, res) => {
+	try {
+		const transferRequest = await transferRequestService.updateTransferRequest(
+			req.params.id,
+			req.body,
+			req.user
+		);
+		res.json({ success: true, transferRequest });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error updating transfer request", "[TransferRequestController] Update transfer request");
+	}
+};
+
+/**
+ * Post a comment to a transfer request
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Transfer request ID
+ * @param {Object} req.body - Comment data
+ * @param {string} req.body.body - Comment text
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated transfer request
+ * @throws {400} If the comment is empty
+ * @throws {403} If user lacks permission
+ * @throws {404} If transfer request not found
+ */
+exports.addComment = async (req, res) => {
+	try {
+		const transferRequest = await transferRequestService.addComment(
+			req.params.id,
+			req.body.body,
+			req.user
+		);
+		res.status(201).json({ success: true, transferRequest });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error adding comment", "[TransferRequestController] Add comment");
+	}
+};
+
+/**
+ * Get suggested transfers that cover low stock from other stores' surplus
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with suggested draft requests
+ */
+exports.getRebalancingSuggestions = async (req, res) => {
+	try {
+		const suggestions = await transferRequestService.getRebalancingSuggestions();
+		res.json({ success: true, suggestions });
+	} catch (error) {
+		sendErrorResponse(res, error, "Error building rebalancing suggestions", "[TransferRequestController] Get rebalancing suggestions");
+	}
+};
+
+/**
+ * Get a printable packing slip or receiving manifest
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Transfer request ID
+ * @param {string} req.params.type - Document type ('packing-slip' or 'receiving-manifest')
+ * @param {Object} req.user - Current authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} HTML document
+ * @throws {400} If the document type is invalid or not available yet
+ * @throws {403} If user lacks permission
+ * @throws {404} If transfer request not found
+ */
+exports.getTransferDocument = async (req, res) => {
+	try {
+		const html = await transferRequestService.getTransferDocument(
+			req.params.id,
+			req.params.type,
+			req.user
+		);
+		res.type("html").send(html);
+	} catch (error) {
+		sendErrorResponse(res, error, "Error generating transfer document", "[TransferRequestController] Get transfer document");
+	}
+};
+
 /**
  * Update transfer request status with state transitions
  * @async
@@ -86,8 +187,12 @@ exports.getTransferRequestById = async (req, res) => {
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Transfer request ID
  * @param {Object} req.body - Update data
- * @param {string} req.body.status - New status (requested, sent, complete, closed)
+ * @param {string} req.body.status - New status (requested, counter-proposed, rejected, sent, complete, closed)
  * @param {string} [req.body.closeReason] - Reason if closing
+ * @param {Array<Object>} [req.body.items] - Shipped counts when sending, or received/damaged counts when receiving (with reasons for discrepancies)
+ * @param {Array<Object>} [req.body.destinations] - Where to put items on receipt (location, or destination container for cards)
+ * @param {string} [req.body.note] - Status note (required when resolving a partially received request or rejecting)
+ * @param {string} [req.body.decision] - Answer to a counter-proposal ('accepted' or 'declined')
  * @param {Object} req.user - Current authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with updated transfer request
@@ -97,12 +202,13 @@ exports.getTransferRequestById = async (req, res) => {
  */
 exports.updateTransferStatus = async (req, res) => {
 	try {
-		const { status, closeReason } = req.body;
+		const { status, closeReason, items, destinations, note, decision } =
+			req.body;
 		const transferRequest = await transferRequestService.updateTransferStatus(
 			req.params.id,
 			status,
 			req.user,
-			{ closeReason }
+			{ closeReason, items, destinations, note, decision }
 		);
 		res.json({ success: true, transferRequest });
 	} catch (error) {
@@ -0,0 +1,40 @@
+/**
+ * Capacity Reconciliation Job
+ * Periodically recomputes every store's used capacity and logs any drift
+ */
+
+const storeService = require("../services/store.service");
+
+/**
+ * Reconcile all active stores once and log the stores that drifted
+ * @async
+ * @returns {Promise<Object>} Reconciliation report
+ */
+exports.runCapacityReconciliation = async () => {
+	const report = await storeService.reconcileCapacity();
+
+	for (const store of report.drifted) {
+		console.warn(
+			`[CapacityReconciliation] ${store.name} drifted by ${store.drift.total} units (floor ${store.drift.floor}, back ${store.drift.back})`
+		);
+	}
+
+	return report;
+};
+
+/**
+ * Run the reconciliation on a fixed interval
+ * The timer doesn't keep the process alive on its own
+ * @param {number} intervalMinutes - Minutes between runs
+ * @returns {Object} Interval timer (pass to clearInterval to stop)
+ */
+exports.scheduleCapacityReconciliation = (intervalMinutes) => {
+	const timer = setInterval(() => {
+		exports.runCapacityReconciliation().catch((error) => {
+			console.error("[CapacityReconciliation] error:", error);
+		});
+	}, intervalMinutes * 60 * 1000);
+
+	timer.unref();
+	return timer;
+};
@@ -0,0 +1,82 @@
+/**
+ * Idempotency middleware
+ * Lets clients retry mutating requests safely with an Idempotency-Key header
+ *
+ * The first successful response for a key is stored and sent back unchanged
+ * for any retry. Failed requests (status 400 and above) release the key so
+ * the same submission can be tried again.
+ * NOTE: This middleware assumes requireAuth was called first (in index.js)
+ */
+
+const idempotencyService = require("../services/idempotency.service");
+const { sendErrorResponse } = require("../utils/errorHandler");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Deduplicate requests that carry an Idempotency-Key header
+ * Requests without the header are passed through unchanged
+ */
+async function idempotency(req, res, next) {
+	const key = req.get("Idempotency-Key");
+
+	if (SAFE_METHODS.includes(req.method) || key === undefined) {
+		return next();
+	}
+
+	let outcome;
+	try {
+		outcome = await idempotencyService.beginRequest({
+			key,
+			userId: req.user._id,
+			method: req.method,
+			path: req.originalUrl,
+			body: req.body,
+		});
+	} catch (error) {
+		return sendErrorResponse(
+			res,
+			error,
+			"Error checking idempotency key",
+			"[Idempotency] Begin"
+		);
+	}
+
+	if (outcome.replay) {
+		res.set("Idempotent-Replayed", "true");
+		return res.status(outcome.replay.statusCode).json(outcome.replay.body);
+	}
+
+	const recordId = outcome.record._id;
+	const sendJson = res.json.bind(res);
+	let settled = false;
+
+	// Save (or release) the key before the response goes out, so a retry sent
+	// after the client got this response always sees the final state
+	res.json = (body) => {
+		settled = true;
+		const settle =
+			res.statusCode < 400
+				? idempotencyService.completeRequest(recordId, res.statusCode, body)
+				: idempotencyService.releaseRequest(recordId);
+
+		settle
+			.catch((error) => console.error("[Idempotency] Settle error:", error))
+			.finally(() => sendJson(body));
+		return res;
+	};
+
+	// Responses not sent through res.json, or dropped connections, free the key
+	res.on("close", () => {
+		if (!settled) {
+			settled = true;
+			idempotencyService
+				.releaseRequest(recordId)
+				.catch((error) => console.error("[Idempotency] Release error:", error));
+		}
+	});
+
+	next();
+}
+
+module.exports = { idempotency };
@@ -0,0 +1,81 @@
+/**
+ * Card Move Model
+ * Records cards moved from one card container to another within a store
+ * (e.g. re-sorting a bulk bin into binders, promoting a card to the display case)
+ */
+
+const mongoose = require("mongoose");
+
+const cardMoveSchema = new mongoose.Schema(
+	{
+		storeId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Store",
+			required: true,
+			index: true,
+			// Both containers always belong to this store
+		},
+		fromContainerId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Inventory",
+			required: true,
+		},
+		toContainerId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Inventory",
+			required: true,
+		},
+		fromLocation: {
+			type: String,
+			required: true,
+			enum: ["floor", "back"],
+			// Location of the source container at the time of the move
+		},
+		toLocation: {
+			type: String,
+			required: true,
+			enum: ["floor", "back"],
+			// Location of the destination container at the time of the move
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			required: true,
+			// Single card that was moved
+		},
+		quantity: {
+			type: Number,
+			required: true,
+			min: [1, "Moved quantity must be at least 1"],
+		},
+		movedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		notes: {
+			type: String,
+			trim: true,
+			maxlength: [500, "Notes must not exceed 500 characters"],
+		},
+	},
+	{
+		timestamps: true,
+		// createdAt doubles as the time of the move
+	}
+);
+
+cardMoveSchema.index({ fromContainerId: 1, createdAt: -1 });
+cardMoveSchema.index({ toContainerId: 1, createdAt: -1 });
+
+// Validation: Source and destination must differ
+cardMoveSchema.pre("save", function () {
+	if (this.fromContainerId.equals(this.toContainerId)) {
+		throw new Error("Cannot move cards into the same container");
+	}
+});
+
+const CardMove =
+	mongoose.models.CardMove || mongoose.model("CardMove", cardMoveSchema);
+
+module.exports = { CardMove };
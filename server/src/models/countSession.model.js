@@ -0,0 +1,204 @@
+/**
+ * Count Session Model
+ * A physical stock-take (cycle count) of one store, optionally limited to one location
+ *
+ * Workflow:
+ * 1. open - Session started; expected quantities are frozen and staff enter counts
+ * 2. submitted - Counting finished, waiting for manager review
+ * 3. posted - Manager approved; variances were applied to inventory
+ * 4. cancelled - Abandoned without changing inventory
+ *
+ * The expected quantities are a snapshot taken when the session opens, so sales
+ * or restocks during the count don't move the goalposts. Variances are posted
+ * as deltas on top of the live quantity.
+ */
+
+const mongoose = require("mongoose");
+
+// Sub-schema for a card counted inside a container
+const countCardSchema = new mongoose.Schema(
+	{
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			required: true,
+		},
+		expectedQuantity: {
+			type: Number,
+			required: true,
+			min: 0,
+			// 0 for cards found in the container that the system didn't know about
+		},
+		countedQuantity: {
+			type: Number,
+			min: [0, "Counted quantity cannot be negative"],
+			default: null,
+			// null until someone counts this card
+		},
+		countedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		countedAt: {
+			type: Date,
+		},
+	},
+	{ _id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+// Virtual: Counted minus expected (null until counted)
+// Defined before the schema is embedded so the parent picks it up
+countCardSchema.virtual("variance").get(function () {
+	if (this.countedQuantity === null || this.countedQuantity === undefined) {
+		return null;
+	}
+	return this.countedQuantity - this.expectedQuantity;
+});
+
+// Sub-schema for one inventory record in the snapshot
+const countLineSchema = new mongoose.Schema(
+	{
+		inventoryId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Inventory",
+			required: true,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			// Set for standard inventory, empty for card containers
+		},
+		containerName: {
+			type: String,
+			// Set for card containers, empty for standard inventory
+		},
+		location: {
+			type: String,
+			required: true,
+			enum: ["floor", "back"],
+		},
+		expectedQuantity: {
+			type: Number,
+			min: 0,
+			// Standard inventory only
+		},
+		countedQuantity: {
+			type: Number,
+			min: [0, "Counted quantity cannot be negative"],
+			default: null,
+			// Standard inventory only; null until counted
+		},
+		countedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		countedAt: {
+			type: Date,
+		},
+		cards: [countCardSchema],
+	},
+	{ _id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+// Virtual: Whether this line is a card container
+countLineSchema.virtual("isCardContainer").get(function () {
+	return !this.productId;
+});
+
+// Virtual: Counted minus expected for standard inventory (null until counted)
+countLineSchema.virtual("variance").get(function () {
+	if (this.countedQuantity === null || this.countedQuantity === undefined) {
+		return null;
+	}
+	return this.countedQuantity - this.expectedQuantity;
+});
+
+const countSessionSchema = new mongoose.Schema(
+	{
+		storeId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Store",
+			required: true,
+		},
+		location: {
+			type: String,
+			enum: ["floor", "back"],
+			default: null,
+			// null = whole store
+		},
+		status: {
+			type: String,
+			required: true,
+			enum: ["open", "submitted", "posted", "cancelled"],
+			default: "open",
+		},
+		lines: [countLineSchema],
+		openedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		submittedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		submittedAt: {
+			type: Date,
+		},
+		postedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			// Manager who approved the adjustments
+		},
+		postedAt: {
+			type: Date,
+		},
+		cancelledBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		cancelledAt: {
+			type: Date,
+		},
+		notes: {
+			type: String,
+			trim: true,
+			maxlength: [1000, "Notes must not exceed 1000 characters"],
+		},
+	},
+	{
+		timestamps: true,
+		// createdAt is when the snapshot was taken
+		toJSON: { virtuals: true },
+		toObject: { virtuals: true },
+	}
+);
+
+countSessionSchema.index({ storeId: 1, status: 1 });
+countSessionSchema.index({ createdAt: -1 });
+
+// Virtual: Number of items (standard lines and container cards) counted so far
+countSessionSchema.virtual("countedItems").get(function () {
+	return (this.lines || []).reduce((total, line) => {
+		if (line.productId) {
+			return total + (line.countedQuantity !== null ? 1 : 0);
+		}
+		return (
+			total + line.cards.filter((card) => card.countedQuantity !== null).length
+		);
+	}, 0);
+});
+
+// Virtual: Number of items (standard lines and container cards) to count
+countSessionSchema.virtual("totalItems").get(function () {
+	return (this.lines || []).reduce(
+		(total, line) => total + (line.productId ? 1 : line.cards.length),
+		0
+	);
+});
+
+const CountSession =
+	mongoose.models.CountSession ||
+	mongoose.model("CountSession", countSessionSchema);
+
+module.exports = { CountSession };
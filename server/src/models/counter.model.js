@@ -0,0 +1,30 @@
+/**
+ * Counter Model
+ * Named sequences incremented atomically, used to hand out numbers that must
+ * never repeat (e.g. transfer request numbers)
+ */
+
+const mongoose = require("mongoose");
+
+const counterSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			// Sequence name (e.g., transferRequest:TR-20231215-)
+		},
+		seq: {
+			type: Number,
+			default: 0,
+			min: [0, "Sequence cannot be negative"],
+			// Last number handed out
+		},
+	},
+	{
+		versionKey: false,
+	}
+);
+
+const Counter =
+	mongoose.models.Counter || mongoose.model("Counter", counterSchema);
+
+module.exports = { Counter };
@@ -0,0 +1,109 @@
+/**
+ * Floor Display Rule Model
+ * A store's minimum quantity of stock that must be on the sales floor
+ *
+ * A rule targets exactly one level of Inventory.getFloorDisplayQuantities:
+ * - productId: a specific product
+ * - productType + brand: e.g. at least 24 Pokémon booster packs
+ * - productType: e.g. at least 10 deck boxes of any brand
+ * - brand: e.g. at least 30 Magic: The Gathering items of any type
+ */
+
+const mongoose = require("mongoose");
+
+const floorDisplayRuleSchema = new mongoose.Schema(
+	{
+		storeId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Store",
+			required: [true, "Store ID is required"],
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			default: null,
+			// Set for product rules; productType and brand must then be empty
+		},
+		productType: {
+			type: String,
+			enum: [
+				"singleCard",
+				"boosterPack",
+				"collectorBooster",
+				"deck",
+				"deckBox",
+				"dice",
+				"sleeves",
+				"playmat",
+				"binder",
+				"other",
+			],
+			default: null,
+		},
+		brand: {
+			type: String,
+			trim: true,
+			default: null,
+		},
+		minQuantity: {
+			type: Number,
+			required: [true, "Minimum quantity is required"],
+			min: [1, "Minimum quantity must be at least 1"],
+			validate: {
+				validator: Number.isInteger,
+				message: "Minimum quantity must be a whole number",
+			},
+		},
+		notes: {
+			type: String,
+			trim: true,
+			maxlength: [500, "Notes must not exceed 500 characters"],
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { virtuals: true },
+		toObject: { virtuals: true },
+	}
+);
+
+// One rule per target in a store
+floorDisplayRuleSchema.index(
+	{ storeId: 1, productId: 1, productType: 1, brand: 1 },
+	{ unique: true }
+);
+
+// Virtual: Which level of the floor quantities this rule checks
+floorDisplayRuleSchema.virtual("scope").get(function () {
+	if (this.productId) return "product";
+	if (this.productType && this.brand) return "productTypeAndBrand";
+	if (this.productType) return "productType";
+	return "brand";
+});
+
+// Pre-validate: A rule targets either a product or a type/brand, never both or neither
+floorDisplayRuleSchema.pre("validate", function () {
+	const hasCategory = Boolean(this.productType || this.brand);
+
+	if (this.productId && hasCategory) {
+		throw new Error(
+			"A floor display rule targets either a product or a product type/brand, not both"
+		);
+	}
+
+	if (!this.productId && !hasCategory) {
+		throw new Error(
+			"A floor display rule needs a product, product type or brand"
+		);
+	}
+});
+
+const FloorDisplayRule =
+	mongoose.models.FloorDisplayRule ||
+	mongoose.model("FloorDisplayRule", floorDisplayRuleSchema);
+
+module.exports = { FloorDisplayRule };
@@ -0,0 +1,63 @@
+/**
+ * Idempotency Key Model
+ * Remembers the first response to a request sent with an Idempotency-Key
+ * header so retries of the same submission get that response back instead
+ * of running the write again
+ *
+ * Keys are scoped to the user who sent them and expire after 24 hours.
+ */
+
+const mongoose = require("mongoose");
+
+const idempotencyKeySchema = new mongoose.Schema(
+	{
+		key: {
+			type: String,
+			required: [true, "Idempotency key is required"],
+			maxlength: [255, "Idempotency key must not exceed 255 characters"],
+		},
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		method: {
+			type: String,
+			required: true,
+		},
+		path: {
+			type: String,
+			required: true,
+		},
+		requestHash: {
+			type: String,
+			required: true,
+			// SHA-256 of the request body, used to spot a key reused for other data
+		},
+		statusCode: {
+			type: Number,
+			default: null,
+			// null while the first request is still being processed
+		},
+		responseBody: {
+			type: String,
+			// JSON of the stored response
+		},
+		createdAt: {
+			type: Date,
+			default: Date.now,
+			expires: 60 * 60 * 24,
+		},
+	},
+	{
+		timestamps: false,
+	}
+);
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey =
+	mongoose.models.IdempotencyKey ||
+	mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+module.exports = { IdempotencyKey };
@@ -15,7 +15,7 @@ const cardItemSchema = new mongoose.Schema(
 			type: mongoose.Schema.Types.ObjectId,
 			ref: "Product",
 			required: true,
-			// Reference to the card product (must be productType: "singleCard")
+			// Reference to the card product (must be productType: "singleCard", enforced on save)
 		},
 		quantity: {
 			type: Number,
@@ -61,6 +61,50 @@ const cardContainerSchema = new mongoose.Schema(
 	{ _id: false }
 );
 
+// Sub-schema for a hold that reserves units of standard inventory
+const holdSchema = new mongoose.Schema(
+	{
+		quantity: {
+			type: Number,
+			required: [true, "Hold quantity is required"],
+			min: [1, "Hold quantity must be at least 1"],
+		},
+		reason: {
+			type: String,
+			required: [true, "Hold reason is required"],
+			trim: true,
+			maxlength: [200, "Hold reason must not exceed 200 characters"],
+			// e.g., "Reserved for tournament", "Customer pickup - J. Smith"
+		},
+		ownerId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+			// Staff member responsible for the hold
+		},
+		expiresAt: {
+			type: Date,
+			default: null,
+			// null = held until released
+		},
+		transferRequestId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "TransferRequest",
+			default: null,
+			// Set when the units are committed to a transfer request; the hold is
+			// released by the transfer itself when it is sent, rejected or closed
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			default: null,
+			// Card held inside a card container (null for standard inventory, and
+			// for a card container committed whole)
+		},
+	},
+	{ timestamps: { createdAt: true, updatedAt: false } }
+);
+
 const inventorySchema = new mongoose.Schema(
 	{
 		storeId: {
@@ -118,7 +162,13 @@ const inventorySchema = new mongoose.Schema(
 		notes: {
 			type: String,
 			trim: true,
-			// Free-form notes for employees (e.g., "Damaged box", "Reserved for tournament", "Promotional display")
+			// Free-form notes for employees (e.g., "Damaged box", "Promotional display")
+		},
+		holds: {
+			type: [holdSchema],
+			default: [],
+			// Units reserved for a purpose (standard inventory only)
+			// Held units are on hand but not available to transfers or sales
 		},
 		isActive: {
 			type: Boolean,
@@ -130,6 +180,8 @@ const inventorySchema = new mongoose.Schema(
 	},
 	{
 		timestamps: true,
+		// Every save bumps __v and fails if the record changed since it was read
+		optimisticConcurrency: true,
 		toJSON: { virtuals: true },
 		toObject: { virtuals: true },
 	}
@@ -144,6 +196,26 @@ inventorySchema.index({ "cardContainer.cardInventory.productId": 1 }); // Find a
 inventorySchema.index({ quantity: 1 }); // Low-stock queries
 inventorySchema.index({ minStockLevel: 1 }); // Alert threshold queries
 
+// Pre-update: Atomic updates bump the version too, so a save based on an
+// earlier read is rejected rather than overwriting them. Updates that only
+// place, release or prune holds (transfer reservations included) leave the
+// version alone; they don't change anything an edit form shows
+inventorySchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+	const update = this.getUpdate();
+	if (!update || Array.isArray(update)) return;
+
+	// Timestamps are added to every update, so they don't count as changes
+	const fields = Object.entries(update)
+		.flatMap(([key, value]) =>
+			key.startsWith("$") ? Object.keys(value || {}) : [key]
+		)
+		.map((path) => path.split(".")[0])
+		.filter((field) => field !== "createdAt" && field !== "updatedAt");
+	if (fields.length > 0 && fields.every((field) => field === "holds")) return;
+
+	this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+});
+
 // Virtual: Check if this is a card container
 inventorySchema.virtual("isCardContainer").get(function () {
 	return this.cardContainer !== null && this.cardContainer !== undefined;
@@ -168,6 +240,39 @@ inventorySchema.virtual("uniqueCardTypes").get(function () {
 	return this.cardContainer.cardInventory.length;
 });
 
+// Virtual: Total units under unexpired holds (for standard inventory only)
+inventorySchema.virtual("heldQuantity").get(function () {
+	if (this.cardContainer || !this.holds) {
+		return 0;
+	}
+	const now = new Date();
+	return this.holds
+		.filter((hold) => !hold.expiresAt || hold.expiresAt > now)
+		.reduce((sum, hold) => sum + hold.quantity, 0);
+});
+
+// Virtual: Units on hand that are not held (for standard inventory only)
+inventorySchema.virtual("availableQuantity").get(function () {
+	if (this.cardContainer) {
+		return undefined;
+	}
+	return Math.max((this.quantity || 0) - this.heldQuantity, 0);
+});
+
+// Virtual: Container committed whole to a transfer (for card containers only)
+inventorySchema.virtual("isReservedWhole").get(function () {
+	return Boolean(
+		this.cardContainer && this.holds?.some((hold) => !hold.productId)
+	);
+});
+
+// Method: Copies of a card committed to transfers (for card containers only)
+inventorySchema.methods.heldCopiesOf = function (productId) {
+	return (this.holds || [])
+		.filter((hold) => hold.productId?.toString() === productId.toString())
+		.reduce((sum, hold) => sum + hold.quantity, 0);
+};
+
 // Virtual: Calculate effective unit size for capacity tracking
 inventorySchema.virtual("effectiveUnitSize").get(function () {
 	if (this.cardContainer) {
@@ -213,6 +318,38 @@ inventorySchema.pre("save", function () {
 	}
 });
 
+// Pre-save validation: Card containers hold only single cards, one entry per card
+inventorySchema.pre("save", async function () {
+	if (!this.cardContainer || !(this.isNew || this.isModified("cardContainer"))) {
+		return;
+	}
+
+	const cardIds = this.cardContainer.cardInventory.map((card) =>
+		(card.productId?._id || card.productId).toString()
+	);
+
+	if (new Set(cardIds).size !== cardIds.length) {
+		throw new Error(
+			"Card containers cannot list the same card twice (merge quantities instead)"
+		);
+	}
+
+	if (cardIds.length === 0) {
+		return;
+	}
+
+	const nonCardCount = await mongoose.model("Product").countDocuments({
+		_id: { $in: cardIds },
+		productType: { $ne: "singleCard" },
+	});
+
+	if (nonCardCount > 0) {
+		throw new Error(
+			"Card containers can only hold single cards (productType: singleCard)"
+		);
+	}
+});
+
 // Static method: Find all inventory at a specific store
 inventorySchema.statics.findByStore = function (storeId, options = {}) {
 	const query = { storeId, isActive: true };
@@ -269,27 +406,70 @@ inventorySchema.statics.findLowStock = function (storeId = null) {
 		.sort({ quantity: 1 });
 };
 
-// Static method: Calculate total capacity used at a store
-inventorySchema.statics.calculateStoreCapacity = async function (storeId) {
-	const inventory = await this.find({ storeId, isActive: true }).populate(
-		"productId"
-	);
-
-	let totalCapacity = 0;
+// Static method: Calculate capacity used at each location of a store
+// Runs as a single aggregation so large stores don't load every document
+inventorySchema.statics.calculateCapacityByLocation = async function (
+	storeId
+) {
+	const results = await this.aggregate([
+		{
+			$match: {
+				storeId: new mongoose.Types.ObjectId(String(storeId)),
+				isActive: true,
+			},
+		},
+		{
+			$lookup: {
+				from: "products",
+				localField: "productId",
+				foreignField: "_id",
+				as: "product",
+			},
+		},
+		{
+			$group: {
+				_id: "$location",
+				used: {
+					$sum: {
+						$cond: [
+							{ $eq: [{ $type: "$cardContainer" }, "object"] },
+							// Containers take up their own physical size
+							{ $ifNull: ["$cardContainer.containerUnitSize", 0] },
+							// Everything else takes quantity × unitSize
+							{
+								$multiply: [
+									"$quantity",
+									{
+										$ifNull: [
+											{ $arrayElemAt: ["$product.unitSize", 0] },
+											0,
+										],
+									},
+								],
+							},
+						],
+					},
+				},
+			},
+		},
+	]);
 
-	for (const item of inventory) {
-		if (item.cardContainer) {
-			// Add container's physical size
-			totalCapacity += item.cardContainer.containerUnitSize || 0;
-		} else {
-			// Add product quantity × unitSize
-			if (item.productId?.unitSize) {
-				totalCapacity += item.quantity * item.productId.unitSize;
-			}
-		}
+	const usage = { floor: 0, back: 0 };
+	for (const result of results) {
+		usage[result._id] = result.used;
 	}
 
-	return totalCapacity;
+	return usage;
+};
+
+// Static method: Calculate total capacity used at a store, or at one location of it
+inventorySchema.statics.calculateStoreCapacity = async function (
+	storeId,
+	location = null
+) {
+	const usage = await this.calculateCapacityByLocation(storeId);
+
+	return location ? usage[location] || 0 : usage.floor + usage.back;
 };
 
 // Static method: Get floor display quantities by product type, brand, or specific product
@@ -0,0 +1,116 @@
+/**
+ * Stock Movement Model
+ * Append-only ledger of every quantity change on a standard inventory record
+ *
+ * Each entry stores the change (delta) and the quantity it left behind, so an
+ * item's history can be read back without replaying the whole ledger.
+ * Entries are never edited or deleted; corrections are new entries.
+ */
+
+const mongoose = require("mongoose");
+
+const stockMovementSchema = new mongoose.Schema(
+	{
+		inventoryId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Inventory",
+			required: true,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+			required: true,
+		},
+		storeId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Store",
+			required: true,
+		},
+		location: {
+			type: String,
+			enum: ["floor", "back"],
+			// Location of the inventory record when the change happened
+		},
+		delta: {
+			type: Number,
+			required: true,
+			validate: {
+				validator: (value) => value !== 0,
+				message: "Stock movement delta cannot be 0",
+			},
+			// Positive = units added, negative = units removed
+		},
+		resultingQuantity: {
+			type: Number,
+			required: true,
+			min: [0, "Resulting quantity cannot be negative"],
+		},
+		reason: {
+			type: String,
+			required: true,
+			enum: [
+				"receive",
+				"sale",
+				"damage",
+				"transfer-out",
+				"transfer-in",
+				"count-adjust",
+				"relocate",
+				"manual",
+			],
+		},
+		performedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			// Empty for changes made by system processes
+		},
+		transferRequestId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "TransferRequest",
+			// Set for transfer-out / transfer-in movements
+		},
+		notes: {
+			type: String,
+			trim: true,
+			maxlength: [500, "Notes must not exceed 500 characters"],
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+		// createdAt is the time of the movement
+	}
+);
+
+stockMovementSchema.index({ inventoryId: 1, createdAt: -1 });
+stockMovementSchema.index({ storeId: 1, createdAt: -1 });
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+
+// Ledger is append-only: existing entries can't be saved again
+stockMovementSchema.pre("save", function () {
+	if (!this.isNew) {
+		throw new Error("Stock movements are append-only and cannot be modified");
+	}
+});
+
+// ...nor changed or removed through queries
+stockMovementSchema.pre(
+	[
+		"updateOne",
+		"updateMany",
+		"findOneAndUpdate",
+		"replaceOne",
+		"findOneAndReplace",
+		"deleteOne",
+		"deleteMany",
+		"findOneAndDelete",
+	],
+	function () {
+		throw new Error("Stock movements are append-only and cannot be modified");
+	}
+);
+
+const StockMovement =
+	mongoose.models.StockMovement ||
+	mongoose.model("StockMovement", stockMovementSchema);
+
+module.exports = { StockMovement };
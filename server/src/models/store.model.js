@@ -4,6 +4,25 @@
 
 const mongoose = require("mongoose");
 
+// Sub-schema for the space limit and usage of one location (floor or back)
+const locationCapacitySchema = new mongoose.Schema(
+	{
+		maxCapacity: {
+			type: Number,
+			min: [0, "Location max capacity cannot be negative"],
+			default: null,
+			// null = no separate limit; only the store-wide maxCapacity applies
+		},
+		currentCapacity: {
+			type: Number,
+			default: 0,
+			min: [0, "Location current capacity cannot be negative"],
+			// Space used at this location (kept in step with inventory changes)
+		},
+	},
+	{ _id: false }
+);
+
 const storeSchema = new mongoose.Schema(
 	{
 		name: {
@@ -54,6 +73,29 @@ const storeSchema = new mongoose.Schema(
 				message: "Current capacity cannot exceed max capacity",
 			},
 		},
+		locationCapacity: {
+			floor: {
+				type: locationCapacitySchema,
+				default: () => ({}),
+			},
+			back: {
+				type: locationCapacitySchema,
+				default: () => ({}),
+			},
+			// Floor space and the back room fill up independently; the two
+			// usages add up to currentCapacity
+		},
+		requestPrefix: {
+			type: String,
+			trim: true,
+			uppercase: true,
+			default: null,
+			match: [
+				/^[A-Z0-9]{2,6}$/,
+				"Request prefix must be 2-6 letters or digits",
+			],
+			// Optional code added to transfer request numbers (e.g., TR-SEA-20231215-0001)
+		},
 		isActive: {
 			type: Boolean,
 			default: true,
@@ -70,6 +112,18 @@ const storeSchema = new mongoose.Schema(
 // Indexes for common queries
 storeSchema.index({ name: 1 });
 
+// Pre-validate: A location can't hold more than the whole store
+storeSchema.pre("validate", function () {
+	for (const location of ["floor", "back"]) {
+		const limit = this.locationCapacity?.[location]?.maxCapacity;
+		if (limit !== null && limit !== undefined && limit > this.maxCapacity) {
+			throw new Error(
+				`The ${location} max capacity cannot exceed the store's max capacity`
+			);
+		}
+	}
+});
+
 // Virtual: Full address string
 storeSchema.virtual("fullAddress").get(function () {
 	return `${this.location.address}, ${this.location.city}, ${this.location.state} ${this.location.zipCode}`;
@@ -5,8 +5,12 @@
  * Workflow:
  * 1. open - Draft request being created
  * 2. requested - Manager/Partner has submitted the request
+ *    (counter-proposed - source store offered fewer units; the requesting
+ *    store accepts or declines, which returns it to requested)
+ *    (rejected - source store can't fulfil it; final)
  * 3. sent - Source store has shipped the inventory
  * 4. complete - Destination store has received the inventory
+ *    (partially-received - arrived short or damaged; waits for a partner to resolve it)
  * 5. closed - Cancelled/closed by partner
  */
 
@@ -15,16 +19,27 @@ const mongoose = require("mongoose");
 // Sub-schema for individual items in the transfer
 const transferItemSchema = new mongoose.Schema(
 	{
+		itemType: {
+			type: String,
+			enum: ["product", "cards", "container"],
+			default: "product",
+			// product: units of a standard inventory record
+			// cards: specific cards taken out of a card container (see cardItems)
+			// container: a whole card container with everything in it
+		},
 		inventoryId: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: "Inventory",
 			required: true,
-			// Reference to the specific inventory record being transferred
+			// Reference to the specific inventory record (or card container) being transferred
 		},
 		productId: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: "Product",
-			required: true,
+			required: function () {
+				// Card containers have no product of their own
+				return this.itemType === "product";
+			},
 			// Reference to the product for easy querying/display
 		},
 		requestedQuantity: {
@@ -32,8 +47,9 @@ const transferItemSchema = new mongoose.Schema(
 			required: true,
 			min: [1, "Requested quantity must be at least 1"],
 			// How many units are being requested
+			// cards: total copies across cardItems; container: always 1
 		},
-		// For card containers, which specific cards are being transferred
+		// For "cards" items, which specific cards are being transferred
 		cardItems: [
 			{
 				productId: {
@@ -48,6 +64,104 @@ const transferItemSchema = new mongoose.Schema(
 				},
 			},
 		],
+		destinationContainerId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Inventory",
+			default: null,
+			// For "cards" items, the destination store's container that receives
+			// the cards. null = a matching new container is created on receipt
+		},
+		shippedQuantity: {
+			type: Number,
+			min: [0, "Shipped quantity cannot be negative"],
+			default: null,
+			// Units actually sent (null until sent; may be below requestedQuantity)
+		},
+		receivedQuantity: {
+			type: Number,
+			min: [0, "Received quantity cannot be negative"],
+			default: null,
+			// Undamaged units that arrived (null until received)
+		},
+		damagedQuantity: {
+			type: Number,
+			min: [0, "Damaged quantity cannot be negative"],
+			default: 0,
+			// Units that arrived damaged; added to the destination but held
+		},
+		proposedQuantity: {
+			type: Number,
+			min: [1, "Proposed quantity must be at least 1"],
+			default: null,
+			// Units the source store offered in a pending counter-proposal
+		},
+		receivedLocation: {
+			type: String,
+			enum: ["floor", "back"],
+			default: null,
+			// Where the destination store put the items (null until received)
+		},
+	},
+	{ _id: false }
+);
+
+// Sub-schema for a difference between what was expected and what was counted
+const discrepancySchema = new mongoose.Schema(
+	{
+		inventoryId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Inventory",
+			required: true,
+			// Source inventory record of the affected item
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+		},
+		expectedQuantity: {
+			type: Number,
+			required: true,
+			// Requested units when sending, shipped units when receiving
+		},
+		actualQuantity: {
+			type: Number,
+			required: true,
+			// Units shipped, or undamaged units received
+		},
+		damagedQuantity: {
+			type: Number,
+			default: 0,
+		},
+		reason: {
+			type: String,
+			required: [true, "A reason is required for each discrepancy"],
+			trim: true,
+			maxlength: [500, "Discrepancy reason must not exceed 500 characters"],
+		},
+	},
+	{ _id: false }
+);
+
+// Sub-schema for one item of a counter-proposal
+const proposedItemSchema = new mongoose.Schema(
+	{
+		inventoryId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Inventory",
+			required: true,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Product",
+		},
+		requestedQuantity: {
+			type: Number,
+			required: true,
+		},
+		proposedQuantity: {
+			type: Number,
+			required: true,
+		},
 	},
 	{ _id: false }
 );
@@ -75,7 +189,16 @@ const transferRequestSchema = new mongoose.Schema(
 		status: {
 			type: String,
 			required: true,
-			enum: ["open", "requested", "sent", "complete", "closed"],
+			enum: [
+				"open",
+				"requested",
+				"counter-proposed",
+				"sent",
+				"partially-received",
+				"complete",
+				"rejected",
+				"closed",
+			],
 			default: "open",
 		},
 		items: {
@@ -121,6 +244,19 @@ const transferRequestSchema = new mongoose.Schema(
 			type: Date,
 			// When items were received
 		},
+		rejectedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			// Source store user who turned the request down
+		},
+		rejectedAt: {
+			type: Date,
+		},
+		rejectionReason: {
+			type: String,
+			trim: true,
+			maxlength: [500, "Rejection reason must not exceed 500 characters"],
+		},
 		closedBy: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: "User",
@@ -144,7 +280,16 @@ const transferRequestSchema = new mongoose.Schema(
 				status: {
 					type: String,
 					required: true,
-					enum: ["open", "requested", "sent", "complete", "closed"],
+					enum: [
+						"open",
+						"requested",
+						"counter-proposed",
+						"sent",
+						"partially-received",
+						"complete",
+						"rejected",
+						"closed",
+					],
 				},
 				changedBy: {
 					type: mongoose.Schema.Types.ObjectId,
@@ -154,6 +299,60 @@ const transferRequestSchema = new mongoose.Schema(
 					type: Date,
 					default: Date.now,
 				},
+				note: {
+					type: String,
+					trim: true,
+					maxlength: [500, "Status note must not exceed 500 characters"],
+					// e.g., how a partner resolved a partially received request
+				},
+				proposal: {
+					type: [proposedItemSchema],
+					default: undefined,
+					// Reduced quantities offered in a counter-proposal
+				},
+				decision: {
+					type: String,
+					enum: ["accepted", "declined"],
+					// Answer to a counter-proposal
+				},
+				discrepancies: {
+					type: [discrepancySchema],
+					default: undefined,
+					// Short shipments, shortages and damage found at this step
+				},
+			},
+		],
+		comments: [
+			{
+				authorId: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+					required: true,
+				},
+				body: {
+					type: String,
+					required: [true, "Comment is required"],
+					trim: true,
+					maxlength: [1000, "Comment must not exceed 1000 characters"],
+				},
+				status: {
+					type: String,
+					enum: [
+						"open",
+						"requested",
+						"counter-proposed",
+						"sent",
+						"partially-received",
+						"complete",
+						"rejected",
+						"closed",
+					],
+					// Request status when the comment was posted
+				},
+				createdAt: {
+					type: Date,
+					default: Date.now,
+				},
 			},
 		],
 		isActive: {
@@ -202,10 +401,42 @@ transferRequestSchema.methods.canTransitionTo = function (
 	storeId
 ) {
 	const currentStatus = this.status;
+	const isPartner = user.role === "partner";
+	const managesStore = (requestStoreId) =>
+		user.role === "store-manager" && requestStoreId.equals(storeId);
+
+	// A rejected request is final
+	if (currentStatus === "rejected") {
+		return false;
+	}
 
 	// Only partners can close requests
 	if (newStatus === "closed") {
-		return user.role === "partner";
+		return isPartner;
+	}
+
+	// The source store answers a submitted request by rejecting it or offering
+	// fewer units
+	if (newStatus === "rejected" || newStatus === "counter-proposed") {
+		return (
+			currentStatus === "requested" &&
+			(isPartner || managesStore(this.fromStoreId))
+		);
+	}
+
+	// The requesting store accepts or declines a counter-proposal, which puts
+	// the request back to requested
+	if (currentStatus === "counter-proposed") {
+		return (
+			newStatus === "requested" &&
+			(isPartner || managesStore(this.toStoreId))
+		);
+	}
+
+	// A partially received request can only be resolved (completed) or
+	// closed by a partner
+	if (currentStatus === "partially-received") {
+		return user.role === "partner" && newStatus === "complete";
 	}
 
 	// Partners can do anything except close→complete
@@ -0,0 +1,132 @@
+/**
+ * Count Session Repository
+ * Handles all database operations for cycle count sessions
+ */
+
+const mongoose = require("mongoose");
+const { CountSession } = require("../models/countSession.model");
+
+/**
+ * Populate the references shown with a count session
+ * @param {Object} query - Mongoose query
+ * @returns {Object} Query with populates applied
+ */
+const populateSession = (query) =>
+	query
+		.populate("storeId", "name location")
+		.populate("openedBy", "username firstName lastName")
+		.populate("submittedBy", "username firstName lastName")
+		.populate("postedBy", "username firstName lastName")
+		.populate("cancelledBy", "username firstName lastName")
+		.populate("lines.productId", "name sku productType")
+		.populate("lines.cards.productId", "name sku cardDetails")
+		.populate("lines.countedBy", "username")
+		.populate("lines.cards.countedBy", "username");
+
+// Line fields left out of lists; progress only needs each line's product and
+// counted quantities
+const LIST_PROJECTION =
+	"-lines.inventoryId -lines.containerName -lines.location " +
+	"-lines.expectedQuantity -lines.countedBy -lines.countedAt " +
+	"-lines.cards.productId -lines.cards.expectedQuantity " +
+	"-lines.cards.countedBy -lines.cards.countedAt";
+
+/**
+ * Find count sessions with optional filters, newest first
+ * Lines are trimmed to what the countedItems and totalItems virtuals need, to
+ * keep list responses small
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.storeId] - Store ID
+ * @param {string} [filters.status] - Session status
+ * @returns {Promise<Array>} Array of count session documents
+ */
+exports.findAll = async (filters = {}) => {
+	const query = {};
+
+	// Only add filters that have values
+	if (filters.storeId) {
+		query.storeId = filters.storeId;
+	}
+	if (filters.status) {
+		query.status = filters.status;
+	}
+
+	return await CountSession.find(query)
+		.select(LIST_PROJECTION)
+		.populate("storeId", "name location")
+		.populate("openedBy", "username firstName lastName")
+		.populate("postedBy", "username firstName lastName")
+		.sort({ createdAt: -1 });
+};
+
+/**
+ * Find count session by ID with all references populated
+ * @param {string} id - Count session ID
+ * @returns {Promise<Object|null>} Count session document or null
+ */
+exports.findById = async (id) => {
+	return await populateSession(CountSession.findById(id));
+};
+
+/**
+ * Find count session by ID without populating (for updates)
+ * @param {string} id - Count session ID
+ * @returns {Promise<Object|null>} Count session document or null
+ */
+exports.findByIdForUpdate = async (id) => {
+	return await CountSession.findById(id);
+};
+
+/**
+ * Find unfinished (open or submitted) sessions at a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Array>} Array of count session documents
+ */
+exports.findUnfinishedByStore = async (storeId) => {
+	return await CountSession.find({
+		storeId,
+		status: { $in: ["open", "submitted"] },
+	});
+};
+
+/**
+ * Create new count session
+ * @param {Object} sessionData - Count session data
+ * @returns {Promise<Object>} Created count session document
+ */
+exports.create = async (sessionData) => {
+	return await CountSession.create(sessionData);
+};
+
+/**
+ * Update a count session only while it is still in the expected status
+ * Lets exactly one of several concurrent requests claim a status change
+ * @param {string} id - Count session ID
+ * @param {string} expectedStatus - Status the session must still have
+ * @param {Object} updateData - Update data
+ * @returns {Promise<Object|null>} Updated session, or null if its status changed
+ */
+exports.updateIfStatus = async (id, expectedStatus, updateData) => {
+	return await CountSession.findOneAndUpdate(
+		{ _id: id, status: expectedStatus },
+		updateData,
+		{ new: true, runValidators: true }
+	);
+};
+
+/**
+ * Save changes made to a loaded count session only while it is still in the
+ * expected status
+ * @param {Object} session - Count session document with unsaved changes
+ * @param {string} expectedStatus - Status the session must still have
+ * @returns {Promise<Object|null>} Saved session, or null if its status changed
+ */
+exports.saveIfStatus = async (session, expectedStatus) => {
+	session.$where = { status: expectedStatus };
+	try {
+		return await session.save();
+	} catch (error) {
+		if (error instanceof mongoose.Error.DocumentNotFoundError) return null;
+		throw error;
+	}
+};
@@ -0,0 +1,81 @@
+/**
+ * Floor Display Rule Repository
+ * Handles all database operations for floor display minimum rules
+ */
+
+const { FloorDisplayRule } = require("../models/floorDisplayRule.model");
+
+/**
+ * Find the floor display rules of a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Array>} Array of rule documents with populated product
+ */
+exports.findByStore = async (storeId) => {
+	return await FloorDisplayRule.find({ storeId })
+		.populate("productId", "name sku productType brand")
+		.sort({ productType: 1, brand: 1, createdAt: 1 });
+};
+
+/**
+ * Find a floor display rule by ID
+ * @param {string} id - Rule ID
+ * @returns {Promise<Object|null>} Rule document or null
+ */
+exports.findById = async (id) => {
+	return await FloorDisplayRule.findById(id).populate(
+		"productId",
+		"name sku productType brand"
+	);
+};
+
+/**
+ * Find a store's rule for the same target (product, type and/or brand)
+ * @param {Object} target - { storeId, productId, productType, brand }
+ * @returns {Promise<Object|null>} Matching rule or null
+ */
+exports.findDuplicate = async ({ storeId, productId, productType, brand }) => {
+	return await FloorDisplayRule.findOne({
+		storeId,
+		productId: productId || null,
+		productType: productType || null,
+		brand: brand || null,
+	});
+};
+
+/**
+ * Create a floor display rule
+ * @param {Object} ruleData - Rule data
+ * @returns {Promise<Object>} Created rule document
+ */
+exports.create = async (ruleData) => {
+	const rule = new FloorDisplayRule(ruleData);
+	return await rule.save();
+};
+
+/**
+ * Update a floor display rule by ID
+ * @param {string} id - Rule ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated rule document or null
+ */
+exports.update = async (id, updates) => {
+	const rule = await FloorDisplayRule.findById(id);
+	if (!rule) return null;
+
+	Object.keys(updates).forEach((key) => {
+		if (updates[key] !== undefined) {
+			rule[key] = updates[key];
+		}
+	});
+
+	return await rule.save();
+};
+
+/**
+ * Delete a floor display rule by ID
+ * @param {string} id - Rule ID
+ * @returns {Promise<Object|null>} Deleted rule document or null
+ */
+exports.delete = async (id) => {
+	return await FloorDisplayRule.findByIdAndDelete(id);
+};
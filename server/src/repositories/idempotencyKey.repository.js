@@ -0,0 +1,50 @@
+/**
+ * Idempotency Key Repository
+ * Handles database operations for stored idempotent responses
+ */
+
+const { IdempotencyKey } = require("../models/idempotencyKey.model");
+
+/**
+ * Create a key record in the "in progress" state
+ * Fails with a duplicate key error (code 11000) if the user already used the key
+ * @param {Object} keyData - Idempotency key data
+ * @returns {Promise<Object>} Created idempotency key document
+ */
+exports.create = async (keyData) => {
+	return await IdempotencyKey.create(keyData);
+};
+
+/**
+ * Find a user's key record
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object|null>} Idempotency key document or null
+ */
+exports.findByUserAndKey = async (userId, key) => {
+	return await IdempotencyKey.findOne({ userId, key });
+};
+
+/**
+ * Store the response for a key
+ * @param {string} id - Idempotency key record ID
+ * @param {number} statusCode - HTTP status code sent
+ * @param {string} responseBody - JSON of the response body
+ * @returns {Promise<Object|null>} Updated idempotency key document or null
+ */
+exports.complete = async (id, statusCode, responseBody) => {
+	return await IdempotencyKey.findByIdAndUpdate(
+		id,
+		{ statusCode, responseBody },
+		{ new: true }
+	);
+};
+
+/**
+ * Delete a key record so the key can be used again
+ * @param {string} id - Idempotency key record ID
+ * @returns {Promise<Object|null>} Deleted idempotency key document or null
+ */
+exports.delete = async (id) => {
+	return await IdempotencyKey.findByIdAndDelete(id);
+};
@@ -3,9 +3,11 @@
  * Handles all database operations for inventory
  */
 
+const mongoose = require("mongoose");
 const { Inventory } = require("../models/inventory.model");
 const { Store } = require("../models/store.model");
 const { Product } = require("../models/product.model");
+const { CardMove } = require("../models/cardMove.model");
 const { LOCATIONS } = require("../constants/enums");
 
 /**
@@ -22,6 +24,8 @@ exports.findAll = async (filters = {}) => {
 			"cardContainer.cardInventory.productId",
 			"name sku productType brand cardDetails"
 		)
+		.populate("holds.ownerId", "username")
+		.populate("holds.transferRequestId", "requestNumber")
 		.sort({ storeId: 1, location: 1, productId: 1 });
 
 	// Filter out inventory items where the product is inactive
@@ -39,7 +43,6 @@ exports.findAll = async (filters = {}) => {
  * @returns {Promise<Array>} Array of inventory documents
  */
 exports.findByStore = async (storeId, filters = {}) => {
-	const mongoose = require("mongoose");
 	// Convert storeId string to ObjectId for proper query
 	const storeObjectId = new mongoose.Types.ObjectId(storeId);
 
@@ -54,6 +57,8 @@ exports.findByStore = async (storeId, filters = {}) => {
 			"cardContainer.cardInventory.productId",
 			"name sku productType brand cardDetails"
 		)
+		.populate("holds.ownerId", "username")
+		.populate("holds.transferRequestId", "requestNumber")
 		.sort({ location: 1, productId: 1 });
 
 	// Filter out inventory items where the product is inactive
@@ -63,6 +68,76 @@ exports.findByStore = async (storeId, filters = {}) => {
 	);
 };
 
+/**
+ * Load the inventory snapshot for a stock-take
+ * Uses Inventory.findByStore so counts see the same records as the rest of the app
+ * @param {string} storeId - Store ID
+ * @param {string} [location] - Limit to floor or back
+ * @returns {Promise<Array>} Array of active inventory documents
+ */
+exports.findStoreSnapshot = async (storeId, location) => {
+	return await Inventory.findByStore(storeId, { location });
+};
+
+/**
+ * Find standard inventory below its minimum stock level
+ * Uses Inventory.findLowStock and drops items whose product is inactive
+ * @param {string} [storeId] - Limit to one store (omit for all stores)
+ * @returns {Promise<Array>} Array of low-stock inventory documents, lowest quantity first
+ */
+exports.findLowStock = async (storeId) => {
+	const results = await Inventory.findLowStock(storeId || null);
+	return results.filter((item) => item.productId?.isActive !== false);
+};
+
+/**
+ * Find active standard inventory for a set of products across all stores
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Array>} Inventory documents with product and store populated
+ */
+exports.findStandardByProducts = async (productIds) => {
+	return await Inventory.find({
+		productId: { $in: productIds },
+		cardContainer: null,
+		isActive: true,
+	})
+		.populate("productId", "name sku unitSize isActive")
+		.populate("storeId", "name isActive maxCapacity currentCapacity");
+};
+
+/**
+ * Find active card containers holding fewer than `threshold` cards in total
+ * @param {string} [storeId] - Limit to one store (omit for all stores)
+ * @param {number} threshold - Card count a container must reach to not be low
+ * @returns {Promise<Array>} Array of container documents
+ */
+exports.findLowStockContainers = async (storeId, threshold) => {
+	const query = {
+		cardContainer: { $ne: null },
+		isActive: true,
+		$expr: {
+			$lt: [{ $sum: "$cardContainer.cardInventory.quantity" }, threshold],
+		},
+	};
+
+	if (storeId) {
+		query.storeId = storeId;
+	}
+
+	return await Inventory.find(query)
+		.populate("storeId", "name location fullAddress")
+		.sort({ storeId: 1, location: 1, "cardContainer.containerName": 1 });
+};
+
+/**
+ * Get a store's floor quantities by product, type, brand and type+brand
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} Result of Inventory.getFloorDisplayQuantities
+ */
+exports.getFloorDisplayQuantities = async (storeId) => {
+	return await Inventory.getFloorDisplayQuantities(storeId);
+};
+
 /**
  * Find inventory by ID
  * @param {string} id - Inventory ID
@@ -72,6 +147,25 @@ exports.findById = async (id) => {
 	return await Inventory.findById(id).populate("productId");
 };
 
+/**
+ * Find active card containers at a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Array>} Array of container inventory documents
+ */
+exports.findContainersByStore = async (storeId) => {
+	return await Inventory.find({
+		storeId,
+		cardContainer: { $ne: null },
+		isActive: true,
+	})
+		.populate("storeId", "name location fullAddress")
+		.populate(
+			"cardContainer.cardInventory.productId",
+			"name sku productType brand cardDetails"
+		)
+		.sort({ location: 1, "cardContainer.containerName": 1 });
+};
+
 /**
  * Find duplicate inventory
  * @param {string} storeId - Store ID
@@ -121,12 +215,16 @@ exports.create = async (inventoryData) => {
 
 /**
  * Update inventory by ID
+ * Saving throws a VersionError if the record changes between read and write
  * @param {string} id - Inventory ID
  * @param {Object} updates - Fields to update
- * @returns {Promise<Object|null>} Updated inventory document or null
+ * @param {Object} [options={}] - Update options
+ * @param {number} [options.version] - Only update while the record is still at this version
+ * @returns {Promise<Object|null>} Updated inventory document, or null if not found (or at another version)
  */
-exports.update = async (id, updates) => {
-	const inventory = await Inventory.findById(id).populate("productId");
+exports.update = async (id, updates, { version } = {}) => {
+	const query = version === undefined ? { _id: id } : { _id: id, __v: version };
+	const inventory = await Inventory.findOne(query).populate("productId");
 	if (!inventory) return null;
 
 	// Apply updates
@@ -139,6 +237,364 @@ exports.update = async (id, updates) => {
 	return await inventory.save();
 };
 
+/**
+ * Update card container details
+ * Applies changes to the nested cardContainer sub-document without replacing
+ * its cardInventory array
+ * @param {string} id - Inventory (container) ID
+ * @param {Object} containerUpdates - Fields to set on cardContainer
+ * @param {Object} [updates={}] - Top-level fields to update (location, notes)
+ * @returns {Promise<Object|null>} Updated inventory document or null
+ */
+exports.updateContainer = async (id, containerUpdates, updates = {}) => {
+	const inventory = await Inventory.findById(id);
+	if (!inventory || !inventory.cardContainer) return null;
+
+	Object.keys(containerUpdates).forEach((key) => {
+		if (containerUpdates[key] !== undefined) {
+			inventory.cardContainer[key] = containerUpdates[key];
+		}
+	});
+
+	Object.keys(updates).forEach((key) => {
+		if (updates[key] !== undefined) {
+			inventory[key] = updates[key];
+		}
+	});
+
+	return await inventory.save();
+};
+
+
+/**
+ * Atomically take units out of a standard inventory record
+ * Only matches when the record still holds at least `quantity` units; a
+ * negative quantity puts units back
+ * @param {string} id - Inventory ID
+ * @param {number} quantity - Units to take
+ * @returns {Promise<Object|null>} Updated inventory, or null if not enough units
+ */
+exports.takeQuantity = async (id, quantity) => {
+	return await Inventory.findOneAndUpdate(
+		{ _id: id, isActive: true, quantity: { $gte: quantity } },
+		{ $inc: { quantity: -quantity } },
+		{ new: true }
+	);
+};
+
+/**
+ * Atomically add units to a standard inventory record
+ * Concurrent additions all land; a higher minimum stock level and new notes
+ * are applied in the same write
+ * @param {string} id - Inventory ID
+ * @param {number} quantity - Units to add
+ * @param {Object} [changes] - Optional field changes
+ * @param {number} [changes.minStockLevel] - Raise the minimum to at least this
+ * @param {string} [changes.notes] - Replace the notes
+ * @returns {Promise<Object|null>} Updated inventory, or null if the record is gone or would go negative
+ */
+exports.addQuantity = async (id, quantity, { minStockLevel, notes } = {}) => {
+	const update = { $inc: { quantity } };
+	if (minStockLevel !== undefined) {
+		update.$max = { minStockLevel };
+	}
+	if (notes) {
+		update.$set = { notes };
+	}
+
+	return await Inventory.findOneAndUpdate(
+		{ _id: id, isActive: true, quantity: { $gte: -quantity } },
+		update,
+		{ new: true, runValidators: true }
+	);
+};
+
+/**
+ * Atomically take units that are not on hold out of a standard inventory record
+ * Only matches when quantity minus every hold on the record still covers
+ * `quantity`, so a move can never dip into held units. Prune expired holds
+ * first so they do not count against the record
+ * @param {string} id - Inventory ID
+ * @param {number} quantity - Units to take
+ * @returns {Promise<Object|null>} Updated inventory, or null if not enough units are available
+ */
+exports.takeAvailableQuantity = async (id, quantity) => {
+	return await Inventory.findOneAndUpdate(
+		{
+			_id: id,
+			isActive: true,
+			$expr: {
+				$gte: [
+					{ $subtract: ["$quantity", { $sum: "$holds.quantity" }] },
+					quantity,
+				],
+			},
+		},
+		{ $inc: { quantity: -quantity } },
+		{ new: true }
+	);
+};
+
+/**
+ * Add a hold to a standard inventory record
+ * @param {string} id - Inventory ID
+ * @param {Object} hold - Hold data (quantity, reason, ownerId, expiresAt)
+ * @returns {Promise<Object|null>} Updated inventory or null if not found
+ */
+exports.addHold = async (id, hold) => {
+	return await Inventory.findOneAndUpdate(
+		{ _id: id, isActive: true },
+		{ $push: { holds: hold } },
+		{ new: true, runValidators: true }
+	);
+};
+
+/**
+ * Remove a hold from an inventory record
+ * @param {string} id - Inventory ID
+ * @param {string} holdId - Hold ID
+ * @returns {Promise<Object|null>} Updated inventory, or null if the record has no such hold
+ */
+exports.removeHold = async (id, holdId) => {
+	return await Inventory.findOneAndUpdate(
+		{ _id: id, "holds._id": holdId },
+		{ $pull: { holds: { _id: holdId } } },
+		{ new: true }
+	);
+};
+
+/**
+ * Remove the holds a transfer request placed on its source inventory
+ * @param {string} transferRequestId - Transfer request ID
+ * @returns {Promise<Object>} Update result
+ */
+exports.removeTransferHolds = async (transferRequestId) => {
+	return await Inventory.updateMany(
+		{ "holds.transferRequestId": transferRequestId },
+		{ $pull: { holds: { transferRequestId } } }
+	);
+};
+
+/**
+ * Remove holds that have passed their expiry date from an inventory record
+ * @param {string} id - Inventory ID
+ * @returns {Promise<Object>} Update result
+ */
+exports.pruneExpiredHolds = async (id) => {
+	return await Inventory.updateOne(
+		{ _id: id },
+		{ $pull: { holds: { expiresAt: { $ne: null, $lte: new Date() } } } }
+	);
+};
+
+/**
+ * Filter matching containers not committed whole to a transfer
+ * (a container hold without a card)
+ */
+const NOT_RESERVED_WHOLE = {
+	holds: { $not: { $elemMatch: { productId: null } } },
+};
+
+/**
+ * Aggregation expression summing the quantities of one card in an array field
+ * Used in $expr filters, which don't cast IDs the way query filters do
+ * @param {string} field - Array field ("$holds" or "$cardContainer.cardInventory")
+ * @param {string} productId - Card product ID
+ * @returns {Object} $sum expression
+ */
+const copiesOfCard = (field, productId) => ({
+	$sum: {
+		$map: {
+			input: {
+				$filter: {
+					input: { $ifNull: [field, []] },
+					cond: {
+						$eq: [
+							"$$this.productId",
+							new mongoose.Types.ObjectId(String(productId)),
+						],
+					},
+				},
+			},
+			in: "$$this.quantity",
+		},
+	},
+});
+
+/**
+ * Atomically take copies of a card out of a container
+ * Only matches when the container still holds at least `quantity` copies
+ * besides those committed to transfers, so concurrent moves can never drive a
+ * card count negative or take reserved copies. Nothing is taken from a
+ * container committed whole to a transfer
+ * @param {string} id - Inventory (container) ID
+ * @param {string} productId - Card product ID
+ * @param {number} quantity - Copies to take
+ * @param {Object} [options] - Take options
+ * @param {boolean} [options.includeHeld=false] - Allow taking held copies (counted shortages)
+ * @returns {Promise<Object|null>} Updated container, or null if not enough copies
+ */
+exports.takeCardsFromContainer = async (
+	id,
+	productId,
+	quantity,
+	{ includeHeld = false } = {}
+) => {
+	const filter = {
+		_id: id,
+		isActive: true,
+		"cardContainer.cardInventory": {
+			$elemMatch: { productId, quantity: { $gte: quantity } },
+		},
+	};
+	if (!includeHeld) {
+		Object.assign(filter, NOT_RESERVED_WHOLE);
+		filter.$expr = {
+			$gte: [
+				copiesOfCard("$cardContainer.cardInventory", productId),
+				{ $add: [quantity, copiesOfCard("$holds", productId)] },
+			],
+		};
+	}
+
+	return await Inventory.findOneAndUpdate(
+		filter,
+		{ $inc: { "cardContainer.cardInventory.$.quantity": -quantity } },
+		{ new: true }
+	);
+};
+
+/**
+ * Atomically put copies of a card into a container
+ * Increments the existing entry, or pushes a new one if the card is not there yet
+ * @param {string} id - Inventory (container) ID
+ * @param {string} productId - Card product ID
+ * @param {number} quantity - Copies to add
+ * @returns {Promise<boolean>} True if the container was updated
+ */
+exports.putCardsInContainer = async (id, productId, quantity) => {
+	const incremented = await Inventory.updateOne(
+		{ _id: id, "cardContainer.cardInventory.productId": productId },
+		{ $inc: { "cardContainer.cardInventory.$.quantity": quantity } }
+	);
+	if (incremented.matchedCount > 0) return true;
+
+	const pushed = await Inventory.updateOne(
+		{ _id: id, "cardContainer.cardInventory.productId": { $ne: productId } },
+		{ $push: { "cardContainer.cardInventory": { productId, quantity } } }
+	);
+	if (pushed.matchedCount > 0) return true;
+
+	// Another request added the card between the two updates
+	const retried = await Inventory.updateOne(
+		{ _id: id, "cardContainer.cardInventory.productId": productId },
+		{ $inc: { "cardContainer.cardInventory.$.quantity": quantity } }
+	);
+	return retried.matchedCount > 0;
+};
+
+/**
+ * Atomically set the number of copies of a card in a container
+ * Updates the existing entry, or pushes a new one if the card is not there yet.
+ * The count is never set below the copies committed to transfers, and an
+ * existing card's count is left alone while the container is committed whole
+ * @param {string} id - Inventory (container) ID
+ * @param {string} productId - Card product ID
+ * @param {number} quantity - Exact number of copies (at least 1)
+ * @returns {Promise<boolean>} True if the container was updated
+ */
+exports.setCardsInContainer = async (id, productId, quantity) => {
+	const notBelowHeld = {
+		...NOT_RESERVED_WHOLE,
+		$expr: { $lte: [copiesOfCard("$holds", productId), quantity] },
+	};
+
+	const set = await Inventory.updateOne(
+		{
+			_id: id,
+			"cardContainer.cardInventory.productId": productId,
+			...notBelowHeld,
+		},
+		{ $set: { "cardContainer.cardInventory.$.quantity": quantity } }
+	);
+	if (set.matchedCount > 0) return true;
+
+	const pushed = await Inventory.updateOne(
+		{ _id: id, "cardContainer.cardInventory.productId": { $ne: productId } },
+		{ $push: { "cardContainer.cardInventory": { productId, quantity } } }
+	);
+	if (pushed.matchedCount > 0) return true;
+
+	// Another request added the card between the two updates
+	const retried = await Inventory.updateOne(
+		{
+			_id: id,
+			"cardContainer.cardInventory.productId": productId,
+			...notBelowHeld,
+		},
+		{ $set: { "cardContainer.cardInventory.$.quantity": quantity } }
+	);
+	return retried.matchedCount > 0;
+};
+
+/**
+ * Atomically remove a card's entry from a container, whatever its count
+ * Cards with copies committed to a transfer, or in a container committed
+ * whole, are left in place
+ * @param {string} id - Inventory (container) ID
+ * @param {string} productId - Card product ID
+ * @returns {Promise<boolean>} True if the card was removed
+ */
+exports.removeCardFromContainer = async (id, productId) => {
+	const result = await Inventory.updateOne(
+		{
+			_id: id,
+			"cardContainer.cardInventory.productId": productId,
+			"holds.productId": { $ne: productId },
+			...NOT_RESERVED_WHOLE,
+		},
+		{ $pull: { "cardContainer.cardInventory": { productId } } }
+	);
+	return result.modifiedCount > 0;
+};
+
+/**
+ * Remove card entries whose count has dropped to zero
+ * @param {string} id - Inventory (container) ID
+ * @returns {Promise<Object>} Update result
+ */
+exports.pruneEmptyCards = async (id) => {
+	return await Inventory.updateOne(
+		{ _id: id },
+		{ $pull: { "cardContainer.cardInventory": { quantity: { $lte: 0 } } } }
+	);
+};
+
+/**
+ * Record a card move between containers
+ * @param {Object} moveData - Card move data
+ * @returns {Promise<Object>} Created card move document
+ */
+exports.createCardMove = async (moveData) => {
+	return await CardMove.create(moveData);
+};
+
+/**
+ * Find card moves into or out of a container, newest first
+ * @param {string} containerId - Inventory (container) ID
+ * @returns {Promise<Array>} Array of card move documents
+ */
+exports.findCardMovesByContainer = async (containerId) => {
+	return await CardMove.find({
+		$or: [{ fromContainerId: containerId }, { toContainerId: containerId }],
+	})
+		.populate("productId", "name sku cardDetails")
+		.populate("fromContainerId", "cardContainer.containerName location")
+		.populate("toContainerId", "cardContainer.containerName location")
+		.populate("movedBy", "username firstName lastName")
+		.sort({ createdAt: -1 });
+};
+
 /**
  * Soft delete inventory (set isActive to false)
  * @param {string} id - Inventory ID
@@ -160,11 +616,13 @@ exports.softDelete = async (id) => {
 exports.findByIdPopulated = async (id) => {
 	return await Inventory.findById(id)
 		.populate("storeId", "name location fullAddress")
-		.populate("productId", "name sku productType brand")
+		.populate("productId", "name sku productType brand unitSize")
 		.populate(
 			"cardContainer.cardInventory.productId",
 			"name sku productType brand cardDetails"
-		);
+		)
+		.populate("holds.ownerId", "username")
+		.populate("holds.transferRequestId", "requestNumber");
 };
 
 /**
@@ -189,21 +647,74 @@ exports.findProductById = async (productId) => {
  * Update store capacity
  * @param {string} storeId - Store ID
  * @param {number} newCapacity - New current capacity
+ * @param {Object} [byLocation] - New usage per location ({ floor, back })
  * @returns {Promise<Object|null>} Updated store document or null
  */
-exports.updateStoreCapacity = async (storeId, newCapacity) => {
+exports.updateStoreCapacity = async (storeId, newCapacity, byLocation) => {
+	const updates = { currentCapacity: newCapacity };
+
+	if (byLocation) {
+		updates["locationCapacity.floor.currentCapacity"] = byLocation.floor;
+		updates["locationCapacity.back.currentCapacity"] = byLocation.back;
+	}
+
+	return await Store.findByIdAndUpdate(storeId, updates, { new: true });
+};
+
+/**
+ * Apply a change in used space to a store's capacity counters
+ * Uses $inc so concurrent writes add up instead of overwriting each other
+ * @param {string} storeId - Store ID
+ * @param {Object} delta - Space added (positive) or freed (negative) per location
+ * @param {number} [delta.floor=0] - Change on the floor
+ * @param {number} [delta.back=0] - Change in the back room
+ * @returns {Promise<Object|null>} Updated store document, or null if nothing changed
+ */
+exports.adjustStoreCapacity = async (storeId, { floor = 0, back = 0 } = {}) => {
+	if (!floor && !back) {
+		return null;
+	}
+
 	return await Store.findByIdAndUpdate(
 		storeId,
-		{ currentCapacity: newCapacity },
+		{
+			$inc: {
+				currentCapacity: floor + back,
+				"locationCapacity.floor.currentCapacity": floor,
+				"locationCapacity.back.currentCapacity": back,
+			},
+		},
 		{ new: true }
 	);
 };
 
 /**
- * Calculate total capacity used at a store
+ * Calculate capacity used at a store, or at one location of it
+ * @param {string} storeId - Store ID
+ * @param {string} [location] - Limit to floor or back
+ * @returns {Promise<number>} Capacity used
+ */
+exports.calculateStoreCapacity = async (storeId, location) => {
+	return await Inventory.calculateStoreCapacity(storeId, location);
+};
+
+/**
+ * Calculate capacity used on the floor and in the back room of a store
  * @param {string} storeId - Store ID
- * @returns {Promise<number>} Total capacity used
+ * @returns {Promise<Object>} Capacity used per location ({ floor, back })
  */
-exports.calculateStoreCapacity = async (storeId) => {
-	return await Inventory.calculateStoreCapacity(storeId);
+exports.calculateCapacityByLocation = async (storeId) => {
+	return await Inventory.calculateCapacityByLocation(storeId);
+};
+
+/**
+ * Recalculate a store's used capacity from its inventory and save it
+ * Maintenance operation - normal writes keep the counters current with adjustStoreCapacity
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object|null>} Updated store document or null
+ */
+exports.refreshStoreCapacity = async (storeId) => {
+	const { floor, back } = await Inventory.calculateCapacityByLocation(storeId);
+
+	return exports.updateStoreCapacity(storeId, floor + back, { floor, back });
 };
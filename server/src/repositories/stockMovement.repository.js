@@ -0,0 +1,28 @@
+/**
+ * Stock Movement Repository
+ * Handles database operations for the stock movement ledger
+ * Only supports appending and reading - ledger entries are never changed
+ */
+
+const { StockMovement } = require("../models/stockMovement.model");
+
+/**
+ * Append a movement to the ledger
+ * @param {Object} movementData - Stock movement data
+ * @returns {Promise<Object>} Created stock movement document
+ */
+exports.create = async (movementData) => {
+	return await StockMovement.create(movementData);
+};
+
+/**
+ * Find movements for an inventory record, newest first
+ * @param {string} inventoryId - Inventory ID
+ * @returns {Promise<Array>} Array of stock movement documents
+ */
+exports.findByInventory = async (inventoryId) => {
+	return await StockMovement.find({ inventoryId })
+		.populate("performedBy", "username firstName lastName role")
+		.populate("transferRequestId", "requestNumber")
+		.sort({ createdAt: -1, _id: -1 });
+};
@@ -45,9 +45,10 @@ exports.update = async (id, updates) => {
 	if (!store) return null;
 
 	// Apply updates
+	// set() also takes dotted paths, so nested fields are updated on their own
 	Object.keys(updates).forEach((key) => {
 		if (updates[key] !== undefined) {
-			store[key] = updates[key];
+			store.set(key, updates[key]);
 		}
 	});
 
@@ -4,31 +4,65 @@
  */
 
 const { TransferRequest } = require("../models/transferRequest.model");
+const { Counter } = require("../models/counter.model");
 
 /**
- * Generate unique request number
- * Format: TR-YYYYMMDD-XXXX
+ * Build the request number prefix for a day
+ * Format: TR-YYYYMMDD- or TR-PREFIX-YYYYMMDD- when a store prefix is given
+ * @param {string} [storePrefix] - Store request prefix
+ * @param {Date} [date=new Date()] - Day the number is for (UTC)
+ * @returns {string} Request number prefix
+ */
+function requestNumberPrefix(storePrefix, date = new Date()) {
+	const dateStr = date.toISOString().slice(0, 10).replace(/-/g, "");
+	return storePrefix ? `TR-${storePrefix}-${dateStr}-` : `TR-${dateStr}-`;
+}
+
+/**
+ * Generate the next request number for today
+ * Format: TR-YYYYMMDD-XXXX (or TR-PREFIX-YYYYMMDD-XXXX)
+ * Takes the next value from an atomic per-day counter, so simultaneous
+ * requests never get the same number. Call inside the transaction that creates
+ * the request so a failed creation gives its number back.
+ * @param {string} [storePrefix] - Store request prefix
  * @returns {Promise<string>} Request number
  */
-exports.generateRequestNumber = async () => {
-	const today = new Date();
-	const dateStr = today.toISOString().slice(0, 10).replace(/-/g, "");
+exports.generateRequestNumber = async (storePrefix) => {
+	const prefix = requestNumberPrefix(storePrefix);
+	const counter = await Counter.findByIdAndUpdate(
+		`transferRequest:${prefix}`,
+		{ $inc: { seq: 1 } },
+		{ upsert: true, new: true }
+	);
+
+	return `${prefix}${counter.seq.toString().padStart(4, "0")}`;
+};
 
-	// Find the highest request number for today
-	const prefix = `TR-${dateStr}-`;
+/**
+ * Move today's counter past the highest request number already stored
+ * Needed when numbers exist that the counter didn't hand out (e.g. created
+ * before counters were used)
+ * @param {string} [storePrefix] - Store request prefix
+ * @returns {Promise<number>} Highest sequence in use today
+ */
+exports.syncRequestSequence = async (storePrefix) => {
+	const prefix = requestNumberPrefix(storePrefix);
 	const lastRequest = await TransferRequest.findOne({
-		requestNumber: new RegExp(`^${prefix}`),
+		requestNumber: new RegExp(`^${prefix}\\d+$`),
 	})
 		.sort({ requestNumber: -1 })
 		.limit(1);
+	const lastSequence = lastRequest
+		? parseInt(lastRequest.requestNumber.slice(prefix.length))
+		: 0;
 
-	let sequence = 1;
-	if (lastRequest) {
-		const lastSequence = parseInt(lastRequest.requestNumber.slice(-4));
-		sequence = lastSequence + 1;
-	}
+	await Counter.updateOne(
+		{ _id: `transferRequest:${prefix}` },
+		{ $max: { seq: lastSequence } },
+		{ upsert: true }
+	);
 
-	return `${prefix}${sequence.toString().padStart(4, "0")}`;
+	return lastSequence;
 };
 
 /**
@@ -53,10 +87,23 @@ exports.findAll = async (filters = {}) => {
 		.populate("completedBy", "username email")
 		.populate("closedBy", "username email")
 		.populate("items.productId", "name sku productType")
-		.populate("items.inventoryId", "location containerType")
+		.populate("items.inventoryId", "location cardContainer.containerName")
 		.sort({ createdAt: -1 });
 };
 
+/**
+ * Find active transfer requests in any of the given statuses
+ * Only item products' unit sizes are populated
+ * @param {Array<string>} statuses - Statuses to match
+ * @returns {Promise<Array>} Array of transfer request documents
+ */
+exports.findByStatuses = async (statuses) => {
+	return await TransferRequest.find({
+		isActive: true,
+		status: { $in: statuses },
+	}).populate("items.productId", "unitSize");
+};
+
 /**
  * Find transfer requests by store
  * Returns requests where the store is either sender or receiver
@@ -84,7 +131,7 @@ exports.findByStore = async (storeId, filters = {}) => {
 		.populate("completedBy", "username email")
 		.populate("closedBy", "username email")
 		.populate("items.productId", "name sku productType")
-		.populate("items.inventoryId", "location containerType")
+		.populate("items.inventoryId", "location cardContainer.containerName")
 		.sort({ createdAt: -1 });
 };
 
@@ -102,9 +149,23 @@ exports.findById = async (id) => {
 		.populate("sentBy", "username email role")
 		.populate("completedBy", "username email role")
 		.populate("closedBy", "username email role")
-		.populate("items.productId", "name sku productType brand basePrice")
-		.populate("items.inventoryId", "location containerType containerName")
-		.populate("items.cardItems.productId", "name sku");
+		.populate(
+			"items.productId",
+			"name sku productType brand basePrice unitSize cardDetails"
+		)
+		.populate(
+			"items.inventoryId",
+			"location cardContainer.containerType cardContainer.containerName"
+		)
+		.populate("items.cardItems.productId", "name sku cardDetails")
+		.populate(
+			"items.destinationContainerId",
+			"location cardContainer.containerName"
+		)
+		.populate("statusHistory.changedBy", "username")
+		.populate("statusHistory.discrepancies.productId", "name")
+		.populate("statusHistory.proposal.productId", "name")
+		.populate("comments.authorId", "username role");
 };
 
 /**
@@ -118,7 +179,7 @@ exports.findByRequestNumber = async (requestNumber) => {
 		.populate("toStoreId", "name location")
 		.populate("createdBy", "username email")
 		.populate("items.productId", "name sku productType")
-		.populate("items.inventoryId", "location containerType");
+		.populate("items.inventoryId", "location cardContainer.containerName");
 };
 
 /**
@@ -146,6 +207,42 @@ exports.update = async (id, updateData) => {
 	return await this.findById(id);
 };
 
+/**
+ * Update transfer request only while it is still in the expected status
+ * Guards status changes against a concurrent change to the same request
+ * @param {string} id - Transfer request ID
+ * @param {string} expectedStatus - Status the request must still have
+ * @param {Object} updateData - Update data
+ * @returns {Promise<Object|null>} Updated transfer request document, or null if the status changed
+ */
+exports.updateIfStatus = async (id, expectedStatus, updateData) => {
+	const updated = await TransferRequest.findOneAndUpdate(
+		{ _id: id, status: expectedStatus, isActive: true },
+		updateData,
+		{ new: true, runValidators: true }
+	);
+	if (!updated) return null;
+
+	return await this.findById(id);
+};
+
+/**
+ * Add a comment to a transfer request's thread
+ * @param {string} id - Transfer request ID
+ * @param {Object} comment - Comment data (authorId, body, status)
+ * @returns {Promise<Object|null>} Updated transfer request or null if not found
+ */
+exports.addComment = async (id, comment) => {
+	const updated = await TransferRequest.findOneAndUpdate(
+		{ _id: id, isActive: true },
+		{ $push: { comments: comment } },
+		{ new: true, runValidators: true }
+	);
+	if (!updated) return null;
+
+	return await this.findById(id);
+};
+
 /**
  * Delete transfer request (soft delete)
  * @param {string} id - Transfer request ID
@@ -0,0 +1,99 @@
+/**
+ * Count Session Routes
+ * Handles cycle count (stock-take) operations
+ */
+
+const express = require("express");
+const countSessionController = require("../controllers/countSession.controller");
+const { requireRole } = require("../middleware/auth");
+const { USER_ROLES } = require("../constants/enums");
+
+const router = express.Router();
+
+/**
+ * POST /api/count-sessions
+ * Open a count session and freeze the expected quantities
+ * Body: { storeId, location?, notes? }
+ *
+ * Authorization:
+ *   - Partners can open counts at any store
+ *   - Store managers can open counts at their assigned store (checked in service)
+ */
+router.post(
+	"/",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	countSessionController.openSession
+);
+
+/**
+ * GET /api/count-sessions
+ * Get count sessions, newest first
+ * Query params:
+ *   - status: filter by status (open, submitted, posted, cancelled)
+ *   - storeId: filter by store (partners only)
+ *
+ * Authorization:
+ *   - Partners see all stores
+ *   - Managers and employees see their assigned store
+ */
+router.get("/", countSessionController.getSessions);
+
+/**
+ * GET /api/count-sessions/:id
+ * Get a count session with its lines and variances
+ */
+router.get("/:id", countSessionController.getSessionById);
+
+/**
+ * PUT /api/count-sessions/:id/lines/:inventoryId
+ * Record the counted quantity of a standard inventory record
+ * Body: { countedQuantity }
+ *
+ * Authorization:
+ *   - Anyone who can access the session's store (employees do the counting)
+ */
+router.put("/:id/lines/:inventoryId", countSessionController.recordCount);
+
+/**
+ * PUT /api/count-sessions/:id/lines/:inventoryId/cards/:productId
+ * Record the counted quantity of a card inside a container
+ * Body: { countedQuantity }
+ */
+router.put(
+	"/:id/lines/:inventoryId/cards/:productId",
+	countSessionController.recordCardCount
+);
+
+/**
+ * POST /api/count-sessions/:id/submit
+ * Finish counting and send the session for manager review
+ */
+router.post("/:id/submit", countSessionController.submitSession);
+
+/**
+ * POST /api/count-sessions/:id/approve
+ * Approve a submitted count and post the variances to inventory
+ *
+ * Authorization:
+ *   - Partners and store managers only
+ */
+router.post(
+	"/:id/approve",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	countSessionController.approveSession
+);
+
+/**
+ * POST /api/count-sessions/:id/cancel
+ * Cancel an open or submitted count without changing inventory
+ *
+ * Authorization:
+ *   - Partners and store managers only
+ */
+router.post(
+	"/:id/cancel",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	countSessionController.cancelSession
+);
+
+module.exports = router;
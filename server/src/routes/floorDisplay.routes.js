@@ -0,0 +1,69 @@
+/**
+ * Floor Display Routes
+ * Handles floor display minimum rules and the unmet-rules report
+ */
+
+const express = require("express");
+const floorDisplayController = require("../controllers/floorDisplay.controller");
+const { requireRole } = require("../middleware/auth");
+const { USER_ROLES } = require("../constants/enums");
+
+const router = express.Router();
+
+/**
+ * GET /api/floor-display/rules
+ * Get a store's floor display minimum rules
+ * Query params:
+ *   - storeId: store to read (required for partners; others get their assigned store)
+ */
+router.get("/rules", floorDisplayController.getRules);
+
+/**
+ * GET /api/floor-display/report
+ * Get the rules the sales floor currently fails, with suggested back-to-floor
+ * moves drawn from available back-room stock
+ * Query params:
+ *   - storeId: store to check (required for partners; others get their assigned store)
+ *
+ * Authorization:
+ *   - Anyone who can access the store (employees do the restocking)
+ */
+router.get("/report", floorDisplayController.getUnmetReport);
+
+/**
+ * POST /api/floor-display/rules
+ * Create a floor display minimum
+ * Body: { storeId, productId | productType and/or brand, minQuantity, notes? }
+ *
+ * Authorization:
+ *   - Partners can set rules for any store
+ *   - Store managers can set rules for their assigned store (checked in service)
+ */
+router.post(
+	"/rules",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	floorDisplayController.createRule
+);
+
+/**
+ * PUT /api/floor-display/rules/:id
+ * Change a rule's minimum quantity or notes
+ * Body: { minQuantity?, notes? }
+ */
+router.put(
+	"/rules/:id",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	floorDisplayController.updateRule
+);
+
+/**
+ * DELETE /api/floor-display/rules/:id
+ * Delete a floor display rule
+ */
+router.delete(
+	"/rules/:id",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	floorDisplayController.deleteRule
+);
+
+module.exports = router;
@@ -5,6 +5,7 @@
 
 const express = require("express");
 const { requireAuth } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
 
 // Import individual route modules
 const authRoutes = require("./auth");
@@ -12,6 +13,8 @@ const storeRoutes = require("./store.routes");
 const inventoryRoutes = require("./inventory.routes");
 const productRoutes = require("./product.routes");
 const transferRequestRoutes = require("./transferRequest.routes");
+const countSessionRoutes = require("./countSession.routes");
+const floorDisplayRoutes = require("./floorDisplay.routes");
 
 const router = express.Router();
 
@@ -21,11 +24,16 @@ router.use("/auth", authRoutes);
 // Apply authentication middleware to all routes below
 router.use(requireAuth);
 
+// Replay stored responses for retried requests that send an Idempotency-Key
+router.use(idempotency);
+
 // Protected routes (authentication required)
 router.use("/stores", storeRoutes);
 router.use("/inventory", inventoryRoutes);
 router.use("/products", productRoutes);
 router.use("/transfer-requests", transferRequestRoutes);
+router.use("/count-sessions", countSessionRoutes);
+router.use("/floor-display", floorDisplayRoutes);
 
 // API health check
 router.get("/health", (req, res) => {
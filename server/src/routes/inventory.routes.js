@@ -33,6 +33,24 @@ router.get(
 	inventoryController.getAllInventory
 );
 
+/**
+ * GET /api/inventory/low-stock
+ * Get standard inventory below its minimum stock level and card containers
+ * holding fewer cards than a threshold
+ * Query params:
+ *   - storeId: limit to one store (partners; managers always get their own store)
+ *   - cardThreshold: container card count below which it is low (default 10, 0 = skip containers)
+ *
+ * Authorization:
+ *   - Partners can see every store
+ *   - Store managers can see their assigned store (checked in service)
+ */
+router.get(
+	"/low-stock",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	inventoryController.getLowStock
+);
+
 /**
  * GET /api/inventory/store/:id
  * Get inventory for a specific store
@@ -49,6 +67,192 @@ router.get(
  */
 router.get("/store/:id", inventoryController.getInventoryByStore);
 
+/**
+ * GET /api/inventory/containers/store/:id
+ * Get card containers (display cases, bulk boxes, bulk bins) for a store
+ */
+router.get("/containers/store/:id", inventoryController.getContainersByStore);
+
+/**
+ * GET /api/inventory/containers/:id
+ * Get a card container with its card inventory
+ */
+router.get("/containers/:id", inventoryController.getContainerById);
+
+/**
+ * POST /api/inventory/containers
+ * Create a new, empty card container
+ * Body: { storeId, location, containerType, containerName, containerUnitSize, notes }
+ *
+ * Authorization:
+ *   - Partners can add containers to any store
+ *   - Store managers can add containers to their assigned store
+ */
+router.post(
+	"/containers",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	requireStoreAccess,
+	inventoryController.createContainer
+);
+
+/**
+ * PUT /api/inventory/containers/:id
+ * Rename, resize, retype or relocate a card container
+ * Body: { containerName, containerType, containerUnitSize, location, notes }
+ *
+ * Authorization:
+ *   - Partners can update any container
+ *   - Store managers can update containers at their assigned store (checked in service)
+ */
+router.put(
+	"/containers/:id",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	inventoryController.updateContainer
+);
+
+/**
+ * DELETE /api/inventory/containers/:id
+ * Archive an empty card container (soft delete - sets isActive to false)
+ *
+ * Authorization:
+ *   - Partners can archive any container
+ *   - Store managers can archive containers at their assigned store (checked in service)
+ */
+router.delete(
+	"/containers/:id",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	inventoryController.archiveContainer
+);
+
+/**
+ * POST /api/inventory/containers/:id/cards
+ * Add copies of a single card to a container (merges with an existing entry)
+ * Body: { productId, quantity }
+ *
+ * Authorization:
+ *   - Partners can stock any container
+ *   - Store managers can stock containers at their assigned store (checked in service)
+ */
+router.post(
+	"/containers/:id/cards",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	inventoryController.addCardsToContainer
+);
+
+/**
+ * PUT /api/inventory/containers/:id/cards/:productId
+ * Set the exact count of a card in a container (0 removes it)
+ * Body: { quantity }
+ */
+router.put(
+	"/containers/:id/cards/:productId",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	inventoryController.setCardQuantity
+);
+
+/**
+ * DELETE /api/inventory/containers/:id/cards/:productId
+ * Remove copies of a card from a container
+ * Query params:
+ *   - quantity: number of copies to remove (omit to remove the card entirely)
+ */
+router.delete(
+	"/containers/:id/cards/:productId",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	inventoryController.removeCardsFromContainer
+);
+
+/**
+ * POST /api/inventory/containers/:id/move
+ * Move copies of a card into another container in the same store
+ * Body: { toContainerId, productId, quantity, notes? }
+ *
+ * Authorization:
+ *   - Partners can move cards at any store
+ *   - Store managers can move cards at their assigned store (checked in service)
+ */
+router.post(
+	"/containers/:id/move",
+	requireRole([USER_ROLES.PARTNER, USER_ROLES.STORE_MANAGER]),
+	inventoryController.moveCards
+);
+
+/**
+ * GET /api/inventory/containers/:id/moves
+ * Get the card move history of a container (who moved what, newest first)
+ */
+router.get("/containers/:id/moves", inventoryController.getContainerMoves);
+
+/**
+ * POST /api/inventory/:id/move
+ * Move units of a product between the floor and back room (restocking)
+ * Body: { quantity, toLocation? }
+ *
+ * Authorization:
+ *   - Partners can move stock at any store
+ *   - Store managers and employees can move stock at their assigned store
+ *     (checked in service, since :id is an inventory ID)
+ */
+router.post(
+	"/:id/move",
+	requireRole([
+		USER_ROLES.PARTNER,
+		USER_ROLES.STORE_MANAGER,
+		USER_ROLES.EMPLOYEE,
+	]),
+	inventoryController.moveInventory
+);
+
+/**
+ * GET /api/inventory/:id/history
+ * Get the stock movement ledger for an inventory item (newest first)
+ *
+ * Authorization:
+ *   - Partners can view any store's history
+ *   - Store managers and employees can view their assigned store (checked in service)
+ */
+router.get("/:id/history", inventoryController.getInventoryHistory);
+
+/**
+ * POST /api/inventory/:id/holds
+ * Hold units of an inventory item (e.g., for a tournament or customer pickup)
+ * Held units count as on hand but not as available to transfers or sales
+ * Body: { quantity, reason, expiresAt? }
+ *
+ * Authorization:
+ *   - Partners can hold stock at any store
+ *   - Store managers and employees can hold stock at their assigned store
+ *     (checked in service)
+ */
+router.post(
+	"/:id/holds",
+	requireRole([
+		USER_ROLES.PARTNER,
+		USER_ROLES.STORE_MANAGER,
+		USER_ROLES.EMPLOYEE,
+	]),
+	inventoryController.placeHold
+);
+
+/**
+ * DELETE /api/inventory/:id/holds/:holdId
+ * Release a hold so its units become available again
+ *
+ * Authorization:
+ *   - Partners can release holds at any store
+ *   - Store managers and employees can release holds at their assigned store
+ *     (checked in service)
+ */
+router.delete(
+	"/:id/holds/:holdId",
+	requireRole([
+		USER_ROLES.PARTNER,
+		USER_ROLES.STORE_MANAGER,
+		USER_ROLES.EMPLOYEE,
+	]),
+	inventoryController.releaseHold
+);
+
 /**
  *
  * Apply store access control to all remaining routes
@@ -60,7 +264,8 @@ router.use(requireStoreAccess);
 /**
  * POST /api/inventory
  * Create new inventory item
- * Body: { storeId, productId, quantity, location, minStockLevel, notes }
+ * Body: { storeId, productId, quantity, location, minStockLevel, notes, reason? }
+ * reason defaults to 'receive' and is recorded in the stock movement ledger
  *
  * Authorization:
  *   - Partners can add to any store
@@ -75,7 +280,8 @@ router.post(
 /**
  * PUT /api/inventory/:id
  * Update inventory item
- * Body: { quantity, location, minStockLevel, notes }
+ * Body: { quantity, location, minStockLevel, notes, reason? }
+ * reason (default 'manual') is recorded in the ledger when quantity changes
  *
  * Authorization:
  *   - Partners can update any inventory
@@ -17,6 +17,17 @@ const router = express.Router();
  */
 router.get("/", storeController.getAllStores);
 
+/**
+ * POST /api/stores/capacity/reconcile
+ * Recompute used capacity for one or all stores and report any drift
+ * Authorization: Partners only
+ */
+router.post(
+	"/capacity/reconcile",
+	requireRole([USER_ROLES.PARTNER]),
+	storeController.reconcileCapacity
+);
+
 /**
  * GET /api/stores/:id
  * Get store by ID
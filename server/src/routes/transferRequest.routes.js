@@ -31,7 +31,8 @@ router.post("/", transferRequestController.createTransferRequest);
  * GET /api/transfer-requests
  * Get all transfer requests (filtered by user permissions)
  * Query params:
- *   - status: filter by status (open, requested, sent, complete, closed)
+ *   - status: filter by status (open, requested, counter-proposed, sent,
+ *     partially-received, complete, rejected, closed)
  *
  * Authorization:
  *   - Managers: See only requests involving their store
@@ -39,6 +40,22 @@ router.post("/", transferRequestController.createTransferRequest);
  */
 router.get("/", transferRequestController.getAllTransferRequests);
 
+/**
+ * GET /api/transfer-requests/suggestions
+ * Suggested transfers that cover stores' low stock (below minStockLevel)
+ * from surplus at other stores, within each destination's free capacity.
+ * Each suggestion is a draft request a partner can create as-is with
+ * POST /api/transfer-requests
+ *
+ * Authorization:
+ *   - Partners only
+ */
+router.get(
+	"/suggestions",
+	requireRole([USER_ROLES.PARTNER]),
+	transferRequestController.getRebalancingSuggestions
+);
+
 /**
  * GET /api/transfer-requests/:id
  * Get a specific transfer request by ID
@@ -49,15 +66,70 @@ router.get("/", transferRequestController.getAllTransferRequests);
  */
 router.get("/:id", transferRequestController.getTransferRequestById);
 
+/**
+ * GET /api/transfer-requests/:id/documents/:type
+ * Print-ready HTML document for a request
+ * Types:
+ *   - packing-slip: items and quantities to pack at the source store
+ *     (from requested onwards)
+ *   - receiving-manifest: checklist for counting the delivery at the
+ *     destination store (from sent onwards)
+ *
+ * Authorization:
+ *   - Managers: Requests involving their store
+ *   - Partners: Any request
+ */
+router.get(
+	"/:id/documents/:type",
+	transferRequestController.getTransferDocument
+);
+
+/**
+ * PUT /api/transfer-requests/:id
+ * Edit a draft (open) transfer request
+ * Body: { items?: [{ inventoryId, requestedQuantity, cardItems? }], notes? }
+ * A given item list replaces the current items and is re-validated against
+ * the source store's inventory
+ *
+ * Authorization:
+ *   - Managers: Can edit open requests to their store
+ *   - Partners: Can edit any open request
+ */
+router.put("/:id", transferRequestController.updateTransferRequest);
+
+/**
+ * POST /api/transfer-requests/:id/comments
+ * Add a comment to the request's thread
+ * Body: { body }
+ * The request's current status is recorded with the comment
+ *
+ * Authorization:
+ *   - Managers: Can comment on requests involving their store
+ *   - Partners: Can comment on any request
+ */
+router.post("/:id/comments", transferRequestController.addComment);
+
 /**
  * PATCH /api/transfer-requests/:id/status
  * Update the status of a transfer request
- * Body: { status, closeReason? }
+ * Body: { status, closeReason?, items?, destinations?, note?, decision? }
  *
  * Status transitions:
  *   - open → requested: Manager from destination store submits request
  *   - requested → sent: Manager from source store ships items
+ *     (items: [{ inventoryId, shippedQuantity, reason? }] for short shipments)
+ *   - requested → counter-proposed: Manager from source store offers fewer units
+ *     (items: [{ inventoryId, proposedQuantity }])
+ *   - counter-proposed → requested: Manager from destination store answers
+ *     (decision: "accepted" lowers the quantities, "declined" keeps them)
+ *   - requested → rejected: Manager from source store turns it down (note
+ *     required as the reason); rejected requests are final
  *   - sent → complete: Manager from destination store confirms receipt
+ *     (items: [{ inventoryId, receivedQuantity, damagedQuantity?, reason? }],
+ *     destinations: [{ inventoryId, location?, destinationContainerId? }]);
+ *     destination capacity is checked first;
+ *     becomes partially-received if anything arrived short or damaged
+ *   - partially-received → complete: Partner resolves it (note required)
  *   - any → closed: Partner cancels request
  *
  * Authorization:
@@ -69,7 +141,7 @@ router.patch("/:id/status", transferRequestController.updateTransferStatus);
 /**
  * DELETE /api/transfer-requests/:id
  * Delete a transfer request (soft delete)
- * Can only delete requests with status 'open' or 'closed'
+ * Can only delete requests with status 'open', 'rejected' or 'closed'
  *
  * Authorization:
  *   - Partners only
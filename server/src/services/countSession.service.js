@@ -0,0 +1,593 @@
+/**
+ * Count Session Service
+ * Handles business logic for cycle counts (physical stock-takes)
+ */
+
+const mongoose = require("mongoose");
+const countSessionRepo = require("../repositories/countSession.repository");
+const inventoryRepo = require("../repositories/inventory.repository");
+const stockMovementService = require("./stockMovement.service");
+const { assertStoreAccess } = require("../utils/storeAccess");
+const { withTransaction } = require("../utils/transaction");
+const {
+	LOCATIONS,
+	PRODUCT_TYPES,
+	USER_ROLES,
+	STOCK_MOVEMENT_REASONS,
+	isValidEnumValue,
+} = require("../constants/enums");
+
+/**
+ * Validate a counted quantity supplied by the client
+ * @param {*} quantity - Value to check
+ * @throws {400} If quantity is not a whole number of at least 0
+ */
+const assertCountedQuantity = (quantity) => {
+	if (!Number.isInteger(quantity) || quantity < 0) {
+		const error = new Error(
+			"Counted quantity must be a whole number of at least 0"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+};
+
+/**
+ * Load a count session for changes and check the user can work on it
+ * @async
+ * @param {string} id - Count session ID
+ * @param {Object} user - Current user
+ * @param {Array<string>} statuses - Statuses the session must be in
+ * @returns {Promise<Object>} Count session document (unpopulated)
+ * @throws {400} If ID format is invalid or session is not in an allowed status
+ * @throws {403} If user cannot access the session's store
+ * @throws {404} If session not found
+ */
+const findSessionForUpdate = async (id, user, statuses) => {
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		const error = new Error("Invalid count session ID");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const session = await countSessionRepo.findByIdForUpdate(id);
+	if (!session) {
+		const error = new Error("Count session not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	assertStoreAccess(user, session.storeId);
+
+	if (!statuses.includes(session.status)) {
+		const error = new Error(`Count session is ${session.status}`);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return session;
+};
+
+/**
+ * Build the error for a session whose status changed while a request ran
+ * @returns {Error} 409 error
+ */
+const sessionConflict = () => {
+	const error = new Error(
+		"This count was submitted, approved or cancelled by someone else. Reload it to see its status"
+	);
+	error.statusCode = 409;
+	return error;
+};
+
+/**
+ * Find the snapshot line for an inventory record
+ * @param {Object} session - Count session document
+ * @param {string} inventoryId - Inventory ID
+ * @returns {Object} Count line
+ * @throws {404} If the record is not part of the session
+ */
+const findLine = (session, inventoryId) => {
+	const line = session.lines.find(
+		(entry) => entry.inventoryId.toString() === inventoryId
+	);
+
+	if (!line) {
+		const error = new Error("Inventory item is not part of this count");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	return line;
+};
+
+/**
+ * Open a count session and freeze the expected quantities
+ * Only one unfinished session may cover a given location at a time
+ * @async
+ * @param {Object} sessionData - Session data
+ * @param {string} sessionData.storeId - Store to count
+ * @param {string} [sessionData.location] - Limit to 'floor' or 'back' (omit for whole store)
+ * @param {string} [sessionData.notes] - Additional notes
+ * @param {Object} user - User opening the session
+ * @returns {Promise<Object>} Created count session with populated lines
+ * @throws {400} If store ID or location is invalid, or the store has nothing to count
+ * @throws {403} If user cannot access the store
+ * @throws {404} If store not found
+ * @throws {409} If an unfinished session already covers the location
+ */
+exports.openSession = async (sessionData, user) => {
+	const { storeId, notes } = sessionData;
+	const location = sessionData.location || null;
+
+	if (!storeId || !mongoose.Types.ObjectId.isValid(storeId)) {
+		const error = new Error("Valid store ID is required");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (location && !isValidEnumValue(LOCATIONS, location)) {
+		const error = new Error("Location must be either 'floor' or 'back'");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const store = await inventoryRepo.findStoreById(storeId);
+	if (!store) {
+		const error = new Error("Store not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	assertStoreAccess(user, storeId);
+
+	// Whole-store sessions overlap everything; location sessions overlap their own location
+	const unfinished = await countSessionRepo.findUnfinishedByStore(storeId);
+	const overlapping = unfinished.find(
+		(session) =>
+			!session.location || !location || session.location === location
+	);
+	if (overlapping) {
+		const error = new Error(
+			`A count is already in progress for ${
+				overlapping.location ? `the ${overlapping.location}` : "this store"
+			}`
+		);
+		error.statusCode = 409;
+		throw error;
+	}
+
+	const snapshot = await inventoryRepo.findStoreSnapshot(
+		storeId,
+		location || undefined
+	);
+
+	const lines = snapshot
+		.filter((inventory) => inventory.cardContainer || inventory.productId)
+		.map((inventory) =>
+			inventory.cardContainer
+				? {
+						inventoryId: inventory._id,
+						containerName: inventory.cardContainer.containerName,
+						location: inventory.location,
+						cards: inventory.cardContainer.cardInventory.map((card) => ({
+							productId: card.productId,
+							expectedQuantity: card.quantity,
+						})),
+					}
+				: {
+						inventoryId: inventory._id,
+						productId: inventory.productId._id,
+						location: inventory.location,
+						expectedQuantity: inventory.quantity,
+					}
+		);
+
+	if (lines.length === 0) {
+		const error = new Error("There is no inventory to count at this location");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const session = await countSessionRepo.create({
+		storeId,
+		location,
+		lines,
+		openedBy: user._id,
+		notes,
+	});
+
+	return countSessionRepo.findById(session._id);
+};
+
+/**
+ * Get count sessions visible to a user
+ * Partners see every store (optionally filtered); everyone else sees their own store
+ * @async
+ * @param {Object} user - Current user
+ * @param {Object} [filters={}] - Filter options
+ * @param {string} [filters.storeId] - Filter by store (partners only)
+ * @param {string} [filters.status] - Filter by status
+ * @returns {Promise<Array>} Array of count sessions, newest first
+ * @throws {403} If a non-partner has no assigned store
+ */
+exports.getSessions = async (user, filters = {}) => {
+	if (user.role === USER_ROLES.PARTNER) {
+		return countSessionRepo.findAll(filters);
+	}
+
+	assertStoreAccess(user, user.assignedStoreId);
+
+	return countSessionRepo.findAll({
+		storeId: user.assignedStoreId,
+		status: filters.status,
+	});
+};
+
+/**
+ * Get a count session with its lines and variances
+ * @async
+ * @param {string} id - Count session ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Count session with populated lines
+ * @throws {400} If ID format is invalid
+ * @throws {403} If user cannot access the session's store
+ * @throws {404} If session not found
+ */
+exports.getSessionById = async (id, user) => {
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		const error = new Error("Invalid count session ID");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const session = await countSessionRepo.findById(id);
+	if (!session) {
+		const error = new Error("Count session not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	assertStoreAccess(user, session.storeId);
+
+	return session;
+};
+
+/**
+ * Record the counted quantity of a standard inventory record
+ * Recounting overwrites the previous count
+ * @async
+ * @param {string} id - Count session ID
+ * @param {string} inventoryId - Inventory ID of the counted record
+ * @param {number} countedQuantity - Units physically counted
+ * @param {Object} user - User entering the count
+ * @returns {Promise<Object>} Updated count session
+ * @throws {400} If the session is not open, the quantity is invalid, or the record is a container
+ * @throws {403} If user cannot access the session's store
+ * @throws {404} If session not found or record not part of the count
+ * @throws {409} If the session was submitted or cancelled while this ran
+ */
+exports.recordCount = async (id, inventoryId, countedQuantity, user) => {
+	assertCountedQuantity(countedQuantity);
+
+	const session = await findSessionForUpdate(id, user, ["open"]);
+	const line = findLine(session, inventoryId);
+
+	if (!line.productId) {
+		const error = new Error("Count the cards inside a container individually");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	line.countedQuantity = countedQuantity;
+	line.countedBy = user._id;
+	line.countedAt = new Date();
+	if (!(await countSessionRepo.saveIfStatus(session, "open"))) {
+		throw sessionConflict();
+	}
+
+	return countSessionRepo.findById(id);
+};
+
+/**
+ * Record the counted quantity of a card inside a container
+ * Cards found in the container that weren't in the snapshot are added with
+ * an expected quantity of 0
+ * @async
+ * @param {string} id - Count session ID
+ * @param {string} inventoryId - Inventory ID of the container
+ * @param {string} productId - Card product ID
+ * @param {number} countedQuantity - Copies physically counted
+ * @param {Object} user - User entering the count
+ * @returns {Promise<Object>} Updated count session
+ * @throws {400} If the session is not open, the quantity is invalid, the record is not a container, or the product is not a single card
+ * @throws {403} If user cannot access the session's store
+ * @throws {404} If session, container line, or product not found
+ * @throws {409} If the session was submitted or cancelled while this ran
+ */
+exports.recordCardCount = async (
+	id,
+	inventoryId,
+	productId,
+	countedQuantity,
+	user
+) => {
+	assertCountedQuantity(countedQuantity);
+
+	const session = await findSessionForUpdate(id, user, ["open"]);
+	const line = findLine(session, inventoryId);
+
+	if (line.productId) {
+		const error = new Error("Only card containers have per-card counts");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	let card = line.cards.find(
+		(entry) => entry.productId.toString() === productId
+	);
+
+	if (!card) {
+		if (!mongoose.Types.ObjectId.isValid(productId)) {
+			const error = new Error("Invalid product ID format");
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const product = await inventoryRepo.findProductById(productId);
+		if (!product) {
+			const error = new Error("Product not found");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		if (product.productType !== PRODUCT_TYPES.SINGLE_CARD) {
+			const error = new Error(
+				`Only single cards can be counted in card containers (${product.name} is ${product.productType})`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		line.cards.push({ productId, expectedQuantity: 0 });
+		card = line.cards[line.cards.length - 1];
+	}
+
+	card.countedQuantity = countedQuantity;
+	card.countedBy = user._id;
+	card.countedAt = new Date();
+	if (!(await countSessionRepo.saveIfStatus(session, "open"))) {
+		throw sessionConflict();
+	}
+
+	return countSessionRepo.findById(id);
+};
+
+/**
+ * Submit a count session for manager review
+ * @async
+ * @param {string} id - Count session ID
+ * @param {Object} user - User submitting the count
+ * @returns {Promise<Object>} Updated count session
+ * @throws {400} If the session is not open or nothing was counted
+ * @throws {403} If user cannot access the session's store
+ * @throws {404} If session not found
+ * @throws {409} If the session was submitted or cancelled while this ran
+ */
+exports.submitSession = async (id, user) => {
+	const session = await findSessionForUpdate(id, user, ["open"]);
+
+	if (session.countedItems === 0) {
+		const error = new Error("Count at least one item before submitting");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const submitted = await countSessionRepo.updateIfStatus(id, "open", {
+		status: "submitted",
+		submittedBy: user._id,
+		submittedAt: new Date(),
+	});
+	if (!submitted) {
+		throw sessionConflict();
+	}
+
+	return countSessionRepo.findById(id);
+};
+
+/**
+ * Apply a count variance to a standard inventory record
+ * The variance is added with an atomic increment on top of the live
+ * quantity. A shortage larger than what is left on hand takes the record to
+ * 0 instead, and the ledger note says how much could not be removed.
+ * @async
+ * @param {Object} inventory - Inventory record (product populated)
+ * @param {number} variance - Counted minus expected quantity
+ * @param {Object} user - Manager approving the count
+ * @param {string} note - Ledger note for the count
+ * @returns {Promise<number>} Change actually applied to the quantity
+ */
+const applyQuantityVariance = async (inventory, variance, user, note) => {
+	let applied = variance;
+	let updated = await inventoryRepo.takeQuantity(inventory._id, -variance);
+
+	if (!updated) {
+		// Fewer units left than the count found missing - remove what is there
+		const current = await inventoryRepo.findById(inventory._id);
+		applied = -current.quantity;
+		updated = await inventoryRepo.takeQuantity(inventory._id, current.quantity);
+		if (!updated || updated.quantity !== 0) {
+			const error = new Error(
+				"Stock changed while the count was being posted. Try again"
+			);
+			error.statusCode = 409;
+			throw error;
+		}
+	}
+
+	await stockMovementService.recordMovement(
+		updated,
+		applied,
+		STOCK_MOVEMENT_REASONS.COUNT_ADJUST,
+		user,
+		{
+			notes:
+				applied === variance
+					? note
+					: `${note} (counted ${-variance} missing, only ${-applied} on hand)`,
+		}
+	);
+
+	return applied;
+};
+
+/**
+ * Apply a count variance for one card in a container
+ * Copies are added or taken with atomic updates on the card's entry; a
+ * shortage larger than the copies left removes the copies that are there
+ * @async
+ * @param {string} containerId - Inventory (container) ID
+ * @param {string} productId - Card product ID
+ * @param {number} variance - Counted minus expected copies
+ */
+const applyCardVariance = async (containerId, productId, variance) => {
+	if (variance > 0) {
+		await inventoryRepo.putCardsInContainer(containerId, productId, variance);
+		return;
+	}
+
+	// A count records what is there, including copies committed to transfers
+	const taken = await inventoryRepo.takeCardsFromContainer(
+		containerId,
+		productId,
+		-variance,
+		{ includeHeld: true }
+	);
+	if (taken) return;
+
+	const container = await inventoryRepo.findById(containerId);
+	const card = container.cardContainer.cardInventory.find(
+		(entry) => entry.productId.toString() === productId
+	);
+	if (card?.quantity > 0) {
+		await inventoryRepo.takeCardsFromContainer(
+			containerId,
+			productId,
+			card.quantity,
+			{ includeHeld: true }
+		);
+	}
+};
+
+/**
+ * Approve a submitted count and post its variances to inventory
+ * Each variance is applied as a delta on top of the live quantity (never
+ * below 0) and written to the stock movement ledger as a count adjustment.
+ * Uncounted items are left unchanged. The session is claimed as posted and
+ * every adjustment is made in one transaction, so a count is posted once or
+ * not at all.
+ * @async
+ * @param {string} id - Count session ID
+ * @param {Object} user - Manager approving the count
+ * @returns {Promise<Object>} Posted count session
+ * @throws {400} If the session is not submitted
+ * @throws {403} If user cannot access the session's store
+ * @throws {404} If session not found
+ * @throws {409} If the session was approved or cancelled while this ran
+ * @throws {500} If posting fails (nothing is changed)
+ */
+exports.approveSession = async (id, user) => {
+	const session = await findSessionForUpdate(id, user, ["submitted"]);
+	const note = `Cycle count ${session._id}`;
+
+	try {
+		await withTransaction(async () => {
+			const claimed = await countSessionRepo.updateIfStatus(id, "submitted", {
+				status: "posted",
+				postedBy: user._id,
+				postedAt: new Date(),
+			});
+			if (!claimed) {
+				throw sessionConflict();
+			}
+
+			const capacityDelta = {};
+
+			for (const line of session.lines) {
+				const inventory = await inventoryRepo.findById(line.inventoryId);
+				if (!inventory || !inventory.isActive) {
+					// Removed since the snapshot - nothing left to adjust
+					continue;
+				}
+
+				if (line.productId) {
+					if (!line.variance) continue;
+
+					const applied = await applyQuantityVariance(
+						inventory,
+						line.variance,
+						user,
+						note
+					);
+					capacityDelta[inventory.location] =
+						(capacityDelta[inventory.location] || 0) +
+						applied * (inventory.productId?.unitSize || 0);
+					continue;
+				}
+
+				const cardVariances = line.cards.filter((card) => card.variance);
+				if (cardVariances.length === 0) continue;
+
+				for (const counted of cardVariances) {
+					await applyCardVariance(
+						inventory._id,
+						counted.productId.toString(),
+						counted.variance
+					);
+				}
+				await inventoryRepo.pruneEmptyCards(inventory._id);
+			}
+
+			// Keep store capacity in step with the adjusted quantities
+			// (containers take up the same space whatever cards they hold)
+			await inventoryRepo.adjustStoreCapacity(session.storeId, capacityDelta);
+		});
+	} catch (error) {
+		if (error.statusCode) throw error;
+
+		const wrapped = new Error(
+			"Could not post the count. No inventory changes were saved"
+		);
+		wrapped.statusCode = 500;
+		wrapped.cause = error;
+		throw wrapped;
+	}
+
+	return countSessionRepo.findById(id);
+};
+
+/**
+ * Cancel an unfinished count session without changing inventory
+ * @async
+ * @param {string} id - Count session ID
+ * @param {Object} user - Manager cancelling the count
+ * @returns {Promise<Object>} Cancelled count session
+ * @throws {400} If the session is already posted or cancelled
+ * @throws {403} If user cannot access the session's store
+ * @throws {404} If session not found
+ * @throws {409} If the session was approved or cancelled while this ran
+ */
+exports.cancelSession = async (id, user) => {
+	const session = await findSessionForUpdate(id, user, ["open", "submitted"]);
+
+	const cancelled = await countSessionRepo.updateIfStatus(id, session.status, {
+		status: "cancelled",
+		cancelledBy: user._id,
+		cancelledAt: new Date(),
+	});
+	if (!cancelled) {
+		throw sessionConflict();
+	}
+
+	return countSessionRepo.findById(id);
+};
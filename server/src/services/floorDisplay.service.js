@@ -0,0 +1,367 @@
+/**
+ * Floor Display Service
+ * Handles floor display minimum rules and the report of rules the sales floor
+ * currently fails, with back-room stock suggested to close each gap
+ */
+
+const mongoose = require("mongoose");
+const floorDisplayRuleRepo = require("../repositories/floorDisplayRule.repository");
+const inventoryRepo = require("../repositories/inventory.repository");
+const { assertStoreAccess } = require("../utils/storeAccess");
+const {
+	LOCATIONS,
+	PRODUCT_TYPES,
+	isValidEnumValue,
+} = require("../constants/enums");
+
+// Most specific rules are planned first so broader rules can count their moves
+const SCOPE_ORDER = {
+	product: 0,
+	productTypeAndBrand: 1,
+	productType: 2,
+	brand: 2,
+};
+
+/**
+ * Validate a minimum quantity supplied by the client
+ * @param {*} minQuantity - Value to check
+ * @throws {400} If minQuantity is not a whole number of at least 1
+ */
+const assertMinQuantity = (minQuantity) => {
+	if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+		const error = new Error(
+			"Minimum quantity must be a whole number of at least 1"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+};
+
+/**
+ * Load a rule and check the user can work with its store
+ * @async
+ * @param {string} id - Rule ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Rule document
+ * @throws {400} If ID format is invalid
+ * @throws {403} If user cannot access the rule's store
+ * @throws {404} If rule not found
+ */
+const findRuleForUser = async (id, user) => {
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		const error = new Error("Invalid floor display rule ID");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const rule = await floorDisplayRuleRepo.findById(id);
+	if (!rule) {
+		const error = new Error("Floor display rule not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	assertStoreAccess(user, rule.storeId);
+	return rule;
+};
+
+/**
+ * Resolve the store a request is about and check access
+ * Non-partners default to their assigned store
+ * @param {string} [storeId] - Requested store ID
+ * @param {Object} user - Current user
+ * @returns {string} Store ID
+ * @throws {400} If store ID is missing or invalid
+ * @throws {403} If user cannot access the store
+ */
+const resolveStoreId = (storeId, user) => {
+	const resolved = storeId || user.assignedStoreId?.toString();
+
+	if (!resolved || !mongoose.Types.ObjectId.isValid(resolved)) {
+		const error = new Error("A valid store ID is required");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	assertStoreAccess(user, resolved);
+	return resolved;
+};
+
+/**
+ * Check whether a product falls under a rule
+ * @param {Object} rule - Floor display rule
+ * @param {Object} product - Populated product
+ * @returns {boolean} True if the product counts toward the rule
+ */
+const ruleMatchesProduct = (rule, product) => {
+	if (rule.productId) {
+		return (rule.productId._id || rule.productId).equals(product._id);
+	}
+	return (
+		(!rule.productType || product.productType === rule.productType) &&
+		(!rule.brand || product.brand === rule.brand)
+	);
+};
+
+/**
+ * Read a rule's current floor quantity from Inventory.getFloorDisplayQuantities
+ * @param {Object} rule - Floor display rule
+ * @param {Object} quantities - Floor quantities by product, type, brand and type+brand
+ * @returns {number} Units on the floor that count toward the rule
+ */
+const floorQuantityFor = (rule, quantities) => {
+	switch (rule.scope) {
+		case "product": {
+			const productKey = (rule.productId._id || rule.productId).toString();
+			return quantities.byProduct[productKey] || 0;
+		}
+		case "productTypeAndBrand": {
+			const comboKey = `${rule.productType}:${rule.brand}`;
+			return quantities.byProductTypeAndBrand[comboKey] || 0;
+		}
+		case "productType":
+			return quantities.byProductType[rule.productType] || 0;
+		default:
+			return quantities.byBrand[rule.brand] || 0;
+	}
+};
+
+/**
+ * Get the floor display rules of a store
+ * @async
+ * @param {string} [storeId] - Store ID (defaults to the user's assigned store)
+ * @param {Object} user - Current user
+ * @returns {Promise<Array>} Array of rules
+ * @throws {400} If store ID is missing or invalid
+ * @throws {403} If user cannot access the store
+ */
+exports.getRules = async (storeId, user) => {
+	const resolved = resolveStoreId(storeId, user);
+	return floorDisplayRuleRepo.findByStore(resolved);
+};
+
+/**
+ * Create a floor display rule
+ * @async
+ * @param {Object} ruleData - Rule data
+ * @param {string} ruleData.storeId - Store ID
+ * @param {string} [ruleData.productId] - Product the rule covers
+ * @param {string} [ruleData.productType] - Product type the rule covers
+ * @param {string} [ruleData.brand] - Brand the rule covers
+ * @param {number} ruleData.minQuantity - Units that must be on the floor
+ * @param {string} [ruleData.notes] - Additional notes
+ * @param {Object} user - User creating the rule
+ * @returns {Promise<Object>} Created rule with populated product
+ * @throws {400} If the target or minimum is invalid
+ * @throws {403} If user cannot access the store
+ * @throws {404} If product not found
+ * @throws {409} If the store already has a rule for the same target
+ */
+exports.createRule = async (ruleData, user) => {
+	const { productId, productType, minQuantity, notes } = ruleData;
+	const brand = ruleData.brand?.trim() || null;
+	const storeId = resolveStoreId(ruleData.storeId, user);
+
+	if (productId && (productType || brand)) {
+		const error = new Error(
+			"A floor display rule targets either a product or a product type/brand, not both"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (!productId && !productType && !brand) {
+		const error = new Error(
+			"A floor display rule needs a product, product type or brand"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (productType && !isValidEnumValue(PRODUCT_TYPES, productType)) {
+		const error = new Error("Invalid product type");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (productId) {
+		if (!mongoose.Types.ObjectId.isValid(productId)) {
+			const error = new Error("Invalid product ID format");
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const product = await inventoryRepo.findProductById(productId);
+		if (!product) {
+			const error = new Error("Product not found");
+			error.statusCode = 404;
+			throw error;
+		}
+	}
+
+	assertMinQuantity(minQuantity);
+
+	const target = { storeId, productId, productType, brand };
+	if (await floorDisplayRuleRepo.findDuplicate(target)) {
+		const error = new Error(
+			"This store already has a floor display rule for that target"
+		);
+		error.statusCode = 409;
+		throw error;
+	}
+
+	const rule = await floorDisplayRuleRepo.create({
+		storeId,
+		productId: productId || null,
+		productType: productType || null,
+		brand,
+		minQuantity,
+		notes,
+		createdBy: user._id,
+	});
+
+	return floorDisplayRuleRepo.findById(rule._id);
+};
+
+/**
+ * Update a floor display rule's minimum or notes
+ * The target is fixed; delete and recreate the rule to change it
+ * @async
+ * @param {string} id - Rule ID
+ * @param {Object} updateData - Fields to update
+ * @param {number} [updateData.minQuantity] - Units that must be on the floor
+ * @param {string} [updateData.notes] - Additional notes
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Updated rule with populated product
+ * @throws {400} If ID or minimum is invalid
+ * @throws {403} If user cannot access the rule's store
+ * @throws {404} If rule not found
+ */
+exports.updateRule = async (id, updateData, user) => {
+	const { minQuantity, notes } = updateData;
+
+	await findRuleForUser(id, user);
+
+	if (minQuantity !== undefined) {
+		assertMinQuantity(minQuantity);
+	}
+
+	await floorDisplayRuleRepo.update(id, { minQuantity, notes });
+	return floorDisplayRuleRepo.findById(id);
+};
+
+/**
+ * Delete a floor display rule
+ * @async
+ * @param {string} id - Rule ID
+ * @param {Object} user - Current user
+ * @returns {Promise<void>}
+ * @throws {400} If ID format is invalid
+ * @throws {403} If user cannot access the rule's store
+ * @throws {404} If rule not found
+ */
+exports.deleteRule = async (id, user) => {
+	await findRuleForUser(id, user);
+	await floorDisplayRuleRepo.delete(id);
+};
+
+/**
+ * Report the floor display rules a store currently fails
+ * Each unmet rule gets back-to-floor moves drawn from available (unheld)
+ * back-room stock. Product rules are planned first, then type+brand, then
+ * type or brand alone; a move planned for one rule also counts toward any
+ * broader rule it satisfies, and back-room units are never suggested twice.
+ * @async
+ * @param {string} [storeId] - Store ID (defaults to the user's assigned store)
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} { storeId, totalRules, metRules, unmet, suggestedMoves }
+ * @throws {400} If store ID is missing or invalid
+ * @throws {403} If user cannot access the store
+ */
+exports.getUnmetReport = async (storeId, user) => {
+	const resolved = resolveStoreId(storeId, user);
+
+	const [rules, quantities, backStock] = await Promise.all([
+		floorDisplayRuleRepo.findByStore(resolved),
+		inventoryRepo.getFloorDisplayQuantities(resolved),
+		inventoryRepo.findStoreSnapshot(resolved, LOCATIONS.BACK),
+	]);
+
+	// Back-room records that could restock the floor, largest first
+	const candidates = backStock
+		.filter((item) => !item.cardContainer && item.productId)
+		.map((item) => ({
+			inventoryId: item._id.toString(),
+			product: {
+				_id: item.productId._id,
+				name: item.productId.name,
+				sku: item.productId.sku,
+				productType: item.productId.productType,
+				brand: item.productId.brand,
+			},
+			remaining: item.availableQuantity,
+		}))
+		.sort((a, b) => b.remaining - a.remaining);
+
+	const planned = new Map(); // inventoryId -> suggested move
+	const unmet = [];
+
+	// Rules whose product has since been deleted have nothing left to check
+	const orderedRules = rules
+		.filter((rule) => rule.productId || rule.productType || rule.brand)
+		.sort((a, b) => SCOPE_ORDER[a.scope] - SCOPE_ORDER[b.scope]);
+
+	for (const rule of orderedRules) {
+		const currentQuantity = floorQuantityFor(rule, quantities);
+		if (currentQuantity >= rule.minQuantity) {
+			continue;
+		}
+
+		const alreadyPlanned = [...planned.values()]
+			.filter((move) => ruleMatchesProduct(rule, move.product))
+			.reduce((sum, move) => sum + move.quantity, 0);
+		let needed = rule.minQuantity - currentQuantity - alreadyPlanned;
+		const suggestedMoves = [];
+
+		for (const candidate of candidates) {
+			if (needed <= 0) break;
+			if (
+				candidate.remaining === 0 ||
+				!ruleMatchesProduct(rule, candidate.product)
+			) {
+				continue;
+			}
+
+			const quantity = Math.min(candidate.remaining, needed);
+			candidate.remaining -= quantity;
+			needed -= quantity;
+
+			const { inventoryId, product } = candidate;
+			suggestedMoves.push({ inventoryId, product, quantity });
+
+			const move = planned.get(inventoryId) || {
+				inventoryId,
+				product,
+				quantity: 0,
+			};
+			move.quantity += quantity;
+			planned.set(inventoryId, move);
+		}
+
+		unmet.push({
+			rule,
+			currentQuantity,
+			shortfall: rule.minQuantity - currentQuantity,
+			suggestedMoves,
+			uncoveredQuantity: Math.max(needed, 0),
+		});
+	}
+
+	return {
+		storeId: resolved,
+		totalRules: orderedRules.length,
+		metRules: orderedRules.length - unmet.length,
+		unmet,
+		suggestedMoves: [...planned.values()],
+	};
+};
@@ -0,0 +1,126 @@
+/**
+ * Idempotency Service
+ * Handles business logic for Idempotency-Key request deduplication
+ */
+
+const crypto = require("crypto");
+const idempotencyKeyRepo = require("../repositories/idempotencyKey.repository");
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash a request body so a reused key can be matched against its original data
+ * @param {*} body - Parsed request body
+ * @returns {string} Hex SHA-256 digest
+ */
+exports.hashRequest = (body) => {
+	return crypto
+		.createHash("sha256")
+		.update(JSON.stringify(body ?? {}))
+		.digest("hex");
+};
+
+/**
+ * Claim an idempotency key for a request, or find the response to replay
+ * @async
+ * @param {Object} request - Request being processed
+ * @param {string} request.key - Idempotency-Key header value
+ * @param {string} request.userId - ID of the user sending the request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Request path
+ * @param {*} request.body - Parsed request body
+ * @returns {Promise<Object>} { record } when the request should run, or
+ *   { replay: { statusCode, body } } when a stored response should be sent
+ * @throws {400} If the key is empty or too long
+ * @throws {409} If the first request with this key is still being processed
+ * @throws {422} If the key was already used for a different request
+ */
+exports.beginRequest = async ({ key, userId, method, path, body }) => {
+	const trimmedKey = typeof key === "string" ? key.trim() : "";
+
+	if (!trimmedKey || trimmedKey.length > MAX_KEY_LENGTH) {
+		const error = new Error(
+			`Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const requestHash = exports.hashRequest(body);
+
+	try {
+		const record = await idempotencyKeyRepo.create({
+			key: trimmedKey,
+			userId,
+			method,
+			path,
+			requestHash,
+		});
+		return { record };
+	} catch (error) {
+		if (error.code !== 11000) {
+			throw error;
+		}
+	}
+
+	// The key was used before - decide whether this is a retry of that request
+	const existing = await idempotencyKeyRepo.findByUserAndKey(userId, trimmedKey);
+
+	if (!existing) {
+		// The first attempt failed and released the key in the meantime
+		return await exports.beginRequest({ key, userId, method, path, body });
+	}
+
+	if (
+		existing.method !== method ||
+		existing.path !== path ||
+		existing.requestHash !== requestHash
+	) {
+		const error = new Error(
+			"Idempotency-Key was already used for a different request"
+		);
+		error.statusCode = 422;
+		throw error;
+	}
+
+	if (existing.statusCode === null) {
+		const error = new Error(
+			"A request with this Idempotency-Key is still being processed. Try again shortly"
+		);
+		error.statusCode = 409;
+		throw error;
+	}
+
+	return {
+		replay: {
+			statusCode: existing.statusCode,
+			body: JSON.parse(existing.responseBody),
+		},
+	};
+};
+
+/**
+ * Store the response to replay for later requests with the same key
+ * @async
+ * @param {string} recordId - Idempotency key record ID
+ * @param {number} statusCode - HTTP status code sent
+ * @param {*} body - Response body sent
+ * @returns {Promise<Object|null>} Updated idempotency key document or null
+ */
+exports.completeRequest = async (recordId, statusCode, body) => {
+	return await idempotencyKeyRepo.complete(
+		recordId,
+		statusCode,
+		JSON.stringify(body)
+	);
+};
+
+/**
+ * Forget a key whose request failed so the same submission can be retried
+ * @async
+ * @param {string} recordId - Idempotency key record ID
+ * @returns {Promise<Object|null>} Deleted idempotency key document or null
+ */
+exports.releaseRequest = async (recordId) => {
+	return await idempotencyKeyRepo.delete(recordId);
+};
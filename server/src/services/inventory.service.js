@@ -5,7 +5,166 @@
 
 const mongoose = require("mongoose");
 const inventoryRepo = require("../repositories/inventory.repository");
-const { LOCATIONS } = require("../constants/enums");
+const stockMovementRepo = require("../repositories/stockMovement.repository");
+const stockMovementService = require("./stockMovement.service");
+const { assertStoreAccess } = require("../utils/storeAccess");
+const {
+	assertCapacity,
+	spaceOf,
+	capacityDelta,
+} = require("../utils/capacity");
+const {
+	LOCATIONS,
+	CONTAINER_TYPES,
+	PRODUCT_TYPES,
+	STOCK_MOVEMENT_REASONS,
+	USER_ROLES,
+	isValidEnumValue,
+} = require("../constants/enums");
+
+// Card containers holding fewer cards than this are reported as low stock
+// unless the caller passes its own threshold
+const DEFAULT_CARD_THRESHOLD = 10;
+
+/**
+ * Build the error for a write that lost a race with another change
+ * @async
+ * @param {string} inventoryId - Inventory ID
+ * @returns {Promise<Error>} 409 error carrying the record's current state
+ */
+const versionConflict = async (inventoryId) => {
+	const error = new Error(
+		"This item was changed by someone else. Review the latest values and try again"
+	);
+	error.statusCode = 409;
+	error.details = {
+		current: await inventoryRepo.findByIdPopulated(inventoryId),
+	};
+	return error;
+};
+
+/**
+ * Update an inventory record only if it is still at the version that was read
+ * @async
+ * @param {string} inventoryId - Inventory ID
+ * @param {Object} updates - Fields to update
+ * @param {number} version - Version the caller's changes are based on
+ * @returns {Promise<Object>} Updated inventory document
+ * @throws {409} If the record changed since that version
+ */
+const updateAtVersion = async (inventoryId, updates, version) => {
+	try {
+		const updated = await inventoryRepo.update(inventoryId, updates, {
+			version,
+		});
+		if (updated) return updated;
+	} catch (error) {
+		if (!(error instanceof mongoose.Error.VersionError)) throw error;
+	}
+
+	throw await versionConflict(inventoryId);
+};
+
+/**
+ * Load an active card container by ID
+ * @async
+ * @param {string} containerId - Inventory ID of the container
+ * @returns {Promise<Object>} Container inventory document
+ * @throws {400} If container ID format is invalid
+ * @throws {404} If container not found, archived, or not a card container
+ */
+const findActiveContainer = async (containerId) => {
+	if (!mongoose.Types.ObjectId.isValid(containerId)) {
+		const error = new Error("Invalid container ID format");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const container = await inventoryRepo.findById(containerId);
+	if (!container || !container.cardContainer || !container.isActive) {
+		const error = new Error("Container not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	return container;
+};
+
+/**
+ * Load a product and verify it can be stored in a card container
+ * @async
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} Product document
+ * @throws {400} If product ID format is invalid or product is not a single card
+ * @throws {404} If product not found
+ */
+const findCardProduct = async (productId) => {
+	if (!mongoose.Types.ObjectId.isValid(productId)) {
+		const error = new Error("Invalid product ID format");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const product = await inventoryRepo.findProductById(productId);
+	if (!product) {
+		const error = new Error("Product not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	if (product.productType !== PRODUCT_TYPES.SINGLE_CARD) {
+		const error = new Error(
+			`Only single cards can be stored in card containers (${product.name} is ${product.productType})`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return product;
+};
+
+/**
+ * Copy a container's card inventory into plain { productId, quantity } entries
+ * @param {Object} container - Container inventory document
+ * @returns {Array<Object>} Card entries keyed by string product ID
+ */
+const toCardEntries = (container) =>
+	container.cardContainer.cardInventory.map((card) => ({
+		productId: (card.productId?._id || card.productId).toString(),
+		quantity: card.quantity,
+	}));
+
+/**
+ * Validate a card count supplied by the client
+ * @param {*} quantity - Value to check
+ * @param {number} min - Smallest allowed value (0 or 1)
+ * @throws {400} If quantity is not an integer at or above min
+ */
+const assertCardQuantity = (quantity, min) => {
+	if (!Number.isInteger(quantity) || quantity < min) {
+		const error = new Error(
+			`Card quantity must be a whole number of at least ${min}`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+};
+
+/**
+ * Refuse card changes to a container committed whole to a transfer
+ * Its cards have to arrive as they were requested
+ * @param {Object} container - Container inventory document
+ * @throws {409} If the container is committed to a transfer
+ */
+const assertNotReservedWhole = (container) => {
+	if (container.isReservedWhole) {
+		const error = new Error(
+			`${container.cardContainer.containerName} is committed to a transfer and can't be changed until it is sent, rejected or closed`
+		);
+		error.statusCode = 409;
+		throw error;
+	}
+};
 
 /**
  * Check if inventory already exists for a product at a store
@@ -121,6 +280,55 @@ exports.getInventoryByStore = async (storeId, filters = {}) => {
 	return inventoryRepo.findByStore(storeId, query);
 };
 
+/**
+ * Get low-stock standard inventory and under-filled card containers
+ * Store managers always see their own store; partners see every store unless
+ * they filter to one
+ * @async
+ * @param {Object} user - Current user
+ * @param {Object} [filters={}] - Filter options
+ * @param {string} [filters.storeId] - Limit to one store (partners)
+ * @param {number|string} [filters.cardThreshold=10] - Containers with fewer cards than this are low
+ * @returns {Promise<Object>} { items, containers, cardThreshold }
+ * @throws {400} If store ID or threshold is invalid
+ * @throws {403} If a manager asks for another store
+ */
+exports.getLowStock = async (user, filters = {}) => {
+	let { storeId } = filters;
+	const cardThreshold =
+		filters.cardThreshold === undefined || filters.cardThreshold === ""
+			? DEFAULT_CARD_THRESHOLD
+			: Number(filters.cardThreshold);
+
+	if (!Number.isInteger(cardThreshold) || cardThreshold < 0) {
+		const error = new Error(
+			"Card threshold must be a whole number of at least 0"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (user.role !== USER_ROLES.PARTNER) {
+		storeId = storeId || user.assignedStoreId?.toString();
+		assertStoreAccess(user, storeId);
+	}
+
+	if (storeId && !mongoose.Types.ObjectId.isValid(storeId)) {
+		const error = new Error("Invalid store ID format");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const [items, containers] = await Promise.all([
+		inventoryRepo.findLowStock(storeId),
+		cardThreshold > 0
+			? inventoryRepo.findLowStockContainers(storeId, cardThreshold)
+			: [],
+	]);
+
+	return { items, containers, cardThreshold };
+};
+
 /**
  * Create new inventory item or merge with existing
  * Supports both direct inventory and card containers
@@ -134,14 +342,18 @@ exports.getInventoryByStore = async (storeId, filters = {}) => {
  * @param {number} [inventoryData.minStockLevel] - Minimum stock level alert threshold
  * @param {string} [inventoryData.notes] - Additional notes
  * @param {Object} [inventoryData.cardContainer] - Card container details (for mixed inventory)
+ * @param {string} [inventoryData.reason='receive'] - Stock movement reason recorded in the ledger
+ * @param {Object} [user] - User creating the inventory (recorded in the ledger)
  * @returns {Promise<Object>} Result object with inventory, merged flag, and merge details
  * @throws {400} If required fields missing or invalid IDs
  * @throws {404} If store or product not found
  * @throws {400} If store capacity exceeded
+ * @throws {409} If the record being merged into was removed while this ran
  */
-exports.createInventory = async (inventoryData) => {
+exports.createInventory = async (inventoryData, user) => {
 	const { storeId, productId, quantity, location, minStockLevel, notes } =
 		inventoryData;
+	const reason = inventoryData.reason || STOCK_MOVEMENT_REASONS.RECEIVE;
 
 	// Validate required fields
 	if (!storeId || !productId || quantity === undefined || !location) {
@@ -160,6 +372,8 @@ exports.createInventory = async (inventoryData) => {
 		throw error;
 	}
 
+	stockMovementService.assertValidReason(reason);
+
 	// Verify store exists
 	const store = await inventoryRepo.findStoreById(storeId);
 	if (!store) {
@@ -186,42 +400,33 @@ exports.createInventory = async (inventoryData) => {
 	if (existingInventory) {
 		// Duplicate found - merge quantities instead of creating new record
 		const newQuantity = existingInventory.quantity + quantity;
-		const currentCapacity = await inventoryRepo.calculateStoreCapacity(storeId);
 		const oldSpace = product.unitSize * existingInventory.quantity;
 		const newSpace = product.unitSize * newQuantity;
-		const spaceChange = newSpace - oldSpace;
-		const availableSpace = store.maxCapacity - currentCapacity;
-
-		if (spaceChange > availableSpace) {
-			const error = new Error(
-				`Insufficient capacity. Required additional: ${spaceChange}, Available: ${availableSpace}`
-			);
-			error.statusCode = 400;
-			throw error;
-		}
-
-		// Update existing inventory
-		const updateData = {
-			quantity: newQuantity,
-		};
-		if (
-			minStockLevel !== undefined &&
-			minStockLevel > existingInventory.minStockLevel
-		) {
-			updateData.minStockLevel = minStockLevel;
-		}
-		if (notes) {
-			updateData.notes = notes;
-		}
+		assertCapacity(store, location, newSpace - oldSpace, {
+			label: "Required additional",
+		});
 
-		const updated = await inventoryRepo.update(
+		// Add to existing inventory in one write so concurrent additions all count
+		const updated = await inventoryRepo.addQuantity(
 			existingInventory._id,
-			updateData
+			quantity,
+			{ minStockLevel, notes }
+		);
+		if (!updated) {
+			throw await versionConflict(existingInventory._id);
+		}
+		await stockMovementService.recordMovement(
+			updated,
+			quantity,
+			reason,
+			user
 		);
 
 		// Update store capacity
-		const newCapacity = await inventoryRepo.calculateStoreCapacity(storeId);
-		await inventoryRepo.updateStoreCapacity(storeId, newCapacity);
+		await inventoryRepo.adjustStoreCapacity(
+			storeId,
+			capacityDelta([location, newSpace - oldSpace])
+		);
 
 		const populated = await inventoryRepo.findByIdPopulated(updated._id);
 
@@ -233,17 +438,8 @@ exports.createInventory = async (inventoryData) => {
 	}
 
 	// Check capacity for new inventory
-	const currentCapacity = await inventoryRepo.calculateStoreCapacity(storeId);
 	const requiredSpace = product.unitSize * quantity;
-	const availableSpace = store.maxCapacity - currentCapacity;
-
-	if (requiredSpace > availableSpace) {
-		const error = new Error(
-			`Insufficient capacity. Required: ${requiredSpace}, Available: ${availableSpace}`
-		);
-		error.statusCode = 400;
-		throw error;
-	}
+	assertCapacity(store, location, requiredSpace);
 
 	// Create new inventory
 	const newInventory = await inventoryRepo.create({
@@ -254,10 +450,18 @@ exports.createInventory = async (inventoryData) => {
 		minStockLevel: minStockLevel || 0,
 		notes,
 	});
+	await stockMovementService.recordMovement(
+		newInventory,
+		quantity,
+		reason,
+		user
+	);
 
 	// Update store's current capacity
-	const newCapacity = await inventoryRepo.calculateStoreCapacity(storeId);
-	await inventoryRepo.updateStoreCapacity(storeId, newCapacity);
+	await inventoryRepo.adjustStoreCapacity(
+		storeId,
+		capacityDelta([location, requiredSpace])
+	);
 
 	const populated = await inventoryRepo.findByIdPopulated(newInventory._id);
 
@@ -278,13 +482,20 @@ exports.createInventory = async (inventoryData) => {
  * @param {string} [updateData.location] - New location ('floor' or 'back')
  * @param {number} [updateData.minStockLevel] - Minimum stock level
  * @param {string} [updateData.notes] - Additional notes
+ * @param {string} [updateData.reason='manual'] - Why the quantity changed (recorded in the ledger)
+ * @param {number} [updateData.version] - Version the edit is based on (the record's __v when it was loaded)
+ * @param {Object} [user] - User making the change (recorded in the ledger)
  * @returns {Promise<Object>} Updated inventory item with populated product data
- * @throws {400} If inventory ID format is invalid
+ * @throws {400} If inventory ID format is invalid or reason is unknown
  * @throws {404} If inventory not found
+ * @throws {409} If the item changed since the given version (error.details.current holds the latest state)
+ * @throws {400} If a sale would dip into held units
+ * @throws {409} If the new quantity is below the units on hold
  * @throws {400} If capacity exceeded when increasing quantity
  */
-exports.updateInventory = async (inventoryId, updateData) => {
-	const { quantity, location, minStockLevel, notes } = updateData;
+exports.updateInventory = async (inventoryId, updateData, user) => {
+	const { quantity, location, minStockLevel, notes, version } = updateData;
+	const reason = updateData.reason || STOCK_MOVEMENT_REASONS.MANUAL;
 
 	// Validate ObjectId format
 	if (!mongoose.Types.ObjectId.isValid(inventoryId)) {
@@ -293,6 +504,14 @@ exports.updateInventory = async (inventoryId, updateData) => {
 		throw error;
 	}
 
+	stockMovementService.assertValidReason(reason);
+
+	if (version !== undefined && !Number.isInteger(version)) {
+		const error = new Error("Version must be a whole number");
+		error.statusCode = 400;
+		throw error;
+	}
+
 	// Find existing inventory (with product for capacity calculations)
 	const inventory = await inventoryRepo.findByIdPopulated(inventoryId);
 	if (!inventory) {
@@ -301,24 +520,51 @@ exports.updateInventory = async (inventoryId, updateData) => {
 		throw error;
 	}
 
-	// If quantity is changing, check capacity
-	if (quantity !== undefined && quantity !== inventory.quantity) {
-		const store = await inventoryRepo.findStoreById(inventory.storeId);
-		const currentCapacity = await inventoryRepo.calculateStoreCapacity(
-			inventory.storeId
+	// Someone else saved the item after the caller loaded it
+	if (version !== undefined && inventory.__v !== version) {
+		throw await versionConflict(inventoryId);
+	}
+
+	// Sales can only come out of units that aren't on hold
+	if (
+		reason === STOCK_MOVEMENT_REASONS.SALE &&
+		quantity !== undefined &&
+		inventory.quantity - quantity > inventory.availableQuantity
+	) {
+		const error = new Error(
+			`Cannot sell ${inventory.quantity - quantity} units. Only ${
+				inventory.availableQuantity
+			} available (${inventory.heldQuantity} on hold)`
 		);
-		const oldSpace = inventory.productId.unitSize * inventory.quantity;
-		const newSpace = inventory.productId.unitSize * quantity;
-		const spaceChange = newSpace - oldSpace;
-		const availableSpace = store.maxCapacity - currentCapacity;
+		error.statusCode = 400;
+		throw error;
+	}
 
-		if (spaceChange > availableSpace) {
-			const error = new Error(
-				`Insufficient capacity. Required additional: ${spaceChange}, Available: ${availableSpace}`
-			);
-			error.statusCode = 400;
-			throw error;
-		}
+	// Held units are promised to someone; other changes can't take them either
+	if (quantity !== undefined && quantity < inventory.heldQuantity) {
+		const error = new Error(
+			`Cannot set quantity to ${quantity} with ${inventory.heldQuantity} units on hold. Release the holds first`
+		);
+		error.statusCode = 409;
+		throw error;
+	}
+
+	// If quantity or location is changing, check capacity
+	const newLocation = location || inventory.location;
+	const isRelocating = newLocation !== inventory.location;
+	const oldSpace = spaceOf(inventory);
+	const newSpace = spaceOf(inventory, quantity ?? inventory.quantity);
+	if (
+		(quantity !== undefined && quantity !== inventory.quantity) ||
+		isRelocating
+	) {
+		const store = await inventoryRepo.findStoreById(inventory.storeId);
+
+		// A relocated record takes all of its space to the new location
+		assertCapacity(store, newLocation, newSpace - oldSpace, {
+			locationSpace: isRelocating ? newSpace : newSpace - oldSpace,
+			label: "Required additional",
+		});
 	}
 
 	// Build update object
@@ -328,14 +574,22 @@ exports.updateInventory = async (inventoryId, updateData) => {
 	if (minStockLevel !== undefined) updates.minStockLevel = minStockLevel;
 	if (notes !== undefined) updates.notes = notes;
 
-	// Update inventory
-	await inventoryRepo.update(inventoryId, updates);
+	// Update inventory, as long as nobody changed it since it was read
+	const updated = await updateAtVersion(inventoryId, updates, inventory.__v);
+	if (quantity !== undefined) {
+		await stockMovementService.recordMovement(
+			updated,
+			quantity - inventory.quantity,
+			reason,
+			user
+		);
+	}
 
 	// Update store's current capacity
-	const newCapacity = await inventoryRepo.calculateStoreCapacity(
-		inventory.storeId
+	await inventoryRepo.adjustStoreCapacity(
+		inventory.storeId,
+		capacityDelta([inventory.location, -oldSpace], [newLocation, newSpace])
 	);
-	await inventoryRepo.updateStoreCapacity(inventory.storeId, newCapacity);
 
 	// Return updated inventory
 	return inventoryRepo.findByIdPopulated(inventoryId);
@@ -344,13 +598,18 @@ exports.updateInventory = async (inventoryId, updateData) => {
 /**
  * Delete inventory item (soft delete - sets isDeleted to true)
  * Updates store capacity after deletion
+ * Remaining units are written off in the ledger as a manual change
+ * Removing inventory that was already removed changes nothing
  * @async
  * @param {string} inventoryId - Inventory ID
+ * @param {Object} [user] - User removing the inventory (recorded in the ledger)
  * @returns {Promise<Object>} Deleted inventory item
  * @throws {400} If inventory ID format is invalid
  * @throws {404} If inventory not found
+ * @throws {400} If a card container still holds cards
+ * @throws {409} If units (or a container's cards) are on hold
  */
-exports.deleteInventory = async (inventoryId) => {
+exports.deleteInventory = async (inventoryId, user) => {
 	// Validate ObjectId format
 	if (!mongoose.Types.ObjectId.isValid(inventoryId)) {
 		const error = new Error("Invalid inventory ID format");
@@ -366,12 +625,886 @@ exports.deleteInventory = async (inventoryId) => {
 		throw error;
 	}
 
+	// Already removed: its units were written off and its space freed then
+	if (!inventory.isActive) {
+		return;
+	}
+
+	// Held units are promised to someone; release them before removing stock
+	if (inventory.heldQuantity > 0) {
+		const error = new Error(
+			`Cannot remove inventory with ${inventory.heldQuantity} units on hold. Release the holds first`
+		);
+		error.statusCode = 409;
+		throw error;
+	}
+
+	// Containers follow the archive rules: nothing committed, nothing inside
+	if (inventory.cardContainer) {
+		if (inventory.holds.length > 0) {
+			const error = new Error(
+				"Cannot remove a container with cards committed to transfers"
+			);
+			error.statusCode = 409;
+			throw error;
+		}
+
+		if (inventory.cardContainer.cardInventory.length > 0) {
+			const error = new Error(
+				`Cannot remove container with ${inventory.totalCards} card(s) still inside`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+	}
+
 	// Soft delete
 	await inventoryRepo.softDelete(inventoryId);
+	if (!inventory.cardContainer) {
+		await stockMovementService.recordMovement(
+			{ ...inventory.toObject(), quantity: 0 },
+			-inventory.quantity,
+			STOCK_MOVEMENT_REASONS.MANUAL,
+			user,
+			{ notes: "Inventory removed" }
+		);
+	}
+
+	// Update store's current capacity
+	await inventoryRepo.adjustStoreCapacity(
+		inventory.storeId,
+		capacityDelta([inventory.location, -spaceOf(inventory)])
+	);
+};
+
+/**
+ * Get active card containers for a store
+ * @async
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Array>} Array of container inventory documents with populated cards
+ * @throws {400} If store ID format is invalid
+ */
+exports.getContainersByStore = async (storeId) => {
+	if (!mongoose.Types.ObjectId.isValid(storeId)) {
+		const error = new Error("Invalid store ID format");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return inventoryRepo.findContainersByStore(storeId);
+};
+
+/**
+ * Get a single card container with its card inventory
+ * @async
+ * @param {string} containerId - Container inventory ID
+ * @returns {Promise<Object>} Populated container inventory document
+ * @throws {400} If container ID format is invalid
+ * @throws {404} If container not found
+ */
+exports.getContainerById = async (containerId) => {
+	const container = await findActiveContainer(containerId);
+	return inventoryRepo.findByIdPopulated(container._id);
+};
+
+/**
+ * Create a new (empty) card container at a store
+ * The container's unit size counts against store capacity regardless of contents
+ * @async
+ * @param {Object} containerData - Container data
+ * @param {string} containerData.storeId - Store ID
+ * @param {string} containerData.location - Location ('floor' or 'back')
+ * @param {string} containerData.containerType - Container type ('display-case', 'bulk-box', 'bulk-bin')
+ * @param {string} containerData.containerName - User-friendly container label
+ * @param {number} [containerData.containerUnitSize=0] - Physical space the container occupies
+ * @param {string} [containerData.notes] - Additional notes
+ * @param {Object} user - User creating the container
+ * @returns {Promise<Object>} Created container with populated store data
+ * @throws {400} If required fields missing or invalid
+ * @throws {403} If user cannot access the store
+ * @throws {404} If store not found
+ * @throws {400} If store capacity exceeded
+ */
+exports.createContainer = async (containerData, user) => {
+	const {
+		storeId,
+		location,
+		containerType,
+		containerName,
+		containerUnitSize = 0,
+		notes,
+	} = containerData;
+
+	// Validate required fields
+	if (!storeId || !location || !containerType || !containerName) {
+		const error = new Error("Missing required fields");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (!mongoose.Types.ObjectId.isValid(storeId)) {
+		const error = new Error("Invalid store ID format");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (!isValidEnumValue(CONTAINER_TYPES, containerType)) {
+		const error = new Error(`Invalid container type: ${containerType}`);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (!isValidEnumValue(LOCATIONS, location)) {
+		const error = new Error("Location must be either 'floor' or 'back'");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (typeof containerUnitSize !== "number" || containerUnitSize < 0) {
+		const error = new Error("Container unit size must be a non-negative number");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const store = await inventoryRepo.findStoreById(storeId);
+	if (!store) {
+		const error = new Error("Store not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	assertStoreAccess(user, storeId);
+
+	// Check capacity for the container itself
+	assertCapacity(store, location, containerUnitSize);
+
+	const container = await inventoryRepo.create({
+		storeId,
+		location,
+		notes,
+		cardContainer: {
+			containerType,
+			containerName,
+			containerUnitSize,
+			cardInventory: [],
+		},
+	});
 
 	// Update store's current capacity
-	const newCapacity = await inventoryRepo.calculateStoreCapacity(
-		inventory.storeId
+	await inventoryRepo.adjustStoreCapacity(
+		storeId,
+		capacityDelta([location, containerUnitSize])
 	);
-	await inventoryRepo.updateStoreCapacity(inventory.storeId, newCapacity);
+
+	return inventoryRepo.findByIdPopulated(container._id);
+};
+
+/**
+ * Update card container details (rename, resize, retype or relocate)
+ * Card contents are managed separately and are never replaced here
+ * @async
+ * @param {string} containerId - Container inventory ID
+ * @param {Object} updateData - Fields to update
+ * @param {string} [updateData.containerName] - New container label
+ * @param {string} [updateData.containerType] - New container type
+ * @param {number} [updateData.containerUnitSize] - New physical size
+ * @param {string} [updateData.location] - New location ('floor' or 'back')
+ * @param {string} [updateData.notes] - Additional notes
+ * @param {Object} user - User performing the update
+ * @returns {Promise<Object>} Updated container with populated data
+ * @throws {400} If container ID format is invalid or values are invalid
+ * @throws {403} If user cannot access the container's store
+ * @throws {404} If container not found
+ * @throws {400} If resizing exceeds store capacity
+ */
+exports.updateContainer = async (containerId, updateData, user) => {
+	const { containerName, containerType, containerUnitSize, location, notes } =
+		updateData;
+
+	const container = await findActiveContainer(containerId);
+	assertStoreAccess(user, container.storeId);
+
+	if (containerName !== undefined && !String(containerName).trim()) {
+		const error = new Error("Container name cannot be empty");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (
+		containerType !== undefined &&
+		!isValidEnumValue(CONTAINER_TYPES, containerType)
+	) {
+		const error = new Error(`Invalid container type: ${containerType}`);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (location !== undefined && !isValidEnumValue(LOCATIONS, location)) {
+		const error = new Error("Location must be either 'floor' or 'back'");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (
+		containerUnitSize !== undefined &&
+		(typeof containerUnitSize !== "number" || containerUnitSize < 0)
+	) {
+		const error = new Error("Container unit size must be a non-negative number");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	// If the container is growing or relocating, check capacity for the space it adds
+	const oldSize = container.cardContainer.containerUnitSize || 0;
+	const newSize = containerUnitSize ?? oldSize;
+	const newLocation = location || container.location;
+	const isRelocating = newLocation !== container.location;
+	if (newSize > oldSize || isRelocating) {
+		const store = await inventoryRepo.findStoreById(container.storeId);
+		assertCapacity(store, newLocation, newSize - oldSize, {
+			locationSpace: isRelocating ? newSize : newSize - oldSize,
+			label: "Required additional",
+		});
+	}
+
+	await inventoryRepo.updateContainer(
+		containerId,
+		{ containerName, containerType, containerUnitSize },
+		{ location, notes }
+	);
+
+	// Update store's current capacity
+	await inventoryRepo.adjustStoreCapacity(
+		container.storeId,
+		capacityDelta([container.location, -oldSize], [newLocation, newSize])
+	);
+
+	return inventoryRepo.findByIdPopulated(containerId);
+};
+
+/**
+ * Archive a card container (soft delete - sets isActive to false)
+ * Containers must be emptied first so no cards disappear from inventory
+ * @async
+ * @param {string} containerId - Container inventory ID
+ * @param {Object} user - User archiving the container
+ * @returns {Promise<void>}
+ * @throws {400} If container ID format is invalid
+ * @throws {403} If user cannot access the container's store
+ * @throws {404} If container not found
+ * @throws {400} If container still holds cards
+ * @throws {409} If the container is committed to a transfer
+ */
+exports.archiveContainer = async (containerId, user) => {
+	const container = await findActiveContainer(containerId);
+	assertStoreAccess(user, container.storeId);
+	assertNotReservedWhole(container);
+
+	if (container.cardContainer.cardInventory.length > 0) {
+		const error = new Error(
+			`Cannot archive container with ${container.totalCards} card(s) still inside`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	await inventoryRepo.softDelete(containerId);
+
+	// Update store's current capacity
+	await inventoryRepo.adjustStoreCapacity(
+		container.storeId,
+		capacityDelta([container.location, -spaceOf(container)])
+	);
+};
+
+/**
+ * Add copies of a single card to a container
+ * Merges into the existing entry when the card is already in the container.
+ * Card counts are changed with atomic updates on the card's entry, so edits
+ * and card moves running at the same time never overwrite each other.
+ * @async
+ * @param {string} containerId - Container inventory ID
+ * @param {Object} cardData - Card data
+ * @param {string} cardData.productId - Single card product ID
+ * @param {number} cardData.quantity - Number of copies to add
+ * @param {Object} user - User adding the cards
+ * @returns {Promise<Object>} Updated container with populated cards
+ * @throws {400} If IDs are invalid, quantity is invalid, or product is not a single card
+ * @throws {403} If user cannot access the container's store
+ * @throws {404} If container or product not found
+ * @throws {409} If the container is committed to a transfer
+ */
+exports.addCardsToContainer = async (containerId, cardData, user) => {
+	const { productId, quantity } = cardData;
+
+	assertCardQuantity(quantity, 1);
+
+	const container = await findActiveContainer(containerId);
+	assertStoreAccess(user, container.storeId);
+	assertNotReservedWhole(container);
+	await findCardProduct(productId);
+
+	await inventoryRepo.putCardsInContainer(containerId, productId, quantity);
+
+	return inventoryRepo.findByIdPopulated(containerId);
+};
+
+/**
+ * Remove copies of a card from a container
+ * Removes the card entry entirely when no quantity is given or the count reaches 0
+ * @async
+ * @param {string} containerId - Container inventory ID
+ * @param {string} productId - Single card product ID
+ * @param {number} [quantity] - Number of copies to remove (omit to remove all)
+ * @param {Object} user - User removing the cards
+ * @returns {Promise<Object>} Updated container with populated cards
+ * @throws {400} If quantity is invalid or exceeds the copies not committed to transfers
+ * @throws {403} If user cannot access the container's store
+ * @throws {404} If container not found or card not in container
+ * @throws {409} If the container is committed to a transfer
+ */
+exports.removeCardsFromContainer = async (
+	containerId,
+	productId,
+	quantity,
+	user
+) => {
+	if (quantity !== undefined) {
+		assertCardQuantity(quantity, 1);
+	}
+
+	const container = await findActiveContainer(containerId);
+	assertStoreAccess(user, container.storeId);
+	assertNotReservedWhole(container);
+
+	const removed =
+		quantity === undefined
+			? await inventoryRepo.removeCardFromContainer(containerId, productId)
+			: await inventoryRepo.takeCardsFromContainer(
+					containerId,
+					productId,
+					quantity
+				);
+
+	if (!removed) {
+		// Check the live container to tell a missing card from a short one
+		const current = await findActiveContainer(containerId);
+		assertNotReservedWhole(current);
+		const existing = toCardEntries(current).find(
+			(card) => card.productId === productId
+		);
+
+		if (!existing) {
+			const error = new Error("Card not found in container");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		const reserved = current.heldCopiesOf(productId);
+		const error = new Error(
+			reserved > 0
+				? `Cannot remove ${quantity ?? existing.quantity} copies. Only ${
+						existing.quantity - reserved
+					} free in the container (${reserved} committed to transfers)`
+				: `Cannot remove ${quantity} copies. Container only holds ${existing.quantity}`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	await inventoryRepo.pruneEmptyCards(containerId);
+
+	return inventoryRepo.findByIdPopulated(containerId);
+};
+
+/**
+ * Set the exact number of copies of a card in a container
+ * A quantity of 0 removes the card entry. Copies committed to transfers
+ * can't be counted away
+ * @async
+ * @param {string} containerId - Container inventory ID
+ * @param {string} productId - Single card product ID
+ * @param {number} quantity - Exact number of copies
+ * @param {Object} user - User adjusting the count
+ * @returns {Promise<Object>} Updated container with populated cards
+ * @throws {400} If IDs are invalid, quantity is invalid, product is not a single card, or copies are committed to transfers
+ * @throws {403} If user cannot access the container's store
+ * @throws {404} If container or product not found
+ * @throws {409} If the container is committed to a transfer
+ */
+exports.setCardQuantity = async (containerId, productId, quantity, user) => {
+	assertCardQuantity(quantity, 0);
+
+	const container = await findActiveContainer(containerId);
+	assertStoreAccess(user, container.storeId);
+	assertNotReservedWhole(container);
+	await findCardProduct(productId);
+
+	const updated =
+		quantity === 0
+			? await inventoryRepo.removeCardFromContainer(containerId, productId)
+			: await inventoryRepo.setCardsInContainer(
+					containerId,
+					productId,
+					quantity
+				);
+
+	if (!updated) {
+		const current = await findActiveContainer(containerId);
+		assertNotReservedWhole(current);
+		const reserved = current.heldCopiesOf(productId);
+		if (reserved > quantity) {
+			const error = new Error(
+				`Cannot set ${quantity} copies. ${reserved} are committed to transfers`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+	}
+
+	return inventoryRepo.findByIdPopulated(containerId);
+};
+
+/**
+ * Move copies of a card from one container to another in the same store
+ * The source is decremented with a conditional update, so the move is refused
+ * rather than over-drawn if another request takes the copies first.
+ * Containers may sit at different locations (floor/back).
+ * @async
+ * @param {string} fromContainerId - Source container inventory ID
+ * @param {Object} moveData - Move data
+ * @param {string} moveData.toContainerId - Destination container inventory ID
+ * @param {string} moveData.productId - Single card product ID
+ * @param {number} moveData.quantity - Number of copies to move
+ * @param {string} [moveData.notes] - Optional note recorded with the move
+ * @param {Object} user - User moving the cards
+ * @returns {Promise<Object>} Recorded move with updated source and destination containers
+ * @throws {400} If IDs are invalid, containers differ in store, or source holds too few copies
+ * @throws {403} If user cannot access the containers' store
+ * @throws {404} If either container not found or card not in source container
+ * @throws {409} If either container is committed to a transfer
+ */
+exports.moveCardsBetweenContainers = async (
+	fromContainerId,
+	moveData,
+	user
+) => {
+	const { toContainerId, productId, quantity, notes } = moveData;
+
+	assertCardQuantity(quantity, 1);
+
+	if (fromContainerId === toContainerId) {
+		const error = new Error("Source and destination containers must differ");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const source = await findActiveContainer(fromContainerId);
+	const destination = await findActiveContainer(toContainerId);
+
+	if (!source.storeId.equals(destination.storeId)) {
+		const error = new Error(
+			"Cards can only be moved between containers in the same store"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	assertStoreAccess(user, source.storeId);
+	assertNotReservedWhole(source);
+	assertNotReservedWhole(destination);
+	await findCardProduct(productId);
+
+	const held = toCardEntries(source).find(
+		(card) => card.productId === productId
+	);
+	if (!held) {
+		const error = new Error("Card not found in source container");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	const taken = await inventoryRepo.takeCardsFromContainer(
+		fromContainerId,
+		productId,
+		quantity
+	);
+	if (!taken) {
+		assertNotReservedWhole(await findActiveContainer(fromContainerId));
+		const reserved = source.heldCopiesOf(productId);
+		const error = new Error(
+			`Cannot move ${quantity} copies. Source container only holds ${
+				held.quantity
+			}${reserved > 0 ? ` (${reserved} committed to transfers)` : ""}`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	try {
+		const placed = await inventoryRepo.putCardsInContainer(
+			toContainerId,
+			productId,
+			quantity
+		);
+		if (!placed) {
+			throw new Error("Destination container could not be updated");
+		}
+	} catch (error) {
+		// Put the copies back so the source is left as it was
+		await inventoryRepo.putCardsInContainer(
+			fromContainerId,
+			productId,
+			quantity
+		);
+		throw error;
+	}
+
+	await inventoryRepo.pruneEmptyCards(fromContainerId);
+
+	const move = await inventoryRepo.createCardMove({
+		storeId: source.storeId,
+		fromContainerId,
+		toContainerId,
+		fromLocation: source.location,
+		toLocation: destination.location,
+		productId,
+		quantity,
+		movedBy: user._id,
+		notes,
+	});
+
+	return {
+		move,
+		fromContainer: await inventoryRepo.findByIdPopulated(fromContainerId),
+		toContainer: await inventoryRepo.findByIdPopulated(toContainerId),
+	};
+};
+
+/**
+ * Get the card move history for a container
+ * @async
+ * @param {string} containerId - Container inventory ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Array>} Card moves into or out of the container, newest first
+ * @throws {403} If user cannot access the container's store
+ * @throws {404} If container not found
+ */
+exports.getContainerMoves = async (containerId, user) => {
+	const container = await findActiveContainer(containerId);
+	assertStoreAccess(user, container.storeId);
+
+	return inventoryRepo.findCardMovesByContainer(containerId);
+};
+
+/**
+ * Move units of a standard product between the floor and back locations
+ * The source record is decremented with a conditional update so it can never
+ * go below zero; the units are merged into the product's record at the other
+ * location, which is created when the store has none there yet. The source
+ * record is kept at 0 rather than removed so its stock settings survive.
+ * @async
+ * @param {string} inventoryId - Inventory ID of the source record
+ * @param {Object} moveData - Move data
+ * @param {number} moveData.quantity - Number of units to move
+ * @param {string} [moveData.toLocation] - Destination location (defaults to the other location)
+ * @param {Object} user - User moving the stock
+ * @returns {Promise<Object>} Updated source and destination records
+ * @throws {400} If IDs or quantity are invalid, source is a card container, or source has too few unheld units
+ * @throws {403} If user cannot access the record's store
+ * @throws {404} If inventory not found
+ */
+exports.moveBetweenLocations = async (inventoryId, moveData, user) => {
+	const { quantity } = moveData;
+
+	if (!mongoose.Types.ObjectId.isValid(inventoryId)) {
+		const error = new Error("Invalid inventory ID format");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (!Number.isInteger(quantity) || quantity < 1) {
+		const error = new Error("Quantity must be a whole number of at least 1");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const source = await inventoryRepo.findById(inventoryId);
+	if (!source || !source.isActive) {
+		const error = new Error("Inventory not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	if (source.cardContainer) {
+		const error = new Error(
+			"Card containers are moved with the container update, not by quantity"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	assertStoreAccess(user, source.storeId);
+
+	const toLocation =
+		moveData.toLocation ||
+		(source.location === LOCATIONS.FLOOR ? LOCATIONS.BACK : LOCATIONS.FLOOR);
+
+	if (!isValidEnumValue(LOCATIONS, toLocation)) {
+		const error = new Error("Location must be either 'floor' or 'back'");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (toLocation === source.location) {
+		const error = new Error(`Inventory is already on the ${toLocation}`);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (quantity > source.availableQuantity) {
+		const error = new Error(
+			`Cannot move ${quantity} units. Only ${source.availableQuantity} available on the ${source.location} (${source.heldQuantity} on hold)`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	// Store-wide usage is unchanged; only the destination needs the room
+	const movedSpace = spaceOf(source, quantity);
+	const store = await inventoryRepo.findStoreById(source.storeId);
+	assertCapacity(store, toLocation, 0, { locationSpace: movedSpace });
+
+	// Held units stay put, even if a hold was placed since the record was read
+	await inventoryRepo.pruneExpiredHolds(inventoryId);
+	const taken = await inventoryRepo.takeAvailableQuantity(
+		inventoryId,
+		quantity
+	);
+	if (!taken) {
+		const error = new Error(
+			`Cannot move ${quantity} units. Only ${source.availableQuantity} available on the ${source.location} (${source.heldQuantity} on hold)`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const productId = source.productId._id;
+	const now = new Date();
+	let destination;
+
+	try {
+		const existing = await inventoryRepo.findDuplicate(
+			source.storeId,
+			productId,
+			toLocation
+		);
+
+		destination = existing
+			? await updateAtVersion(
+					existing._id,
+					{ quantity: existing.quantity + quantity, lastRestocked: now },
+					existing.__v
+				)
+			: await inventoryRepo.create({
+					storeId: source.storeId,
+					productId,
+					quantity,
+					location: toLocation,
+					minStockLevel: 0,
+					lastRestocked: now,
+				});
+	} catch (error) {
+		// Return the units so the source is left as it was
+		await inventoryRepo.takeQuantity(inventoryId, -quantity);
+		throw error;
+	}
+
+	await stockMovementService.recordMovement(
+		taken,
+		-quantity,
+		STOCK_MOVEMENT_REASONS.RELOCATE,
+		user,
+		{ notes: `Moved to ${toLocation}` }
+	);
+	await stockMovementService.recordMovement(
+		destination,
+		quantity,
+		STOCK_MOVEMENT_REASONS.RELOCATE,
+		user,
+		{ notes: `Moved from ${source.location}` }
+	);
+
+	// Usage moved between locations
+	await inventoryRepo.adjustStoreCapacity(
+		source.storeId,
+		capacityDelta([source.location, -movedSpace], [toLocation, movedSpace])
+	);
+
+	return {
+		from: await inventoryRepo.findByIdPopulated(inventoryId),
+		to: await inventoryRepo.findByIdPopulated(destination._id),
+	};
+};
+
+/**
+ * Get the stock movement history of an inventory record
+ * @async
+ * @param {string} inventoryId - Inventory ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Inventory record and its ledger entries, newest first
+ * @throws {400} If inventory ID format is invalid
+ * @throws {403} If user cannot access the record's store
+ * @throws {404} If inventory not found
+ */
+exports.getInventoryHistory = async (inventoryId, user) => {
+	if (!mongoose.Types.ObjectId.isValid(inventoryId)) {
+		const error = new Error("Invalid inventory ID format");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const inventory = await inventoryRepo.findByIdPopulated(inventoryId);
+	if (!inventory) {
+		const error = new Error("Inventory not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	assertStoreAccess(user, inventory.storeId);
+
+	const history = await stockMovementRepo.findByInventory(inventoryId);
+
+	return { inventory, history };
+};
+
+/**
+ * Place a hold on units of a standard inventory record
+ * Held units stay on hand but are no longer available to transfers, sales or
+ * restock moves. Expired holds on the record are cleared first.
+ * @async
+ * @param {string} inventoryId - Inventory ID
+ * @param {Object} holdData - Hold data
+ * @param {number} holdData.quantity - Number of units to hold
+ * @param {string} holdData.reason - Why the units are held
+ * @param {string} [holdData.expiresAt] - When the hold lapses (omit to hold until released)
+ * @param {Object} user - User placing the hold (becomes its owner)
+ * @returns {Promise<Object>} Updated inventory record with populated data
+ * @throws {400} If IDs, quantity, reason or expiry are invalid, or too few units are available
+ * @throws {403} If user cannot access the record's store
+ * @throws {404} If inventory not found
+ */
+exports.placeHold = async (inventoryId, holdData, user) => {
+	const { quantity, reason, expiresAt } = holdData;
+
+	if (!mongoose.Types.ObjectId.isValid(inventoryId)) {
+		const error = new Error("Invalid inventory ID format");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (!Number.isInteger(quantity) || quantity < 1) {
+		const error = new Error("Quantity must be a whole number of at least 1");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (!reason || !reason.trim()) {
+		const error = new Error("Hold reason is required");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	let expiry = null;
+	if (expiresAt) {
+		expiry = new Date(expiresAt);
+		if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+			const error = new Error("Hold expiry must be a date in the future");
+			error.statusCode = 400;
+			throw error;
+		}
+	}
+
+	const existing = await inventoryRepo.findById(inventoryId);
+	if (!existing || !existing.isActive) {
+		const error = new Error("Inventory not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	if (existing.cardContainer) {
+		const error = new Error("Holds can only be placed on standard inventory");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	assertStoreAccess(user, existing.storeId);
+
+	await inventoryRepo.pruneExpiredHolds(inventoryId);
+	const inventory = await inventoryRepo.findById(inventoryId);
+
+	if (quantity > inventory.availableQuantity) {
+		const error = new Error(
+			`Cannot hold ${quantity} units. Only ${inventory.availableQuantity} available (${inventory.heldQuantity} already on hold)`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	await inventoryRepo.addHold(inventoryId, {
+		quantity,
+		reason: reason.trim(),
+		ownerId: user._id,
+		expiresAt: expiry,
+	});
+
+	return inventoryRepo.findByIdPopulated(inventoryId);
+};
+
+/**
+ * Release a hold so its units become available again
+ * @async
+ * @param {string} inventoryId - Inventory ID
+ * @param {string} holdId - Hold ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Updated inventory record with populated data
+ * @throws {400} If IDs are invalid or the hold belongs to a transfer request
+ * @throws {403} If user cannot access the record's store
+ * @throws {404} If inventory or hold not found
+ */
+exports.releaseHold = async (inventoryId, holdId, user) => {
+	if (
+		!mongoose.Types.ObjectId.isValid(inventoryId) ||
+		!mongoose.Types.ObjectId.isValid(holdId)
+	) {
+		const error = new Error("Invalid inventory or hold ID format");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const inventory = await inventoryRepo.findById(inventoryId);
+	if (!inventory) {
+		const error = new Error("Inventory not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	assertStoreAccess(user, inventory.storeId);
+
+	if (inventory.holds.id(holdId)?.transferRequestId) {
+		const error = new Error(
+			"Units committed to a transfer are released when it is sent, rejected or closed"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const updated = await inventoryRepo.removeHold(inventoryId, holdId);
+	if (!updated) {
+		const error = new Error("Hold not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	return inventoryRepo.findByIdPopulated(inventoryId);
 };
@@ -0,0 +1,66 @@
+/**
+ * Stock Movement Service
+ * Records quantity changes on standard inventory in the stock movement ledger
+ * Used by every service that changes an inventory record's quantity
+ */
+
+const stockMovementRepo = require("../repositories/stockMovement.repository");
+const {
+	STOCK_MOVEMENT_REASONS,
+	isValidEnumValue,
+} = require("../constants/enums");
+
+/**
+ * Validate a reason code supplied by the client
+ * @param {string} reason - Reason code to check
+ * @throws {400} If reason is not a known stock movement reason
+ */
+exports.assertValidReason = (reason) => {
+	if (!isValidEnumValue(STOCK_MOVEMENT_REASONS, reason)) {
+		const error = new Error(
+			`Invalid reason. Must be one of: ${Object.values(
+				STOCK_MOVEMENT_REASONS
+			).join(", ")}`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+};
+
+/**
+ * Append a quantity change for an inventory record to the ledger
+ * Does nothing when the quantity did not change or the record is a card container
+ * @async
+ * @param {Object} inventory - Inventory record after the change
+ * @param {number} delta - Change in quantity (positive = added)
+ * @param {string} reason - Stock movement reason code
+ * @param {Object} [user] - User who made the change (omit for system changes)
+ * @param {Object} [details={}] - Optional extra fields
+ * @param {string} [details.transferRequestId] - Related transfer request
+ * @param {string} [details.notes] - Free-form note
+ * @returns {Promise<Object|null>} Created ledger entry, or null if delta is 0
+ */
+exports.recordMovement = async (
+	inventory,
+	delta,
+	reason,
+	user,
+	details = {}
+) => {
+	if (!delta || inventory.cardContainer) {
+		return null;
+	}
+
+	return stockMovementRepo.create({
+		inventoryId: inventory._id,
+		productId: inventory.productId?._id || inventory.productId,
+		storeId: inventory.storeId?._id || inventory.storeId,
+		location: inventory.location,
+		delta,
+		resultingQuantity: inventory.quantity,
+		reason,
+		performedBy: user?._id,
+		transferRequestId: details.transferRequestId,
+		notes: details.notes,
+	});
+};
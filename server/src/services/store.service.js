@@ -5,6 +5,11 @@
 
 const mongoose = require("mongoose");
 const storeRepo = require("../repositories/store.repository");
+const inventoryRepo = require("../repositories/inventory.repository");
+const { LOCATIONS } = require("../constants/enums");
+
+// Differences smaller than this are floating-point noise from fractional unit sizes
+const DRIFT_TOLERANCE = 1e-6;
 
 /**
  * Get all stores
@@ -49,6 +54,82 @@ exports.getStoreById = async (storeId) => {
 	return store;
 };
 
+/**
+ * Work out a store's per-location limits after a create or update
+ * Limits not mentioned in the request keep their current value; null removes one
+ * @param {Object} [locationCapacity] - Requested limits ({ floor: { maxCapacity }, back: { maxCapacity } })
+ * @param {number} maxCapacity - Store-wide max capacity the limits must fit in
+ * @param {Object} [existingStore] - Store being updated (omit when creating)
+ * @returns {Object} Limit per location ({ floor, back }; null for no limit)
+ * @throws {400} If a limit is negative, exceeds the store's max, or is below the location's usage
+ */
+const resolveLocationCapacity = (
+	locationCapacity,
+	maxCapacity,
+	existingStore
+) => {
+	const resolved = {};
+
+	for (const location of [LOCATIONS.FLOOR, LOCATIONS.BACK]) {
+		const current = existingStore?.locationCapacity?.[location];
+		const requested = locationCapacity?.[location]?.maxCapacity;
+		const limit =
+			requested === undefined ? (current?.maxCapacity ?? null) : requested;
+		const usage = current?.currentCapacity || 0;
+
+		if (limit !== null) {
+			if (typeof limit !== "number" || limit < 0) {
+				const error = new Error(
+					`The ${location} max capacity must be a non-negative number`
+				);
+				error.statusCode = 400;
+				throw error;
+			}
+
+			if (limit > maxCapacity) {
+				const error = new Error(
+					`The ${location} max capacity cannot exceed the store's max capacity (${maxCapacity})`
+				);
+				error.statusCode = 400;
+				throw error;
+			}
+
+			if (limit < usage) {
+				const error = new Error(
+					`Cannot set the ${location} max capacity below its current usage (${usage})`
+				);
+				error.statusCode = 400;
+				throw error;
+			}
+		}
+
+		resolved[location] = limit;
+	}
+
+	return resolved;
+};
+
+/**
+ * Normalize a transfer request prefix from user input
+ * @param {string|null} requestPrefix - Prefix as entered (empty or null clears it)
+ * @returns {string|null} Uppercase prefix, or null for no prefix
+ * @throws {400} If the prefix isn't 2-6 letters or digits
+ */
+function normalizeRequestPrefix(requestPrefix) {
+	if (requestPrefix === null || String(requestPrefix).trim() === "") {
+		return null;
+	}
+
+	const prefix = String(requestPrefix).trim().toUpperCase();
+	if (!/^[A-Z0-9]{2,6}$/.test(prefix)) {
+		const error = new Error("Request prefix must be 2-6 letters or digits");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return prefix;
+}
+
 /**
  * Create new store
  * @async
@@ -60,9 +141,13 @@ exports.getStoreById = async (storeId) => {
  * @param {string} storeData.location.state - State
  * @param {string} storeData.location.zipCode - ZIP code
  * @param {number} storeData.maxCapacity - Maximum capacity in cubic units
+ * @param {Object} [storeData.locationCapacity] - Optional floor/back limits ({ floor: { maxCapacity }, back: { maxCapacity } })
+ * @param {string} [storeData.requestPrefix] - Optional code for transfer request numbers
  * @returns {Promise<Object>} Created store document
  * @throws {400} If required fields missing or invalid
  * @throws {400} If maxCapacity is not greater than 0
+ * @throws {400} If a location limit is invalid or exceeds maxCapacity
+ * @throws {400} If the request prefix is invalid
  */
 exports.createStore = async (storeData) => {
 	const { name, location, maxCapacity } = storeData;
@@ -93,11 +178,21 @@ exports.createStore = async (storeData) => {
 		throw error;
 	}
 
+	const limits = resolveLocationCapacity(
+		storeData.locationCapacity,
+		maxCapacity
+	);
+
 	const store = await storeRepo.create({
 		name,
 		location,
 		maxCapacity,
 		currentCapacity: 0,
+		locationCapacity: {
+			[LOCATIONS.FLOOR]: { maxCapacity: limits[LOCATIONS.FLOOR] },
+			[LOCATIONS.BACK]: { maxCapacity: limits[LOCATIONS.BACK] },
+		},
+		requestPrefix: normalizeRequestPrefix(storeData.requestPrefix ?? null),
 	});
 
 	return store;
@@ -105,20 +200,27 @@ exports.createStore = async (storeData) => {
 
 /**
  * Update store
- * Validates that new maxCapacity is not below current capacity
+ * Validates that new maxCapacity is not below current capacity. Setting a
+ * floor or back limit for the first time recounts the store's usage from its
+ * inventory first
  * @async
  * @param {string} storeId - Store ID
  * @param {Object} updateData - Fields to update
  * @param {string} [updateData.name] - Store name
  * @param {Object} [updateData.location] - Store location
  * @param {number} [updateData.maxCapacity] - Maximum capacity
+ * @param {Object} [updateData.locationCapacity] - Floor/back limits ({ floor: { maxCapacity }, back: { maxCapacity } }; null removes a limit)
+ * @param {string|null} [updateData.requestPrefix] - Code for transfer request numbers (empty or null removes it)
  * @returns {Promise<Object>} Updated store document
  * @throws {400} If store ID format is invalid
  * @throws {404} If store not found
  * @throws {400} If maxCapacity is below current capacity
+ * @throws {400} If a location limit is invalid, exceeds maxCapacity or is below its usage
+ * @throws {400} If the request prefix is invalid
  */
 exports.updateStore = async (storeId, updateData) => {
-	const { name, location, maxCapacity } = updateData;
+	const { name, location, maxCapacity, locationCapacity, requestPrefix } =
+		updateData;
 
 	// Validate ObjectId
 	if (!mongoose.Types.ObjectId.isValid(storeId)) {
@@ -135,13 +237,26 @@ exports.updateStore = async (storeId, updateData) => {
 	}
 
 	// Check if store exists
-	const existingStore = await storeRepo.findById(storeId);
+	let existingStore = await storeRepo.findById(storeId);
 	if (!existingStore) {
 		const error = new Error("Store not found");
 		error.statusCode = 404;
 		throw error;
 	}
 
+	// Location usage only matters once a location has a limit, so it may never
+	// have been counted (stores from before location limits start at 0).
+	// Count it from inventory before the first limit is checked against it
+	const addsLimit = [LOCATIONS.FLOOR, LOCATIONS.BACK].some(
+		(loc) =>
+			(locationCapacity?.[loc]?.maxCapacity ?? null) !== null &&
+			(existingStore.locationCapacity?.[loc]?.maxCapacity ?? null) === null
+	);
+	if (addsLimit) {
+		await inventoryRepo.refreshStoreCapacity(storeId);
+		existingStore = await storeRepo.findById(storeId);
+	}
+
 	// Validate capacity constraint
 	if (
 		maxCapacity !== undefined &&
@@ -159,6 +274,20 @@ exports.updateStore = async (storeId, updateData) => {
 	if (name) updates.name = name;
 	if (location) updates.location = location;
 	if (maxCapacity !== undefined) updates.maxCapacity = maxCapacity;
+	if (locationCapacity !== undefined || maxCapacity !== undefined) {
+		// Only the limits are written; usage is kept by atomic $inc updates
+		const limits = resolveLocationCapacity(
+			locationCapacity,
+			maxCapacity ?? existingStore.maxCapacity,
+			existingStore
+		);
+		for (const [location, limit] of Object.entries(limits)) {
+			updates[`locationCapacity.${location}.maxCapacity`] = limit;
+		}
+	}
+	if (requestPrefix !== undefined) {
+		updates.requestPrefix = normalizeRequestPrefix(requestPrefix);
+	}
 
 	const updatedStore = await storeRepo.update(storeId, updates);
 	return updatedStore;
@@ -202,7 +331,6 @@ exports.deleteStore = async (storeId) => {
 	}
 
 	// Check for existing inventory
-	const inventoryRepo = require("../repositories/inventory.repository");
 	const activeInventory = await inventoryRepo.findByStore(storeId, {
 		isActive: true,
 	});
@@ -215,3 +343,65 @@ exports.deleteStore = async (storeId) => {
 	// Soft delete
 	return await storeRepo.softDelete(storeId);
 };
+
+/**
+ * Reconcile cached capacity usage with the inventory actually on hand
+ * Recomputes usage for one store or every active store, reports the stores
+ * whose cached totals drifted and, unless it's a dry run, corrects them
+ * @async
+ * @param {Object} [options={}] - Reconciliation options
+ * @param {string} [options.storeId] - Only reconcile this store
+ * @param {boolean} [options.dryRun=false] - Report drift without correcting it
+ * @returns {Promise<Object>} Report: { checkedAt, dryRun, storesChecked, drifted: [{ storeId, name, recorded, actual, drift }] }
+ * @throws {400} If store ID format is invalid
+ * @throws {404} If store not found
+ */
+exports.reconcileCapacity = async ({ storeId, dryRun = false } = {}) => {
+	const stores = storeId
+		? [await exports.getStoreById(storeId)]
+		: await storeRepo.findAll({ isActive: true });
+
+	const drifted = [];
+
+	for (const store of stores) {
+		const usage = await inventoryRepo.calculateCapacityByLocation(store._id);
+		const recorded = {
+			total: store.currentCapacity || 0,
+			floor: store.locationCapacity?.floor?.currentCapacity || 0,
+			back: store.locationCapacity?.back?.currentCapacity || 0,
+		};
+		const actual = {
+			total: usage.floor + usage.back,
+			floor: usage.floor,
+			back: usage.back,
+		};
+		const drift = {
+			total: actual.total - recorded.total,
+			floor: actual.floor - recorded.floor,
+			back: actual.back - recorded.back,
+		};
+
+		if (Object.values(drift).every((d) => Math.abs(d) < DRIFT_TOLERANCE)) {
+			continue;
+		}
+
+		if (!dryRun) {
+			await inventoryRepo.updateStoreCapacity(store._id, actual.total, usage);
+		}
+
+		drifted.push({
+			storeId: store._id,
+			name: store.name,
+			recorded,
+			actual,
+			drift,
+		});
+	}
+
+	return {
+		checkedAt: new Date(),
+		dryRun,
+		storesChecked: stores.length,
+		drifted,
+	};
+};
@@ -6,7 +6,639 @@
 const mongoose = require("mongoose");
 const transferRequestRepo = require("../repositories/transferRequest.repository");
 const inventoryRepo = require("../repositories/inventory.repository");
-const { USER_ROLES, LOCATIONS } = require("../constants/enums");
+const storeRepo = require("../repositories/store.repository");
+const stockMovementService = require("./stockMovement.service");
+const { withTransaction } = require("../utils/transaction");
+const {
+	assertCapacity,
+	locationSpaceLeft,
+	spaceOf,
+	capacityDelta,
+} = require("../utils/capacity");
+const {
+	renderPackingSlip,
+	renderReceivingManifest,
+} = require("../utils/transferDocuments");
+const {
+	USER_ROLES,
+	LOCATIONS,
+	CONTAINER_TYPES,
+	STOCK_MOVEMENT_REASONS,
+	TRANSFER_ITEM_TYPES,
+	TRANSFER_DOCUMENT_TYPES,
+	isValidEnumValue,
+} = require("../constants/enums");
+
+// Creation attempts before a request number collision is reported
+const MAX_REQUEST_NUMBER_ATTEMPTS = 3;
+
+// Statuses in which the source store's units are held for the request
+const RESERVED_STATUSES = ["requested", "counter-proposed"];
+
+// Printable documents, the statuses they can be printed in and their renderers
+const TRANSFER_DOCUMENTS = {
+	[TRANSFER_DOCUMENT_TYPES.PACKING_SLIP]: {
+		statuses: ["requested", "sent", "partially-received", "complete"],
+		unavailableMessage:
+			"A packing slip is available once the request is submitted",
+		render: renderPackingSlip,
+	},
+	[TRANSFER_DOCUMENT_TYPES.RECEIVING_MANIFEST]: {
+		statuses: ["sent", "partially-received", "complete"],
+		unavailableMessage:
+			"A receiving manifest is available once the request is sent",
+		render: renderReceivingManifest,
+	},
+};
+
+// Statuses of requests whose items haven't reached the destination yet
+const INBOUND_STATUSES = ["open", "requested", "counter-proposed", "sent"];
+
+// Answers to a counter-proposal
+const PROPOSAL_DECISIONS = ["accepted", "declined"];
+
+/**
+ * Create a transfer request under the next request number
+ * Numbering and creation share a transaction, so a failed creation hands its
+ * number back and numbers stay gapless. If the number is already taken (the
+ * counter is behind numbers stored before it existed), the counter is caught
+ * up and creation retried.
+ * @async
+ * @param {string|null} storePrefix - Request prefix of the destination store
+ * @param {Object} requestData - Transfer request data without requestNumber
+ * @returns {Promise<Object>} Created transfer request document
+ */
+async function createWithRequestNumber(storePrefix, requestData) {
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return await withTransaction(async () => {
+				const requestNumber =
+					await transferRequestRepo.generateRequestNumber(storePrefix);
+				return await transferRequestRepo.create({
+					...requestData,
+					requestNumber,
+				});
+			});
+		} catch (error) {
+			if (error.code !== 11000 || attempt === MAX_REQUEST_NUMBER_ATTEMPTS) {
+				throw error;
+			}
+			await transferRequestRepo.syncRequestSequence(storePrefix);
+		}
+	}
+}
+
+// Accepts an ObjectId or a populated document
+const idOf = (value) => value?._id || value;
+
+/**
+ * Load the card container chosen to receive cards at the destination store
+ * @async
+ * @param {string} containerId - Container inventory ID
+ * @param {string} toStoreId - Destination store ID
+ * @returns {Promise<Object>} Container inventory document
+ * @throws {400} If it isn't an active card container at the destination store
+ */
+async function findDestinationContainer(containerId, toStoreId) {
+	const destination = mongoose.Types.ObjectId.isValid(containerId)
+		? await inventoryRepo.findById(containerId)
+		: null;
+
+	if (
+		!destination?.cardContainer ||
+		!destination.isActive ||
+		destination.storeId.toString() !== toStoreId.toString()
+	) {
+		const error = new Error(
+			"Destination container must be an active card container at the destination store"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return destination;
+}
+
+/**
+ * Make sure no transfer has a claim on a container or any of its cards
+ * @param {Object} container - Card container inventory document
+ * @throws {400} If the container or cards in it are committed to a transfer
+ */
+function assertContainerFree(container) {
+	if (container.holds?.length > 0) {
+		const error = new Error(
+			`${container.cardContainer.containerName} has cards committed to another transfer`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+}
+
+/**
+ * Copies of a card in a container that aren't committed to a transfer
+ * None are free while the container itself is committed whole
+ * @param {Object} container - Card container inventory document
+ * @param {string} productId - Card product ID
+ * @returns {number} Copies free to request or reserve
+ */
+function availableCopies(container, productId) {
+	if (container.isReservedWhole) return 0;
+
+	const stored = container.cardContainer.cardInventory.find(
+		(entry) => idOf(entry.productId).toString() === productId.toString()
+	);
+	return Math.max(
+		(stored?.quantity || 0) - container.heldCopiesOf(productId),
+		0
+	);
+}
+
+/**
+ * Validate the cards requested out of a card container
+ * @async
+ * @param {Object} item - Requested item ({ cardItems, destinationContainerId })
+ * @param {Object} container - Source container inventory document
+ * @param {string} toStoreId - Destination store ID
+ * @returns {Promise<Object>} Transfer item of type "cards"
+ * @throws {400} If a card is listed twice, has an invalid quantity or isn't available in the container
+ * @throws {400} If the destination container isn't an active container at the destination store
+ */
+async function resolveCardsItem(item, container, toStoreId) {
+	const cardItems = [];
+
+	for (const card of item.cardItems) {
+		if (!mongoose.Types.ObjectId.isValid(card.productId)) {
+			const error = new Error(`Invalid card product ID: ${card.productId}`);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		if (!Number.isInteger(card.quantity) || card.quantity < 1) {
+			const error = new Error(
+				"Card quantities must be whole numbers of at least 1"
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const productId = card.productId.toString();
+		if (cardItems.some((listed) => listed.productId === productId)) {
+			const error = new Error(
+				"Each card can only be listed once per container"
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		// Only copies in the container and not committed to other transfers
+		// can be requested
+		const available = availableCopies(container, productId);
+		if (card.quantity > available) {
+			const product = await inventoryRepo.findProductById(productId);
+			const error = new Error(
+				`Insufficient copies of ${product?.name || "card"} in ${
+					container.cardContainer.containerName
+				}. Requested: ${card.quantity}, Available: ${available}`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		cardItems.push({ productId, quantity: card.quantity });
+	}
+
+	let destinationContainerId = null;
+	if (item.destinationContainerId) {
+		const destination = await findDestinationContainer(
+			item.destinationContainerId,
+			toStoreId
+		);
+		destinationContainerId = destination._id;
+	}
+
+	return {
+		itemType: TRANSFER_ITEM_TYPES.CARDS,
+		inventoryId: container._id,
+		cardItems,
+		requestedQuantity: cardItems.reduce((sum, card) => sum + card.quantity, 0),
+		destinationContainerId,
+	};
+}
+
+/**
+ * Validate a requested item against its source inventory record
+ * Standard inventory is requested by quantity. For a card container, listing
+ * cardItems requests those cards; otherwise the whole container is requested.
+ * @async
+ * @param {Object} item - Requested item
+ * @param {string} item.inventoryId - Inventory item (or card container) ID
+ * @param {number} [item.requestedQuantity] - Units to transfer (standard inventory)
+ * @param {string} [item.itemType] - "product", "cards" or "container" (derived when omitted)
+ * @param {Array<Object>} [item.cardItems] - Cards to take out of a container ({ productId, quantity })
+ * @param {string} [item.destinationContainerId] - Container at the destination store to receive the cards
+ * @param {string} fromStoreId - Source store ID
+ * @param {string} toStoreId - Destination store ID
+ * @returns {Promise<Object>} Transfer item to store on the request
+ * @throws {400} If IDs are invalid, the item isn't at the source store or too little is available
+ * @throws {400} If a requested container has cards committed to another transfer
+ * @throws {404} If the inventory item is not found
+ */
+async function resolveTransferItem(item, fromStoreId, toStoreId) {
+	if (!mongoose.Types.ObjectId.isValid(item.inventoryId)) {
+		const error = new Error(`Invalid inventory ID: ${item.inventoryId}`);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const inventory = await inventoryRepo.findById(item.inventoryId);
+	if (!inventory || !inventory.isActive) {
+		const error = new Error(`Inventory item not found: ${item.inventoryId}`);
+		error.statusCode = 404;
+		throw error;
+	}
+
+	// Verify inventory belongs to the source store
+	if (inventory.storeId.toString() !== fromStoreId) {
+		const error = new Error(
+			`Inventory item ${item.inventoryId} does not belong to source store`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (inventory.cardContainer) {
+		const itemType =
+			item.itemType ||
+			(item.cardItems?.length > 0
+				? TRANSFER_ITEM_TYPES.CARDS
+				: TRANSFER_ITEM_TYPES.CONTAINER);
+
+		if (itemType === TRANSFER_ITEM_TYPES.CONTAINER) {
+			assertContainerFree(inventory);
+			return {
+				itemType,
+				inventoryId: inventory._id,
+				requestedQuantity: 1,
+			};
+		}
+
+		if (itemType !== TRANSFER_ITEM_TYPES.CARDS || !item.cardItems?.length) {
+			const error = new Error(
+				`Choose cards from ${inventory.cardContainer.containerName} or request the whole container`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		return await resolveCardsItem(item, inventory, toStoreId);
+	}
+
+	// Verify requested quantity is available (held units can't be transferred)
+	if (item.requestedQuantity > inventory.availableQuantity) {
+		const error = new Error(
+			`Insufficient quantity for ${
+				inventory.productId?.name || "product"
+			}. Requested: ${item.requestedQuantity}, Available: ${
+				inventory.availableQuantity
+			}${
+				inventory.heldQuantity > 0
+					? ` (${inventory.heldQuantity} on hold)`
+					: ""
+			}`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return {
+		itemType: TRANSFER_ITEM_TYPES.PRODUCT,
+		inventoryId: inventory._id,
+		productId: inventory.productId._id || inventory.productId,
+		requestedQuantity: item.requestedQuantity,
+	};
+}
+
+// Units that left the source store (everything requested unless entered otherwise)
+const shippedQuantityOf = (item) => item.shippedQuantity ?? item.requestedQuantity;
+
+// Units stocked at the destination (received plus damaged)
+const arrivedQuantityOf = (item) =>
+	(item.receivedQuantity ?? shippedQuantityOf(item)) +
+	(item.damagedQuantity || 0);
+
+/**
+ * Find the transfer item an entry from the client refers to
+ * @param {Object} transferRequest - Transfer request document
+ * @param {string} inventoryId - Inventory (or card container) ID of the item
+ * @returns {Object} Matching transfer item
+ * @throws {400} If the item isn't on the request
+ */
+function findRequestItem(transferRequest, inventoryId) {
+	const item = transferRequest.items.find(
+		(candidate) =>
+			idOf(candidate.inventoryId).toString() === String(inventoryId)
+	);
+
+	if (!item) {
+		const error = new Error(
+			`Item ${inventoryId} is not part of this transfer request`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return item;
+}
+
+/**
+ * Find the standard inventory item a per-item quantity entry refers to
+ * @param {Object} transferRequest - Transfer request document
+ * @param {Object} entry - Entry from the client ({ inventoryId, ... })
+ * @returns {Object} Matching transfer item
+ * @throws {400} If the item isn't on the request or isn't standard inventory
+ */
+function findEntryItem(transferRequest, entry) {
+	const item = findRequestItem(transferRequest, entry.inventoryId);
+
+	if (item.itemType !== TRANSFER_ITEM_TYPES.PRODUCT) {
+		const error = new Error(
+			"Quantities can only be entered for standard inventory"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return item;
+}
+
+/**
+ * Validate a whole-unit quantity entered for an item
+ * @param {*} value - Value to check
+ * @param {number} max - Largest allowed value
+ * @param {string} label - Description used in the error message
+ * @throws {400} If value isn't a whole number from 0 to max
+ */
+function assertEntryQuantity(value, max, label) {
+	if (!Number.isInteger(value) || value < 0 || value > max) {
+		const error = new Error(`${label} must be a whole number from 0 to ${max}`);
+		error.statusCode = 400;
+		throw error;
+	}
+}
+
+/**
+ * Require a reason for a discrepancy
+ * @param {*} reason - Reason entered by the user
+ * @param {string} message - Error message when missing
+ * @returns {string} Trimmed reason
+ * @throws {400} If no reason was given
+ */
+function requireReason(reason, message) {
+	const trimmed = typeof reason === "string" ? reason.trim() : "";
+	if (!trimmed) {
+		const error = new Error(message);
+		error.statusCode = 400;
+		throw error;
+	}
+	return trimmed;
+}
+
+/**
+ * Apply the quantities entered when marking a request sent
+ * Items without an entry ship everything requested
+ * @param {Object} transferRequest - Transfer request document (items updated in memory)
+ * @param {Array<Object>} [entries=[]] - { inventoryId, shippedQuantity, reason }
+ * @returns {Array<Object>} Discrepancies for items shipped short
+ * @throws {400} If an entry is invalid or a short shipment has no reason
+ */
+function applyShippedQuantities(transferRequest, entries = []) {
+	const discrepancies = [];
+
+	for (const entry of entries) {
+		const item = findEntryItem(transferRequest, entry);
+		const name = item.productId?.name || "product";
+
+		assertEntryQuantity(
+			entry.shippedQuantity,
+			item.requestedQuantity,
+			`Shipped quantity for ${name}`
+		);
+		item.shippedQuantity = entry.shippedQuantity;
+
+		if (item.shippedQuantity < item.requestedQuantity) {
+			discrepancies.push({
+				inventoryId: idOf(item.inventoryId),
+				productId: idOf(item.productId),
+				expectedQuantity: item.requestedQuantity,
+				actualQuantity: item.shippedQuantity,
+				reason: requireReason(
+					entry.reason,
+					`Give a reason for shipping ${item.shippedQuantity} of ${item.requestedQuantity} ${name}`
+				),
+			});
+		}
+	}
+
+	for (const item of transferRequest.items) {
+		if (item.itemType === TRANSFER_ITEM_TYPES.PRODUCT) {
+			item.shippedQuantity = shippedQuantityOf(item);
+		}
+	}
+
+	return discrepancies;
+}
+
+/**
+ * Apply the quantities entered when confirming receipt
+ * Items without an entry arrived in full and undamaged
+ * @param {Object} transferRequest - Transfer request document (items updated in memory)
+ * @param {Array<Object>} [entries=[]] - { inventoryId, receivedQuantity, damagedQuantity, reason }
+ * @returns {Array<Object>} Discrepancies for items that arrived short or damaged
+ * @throws {400} If an entry is invalid or a discrepancy has no reason
+ */
+function applyReceivedQuantities(transferRequest, entries = []) {
+	const discrepancies = [];
+
+	for (const entry of entries) {
+		const item = findEntryItem(transferRequest, entry);
+		const name = item.productId?.name || "product";
+		const shipped = shippedQuantityOf(item);
+		const damaged = entry.damagedQuantity ?? 0;
+
+		assertEntryQuantity(
+			entry.receivedQuantity,
+			shipped,
+			`Received quantity for ${name}`
+		);
+		assertEntryQuantity(damaged, shipped, `Damaged quantity for ${name}`);
+
+		if (entry.receivedQuantity + damaged > shipped) {
+			const error = new Error(
+				`Received and damaged units of ${name} can't exceed the ${shipped} shipped`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		item.receivedQuantity = entry.receivedQuantity;
+		item.damagedQuantity = damaged;
+
+		if (item.receivedQuantity < shipped) {
+			discrepancies.push({
+				inventoryId: idOf(item.inventoryId),
+				productId: idOf(item.productId),
+				expectedQuantity: shipped,
+				actualQuantity: item.receivedQuantity,
+				damagedQuantity: damaged,
+				reason: requireReason(
+					entry.reason,
+					`Give a reason for receiving ${item.receivedQuantity} of ${shipped} ${name}`
+				),
+			});
+		}
+	}
+
+	for (const item of transferRequest.items) {
+		if (item.itemType === TRANSFER_ITEM_TYPES.PRODUCT) {
+			item.receivedQuantity ??= shippedQuantityOf(item);
+		}
+	}
+
+	return discrepancies;
+}
+
+/**
+ * Apply the reduced quantities the source store offers in a counter-proposal
+ * Items without an entry are offered in full
+ * @param {Object} transferRequest - Transfer request document (items updated in memory)
+ * @param {Array<Object>} [entries=[]] - { inventoryId, proposedQuantity }
+ * @returns {Array<Object>} Offered reductions for the status history
+ * @throws {400} If an entry is invalid or no quantity is reduced
+ */
+function applyProposedQuantities(transferRequest, entries = []) {
+	const proposal = [];
+
+	for (const entry of entries) {
+		const item = findEntryItem(transferRequest, entry);
+		const name = item.productId?.name || "product";
+
+		assertEntryQuantity(
+			entry.proposedQuantity,
+			item.requestedQuantity,
+			`Proposed quantity for ${name}`
+		);
+		if (entry.proposedQuantity === 0) {
+			const error = new Error(
+				`Offer at least 1 ${name}, or reject the request if it can't be sent`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		if (entry.proposedQuantity < item.requestedQuantity) {
+			item.proposedQuantity = entry.proposedQuantity;
+			proposal.push({
+				inventoryId: idOf(item.inventoryId),
+				productId: idOf(item.productId),
+				requestedQuantity: item.requestedQuantity,
+				proposedQuantity: item.proposedQuantity,
+			});
+		}
+	}
+
+	if (proposal.length === 0) {
+		const error = new Error(
+			"A counter-proposal must offer fewer units of at least one item"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return proposal;
+}
+
+/**
+ * Apply the requesting store's answer to a counter-proposal
+ * Accepting lowers the requested quantities to the offer; declining keeps the
+ * original request
+ * @param {Object} transferRequest - Transfer request document (items updated in memory)
+ * @param {string} decision - "accepted" or "declined"
+ * @throws {400} If the decision is missing or invalid
+ */
+function applyProposalDecision(transferRequest, decision) {
+	if (!PROPOSAL_DECISIONS.includes(decision)) {
+		const error = new Error(
+			"Accept or decline the counter-proposal (decision must be 'accepted' or 'declined')"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	for (const item of transferRequest.items) {
+		if (decision === "accepted" && item.proposedQuantity) {
+			item.requestedQuantity = item.proposedQuantity;
+		}
+		item.proposedQuantity = null;
+	}
+}
+
+/**
+ * Apply where the destination store puts each item on receipt
+ * Items without an entry go to the location they came from. Cards can be
+ * redirected to another container; cards received into an existing container
+ * take its location, so they get none of their own.
+ * @async
+ * @param {Object} transferRequest - Transfer request document (items updated in memory)
+ * @param {Array<Object>} [entries=[]] - { inventoryId, location, destinationContainerId }
+ * @returns {Promise<void>}
+ * @throws {400} If a location is invalid or a container can't receive the cards
+ */
+async function applyReceivingDestinations(transferRequest, entries = []) {
+	for (const entry of entries) {
+		const item = findRequestItem(transferRequest, entry.inventoryId);
+
+		if (entry.location) {
+			if (!isValidEnumValue(LOCATIONS, entry.location)) {
+				const error = new Error("Location must be either 'floor' or 'back'");
+				error.statusCode = 400;
+				throw error;
+			}
+			item.receivedLocation = entry.location;
+		}
+
+		if (entry.destinationContainerId !== undefined) {
+			if (item.itemType !== TRANSFER_ITEM_TYPES.CARDS) {
+				const error = new Error(
+					"Only cards taken out of a container can be received into another container"
+				);
+				error.statusCode = 400;
+				throw error;
+			}
+
+			// An empty choice receives the cards into a new matching container
+			let destinationContainerId = null;
+			if (entry.destinationContainerId) {
+				const destination = await findDestinationContainer(
+					entry.destinationContainerId,
+					idOf(transferRequest.toStoreId)
+				);
+				destinationContainerId = destination._id;
+			}
+			item.destinationContainerId = destinationContainerId;
+		}
+	}
+
+	for (const item of transferRequest.items) {
+		if (
+			item.itemType === TRANSFER_ITEM_TYPES.CARDS &&
+			item.destinationContainerId
+		) {
+			item.receivedLocation = null;
+		} else {
+			item.receivedLocation ??= item.inventoryId?.location || LOCATIONS.FLOOR;
+		}
+	}
+}
 
 /**
  * Create a new transfer request
@@ -17,8 +649,10 @@ const { USER_ROLES, LOCATIONS } = require("../constants/enums");
  * @param {string} requestData.fromStoreId - Source store ID
  * @param {string} requestData.toStoreId - Destination store ID
  * @param {Array<Object>} requestData.items - Items to transfer
- * @param {string} requestData.items[].inventoryId - Inventory item ID
- * @param {number} requestData.items[].requestedQuantity - Quantity to transfer
+ * @param {string} requestData.items[].inventoryId - Inventory item (or card container) ID
+ * @param {number} [requestData.items[].requestedQuantity] - Quantity to transfer (standard inventory)
+ * @param {Array<Object>} [requestData.items[].cardItems] - Cards to take out of a container ({ productId, quantity })
+ * @param {string} [requestData.items[].destinationContainerId] - Container at the destination store to receive the cards
  * @param {string} [requestData.notes] - Additional notes
  * @param {Object} user - User creating the request
  * @param {string} user._id - User ID
@@ -28,8 +662,8 @@ const { USER_ROLES, LOCATIONS } = require("../constants/enums");
  * @throws {400} If required fields missing or invalid
  * @throws {400} If attempting to transfer to same store
  * @throws {403} If manager creating request not involving their store
- * @throws {404} If inventory items not found
- * @throws {400} If insufficient quantity available
+ * @throws {404} If the destination store or inventory items not found
+ * @throws {400} If insufficient quantity (or card copies) available
  */
 exports.createTransferRequest = async (requestData, user) => {
 	const { fromStoreId, toStoreId, items, notes } = requestData;
@@ -75,56 +709,27 @@ exports.createTransferRequest = async (requestData, user) => {
 		}
 	}
 
+	// Request numbers carry the destination (requesting) store's prefix, if set
+	const toStore = await storeRepo.findById(toStoreId);
+	if (!toStore) {
+		const error = new Error("Destination store not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
 	// Validate all inventory items exist and belong to fromStore
+	const transferItems = [];
 	for (const item of items) {
-		if (!mongoose.Types.ObjectId.isValid(item.inventoryId)) {
-			const error = new Error(`Invalid inventory ID: ${item.inventoryId}`);
-			error.statusCode = 400;
-			throw error;
-		}
-
-		const inventory = await inventoryRepo.findById(item.inventoryId);
-		if (!inventory) {
-			const error = new Error(`Inventory item not found: ${item.inventoryId}`);
-			error.statusCode = 404;
-			throw error;
-		}
-
-		// Verify inventory belongs to the source store
-		if (inventory.storeId.toString() !== fromStoreId) {
-			const error = new Error(
-				`Inventory item ${item.inventoryId} does not belong to source store`
-			);
-			error.statusCode = 400;
-			throw error;
-		}
-
-		// Verify requested quantity is available
-		if (item.requestedQuantity > inventory.quantity) {
-			const error = new Error(
-				`Insufficient quantity for ${
-					inventory.productId?.name || "product"
-				}. Requested: ${item.requestedQuantity}, Available: ${
-					inventory.quantity
-				}`
-			);
-			error.statusCode = 400;
-			throw error;
-		}
-
-		// Set productId from inventory if not provided
-		item.productId = inventory.productId._id || inventory.productId;
+		transferItems.push(
+			await resolveTransferItem(item, fromStoreId, toStoreId)
+		);
 	}
 
-	// Generate request number
-	const requestNumber = await transferRequestRepo.generateRequestNumber();
-
-	// Create the request
-	const transferRequest = await transferRequestRepo.create({
-		requestNumber,
+	// Create the request with a unique request number
+	const transferRequest = await createWithRequestNumber(toStore.requestPrefix, {
 		fromStoreId,
 		toStoreId,
-		items,
+		items: transferItems,
 		notes,
 		status: "open",
 		createdBy: user._id,
@@ -219,29 +824,184 @@ exports.getTransferRequestById = async (id, user) => {
 		}
 	}
 
-	return transferRequest;
+	return transferRequest;
+};
+
+/**
+ * Edit a draft transfer request (status "open")
+ * A new item list replaces the current one and is validated against the
+ * source store's inventory like a new request. The stores can't be changed.
+ * @async
+ * @param {string} id - Transfer request ID
+ * @param {Object} updateData - Fields to change
+ * @param {Array<Object>} [updateData.items] - Full list of items (same shape as for createTransferRequest)
+ * @param {string} [updateData.notes] - Additional notes
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Updated transfer request
+ * @throws {400} If the request isn't open, has no items, or an item is invalid or unavailable
+ * @throws {403} If user isn't a partner or the destination store's manager
+ * @throws {404} If transfer request or an inventory item not found
+ * @throws {409} If the request was submitted while this update ran
+ */
+exports.updateTransferRequest = async (id, updateData, user) => {
+	const transferRequest = await exports.getTransferRequestById(id, user);
+
+	if (transferRequest.status !== "open") {
+		const error = new Error("Only open transfer requests can be edited");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	// Whoever may submit the draft may also edit it
+	const userStoreId = user.assignedStoreId?.toString();
+	if (!transferRequest.canTransitionTo("requested", user, userStoreId)) {
+		const error = new Error(
+			"Only partners and the requesting store's manager can edit this request"
+		);
+		error.statusCode = 403;
+		throw error;
+	}
+
+	const changes = {};
+
+	if (updateData.items !== undefined) {
+		if (!Array.isArray(updateData.items) || updateData.items.length === 0) {
+			const error = new Error("Transfer request must have at least one item");
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const fromStoreId = idOf(transferRequest.fromStoreId).toString();
+		const toStoreId = idOf(transferRequest.toStoreId).toString();
+		changes.items = [];
+		for (const item of updateData.items) {
+			changes.items.push(
+				await resolveTransferItem(item, fromStoreId, toStoreId)
+			);
+		}
+	}
+
+	if (updateData.notes !== undefined) {
+		changes.notes = updateData.notes;
+	}
+
+	const updated = await transferRequestRepo.updateIfStatus(id, "open", changes);
+	if (!updated) {
+		const error = new Error(
+			`Transfer request ${transferRequest.requestNumber} was submitted or changed by someone else. Reload it and try again`
+		);
+		error.statusCode = 409;
+		throw error;
+	}
+
+	return updated;
+};
+
+/**
+ * Post a comment to a transfer request's thread
+ * Both involved stores and partners can comment at any status. The comment
+ * records the request's status at the time.
+ * @async
+ * @param {string} id - Transfer request ID
+ * @param {string} body - Comment text
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Updated transfer request
+ * @throws {400} If the comment is empty
+ * @throws {403} If manager commenting on a request not involving their store
+ * @throws {404} If transfer request not found
+ */
+exports.addComment = async (id, body, user) => {
+	const transferRequest = await exports.getTransferRequestById(id, user);
+
+	const text = typeof body === "string" ? body.trim() : "";
+	if (!text) {
+		const error = new Error("Comment cannot be empty");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const updated = await transferRequestRepo.addComment(id, {
+		authorId: user._id,
+		body: text,
+		status: transferRequest.status,
+	});
+	if (!updated) {
+		const error = new Error("Transfer request not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	return updated;
+};
+
+/**
+ * Generate a printable document for a transfer request
+ * The packing slip goes with the shipment from the source store; the
+ * receiving manifest is the destination store's checklist for the delivery
+ * @async
+ * @param {string} id - Transfer request ID
+ * @param {string} documentType - 'packing-slip' or 'receiving-manifest'
+ * @param {Object} user - Current user
+ * @returns {Promise<string>} Print-ready HTML document
+ * @throws {400} If the document type is unknown or not available at the request's status
+ * @throws {403} If manager accessing request not involving their store
+ * @throws {404} If transfer request not found
+ */
+exports.getTransferDocument = async (id, documentType, user) => {
+	if (!isValidEnumValue(TRANSFER_DOCUMENT_TYPES, documentType)) {
+		const error = new Error(
+			`Invalid document type. Must be one of: ${Object.values(
+				TRANSFER_DOCUMENT_TYPES
+			).join(", ")}`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const transferRequest = await exports.getTransferRequestById(id, user);
+	const document = TRANSFER_DOCUMENTS[documentType];
+
+	if (!document.statuses.includes(transferRequest.status)) {
+		const error = new Error(document.unavailableMessage);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	return document.render(transferRequest);
 };
 
 /**
  * Update transfer request status
  * Enforces state transition rules and role permissions
- * State transitions:
- * - open → approved (partner only)
- * - approved → in-transit (from store manager)
- * - in-transit → completed (to store manager)
- * - any status → cancelled (creator, partner, or involved managers)
+ * The status change and the inventory it moves are saved in one transaction,
+ * so a failure part way through leaves nothing half-shipped
+ * Requested units are held at the source until the request moves on
+ * Who may make which transition is decided by TransferRequest#canTransitionTo.
+ * A receipt confirmed as complete lands in partially-received instead when
+ * anything arrived short or damaged.
  * @async
  * @param {string} id - Transfer request ID
- * @param {string} newStatus - New status ('approved', 'in-transit', 'completed', 'cancelled')
+ * @param {string} newStatus - New status ('requested', 'counter-proposed',
+ *   'rejected', 'sent', 'complete' or 'closed')
  * @param {Object} user - Current user
  * @param {string} user._id - User ID
  * @param {string} user.role - User role
  * @param {string} [user.assignedStoreId] - Assigned store ID (for managers)
  * @param {Object} [additionalData={}] - Additional data
  * @param {string} [additionalData.closeReason] - Reason for closing/cancelling
+ * @param {Array<Object>} [additionalData.items] - Per-item counts: { inventoryId, proposedQuantity } when counter-proposing, { inventoryId, shippedQuantity, reason } when sending, { inventoryId, receivedQuantity, damagedQuantity, reason } when receiving
+ * @param {Array<Object>} [additionalData.destinations] - Where to put items on receipt: { inventoryId, location, destinationContainerId }
+ * @param {string} [additionalData.note] - Note for the status history (required to resolve a partially received request, and as the reason when rejecting)
+ * @param {string} [additionalData.decision] - Answer to a counter-proposal ('accepted' or 'declined')
  * @returns {Promise<Object>} Updated transfer request
  * @throws {403} If invalid state transition or insufficient permissions
  * @throws {400} If completing request with unprocessed items
+ * @throws {400} If item counts are invalid or a discrepancy has no reason
+ * @throws {400} If a rejection has no reason or a counter-proposal answer is missing
+ * @throws {400} If a destination is invalid or the destination store lacks space
+ * @throws {400} If the source no longer has the units to reserve
+ * @throws {409} If the request's status changed while this update ran
+ * @throws {500} If saving fails (nothing is changed)
  */
 exports.updateTransferStatus = async (
 	id,
@@ -261,34 +1021,134 @@ exports.updateTransferStatus = async (
 		throw error;
 	}
 
-	const updateData = { status: newStatus };
+	if (newStatus === "partially-received") {
+		const error = new Error(
+			"Confirm receipt with status complete. Requests that arrive short or damaged are marked partially-received automatically"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const resolving = transferRequest.status === "partially-received";
+	const receiving = newStatus === "complete" && !resolving;
+	// Only a move back to requested answers a counter-proposal (a partner may
+	// also close it)
+	const answering =
+		transferRequest.status === "counter-proposed" && newStatus === "requested";
+	const note = additionalData.note?.trim() || undefined;
+
+	if (newStatus === "rejected" && !note) {
+		const error = new Error(
+			"Give a reason for rejecting the request so the requesting store knows what to do next"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (resolving && newStatus === "complete" && !note) {
+		const error = new Error(
+			"Explain how the discrepancies were resolved before completing the request"
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	// Record offered, shipped or received counts on the items
+	let discrepancies = [];
+	let proposal;
+	if (newStatus === "counter-proposed") {
+		proposal = applyProposedQuantities(transferRequest, additionalData.items);
+	} else if (answering) {
+		applyProposalDecision(transferRequest, additionalData.decision);
+	} else if (newStatus === "sent") {
+		discrepancies = applyShippedQuantities(
+			transferRequest,
+			additionalData.items
+		);
+	} else if (receiving) {
+		discrepancies = applyReceivedQuantities(
+			transferRequest,
+			additionalData.items
+		);
+		await applyReceivingDestinations(
+			transferRequest,
+			additionalData.destinations
+		);
+	}
+
+	// Anything short of what was requested waits for a partner to resolve it
+	const arrivedShort =
+		receiving &&
+		transferRequest.items.some(
+			(item) =>
+				item.itemType === TRANSFER_ITEM_TYPES.PRODUCT &&
+				item.receivedQuantity < item.requestedQuantity
+		);
+	const finalStatus = arrivedShort ? "partially-received" : newStatus;
+
+	const updateData = { status: finalStatus };
+
+	transferRequest.items.forEach((item, index) => {
+		if (receiving) {
+			updateData[`items.${index}.receivedLocation`] = item.receivedLocation;
+			if (item.itemType === TRANSFER_ITEM_TYPES.CARDS) {
+				updateData[`items.${index}.destinationContainerId`] = idOf(
+					item.destinationContainerId
+				);
+			}
+		}
+
+		if (item.itemType !== TRANSFER_ITEM_TYPES.PRODUCT) return;
+
+		if (newStatus === "counter-proposed" || answering) {
+			updateData[`items.${index}.requestedQuantity`] = item.requestedQuantity;
+			updateData[`items.${index}.proposedQuantity`] = item.proposedQuantity;
+		} else if (newStatus === "sent") {
+			updateData[`items.${index}.shippedQuantity`] = item.shippedQuantity;
+		} else if (receiving) {
+			updateData[`items.${index}.receivedQuantity`] = item.receivedQuantity;
+			updateData[`items.${index}.damagedQuantity`] = item.damagedQuantity;
+		}
+	});
 
 	// Add to status history
 	const statusHistoryEntry = {
-		status: newStatus,
+		status: finalStatus,
 		changedBy: user._id,
 		changedAt: new Date(),
+		note,
+		discrepancies: discrepancies.length > 0 ? discrepancies : undefined,
+		proposal,
+		decision: answering ? additionalData.decision : undefined,
 	};
 
 	// Update tracking fields based on status
 	switch (newStatus) {
 		case "requested":
-			updateData.requestedBy = user._id;
-			updateData.requestedAt = new Date();
+			// Answering a counter-proposal keeps the original submission details
+			if (!answering) {
+				updateData.requestedBy = user._id;
+				updateData.requestedAt = new Date();
+			}
+			break;
+
+		case "rejected":
+			updateData.rejectedBy = user._id;
+			updateData.rejectedAt = new Date();
+			updateData.rejectionReason = note;
 			break;
 
 		case "sent":
 			updateData.sentBy = user._id;
 			updateData.sentAt = new Date();
-			// Deduct inventory from source store
-			await exports.deductInventoryFromSource(transferRequest);
 			break;
 
 		case "complete":
-			updateData.completedBy = user._id;
-			updateData.completedAt = new Date();
-			// Add inventory to destination store
-			await exports.addInventoryToDestination(transferRequest);
+			// Resolving keeps the original receipt details
+			if (receiving) {
+				updateData.completedBy = user._id;
+				updateData.completedAt = new Date();
+			}
 			break;
 
 		case "closed":
@@ -297,31 +1157,284 @@ exports.updateTransferStatus = async (
 			if (additionalData.closeReason) {
 				updateData.closeReason = additionalData.closeReason;
 			}
-			// If was already sent, return inventory to source
-			if (transferRequest.status === "sent") {
-				await exports.returnInventoryToSource(transferRequest);
-			}
 			break;
 	}
 
 	// Push new status to history
 	updateData.$push = { statusHistory: statusHistoryEntry };
 
-	return await transferRequestRepo.update(id, updateData);
+	try {
+		return await withTransaction(async () => {
+			// Reserved units are freed first so a shipment (or a smaller
+			// reservation) can take them
+			if (RESERVED_STATUSES.includes(transferRequest.status)) {
+				await exports.releaseSourceInventory(transferRequest);
+			}
+
+			// Move inventory for the new status
+			if (RESERVED_STATUSES.includes(newStatus)) {
+				await exports.reserveSourceInventory(transferRequest, user);
+			} else if (newStatus === "sent") {
+				// Deduct inventory from source store
+				await exports.deductInventoryFromSource(transferRequest, user);
+			} else if (receiving) {
+				// Add inventory to destination store
+				await exports.addInventoryToDestination(transferRequest, user);
+			} else if (
+				newStatus === "closed" &&
+				transferRequest.status === "sent"
+			) {
+				// If was already sent, return inventory to source
+				await exports.returnInventoryToSource(transferRequest, user);
+			}
+
+			const updated = await transferRequestRepo.updateIfStatus(
+				id,
+				transferRequest.status,
+				updateData
+			);
+			if (!updated) {
+				const error = new Error(
+					`Transfer request ${transferRequest.requestNumber} was updated by someone else. Reload it and try again`
+				);
+				error.statusCode = 409;
+				throw error;
+			}
+
+			return updated;
+		});
+	} catch (error) {
+		if (error.statusCode) throw error;
+
+		const wrapped = new Error(
+			`Could not mark transfer request ${transferRequest.requestNumber} as ${newStatus}. No inventory or status changes were saved`
+		);
+		wrapped.statusCode = 500;
+		wrapped.cause = error;
+		throw wrapped;
+	}
+};
+
+/**
+ * Take the requested cards out of their source container
+ * Each card is decremented with a conditional update, so a container that
+ * no longer holds enough copies fails the shipment instead of going negative
+ * @async
+ * @param {Object} item - Transfer item of type "cards"
+ * @returns {Promise<void>}
+ * @throws {400} If the container holds too few copies of a card
+ */
+async function takeCardsFromSource(item) {
+	const containerId = idOf(item.inventoryId);
+
+	for (const card of item.cardItems) {
+		const taken = await inventoryRepo.takeCardsFromContainer(
+			containerId,
+			idOf(card.productId),
+			card.quantity
+		);
+		if (!taken) {
+			const error = new Error(
+				`Insufficient copies of ${
+					card.productId?.name || "card"
+				} in the source container`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+	}
+
+	await inventoryRepo.pruneEmptyCards(containerId);
+}
+
+/**
+ * Put transferred cards into a container
+ * @async
+ * @param {string} containerId - Container inventory ID
+ * @param {Array<Object>} cardItems - Cards to add ({ productId, quantity })
+ * @returns {Promise<void>}
+ * @throws {400} If the container could not be updated
+ */
+async function putCardsInContainer(containerId, cardItems) {
+	for (const card of cardItems) {
+		const placed = await inventoryRepo.putCardsInContainer(
+			containerId,
+			idOf(card.productId),
+			card.quantity
+		);
+		if (!placed) {
+			const error = new Error("Card container could not be updated");
+			error.statusCode = 400;
+			throw error;
+		}
+	}
+}
+
+/**
+ * Hold the requested copies of each card in their source container
+ * @async
+ * @param {Object} item - Transfer item of type "cards"
+ * @param {Object} transferRequest - Transfer request the copies are committed to
+ * @param {string} reason - Hold reason
+ * @param {Object} user - User submitting the request (owns the holds)
+ * @returns {Promise<void>}
+ * @throws {400} If the container is gone or too few copies are free
+ */
+async function reserveCards(item, transferRequest, reason, user) {
+	const containerId = idOf(item.inventoryId);
+	const container = await inventoryRepo.findById(containerId);
+
+	for (const card of item.cardItems) {
+		const productId = idOf(card.productId).toString();
+		const available = container?.isActive
+			? availableCopies(container, productId)
+			: 0;
+
+		if (card.quantity > available) {
+			const error = new Error(
+				`Insufficient copies of ${card.productId?.name || "card"} in ${
+					container?.cardContainer?.containerName || "the source container"
+				}. Requested: ${card.quantity}, Available: ${available}`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		await inventoryRepo.addHold(containerId, {
+			quantity: card.quantity,
+			reason,
+			ownerId: user._id,
+			transferRequestId: transferRequest._id,
+			productId,
+		});
+	}
+}
+
+/**
+ * Hold a container requested whole, so its cards stay put until it is sent
+ * @async
+ * @param {Object} item - Transfer item of type "container"
+ * @param {Object} transferRequest - Transfer request the container is committed to
+ * @param {string} reason - Hold reason
+ * @param {Object} user - User submitting the request (owns the hold)
+ * @returns {Promise<void>}
+ * @throws {400} If the container is gone or a transfer already has a claim on it
+ */
+async function reserveContainer(item, transferRequest, reason, user) {
+	const containerId = idOf(item.inventoryId);
+	const container = await inventoryRepo.findById(containerId);
+
+	if (!container?.isActive) {
+		const error = new Error(
+			`${
+				container?.cardContainer?.containerName || "The container"
+			} is no longer available at the source store`
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	assertContainerFree(container);
+
+	await inventoryRepo.addHold(containerId, {
+		quantity: 1,
+		reason,
+		ownerId: user._id,
+		transferRequestId: transferRequest._id,
+	});
+}
+
+/**
+ * Reserve the requested units at the source store when a request is submitted
+ * Each standard inventory item gets a hold tied to the request, so the units
+ * can't be sold or requested again before they are sent; requested cards are
+ * held in their container the same way, and a container requested whole is
+ * held as a whole. While a counter-proposal is pending, only the offered
+ * units are held.
+ * @async
+ * @param {Object} transferRequest - Transfer request object
+ * @param {Array<Object>} transferRequest.items - Items to reserve
+ * @param {Object} user - User submitting the request (owns the holds)
+ * @returns {Promise<void>}
+ * @throws {400} If too few units or card copies are available to reserve
+ * @throws {400} If a requested container is gone or already committed to a transfer
+ */
+exports.reserveSourceInventory = async (transferRequest, user) => {
+	const reason = `Committed to transfer ${transferRequest.requestNumber}`;
+
+	for (const item of transferRequest.items) {
+		if (item.itemType === TRANSFER_ITEM_TYPES.CARDS) {
+			await reserveCards(item, transferRequest, reason, user);
+			continue;
+		}
+		if (item.itemType === TRANSFER_ITEM_TYPES.CONTAINER) {
+			await reserveContainer(item, transferRequest, reason, user);
+			continue;
+		}
+
+		const inventoryId = idOf(item.inventoryId);
+		const quantity = item.proposedQuantity ?? item.requestedQuantity;
+		await inventoryRepo.pruneExpiredHolds(inventoryId);
+		const inventory = await inventoryRepo.findById(inventoryId);
+
+		if (!inventory?.isActive || quantity > inventory.availableQuantity) {
+			const error = new Error(
+				`Insufficient quantity for ${
+					inventory?.productId?.name || "product"
+				}. Requested: ${quantity}, Available: ${
+					inventory?.isActive ? inventory.availableQuantity : 0
+				}`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		await inventoryRepo.addHold(inventoryId, {
+			quantity,
+			reason,
+			ownerId: user._id,
+			transferRequestId: transferRequest._id,
+		});
+	}
+};
+
+/**
+ * Release the units reserved for a request once it leaves "requested" (or
+ * "counter-proposed")
+ * @async
+ * @param {Object} transferRequest - Transfer request object
+ * @returns {Promise<void>}
+ */
+exports.releaseSourceInventory = async (transferRequest) => {
+	await inventoryRepo.removeTransferHolds(transferRequest._id);
 };
 
 /**
  * Deduct inventory from source store when marked as "sent"
+ * Deducts the shipped quantity, which may be less than requested
  * Soft deletes inventory items when quantity reaches 0
+ * Cards are taken out of their container; whole containers are archived at
+ * the source until they are received
+ * Frees the space the shipped items took up at the source store
  * @async
  * @param {Object} transferRequest - Transfer request object
  * @param {Array<Object>} transferRequest.items - Items to deduct
+ * @param {Object} [user] - User marking the request sent (recorded in the ledger)
  * @returns {Promise<void>}
  * @throws {404} If inventory item not found
- * @throws {400} If insufficient inventory quantity
+ * @throws {400} If insufficient available (unheld) inventory quantity or card copies
+ * @throws {400} If a requested container is no longer at the source store
+ * @throws {409} If a requested container has cards committed to another transfer
  */
-exports.deductInventoryFromSource = async (transferRequest) => {
+exports.deductInventoryFromSource = async (transferRequest, user) => {
+	const freed = [];
+
 	for (const item of transferRequest.items) {
+		if (item.itemType === TRANSFER_ITEM_TYPES.CARDS) {
+			await takeCardsFromSource(item);
+			continue;
+		}
+
 		const inventory = await inventoryRepo.findById(item.inventoryId);
 
 		if (!inventory) {
@@ -330,9 +1443,38 @@ exports.deductInventoryFromSource = async (transferRequest) => {
 			throw error;
 		}
 
-		const newQuantity = inventory.quantity - item.requestedQuantity;
+		if (item.itemType === TRANSFER_ITEM_TYPES.CONTAINER) {
+			if (!inventory.isActive) {
+				const error = new Error(
+					`${inventory.cardContainer.containerName} is no longer available at the source store`
+				);
+				error.statusCode = 400;
+				throw error;
+			}
+
+			// This request's own hold is already released; anything left is
+			// another request's claim on cards inside
+			if (inventory.holds.length > 0) {
+				const error = new Error(
+					`Cannot ship ${inventory.cardContainer.containerName}: cards in it are committed to another transfer`
+				);
+				error.statusCode = 409;
+				throw error;
+			}
+
+			// The container travels with its cards; it is inactive while in transit
+			await inventoryRepo.softDelete(inventory._id);
+			freed.push([inventory.location, -spaceOf(inventory)]);
+			continue;
+		}
+
+		const shipped = shippedQuantityOf(item);
+		if (shipped === 0) continue;
+
+		const newQuantity = inventory.quantity - shipped;
 
-		if (newQuantity < 0) {
+		// Holds placed after the request was created still protect their units
+		if (shipped > inventory.availableQuantity) {
 			const error = new Error(
 				`Insufficient inventory for ${inventory.productId?.name || "product"}`
 			);
@@ -340,123 +1482,496 @@ exports.deductInventoryFromSource = async (transferRequest) => {
 			throw error;
 		}
 
+		// Update quantity
+		const updated = await inventoryRepo.update(item.inventoryId, {
+			quantity: newQuantity,
+		});
+		await stockMovementService.recordMovement(
+			updated,
+			-shipped,
+			STOCK_MOVEMENT_REASONS.TRANSFER_OUT,
+			user,
+			{ transferRequestId: transferRequest._id }
+		);
+
 		if (newQuantity === 0) {
 			// Soft delete if quantity reaches 0
-			await inventoryRepo.delete(item.inventoryId);
-		} else {
-			// Update quantity
-			await inventoryRepo.update(item.inventoryId, { quantity: newQuantity });
+			await inventoryRepo.softDelete(item.inventoryId);
 		}
+		freed.push([inventory.location, -spaceOf(inventory, shipped)]);
 	}
+
+	await inventoryRepo.adjustStoreCapacity(
+		idOf(transferRequest.fromStoreId),
+		capacityDelta(...freed)
+	);
 };
 
+/**
+ * Receive transferred cards at the destination store
+ * Cards go into the chosen destination container, or into a new container
+ * set up like the source container when none was chosen
+ * @async
+ * @param {Object} transferRequest - Transfer request object
+ * @param {Object} item - Transfer item of type "cards"
+ * @returns {Promise<void>}
+ * @throws {400} If the chosen destination container is no longer available
+ */
+async function receiveCards(transferRequest, item) {
+	const toStoreId = idOf(transferRequest.toStoreId);
+
+	if (item.destinationContainerId) {
+		const destination = await inventoryRepo.findById(
+			idOf(item.destinationContainerId)
+		);
+		if (
+			!destination?.isActive ||
+			destination.storeId.toString() !== toStoreId.toString()
+		) {
+			const error = new Error(
+				"The destination container is no longer available at the destination store"
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		await putCardsInContainer(destination._id, item.cardItems);
+		return;
+	}
+
+	const source = await inventoryRepo.findById(idOf(item.inventoryId));
+	await inventoryRepo.create({
+		storeId: toStoreId,
+		location: item.receivedLocation || source?.location || LOCATIONS.FLOOR,
+		cardContainer: {
+			containerType:
+				source?.cardContainer.containerType || CONTAINER_TYPES.BULK_BOX,
+			containerName:
+				source?.cardContainer.containerName ||
+				`Transfer ${transferRequest.requestNumber}`,
+			containerUnitSize: source?.cardContainer.containerUnitSize || 0,
+			cardInventory: item.cardItems.map((card) => ({
+				productId: idOf(card.productId),
+				quantity: card.quantity,
+			})),
+		},
+	});
+}
+
+/**
+ * Check the destination store has room for everything arriving
+ * Whole containers and new containers for cards count at their own size;
+ * cards going into an existing container take no extra space
+ * @async
+ * @param {Object} transferRequest - Transfer request object
+ * @returns {Promise<Object>} Space arriving per location ({ floor, back })
+ * @throws {404} If the destination store is not found
+ * @throws {400} If the store, or a location with a limit, lacks the space
+ */
+async function assertDestinationCapacity(transferRequest) {
+	const incoming = [];
+
+	for (const item of transferRequest.items) {
+		const source = await inventoryRepo.findById(idOf(item.inventoryId));
+		if (!source) continue;
+
+		const location = item.receivedLocation || source.location;
+		if (item.itemType === TRANSFER_ITEM_TYPES.PRODUCT) {
+			incoming.push([location, spaceOf(source, arrivedQuantityOf(item))]);
+		} else if (
+			item.itemType === TRANSFER_ITEM_TYPES.CONTAINER ||
+			!item.destinationContainerId
+		) {
+			incoming.push([location, spaceOf(source)]);
+		}
+	}
+
+	const delta = capacityDelta(...incoming);
+	const store = await storeRepo.findById(idOf(transferRequest.toStoreId));
+	if (!store) {
+		const error = new Error("Destination store not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	const floorSpace = delta[LOCATIONS.FLOOR] || 0;
+	const backSpace = delta[LOCATIONS.BACK] || 0;
+	const options = { label: `Incoming at ${store.name}` };
+	assertCapacity(store, LOCATIONS.FLOOR, floorSpace + backSpace, {
+		...options,
+		locationSpace: floorSpace,
+	});
+	assertCapacity(store, LOCATIONS.BACK, 0, {
+		...options,
+		locationSpace: backSpace,
+	});
+
+	return delta;
+}
+
 /**
  * Add inventory to destination store when marked as "complete"
- * Merges with existing inventory at same location or creates new
- * Preserves container and card item data from source
+ * Stocks each item at its received location, merging with existing
+ * inventory there or creating new
+ * Adds the received and damaged units; damaged units are put on hold
+ * Cards go into their destination container; whole containers are moved to
+ * the destination store with their cards
+ * The destination store's capacity is checked before anything is stocked
  * @async
  * @param {Object} transferRequest - Transfer request object
  * @param {Object} transferRequest.toStoreId - Destination store
  * @param {Array<Object>} transferRequest.items - Items to add
+ * @param {Object} [user] - User confirming receipt (recorded in the ledger)
  * @returns {Promise<void>}
+ * @throws {400} If the destination store lacks the space
  */
-exports.addInventoryToDestination = async (transferRequest) => {
+exports.addInventoryToDestination = async (transferRequest, user) => {
+	const toStoreId = idOf(transferRequest.toStoreId);
+	const incoming = await assertDestinationCapacity(transferRequest);
+
 	for (const item of transferRequest.items) {
-		const sourceInventory = await inventoryRepo.findById(item.inventoryId);
+		if (item.itemType === TRANSFER_ITEM_TYPES.CARDS) {
+			await receiveCards(transferRequest, item);
+			continue;
+		}
 
-		if (!sourceInventory) {
-			// If source inventory was deleted, we still have the data from the request
-			// Use the item data to create new inventory
+		if (item.itemType === TRANSFER_ITEM_TYPES.CONTAINER) {
+			const update = { storeId: toStoreId, isActive: true };
+			if (item.receivedLocation) {
+				update.location = item.receivedLocation;
+			}
+			await inventoryRepo.update(idOf(item.inventoryId), update);
+			continue;
 		}
 
+		// Damaged units are stocked too, but held so they can't be sold or moved
+		const damaged = item.damagedQuantity || 0;
+		const arrived = arrivedQuantityOf(item);
+		if (arrived === 0) continue;
+
+		const sourceInventory = await inventoryRepo.findById(item.inventoryId);
+		// Default to the source location (floor if the source is gone)
+		const location =
+			item.receivedLocation || sourceInventory?.location || LOCATIONS.FLOOR;
+
 		// Check if inventory already exists at destination with same location
 		const existingInventory = await inventoryRepo.findDuplicate(
-			transferRequest.toStoreId._id,
+			toStoreId,
 			item.productId,
-			sourceInventory?.location || LOCATIONS.FLOOR // Default to floor if source not found
+			location
 		);
 
+		let received;
 		if (existingInventory) {
 			// Add to existing inventory
-			const newQuantity = existingInventory.quantity + item.requestedQuantity;
-			await inventoryRepo.update(existingInventory._id, {
+			const newQuantity = existingInventory.quantity + arrived;
+			received = await inventoryRepo.update(existingInventory._id, {
 				quantity: newQuantity,
 			});
 		} else {
 			// Create new inventory at destination
-			const newInventoryData = {
-				storeId: transferRequest.toStoreId._id,
+			received = await inventoryRepo.create({
+				storeId: toStoreId,
 				productId: item.productId,
-				location: sourceInventory?.location || LOCATIONS.FLOOR,
-				quantity: item.requestedQuantity,
-			};
-
-			// Copy container data if applicable
-			if (sourceInventory?.containerType) {
-				newInventoryData.containerType = sourceInventory.containerType;
-				newInventoryData.containerName = sourceInventory.containerName;
-				newInventoryData.containerUnitSize = sourceInventory.containerUnitSize;
-			}
+				location,
+				quantity: arrived,
+			});
+		}
 
-			// Copy card items if applicable
-			if (item.cardItems && item.cardItems.length > 0) {
-				newInventoryData.cardItems = item.cardItems;
-			}
+		await stockMovementService.recordMovement(
+			received,
+			arrived,
+			STOCK_MOVEMENT_REASONS.TRANSFER_IN,
+			user,
+			{ transferRequestId: transferRequest._id }
+		);
 
-			await inventoryRepo.create(newInventoryData);
+		if (damaged > 0) {
+			await inventoryRepo.addHold(received._id, {
+				quantity: damaged,
+				reason: `Damaged in transfer ${transferRequest.requestNumber}`,
+				ownerId: user._id,
+			});
 		}
 	}
+
+	await inventoryRepo.adjustStoreCapacity(toStoreId, incoming);
 };
 
 /**
  * Return inventory to source store if request is cancelled after being sent
+ * Returns the shipped quantity
  * Reactivates soft-deleted inventory or creates new inventory entry
  * Returned items default to back location
+ * Cards go back into their source container and whole containers are
+ * reactivated at the source
+ * Takes back the space at the source store that sending freed
  * @async
  * @param {Object} transferRequest - Transfer request object
  * @param {Object} transferRequest.fromStoreId - Source store
  * @param {Array<Object>} transferRequest.items - Items to return
+ * @param {Object} [user] - User closing the request (recorded in the ledger)
  * @returns {Promise<void>}
  */
-exports.returnInventoryToSource = async (transferRequest) => {
+exports.returnInventoryToSource = async (transferRequest, user) => {
+	const restored = [];
+
 	for (const item of transferRequest.items) {
+		if (item.itemType !== TRANSFER_ITEM_TYPES.PRODUCT) {
+			const container = await inventoryRepo.findById(idOf(item.inventoryId));
+			// The container may have been archived while the cards were away
+			if (container && !container.isActive) {
+				await inventoryRepo.update(container._id, { isActive: true });
+				restored.push([container.location, spaceOf(container)]);
+			}
+
+			if (item.itemType === TRANSFER_ITEM_TYPES.CARDS) {
+				await putCardsInContainer(idOf(item.inventoryId), item.cardItems);
+			}
+			continue;
+		}
+
+		const shipped = shippedQuantityOf(item);
+		if (shipped === 0) continue;
+
+		let returned;
+
 		// Try to find existing inventory at source
 		const existingInventory = await inventoryRepo.findById(item.inventoryId);
 
 		if (existingInventory && existingInventory.isActive) {
 			// Inventory still exists, add back the quantity
-			const newQuantity = existingInventory.quantity + item.requestedQuantity;
-			await inventoryRepo.update(existingInventory._id, {
+			const newQuantity = existingInventory.quantity + shipped;
+			returned = await inventoryRepo.update(existingInventory._id, {
 				quantity: newQuantity,
 			});
 		} else if (existingInventory && !existingInventory.isActive) {
 			// Inventory was soft deleted, reactivate and update quantity
-			await inventoryRepo.update(existingInventory._id, {
-				quantity: item.requestedQuantity,
+			returned = await inventoryRepo.update(existingInventory._id, {
+				quantity: shipped,
 				isActive: true,
 			});
 		} else {
 			// Inventory doesn't exist anymore, recreate it
-			const newInventoryData = {
+			returned = await inventoryRepo.create({
 				storeId: transferRequest.fromStoreId._id,
 				productId: item.productId,
 				location: LOCATIONS.BACK, // Return to back by default
-				quantity: item.requestedQuantity,
-			};
+				quantity: shipped,
+			});
+		}
+
+		await stockMovementService.recordMovement(
+			returned,
+			shipped,
+			STOCK_MOVEMENT_REASONS.TRANSFER_IN,
+			user,
+			{
+				transferRequestId: transferRequest._id,
+				notes: "Returned to source after transfer was closed",
+			}
+		);
+		restored.push([
+			returned.location,
+			(item.productId?.unitSize || 0) * shipped,
+		]);
+	}
+
+	await inventoryRepo.adjustStoreCapacity(
+		idOf(transferRequest.fromStoreId),
+		capacityDelta(...restored)
+	);
+};
+
+/**
+ * Suggest transfers that cover stores' low stock from other stores' surplus
+ * A store is short of a product by the amount its records sit below their
+ * minimum stock levels, less what open and in-flight requests already bring
+ * in. Surplus is what a source record has available above its own minimum,
+ * less what open drafts already take from it; a store short of a product
+ * never gives it away. Each suggestion stays within the space the
+ * destination has left once incoming transfers arrive, and within the limit
+ * of whichever of its locations has more room.
+ * @async
+ * @returns {Promise<Array<Object>>} Draft requests, one per source and
+ *   destination pair: { fromStore, toStore, items: [{ inventoryId,
+ *   productId, productName, sku, requestedQuantity, shortfall }], space }
+ */
+exports.getRebalancingSuggestions = async () => {
+	const lowStock = await inventoryRepo.findLowStock();
+	if (lowStock.length === 0) {
+		return [];
+	}
+
+	const productIds = [
+		...new Set(lowStock.map((item) => idOf(item.productId).toString())),
+	];
+	const [stock, pendingRequests] = await Promise.all([
+		inventoryRepo.findStandardByProducts(productIds),
+		transferRequestRepo.findByStatuses(INBOUND_STATUSES),
+	]);
+
+	const keyOf = (storeId, productId) => `${idOf(storeId)}:${idOf(productId)}`;
+
+	// Units and space already on their way to each store, and units open
+	// drafts will take from each source record (submitted requests hold theirs)
+	const inbound = new Map();
+	const incomingSpace = new Map();
+	const drafted = new Map();
+	for (const request of pendingRequests) {
+		const toStoreId = idOf(request.toStoreId).toString();
+		for (const item of request.items) {
+			if (item.itemType && item.itemType !== TRANSFER_ITEM_TYPES.PRODUCT) {
+				continue;
+			}
+			const quantity = shippedQuantityOf(item);
+			const key = keyOf(toStoreId, item.productId);
+			inbound.set(key, (inbound.get(key) || 0) + quantity);
+			incomingSpace.set(
+				toStoreId,
+				(incomingSpace.get(toStoreId) || 0) +
+					(item.productId?.unitSize || 0) * quantity
+			);
+			if (request.status === "open") {
+				const inventoryId = idOf(item.inventoryId).toString();
+				drafted.set(
+					inventoryId,
+					(drafted.get(inventoryId) || 0) + quantity
+				);
+			}
+		}
+	}
+
+	// Stock and minimum levels per store and product
+	const totals = new Map();
+	for (const record of stock) {
+		const key = keyOf(record.storeId, record.productId);
+		const total = totals.get(key) || { quantity: 0, minStockLevel: 0 };
+		total.quantity += record.quantity;
+		total.minStockLevel += record.minStockLevel || 0;
+		totals.set(key, total);
+	}
+	const shortfallOf = (storeId, productId) => {
+		const key = keyOf(storeId, productId);
+		const total = totals.get(key);
+		return total.minStockLevel - total.quantity - (inbound.get(key) || 0);
+	};
+
+	// Largest shortfall first, one entry per store and product
+	const shortages = [];
+	const seen = new Set();
+	for (const item of lowStock) {
+		const key = keyOf(item.storeId, item.productId);
+		if (seen.has(key) || item.storeId?.isActive === false) continue;
+		seen.add(key);
+
+		const shortfall = shortfallOf(item.storeId, item.productId);
+		if (shortfall > 0) {
+			shortages.push({
+				store: item.storeId,
+				product: item.productId,
+				shortfall,
+			});
+		}
+	}
+	shortages.sort((a, b) => b.shortfall - a.shortfall);
+
+	// Units each source record can give, largest surplus first
+	const surplus = new Map();
+	for (const record of stock) {
+		if (
+			record.storeId?.isActive === false ||
+			shortfallOf(record.storeId, record.productId) > 0
+		) {
+			continue;
+		}
+		const spare =
+			record.availableQuantity -
+			(record.minStockLevel || 0) -
+			(drafted.get(record._id.toString()) || 0);
+		if (spare > 0) {
+			surplus.set(record._id.toString(), { record, spare });
+		}
+	}
+	const sources = [...surplus.values()].sort((a, b) => b.spare - a.spare);
 
-			// Add container data if available from item
-			if (item.cardItems && item.cardItems.length > 0) {
-				newInventoryData.cardItems = item.cardItems;
+	// Space left at each destination, store-wide and per location
+	const freeSpace = new Map();
+	const suggestions = new Map();
+	for (const { store, product, shortfall } of shortages) {
+		const toStoreId = store._id.toString();
+		if (!freeSpace.has(toStoreId)) {
+			freeSpace.set(toStoreId, {
+				store:
+					store.maxCapacity -
+					store.currentCapacity -
+					(incomingSpace.get(toStoreId) || 0),
+				[LOCATIONS.FLOOR]: locationSpaceLeft(store, LOCATIONS.FLOOR),
+				[LOCATIONS.BACK]: locationSpaceLeft(store, LOCATIONS.BACK),
+			});
+		}
+		const room = freeSpace.get(toStoreId);
+
+		let needed = shortfall;
+		for (const source of sources) {
+			const { record } = source;
+			if (
+				needed === 0 ||
+				source.spare === 0 ||
+				idOf(record.productId).toString() !== product._id.toString() ||
+				idOf(record.storeId).toString() === toStoreId
+			) {
+				continue;
 			}
 
-			await inventoryRepo.create(newInventoryData);
+			// The receiver picks the location, so aim for the one with more room
+			const location =
+				room[LOCATIONS.FLOOR] >= room[LOCATIONS.BACK]
+					? LOCATIONS.FLOOR
+					: LOCATIONS.BACK;
+			const unitSize = spaceOf(record, 1);
+			const fits =
+				unitSize > 0
+					? Math.floor(Math.min(room.store, room[location]) / unitSize)
+					: Infinity;
+			const quantity = Math.min(needed, source.spare, fits);
+			if (quantity <= 0) break;
+
+			const space = spaceOf(record, quantity);
+			needed -= quantity;
+			source.spare -= quantity;
+			room.store -= space;
+			room[location] -= space;
+
+			const fromStoreId = idOf(record.storeId).toString();
+			const pairKey = `${fromStoreId}:${toStoreId}`;
+			if (!suggestions.has(pairKey)) {
+				suggestions.set(pairKey, {
+					fromStore: { _id: fromStoreId, name: record.storeId.name },
+					toStore: { _id: toStoreId, name: store.name },
+					items: [],
+					space: 0,
+				});
+			}
+			const suggestion = suggestions.get(pairKey);
+			suggestion.items.push({
+				inventoryId: record._id,
+				productId: product._id,
+				productName: product.name,
+				sku: product.sku,
+				requestedQuantity: quantity,
+				shortfall,
+			});
+			suggestion.space += space;
 		}
 	}
+
+	return [...suggestions.values()];
 };
 
 /**
  * Delete transfer request (soft delete - sets isDeleted to true)
- * Only partners can delete, and only if status is "open" or "closed"
+ * Only partners can delete, and only if status is "open", "rejected" or "closed"
  * @async
  * @param {string} id - Transfer request ID
  * @param {Object} user - Current user
@@ -476,9 +1991,9 @@ exports.deleteTransferRequest = async (id, user) => {
 
 	const transferRequest = await exports.getTransferRequestById(id, user);
 
-	if (!["open", "closed"].includes(transferRequest.status)) {
+	if (!["open", "rejected", "closed"].includes(transferRequest.status)) {
 		const error = new Error(
-			"Can only delete requests with status 'open' or 'closed'"
+			"Can only delete requests with status 'open', 'rejected' or 'closed'"
 		);
 		error.statusCode = 400;
 		throw error;
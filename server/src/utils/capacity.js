@@ -0,0 +1,87 @@
+/**
+ * Capacity Utility
+ * @module utils/capacity
+ */
+
+/**
+ * Check a store has room for extra space, store-wide and at one location
+ * Reads the store's capacity counters; the location check only applies when
+ * the store sets a limit for it
+ * @param {Object} store - Store document
+ * @param {string} location - Location receiving the space ('floor' or 'back')
+ * @param {number} storeSpace - Space added to the store as a whole
+ * @param {Object} [options={}] - Check options
+ * @param {number} [options.locationSpace=storeSpace] - Space added at the location (differs when stock changes location)
+ * @param {string} [options.label='Required'] - Label for the amount in error messages
+ * @throws {400} If the store or the location lacks the space
+ */
+exports.assertCapacity = (
+	store,
+	location,
+	storeSpace,
+	{ locationSpace = storeSpace, label = "Required" } = {}
+) => {
+	if (storeSpace > 0) {
+		const availableSpace = store.maxCapacity - store.currentCapacity;
+
+		if (storeSpace > availableSpace) {
+			const error = new Error(
+				`Insufficient capacity. ${label}: ${storeSpace}, Available: ${availableSpace}`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+	}
+
+	if (locationSpace > 0) {
+		const availableSpace = exports.locationSpaceLeft(store, location);
+
+		if (locationSpace > availableSpace) {
+			const error = new Error(
+				`Insufficient ${location} capacity. ${label}: ${locationSpace}, Available: ${availableSpace}`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+	}
+};
+
+/**
+ * Space left at one location of a store
+ * @param {Object} store - Store document
+ * @param {string} location - Location ('floor' or 'back')
+ * @returns {number} Space under the location's limit, or Infinity when the store sets none
+ */
+exports.locationSpaceLeft = (store, location) => {
+	const usage = store.locationCapacity?.[location];
+	const limit = usage?.maxCapacity;
+	if (limit === null || limit === undefined) {
+		return Infinity;
+	}
+	return limit - (usage.currentCapacity || 0);
+};
+
+/**
+ * Space an inventory record takes up
+ * @param {Object} inventory - Inventory document (product populated for standard items)
+ * @param {number} [quantity=inventory.quantity] - Quantity to size instead of the current one
+ * @returns {number} Containers' own size, or quantity × unitSize
+ */
+exports.spaceOf = (inventory, quantity = inventory.quantity) =>
+	inventory.cardContainer
+		? inventory.cardContainer.containerUnitSize || 0
+		: (inventory.productId?.unitSize || 0) * quantity;
+
+/**
+ * Combine space changes into a per-location capacity delta
+ * @param {...Array} changes - [location, space] pairs; space is negative when freed
+ * @returns {Object} Delta for adjustStoreCapacity ({ floor, back })
+ */
+exports.capacityDelta = (...changes) =>
+	changes.reduce(
+		(delta, [location, space]) => ({
+			...delta,
+			[location]: (delta[location] || 0) + space,
+		}),
+		{}
+	);
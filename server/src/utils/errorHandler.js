@@ -6,7 +6,7 @@
 /**
  * Send standardized error response
  * @param {Object} res - Express response object
- * @param {Error} error - Error object
+ * @param {Error} error - Error object (error.details are added to the response body)
  * @param {string} defaultMessage - Default error message if error.message not available
  * @param {string} [logPrefix] - Optional prefix for console.error logging
  */
@@ -26,5 +26,6 @@ exports.sendErrorResponse = (res, error, defaultMessage, logPrefix = "") => {
 	res.status(statusCode).json({
 		success: false,
 		message,
+		...error.details,
 	});
 };
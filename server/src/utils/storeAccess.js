@@ -0,0 +1,32 @@
+/**
+ * Store Access Utility
+ * @module utils/storeAccess
+ */
+
+const { USER_ROLES } = require("../constants/enums");
+
+/**
+ * Verify a user can work with a store's records
+ * Mirrors requireStoreAccess for routes keyed by a record ID rather than store ID
+ * @param {Object} user - Current user
+ * @param {string|Object} storeId - Store the record belongs to (ID or populated store)
+ * @throws {403} If user is not a partner and the store is not their assigned store
+ */
+exports.assertStoreAccess = (user, storeId) => {
+	if (user.role === USER_ROLES.PARTNER) {
+		return;
+	}
+
+	if (!user.assignedStoreId) {
+		const error = new Error("No store assigned to your account");
+		error.statusCode = 403;
+		throw error;
+	}
+
+	const targetStoreId = (storeId?._id || storeId).toString();
+	if (user.assignedStoreId.toString() !== targetStoreId) {
+		const error = new Error("You can only access your assigned store");
+		error.statusCode = 403;
+		throw error;
+	}
+};
@@ -0,0 +1,22 @@
+/**
+ * Transaction Utility
+ * @module utils/transaction
+ */
+
+const mongoose = require("mongoose");
+
+// Lets every Mongoose operation inside withTransaction join the transaction
+// on its own, so repositories don't need a session argument
+mongoose.set("transactionAsyncLocalStorage", true);
+
+/**
+ * Run a unit of work in a MongoDB transaction
+ * All writes commit together or none do; transient conflicts are retried
+ * Requires MongoDB running as a replica set (a single node is enough)
+ * @async
+ * @param {Function} work - Async function performing the writes
+ * @returns {Promise<*>} Whatever work resolves with
+ */
+exports.withTransaction = async (work) => {
+	return await mongoose.connection.transaction(() => work());
+};
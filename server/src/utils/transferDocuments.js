@@ -0,0 +1,207 @@
+/**
+ * Transfer Documents Utility
+ * Print-ready HTML packing slips and receiving manifests for transfer requests
+ * @module utils/transferDocuments
+ */
+
+const { TRANSFER_ITEM_TYPES } = require("../constants/enums");
+
+const STYLES = `
+	body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #212529; margin: 24px; }
+	h1 { font-size: 20px; margin: 0 0 4px; }
+	.meta { color: #6c757d; margin-bottom: 16px; }
+	.stores { display: flex; gap: 24px; margin-bottom: 16px; }
+	.stores > div { flex: 1; border: 1px solid #dee2e6; padding: 8px; }
+	.label { font-weight: bold; text-transform: uppercase; font-size: 10px; color: #6c757d; }
+	table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+	th, td { border: 1px solid #dee2e6; padding: 4px 6px; text-align: left; vertical-align: top; }
+	th { background: #f8f9fa; }
+	td.number { text-align: right; }
+	td.blank { min-width: 60px; }
+	tr.group td { background: #f8f9fa; font-weight: bold; }
+	.signatures { display: flex; gap: 24px; margin-top: 32px; }
+	.signatures > div { flex: 1; border-top: 1px solid #212529; padding-top: 4px; }
+	.print { margin-bottom: 16px; }
+	@media print { .print { display: none; } body { margin: 0; } }
+`;
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Value to escape (null and undefined become "")
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) =>
+	String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+
+const formatDate = (date) =>
+	date ? new Date(date).toISOString().slice(0, 10) : "";
+
+/**
+ * Printed lines for a transfer item
+ * Cards taken from a container are listed one line per card under a heading
+ * @param {Object} item - Populated transfer item
+ * @returns {Array<Object>} Lines ({ heading } or { sku, name, card, requested, shipped })
+ */
+const itemLines = (item) => {
+	const containerName = item.inventoryId?.cardContainer?.containerName;
+
+	switch (item.itemType) {
+		case TRANSFER_ITEM_TYPES.CARDS: {
+			const destination = item.destinationContainerId?.cardContainer
+				?.containerName
+				? `into ${item.destinationContainerId.cardContainer.containerName}`
+				: "into a new container";
+			return [
+				{
+					heading: `Cards from ${containerName || "card container"} (${destination})`,
+				},
+				...item.cardItems.map((card) => ({
+					sku: card.productId?.sku,
+					name: card.productId?.name,
+					card: card.productId?.cardDetails,
+					requested: card.quantity,
+					shipped: card.quantity,
+				})),
+			];
+		}
+		case TRANSFER_ITEM_TYPES.CONTAINER:
+			return [
+				{
+					name: `${containerName || "Card container"} (whole container, with all its cards)`,
+					requested: 1,
+					shipped: 1,
+				},
+			];
+		default:
+			return [
+				{
+					sku: item.productId?.sku,
+					name: item.productId?.name,
+					card: item.productId?.cardDetails,
+					requested: item.requestedQuantity,
+					shipped: item.shippedQuantity,
+				},
+			];
+	}
+};
+
+const storeBlock = (label, store) => `
+	<div>
+		<div class="label">${label}</div>
+		<strong>${escapeHtml(store?.name)}</strong><br />
+		${escapeHtml(store?.fullAddress)}
+	</div>`;
+
+/**
+ * Wrap a document body in a complete HTML page
+ * @param {string} title - Document title
+ * @param {Object} transferRequest - Populated transfer request
+ * @param {Array<string>} headers - Item table column headers
+ * @param {Function} renderCells - Builds the cells of an item line
+ * @param {Array<string>} signatures - Signature line labels
+ * @returns {string} HTML document
+ */
+const renderDocument = (
+	title,
+	transferRequest,
+	headers,
+	renderCells,
+	signatures
+) => {
+	const rows = transferRequest.items
+		.flatMap(itemLines)
+		.map((line) =>
+			line.heading
+				? `<tr class="group"><td colspan="${headers.length}">${escapeHtml(line.heading)}</td></tr>`
+				: `<tr>
+				<td>${escapeHtml(line.sku)}</td>
+				<td>${escapeHtml(line.name)}</td>
+				<td>${escapeHtml(line.card?.set)}</td>
+				<td>${escapeHtml(line.card?.cardNumber)}</td>
+				<td>${escapeHtml(line.card?.condition)}</td>
+				${renderCells(line)}
+			</tr>`
+		)
+		.join("");
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="utf-8" />
+	<title>${escapeHtml(`${title} ${transferRequest.requestNumber}`)}</title>
+	<style>${STYLES}</style>
+</head>
+<body>
+	<button class="print" onclick="window.print()">Print</button>
+	<h1>${escapeHtml(title)} - ${escapeHtml(transferRequest.requestNumber)}</h1>
+	<div class="meta">
+		Status: ${escapeHtml(transferRequest.status)}
+		${transferRequest.sentAt ? ` | Sent: ${formatDate(transferRequest.sentAt)}` : ""}
+		| Printed: ${formatDate(new Date())}
+	</div>
+	<div class="stores">
+		${storeBlock("From", transferRequest.fromStoreId)}
+		${storeBlock("To", transferRequest.toStoreId)}
+	</div>
+	<table>
+		<thead>
+			<tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("")}</tr>
+		</thead>
+		<tbody>${rows}</tbody>
+	</table>
+	${
+		transferRequest.notes
+			? `<p><span class="label">Notes</span><br />${escapeHtml(transferRequest.notes)}</p>`
+			: ""
+	}
+	<div class="signatures">
+		${signatures.map((label) => `<div>${escapeHtml(label)}</div>`).join("")}
+	</div>
+</body>
+</html>`;
+};
+
+const ITEM_HEADERS = ["SKU", "Item", "Set", "No.", "Condition"];
+
+/**
+ * Packing slip for the source store
+ * Shipped quantities are printed once the request is sent; before that the
+ * column is left blank to fill in while packing
+ * @param {Object} transferRequest - Populated transfer request
+ * @returns {string} HTML document
+ */
+exports.renderPackingSlip = (transferRequest) =>
+	renderDocument(
+		"Packing Slip",
+		transferRequest,
+		[...ITEM_HEADERS, "Requested", "Shipped", "Packed"],
+		(line) => `
+				<td class="number">${escapeHtml(line.requested)}</td>
+				<td class="number blank">${escapeHtml(line.shipped)}</td>
+				<td>&#9744;</td>`,
+		["Packed by", "Date"]
+	);
+
+/**
+ * Receiving checklist for the destination store
+ * Lists the shipped quantities with blank columns for the counts
+ * @param {Object} transferRequest - Populated transfer request
+ * @returns {string} HTML document
+ */
+exports.renderReceivingManifest = (transferRequest) =>
+	renderDocument(
+		"Receiving Manifest",
+		transferRequest,
+		[...ITEM_HEADERS, "Shipped", "Received", "Damaged", "Checked"],
+		(line) => `
+				<td class="number">${escapeHtml(line.shipped ?? line.requested)}</td>
+				<td class="blank"></td>
+				<td class="blank"></td>
+				<td>&#9744;</td>`,
+		["Received by", "Date"]
+	);
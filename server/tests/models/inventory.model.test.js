@@ -3,6 +3,7 @@
  */
 
 import { describe, it, expect, beforeEach } from "vitest";
+import mongoose from "mongoose";
 import { Inventory } from "../../src/models/inventory.model.js";
 import { Store } from "../../src/models/store.model.js";
 import { Product } from "../../src/models/product.model.js";
@@ -431,6 +432,44 @@ describe("Inventory Model", () => {
 			// boosterProduct has unitSize: 1, quantity is 10
 			expect(savedInventory.effectiveUnitSize).toBe(10);
 		});
+
+		it("should subtract unexpired holds from availableQuantity", async () => {
+			const ownerId = new mongoose.Types.ObjectId();
+			const inventory = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, boosterProduct._id, {
+					quantity: 10,
+					holds: [
+						{ quantity: 3, reason: "Tournament prizes", ownerId },
+						{
+							quantity: 4,
+							reason: "Customer pickup",
+							ownerId,
+							expiresAt: new Date(Date.now() - 60 * 1000),
+						},
+					],
+				})
+			);
+
+			expect(inventory.heldQuantity).toBe(3);
+			expect(inventory.availableQuantity).toBe(7);
+		});
+
+		it("should not report negative availableQuantity when holds exceed stock", async () => {
+			const inventory = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, boosterProduct._id, {
+					quantity: 2,
+					holds: [
+						{
+							quantity: 5,
+							reason: "Tournament prizes",
+							ownerId: new mongoose.Types.ObjectId(),
+						},
+					],
+				})
+			);
+
+			expect(inventory.availableQuantity).toBe(0);
+		});
 	});
 
 	describe("Static Methods - findByStore", () => {
@@ -646,6 +685,51 @@ describe("Inventory Model", () => {
 			// Should not include the inactive inventory
 			expect(capacity).toBe(15);
 		});
+
+		it("should calculate capacity used at a single location", async () => {
+			await Inventory.create(
+				inventoryFixtures.back(testStore._id, boosterProduct._id, {
+					quantity: 7,
+				})
+			);
+
+			expect(
+				await Inventory.calculateStoreCapacity(testStore._id, LOCATIONS.FLOOR)
+			).toBe(15);
+			expect(
+				await Inventory.calculateStoreCapacity(testStore._id, LOCATIONS.BACK)
+			).toBe(7);
+		});
+	});
+
+	describe("Static Methods - calculateCapacityByLocation", () => {
+		it("should total the space used on the floor and in the back", async () => {
+			await Inventory.create([
+				inventoryFixtures.floor(testStore._id, boosterProduct._id, {
+					quantity: 10,
+				}),
+				inventoryFixtures.back(testStore._id, boosterProduct._id, {
+					quantity: 4,
+				}),
+				inventoryFixtures.emptyContainer(testStore._id),
+			]);
+
+			const usage = await Inventory.calculateCapacityByLocation(
+				testStore._id
+			);
+
+			expect(usage).toEqual({ floor: 15, back: 4 });
+		});
+
+		it("should report zero for both locations of an empty store", async () => {
+			const emptyStore = await Store.create(storeFixtures.denver());
+
+			const usage = await Inventory.calculateCapacityByLocation(
+				emptyStore._id
+			);
+
+			expect(usage).toEqual({ floor: 0, back: 0 });
+		});
 	});
 
 	describe("Static Methods - getFloorDisplayQuantities", () => {
@@ -801,6 +885,35 @@ describe("Inventory Model", () => {
 			const updated = await Inventory.findById(inventory._id);
 			expect(updated.isActive).toBe(false);
 		});
+
+		it("should reject saving a copy read before another save", async () => {
+			const inventory = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, boosterProduct._id)
+			);
+			const first = await Inventory.findById(inventory._id);
+			const second = await Inventory.findById(inventory._id);
+
+			first.quantity = 40;
+			await first.save();
+
+			second.quantity = 60;
+			await expect(second.save()).rejects.toThrow(
+				mongoose.Error.VersionError
+			);
+		});
+
+		it("should bump the version on atomic updates", async () => {
+			const inventory = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, boosterProduct._id)
+			);
+
+			await Inventory.findByIdAndUpdate(inventory._id, {
+				$inc: { quantity: 5 },
+			});
+
+			const updated = await Inventory.findById(inventory._id);
+			expect(updated.__v).toBe(inventory.__v + 1);
+		});
 	});
 
 	describe("Field Trimming", () => {
@@ -0,0 +1,62 @@
+/**
+ * Tests for Stock Movement Model
+ */
+
+import { describe, it, expect } from "vitest";
+import mongoose from "mongoose";
+import { StockMovement } from "../../src/models/stockMovement.model.js";
+import "../setup.js"; // Import test setup
+import { STOCK_MOVEMENT_REASONS } from "../../src/constants/enums.js";
+
+const movementData = (overrides = {}) => ({
+	inventoryId: new mongoose.Types.ObjectId(),
+	productId: new mongoose.Types.ObjectId(),
+	storeId: new mongoose.Types.ObjectId(),
+	delta: -3,
+	resultingQuantity: 7,
+	reason: STOCK_MOVEMENT_REASONS.SALE,
+	...overrides,
+});
+
+describe("StockMovement Model", () => {
+	describe("Schema Validation", () => {
+		it("should create a valid movement", async () => {
+			const movement = await StockMovement.create(movementData());
+
+			expect(movement._id).toBeDefined();
+			expect(movement.createdAt).toBeInstanceOf(Date);
+		});
+
+		it("should reject an unknown reason", async () => {
+			await expect(
+				StockMovement.create(movementData({ reason: "lost-in-couch" }))
+			).rejects.toThrow();
+		});
+
+		it("should reject a zero delta", async () => {
+			await expect(
+				StockMovement.create(movementData({ delta: 0 }))
+			).rejects.toThrow("Stock movement delta cannot be 0");
+		});
+	});
+
+	describe("Append-only", () => {
+		it("should refuse to save changes to an existing entry", async () => {
+			const movement = await StockMovement.create(movementData());
+			movement.delta = -30;
+
+			await expect(movement.save()).rejects.toThrow("append-only");
+		});
+
+		it("should refuse query updates and deletes", async () => {
+			const movement = await StockMovement.create(movementData());
+
+			await expect(
+				StockMovement.updateOne({ _id: movement._id }, { delta: 5 })
+			).rejects.toThrow("append-only");
+			await expect(
+				StockMovement.deleteOne({ _id: movement._id })
+			).rejects.toThrow("append-only");
+		});
+	});
+});
@@ -306,6 +306,41 @@ describe("Store Model", () => {
 				(store.currentCapacity / store.maxCapacity) * 100;
 			expect(capacityPercentage).toBe(65);
 		});
+
+		it("should default floor and back limits to none", async () => {
+			const store = await Store.create(storeFixtures.downtown());
+
+			expect(store.locationCapacity.floor.maxCapacity).toBeNull();
+			expect(store.locationCapacity.floor.currentCapacity).toBe(0);
+			expect(store.locationCapacity.back.maxCapacity).toBeNull();
+			expect(store.locationCapacity.back.currentCapacity).toBe(0);
+		});
+
+		it("should save floor and back limits", async () => {
+			const store = await Store.create(
+				storeFixtures.downtown({
+					locationCapacity: {
+						floor: { maxCapacity: 300 },
+						back: { maxCapacity: 700 },
+					},
+				})
+			);
+
+			expect(store.locationCapacity.floor.maxCapacity).toBe(300);
+			expect(store.locationCapacity.back.maxCapacity).toBe(700);
+		});
+
+		it("should reject a location limit above the store limit", async () => {
+			const store = new Store(
+				storeFixtures.downtown({
+					locationCapacity: { floor: { maxCapacity: 5000 } },
+				})
+			);
+
+			await expect(store.save()).rejects.toThrow(
+				"The floor max capacity cannot exceed the store's max capacity"
+			);
+		});
 	});
 
 	describe("Edge Cases - Capacity Boundaries", () => {
@@ -600,4 +635,27 @@ describe("Store Model", () => {
 			expect(store.createdAt.getTime()).toBe(originalCreatedAt.getTime());
 		});
 	});
+
+	describe("Request Prefix", () => {
+		it("should default to no prefix", async () => {
+			const store = await Store.create(storeFixtures.downtown());
+			expect(store.requestPrefix).toBeNull();
+		});
+
+		it("should store the prefix in uppercase", async () => {
+			const store = await Store.create(
+				storeFixtures.downtown({ requestPrefix: "sea" })
+			);
+			expect(store.requestPrefix).toBe("SEA");
+		});
+
+		it("should reject prefixes that aren't 2-6 letters or digits", async () => {
+			const store = new Store(
+				storeFixtures.downtown({ requestPrefix: "SEA-1" })
+			);
+			await expect(store.save()).rejects.toThrow(
+				"Request prefix must be 2-6 letters or digits"
+			);
+		});
+	});
 });
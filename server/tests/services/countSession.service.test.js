@@ -0,0 +1,260 @@
+/**
+ * Tests for Count Session Service
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { Inventory } from "../../src/models/inventory.model.js";
+import { Store } from "../../src/models/store.model.js";
+import { Product } from "../../src/models/product.model.js";
+import { User } from "../../src/models/user.model.js";
+import { StockMovement } from "../../src/models/stockMovement.model.js";
+import * as countSessionService from "../../src/services/countSession.service.js";
+import "../setup.js"; // Import test setup
+import {
+	storeFixtures,
+	productFixtures,
+	inventoryFixtures,
+	userFixtures,
+} from "../fixtures/testData.js";
+import {
+	LOCATIONS,
+	STOCK_MOVEMENT_REASONS,
+} from "../../src/constants/enums.js";
+
+describe("Count Session Service", () => {
+	let store;
+	let manager;
+	let employee;
+	let booster;
+	let card;
+	let floorStock;
+	let displayCase;
+
+	beforeEach(async () => {
+		store = await Store.create(storeFixtures.seattle());
+		manager = await User.create(userFixtures.storeManager(store._id));
+		employee = await User.create(userFixtures.employee(store._id));
+		booster = await Product.create(productFixtures.boosterPack());
+		card = await Product.create(productFixtures.singleCard());
+		floorStock = await Inventory.create(
+			inventoryFixtures.floor(store._id, booster._id, { quantity: 10 })
+		);
+		displayCase = await Inventory.create(
+			inventoryFixtures.displayCase(store._id, [
+				{ productId: card._id, quantity: 4 },
+			])
+		);
+	});
+
+	const openFloorCount = () =>
+		countSessionService.openSession(
+			{ storeId: store._id.toString(), location: LOCATIONS.FLOOR },
+			manager
+		);
+
+	describe("openSession", () => {
+		it("should freeze expected quantities from the store snapshot", async () => {
+			const session = await openFloorCount();
+
+			expect(session.status).toBe("open");
+			expect(session.lines).toHaveLength(2);
+
+			const standardLine = session.lines.find((line) => line.productId);
+			expect(standardLine.expectedQuantity).toBe(10);
+
+			const containerLine = session.lines.find((line) => !line.productId);
+			expect(containerLine.cards[0].expectedQuantity).toBe(4);
+		});
+
+		it("should not change the snapshot when live stock changes", async () => {
+			const session = await openFloorCount();
+
+			await Inventory.findByIdAndUpdate(floorStock._id, { quantity: 2 });
+
+			const reloaded = await countSessionService.getSessionById(
+				session._id.toString(),
+				employee
+			);
+			const standardLine = reloaded.lines.find((line) => line.productId);
+			expect(standardLine.expectedQuantity).toBe(10);
+		});
+
+		it("should refuse a second count over the same location", async () => {
+			await openFloorCount();
+
+			await expect(openFloorCount()).rejects.toThrow(
+				"A count is already in progress"
+			);
+		});
+	});
+
+	describe("counting and posting", () => {
+		it("should compute variance and post adjustments on approval", async () => {
+			const session = await openFloorCount();
+			const id = session._id.toString();
+
+			await countSessionService.recordCount(
+				id,
+				floorStock._id.toString(),
+				8,
+				employee
+			);
+			const counted = await countSessionService.recordCardCount(
+				id,
+				displayCase._id.toString(),
+				card._id.toString(),
+				5,
+				employee
+			);
+
+			const standardLine = counted.lines.find((line) => line.productId);
+			expect(standardLine.variance).toBe(-2);
+
+			await countSessionService.submitSession(id, employee);
+			const posted = await countSessionService.approveSession(id, manager);
+
+			expect(posted.status).toBe("posted");
+
+			const adjustedStock = await Inventory.findById(floorStock._id);
+			expect(adjustedStock.quantity).toBe(8);
+
+			const adjustedCase = await Inventory.findById(displayCase._id);
+			expect(adjustedCase.cardContainer.cardInventory[0].quantity).toBe(5);
+
+			const [movement] = await StockMovement.find({
+				inventoryId: floorStock._id,
+			});
+			expect(movement.reason).toBe(STOCK_MOVEMENT_REASONS.COUNT_ADJUST);
+			expect(movement.delta).toBe(-2);
+		});
+
+		it("should apply the variance on top of sales made during the count", async () => {
+			const session = await openFloorCount();
+			const id = session._id.toString();
+
+			await countSessionService.recordCount(
+				id,
+				floorStock._id.toString(),
+				9,
+				employee
+			);
+			await Inventory.findByIdAndUpdate(floorStock._id, { quantity: 7 });
+
+			await countSessionService.submitSession(id, employee);
+			await countSessionService.approveSession(id, manager);
+
+			const adjustedStock = await Inventory.findById(floorStock._id);
+			expect(adjustedStock.quantity).toBe(6);
+		});
+
+		it("should record only the shortage that could be removed", async () => {
+			const session = await openFloorCount();
+			const id = session._id.toString();
+
+			await countSessionService.recordCount(
+				id,
+				floorStock._id.toString(),
+				4,
+				employee
+			);
+			// Most of the stock sold while the count waited for approval
+			await Inventory.findByIdAndUpdate(floorStock._id, { quantity: 2 });
+
+			await countSessionService.submitSession(id, employee);
+			await countSessionService.approveSession(id, manager);
+
+			expect((await Inventory.findById(floorStock._id)).quantity).toBe(0);
+			const [movement] = await StockMovement.find({
+				inventoryId: floorStock._id,
+			});
+			expect(movement.delta).toBe(-2);
+			expect(movement.notes).toContain("counted 6 missing, only 2 on hand");
+		});
+
+		it("should post a count once when approved twice at the same time", async () => {
+			const session = await openFloorCount();
+			const id = session._id.toString();
+
+			await countSessionService.recordCount(
+				id,
+				floorStock._id.toString(),
+				8,
+				employee
+			);
+			await countSessionService.submitSession(id, employee);
+
+			const results = await Promise.allSettled([
+				countSessionService.approveSession(id, manager),
+				countSessionService.approveSession(id, manager),
+			]);
+
+			expect(
+				results.filter((result) => result.status === "fulfilled")
+			).toHaveLength(1);
+			expect((await Inventory.findById(floorStock._id)).quantity).toBe(8);
+			expect(
+				await StockMovement.countDocuments({ inventoryId: floorStock._id })
+			).toBe(1);
+		});
+
+		it("should not cancel a count that was approved at the same time", async () => {
+			const session = await openFloorCount();
+			const id = session._id.toString();
+
+			await countSessionService.recordCount(
+				id,
+				floorStock._id.toString(),
+				8,
+				employee
+			);
+			await countSessionService.submitSession(id, employee);
+
+			const [approved, cancelled] = await Promise.allSettled([
+				countSessionService.approveSession(id, manager),
+				countSessionService.cancelSession(id, manager),
+			]);
+			const loser = approved.status === "rejected" ? approved : cancelled;
+
+			expect(
+				[approved, cancelled].filter((result) => result.status === "fulfilled")
+			).toHaveLength(1);
+			expect(loser.reason.statusCode).toBe(409);
+
+			const final = await countSessionService.getSessionById(id, manager);
+			const stock = await Inventory.findById(floorStock._id);
+			expect(stock.quantity).toBe(final.status === "posted" ? 8 : 10);
+		});
+
+		it("should list sessions with their progress but without line details", async () => {
+			const session = await openFloorCount();
+			await countSessionService.recordCount(
+				session._id.toString(),
+				floorStock._id.toString(),
+				9,
+				employee
+			);
+
+			const [listed] = await countSessionService.getSessions(manager);
+
+			expect(listed.countedItems).toBe(1);
+			expect(listed.totalItems).toBe(session.totalItems);
+			expect(listed.lines[0].expectedQuantity).toBeUndefined();
+		});
+
+		it("should refuse to submit before anything is counted", async () => {
+			const session = await openFloorCount();
+
+			await expect(
+				countSessionService.submitSession(session._id.toString(), employee)
+			).rejects.toThrow("Count at least one item before submitting");
+		});
+
+		it("should refuse approval of a session still being counted", async () => {
+			const session = await openFloorCount();
+
+			await expect(
+				countSessionService.approveSession(session._id.toString(), manager)
+			).rejects.toThrow("Count session is open");
+		});
+	});
+});
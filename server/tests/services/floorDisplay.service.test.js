@@ -0,0 +1,215 @@
+/**
+ * Tests for Floor Display Service
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { Inventory } from "../../src/models/inventory.model.js";
+import { Store } from "../../src/models/store.model.js";
+import { Product } from "../../src/models/product.model.js";
+import { User } from "../../src/models/user.model.js";
+import * as floorDisplayService from "../../src/services/floorDisplay.service.js";
+import "../setup.js"; // Import test setup
+import {
+	storeFixtures,
+	productFixtures,
+	inventoryFixtures,
+	userFixtures,
+} from "../fixtures/testData.js";
+import { PRODUCT_TYPES } from "../../src/constants/enums.js";
+
+describe("Floor Display Service", () => {
+	let store;
+	let otherStore;
+	let manager;
+	let employee;
+	let booster;
+	let otherBooster;
+
+	beforeEach(async () => {
+		store = await Store.create(storeFixtures.seattle());
+		otherStore = await Store.create(storeFixtures.denver());
+		manager = await User.create(userFixtures.storeManager(store._id));
+		employee = await User.create(userFixtures.employee(store._id));
+		booster = await Product.create(productFixtures.boosterPack());
+		otherBooster = await Product.create(
+			productFixtures.boosterPack({
+				sku: "MTG-BOOSTER-002",
+				name: "Second Set Booster",
+			})
+		);
+	});
+
+	describe("createRule", () => {
+		it("should create a product type and brand rule", async () => {
+			const rule = await floorDisplayService.createRule(
+				{
+					storeId: store._id.toString(),
+					productType: PRODUCT_TYPES.BOOSTER_PACK,
+					brand: "Magic: The Gathering",
+					minQuantity: 24,
+				},
+				manager
+			);
+
+			expect(rule.scope).toBe("productTypeAndBrand");
+			expect(rule.minQuantity).toBe(24);
+		});
+
+		it("should reject a rule with both a product and a category", async () => {
+			await expect(
+				floorDisplayService.createRule(
+					{
+						storeId: store._id.toString(),
+						productId: booster._id.toString(),
+						brand: "Magic: The Gathering",
+						minQuantity: 5,
+					},
+					manager
+				)
+			).rejects.toThrow("not both");
+		});
+
+		it("should reject a second rule for the same target", async () => {
+			const ruleData = {
+				storeId: store._id.toString(),
+				productId: booster._id.toString(),
+				minQuantity: 5,
+			};
+			await floorDisplayService.createRule(ruleData, manager);
+
+			await expect(
+				floorDisplayService.createRule(ruleData, manager)
+			).rejects.toMatchObject({ statusCode: 409 });
+		});
+
+		it("should block managers from other stores", async () => {
+			await expect(
+				floorDisplayService.createRule(
+					{
+						storeId: otherStore._id.toString(),
+						brand: "Magic: The Gathering",
+						minQuantity: 5,
+					},
+					manager
+				)
+			).rejects.toThrow("You can only access your assigned store");
+		});
+	});
+
+	describe("getUnmetReport", () => {
+		it("should suggest back-room moves to close the gap", async () => {
+			await Inventory.create([
+				inventoryFixtures.floor(store._id, booster._id, { quantity: 10 }),
+				inventoryFixtures.back(store._id, booster._id, { quantity: 6 }),
+				inventoryFixtures.back(store._id, otherBooster._id, { quantity: 20 }),
+			]);
+			await floorDisplayService.createRule(
+				{
+					storeId: store._id.toString(),
+					productType: PRODUCT_TYPES.BOOSTER_PACK,
+					brand: "Magic: The Gathering",
+					minQuantity: 24,
+				},
+				manager
+			);
+
+			const report = await floorDisplayService.getUnmetReport(
+				undefined,
+				employee
+			);
+
+			expect(report.unmet).toHaveLength(1);
+			expect(report.unmet[0].currentQuantity).toBe(10);
+			expect(report.unmet[0].shortfall).toBe(14);
+			expect(report.unmet[0].uncoveredQuantity).toBe(0);
+			expect(
+				report.suggestedMoves.reduce((sum, move) => sum + move.quantity, 0)
+			).toBe(14);
+		});
+
+		it("should count moves planned for product rules toward broader rules", async () => {
+			const backStock = await Inventory.create(
+				inventoryFixtures.back(store._id, booster._id, { quantity: 30 })
+			);
+			await floorDisplayService.createRule(
+				{
+					storeId: store._id.toString(),
+					productId: booster._id.toString(),
+					minQuantity: 12,
+				},
+				manager
+			);
+			await floorDisplayService.createRule(
+				{
+					storeId: store._id.toString(),
+					brand: "Magic: The Gathering",
+					minQuantity: 10,
+				},
+				manager
+			);
+
+			const report = await floorDisplayService.getUnmetReport(
+				store._id.toString(),
+				manager
+			);
+
+			expect(report.unmet).toHaveLength(2);
+			expect(report.suggestedMoves).toEqual([
+				expect.objectContaining({
+					inventoryId: backStock._id.toString(),
+					quantity: 12,
+				}),
+			]);
+		});
+
+		it("should not suggest held back-room units", async () => {
+			await Inventory.create(
+				inventoryFixtures.back(store._id, booster._id, {
+					quantity: 10,
+					holds: [
+						{ quantity: 8, reason: "Prerelease kits", ownerId: manager._id },
+					],
+				})
+			);
+			await floorDisplayService.createRule(
+				{
+					storeId: store._id.toString(),
+					productId: booster._id.toString(),
+					minQuantity: 5,
+				},
+				manager
+			);
+
+			const report = await floorDisplayService.getUnmetReport(
+				undefined,
+				manager
+			);
+
+			expect(report.unmet[0].suggestedMoves[0].quantity).toBe(2);
+			expect(report.unmet[0].uncoveredQuantity).toBe(3);
+		});
+
+		it("should leave met rules out of the report", async () => {
+			await Inventory.create(
+				inventoryFixtures.floor(store._id, booster._id, { quantity: 10 })
+			);
+			await floorDisplayService.createRule(
+				{
+					storeId: store._id.toString(),
+					productType: PRODUCT_TYPES.BOOSTER_PACK,
+					minQuantity: 10,
+				},
+				manager
+			);
+
+			const report = await floorDisplayService.getUnmetReport(
+				undefined,
+				manager
+			);
+
+			expect(report.totalRules).toBe(1);
+			expect(report.metRules).toBe(1);
+			expect(report.unmet).toHaveLength(0);
+		});
+	});
+});
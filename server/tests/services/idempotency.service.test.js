@@ -0,0 +1,99 @@
+/**
+ * Tests for Idempotency Service
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { User } from "../../src/models/user.model.js";
+import { IdempotencyKey } from "../../src/models/idempotencyKey.model.js";
+import * as idempotencyService from "../../src/services/idempotency.service.js";
+import "../setup.js"; // Import test setup
+import { userFixtures } from "../fixtures/testData.js";
+
+describe("Idempotency Service", () => {
+	let user;
+	let request;
+
+	beforeEach(async () => {
+		user = await User.create(userFixtures.partner());
+		request = {
+			key: "5d1c2a9e-submit-1",
+			userId: user._id,
+			method: "POST",
+			path: "/api/inventory",
+			body: { productId: "abc", quantity: 5 },
+		};
+	});
+
+	it("should claim an unused key", async () => {
+		const { record, replay } = await idempotencyService.beginRequest(request);
+
+		expect(replay).toBeUndefined();
+		expect(record.statusCode).toBeNull();
+		expect(record.requestHash).toBe(
+			idempotencyService.hashRequest(request.body)
+		);
+	});
+
+	it("should replay the stored response for a retry", async () => {
+		const { record } = await idempotencyService.beginRequest(request);
+		await idempotencyService.completeRequest(record._id, 201, {
+			success: true,
+			inventory: { quantity: 5 },
+		});
+
+		const { replay } = await idempotencyService.beginRequest(request);
+
+		expect(replay.statusCode).toBe(201);
+		expect(replay.body).toEqual({ success: true, inventory: { quantity: 5 } });
+	});
+
+	it("should reject a retry while the first request is in progress", async () => {
+		await idempotencyService.beginRequest(request);
+
+		await expect(idempotencyService.beginRequest(request)).rejects.toThrow(
+			"still being processed"
+		);
+	});
+
+	it("should reject a key reused for a different body", async () => {
+		const { record } = await idempotencyService.beginRequest(request);
+		await idempotencyService.completeRequest(record._id, 201, {});
+
+		await expect(
+			idempotencyService.beginRequest({
+				...request,
+				body: { productId: "abc", quantity: 10 },
+			})
+		).rejects.toThrow("already used for a different request");
+	});
+
+	it("should let a released key be claimed again", async () => {
+		const { record } = await idempotencyService.beginRequest(request);
+		await idempotencyService.releaseRequest(record._id);
+
+		const retry = await idempotencyService.beginRequest(request);
+
+		expect(retry.record).toBeDefined();
+		expect(await IdempotencyKey.countDocuments()).toBe(1);
+	});
+
+	it("should scope keys to the user", async () => {
+		const other = await User.create(
+			userFixtures.partner({ username: "partner2", email: "partner2@tcg.com" })
+		);
+		await idempotencyService.beginRequest(request);
+
+		const { record } = await idempotencyService.beginRequest({
+			...request,
+			userId: other._id,
+		});
+
+		expect(record).toBeDefined();
+	});
+
+	it("should reject empty keys", async () => {
+		await expect(
+			idempotencyService.beginRequest({ ...request, key: "  " })
+		).rejects.toThrow("Idempotency-Key must be between 1 and 255 characters");
+	});
+});
@@ -0,0 +1,1085 @@
+/**
+ * Tests for Inventory Service
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { Inventory } from "../../src/models/inventory.model.js";
+import { Store } from "../../src/models/store.model.js";
+import { Product } from "../../src/models/product.model.js";
+import { User } from "../../src/models/user.model.js";
+import * as inventoryService from "../../src/services/inventory.service.js";
+import "../setup.js"; // Import test setup
+import {
+	storeFixtures,
+	productFixtures,
+	inventoryFixtures,
+	userFixtures,
+} from "../fixtures/testData.js";
+import { StockMovement } from "../../src/models/stockMovement.model.js";
+import {
+	CONTAINER_TYPES,
+	LOCATIONS,
+	STOCK_MOVEMENT_REASONS,
+} from "../../src/constants/enums.js";
+
+describe("Inventory Service", () => {
+	let testStore;
+	let otherStore;
+	let partner;
+	let manager;
+	let cardProduct;
+
+	beforeEach(async () => {
+		testStore = await Store.create(
+			storeFixtures.seattle({ maxCapacity: 100, currentCapacity: 0 })
+		);
+		otherStore = await Store.create(storeFixtures.denver());
+		partner = await User.create(userFixtures.partner());
+		manager = await User.create(userFixtures.storeManager(testStore._id));
+		cardProduct = await Product.create(productFixtures.singleCard());
+	});
+
+	describe("Card Containers - createContainer", () => {
+		it("should create an empty container and count its size against capacity", async () => {
+			const container = await inventoryService.createContainer(
+				{
+					storeId: testStore._id.toString(),
+					location: LOCATIONS.FLOOR,
+					containerType: CONTAINER_TYPES.DISPLAY_CASE,
+					containerName: "Display Case A1",
+					containerUnitSize: 20,
+				},
+				manager
+			);
+
+			expect(container.cardContainer.containerName).toBe("Display Case A1");
+			expect(container.cardContainer.cardInventory).toHaveLength(0);
+
+			const updatedStore = await Store.findById(testStore._id);
+			expect(updatedStore.currentCapacity).toBe(20);
+		});
+
+		it("should reject containers larger than available capacity", async () => {
+			await expect(
+				inventoryService.createContainer(
+					{
+						storeId: testStore._id.toString(),
+						location: LOCATIONS.BACK,
+						containerType: CONTAINER_TYPES.BULK_BIN,
+						containerName: "Huge Bin",
+						containerUnitSize: 150,
+					},
+					partner
+				)
+			).rejects.toThrow("Insufficient capacity. Required: 150, Available: 100");
+		});
+
+		it("should reject invalid container types", async () => {
+			await expect(
+				inventoryService.createContainer(
+					{
+						storeId: testStore._id.toString(),
+						location: LOCATIONS.FLOOR,
+						containerType: "shoebox",
+						containerName: "Shoebox",
+					},
+					partner
+				)
+			).rejects.toThrow("Invalid container type");
+		});
+
+		it("should prevent managers from creating containers at other stores", async () => {
+			await expect(
+				inventoryService.createContainer(
+					{
+						storeId: otherStore._id.toString(),
+						location: LOCATIONS.FLOOR,
+						containerType: CONTAINER_TYPES.BULK_BOX,
+						containerName: "Commons Box",
+					},
+					manager
+				)
+			).rejects.toThrow("You can only access your assigned store");
+		});
+	});
+
+	describe("Card Containers - updateContainer", () => {
+		it("should rename and resize a container without touching its cards", async () => {
+			const container = await Inventory.create(
+				inventoryFixtures.displayCase(testStore._id, [
+					{ productId: cardProduct._id, quantity: 2 },
+				])
+			);
+
+			const updated = await inventoryService.updateContainer(
+				container._id.toString(),
+				{ containerName: "Display Case B2", containerUnitSize: 10 },
+				manager
+			);
+
+			expect(updated.cardContainer.containerName).toBe("Display Case B2");
+			expect(updated.cardContainer.containerUnitSize).toBe(10);
+			expect(updated.cardContainer.cardInventory).toHaveLength(1);
+		});
+
+		it("should reject growing a container past store capacity", async () => {
+			const container = await Inventory.create(
+				inventoryFixtures.displayCase(testStore._id)
+			);
+
+			await expect(
+				inventoryService.updateContainer(
+					container._id.toString(),
+					{ containerUnitSize: 500 },
+					partner
+				)
+			).rejects.toThrow("Insufficient capacity");
+		});
+	});
+
+	describe("Card Containers - archiveContainer", () => {
+		it("should archive an empty container", async () => {
+			const container = await Inventory.create(
+				inventoryFixtures.emptyContainer(testStore._id)
+			);
+
+			await inventoryService.archiveContainer(
+				container._id.toString(),
+				manager
+			);
+
+			const archived = await Inventory.findById(container._id);
+			expect(archived.isActive).toBe(false);
+		});
+
+		it("should refuse to archive a container that still holds cards", async () => {
+			const container = await Inventory.create(
+				inventoryFixtures.bulkBox(testStore._id, [
+					{ productId: cardProduct._id, quantity: 4 },
+				])
+			);
+
+			await expect(
+				inventoryService.archiveContainer(container._id.toString(), partner)
+			).rejects.toThrow("Cannot archive container with 4 card(s) still inside");
+		});
+
+		it("should not remove a container that still holds cards", async () => {
+			const container = await Inventory.create(
+				inventoryFixtures.bulkBox(testStore._id, [
+					{ productId: cardProduct._id, quantity: 4 },
+				])
+			);
+
+			await expect(
+				inventoryService.deleteInventory(container._id.toString(), partner)
+			).rejects.toThrow("Cannot remove container with 4 card(s) still inside");
+			expect((await Inventory.findById(container._id)).isActive).toBe(true);
+		});
+	});
+
+	describe("Card Containers - card entries", () => {
+		let container;
+
+		beforeEach(async () => {
+			container = await Inventory.create(
+				inventoryFixtures.displayCase(testStore._id, [
+					{ productId: cardProduct._id, quantity: 3 },
+				])
+			);
+		});
+
+		it("should merge added copies into the existing card entry", async () => {
+			const updated = await inventoryService.addCardsToContainer(
+				container._id.toString(),
+				{ productId: cardProduct._id.toString(), quantity: 2 },
+				manager
+			);
+
+			expect(updated.cardContainer.cardInventory).toHaveLength(1);
+			expect(updated.cardContainer.cardInventory[0].quantity).toBe(5);
+		});
+
+		it("should keep every copy when cards are added at the same time", async () => {
+			await Promise.all([
+				inventoryService.addCardsToContainer(
+					container._id.toString(),
+					{ productId: cardProduct._id.toString(), quantity: 2 },
+					manager
+				),
+				inventoryService.addCardsToContainer(
+					container._id.toString(),
+					{ productId: cardProduct._id.toString(), quantity: 4 },
+					partner
+				),
+			]);
+
+			const saved = await Inventory.findById(container._id);
+			expect(saved.cardContainer.cardInventory).toHaveLength(1);
+			expect(saved.cardContainer.cardInventory[0].quantity).toBe(9);
+		});
+
+		it("should reject products that are not single cards", async () => {
+			const booster = await Product.create(productFixtures.boosterPack());
+
+			await expect(
+				inventoryService.addCardsToContainer(
+					container._id.toString(),
+					{ productId: booster._id.toString(), quantity: 1 },
+					partner
+				)
+			).rejects.toThrow("Only single cards can be stored in card containers");
+		});
+
+		it("should reject duplicate card entries at the model level", async () => {
+			container.cardContainer.cardInventory.push({
+				productId: cardProduct._id,
+				quantity: 1,
+			});
+
+			await expect(container.save()).rejects.toThrow(
+				"Card containers cannot list the same card twice"
+			);
+		});
+
+		it("should decrement copies and drop the entry when it reaches zero", async () => {
+			const decremented = await inventoryService.removeCardsFromContainer(
+				container._id.toString(),
+				cardProduct._id.toString(),
+				1,
+				manager
+			);
+			expect(decremented.cardContainer.cardInventory[0].quantity).toBe(2);
+
+			const emptied = await inventoryService.removeCardsFromContainer(
+				container._id.toString(),
+				cardProduct._id.toString(),
+				undefined,
+				manager
+			);
+			expect(emptied.cardContainer.cardInventory).toHaveLength(0);
+		});
+
+		it("should refuse to remove more copies than the container holds", async () => {
+			await expect(
+				inventoryService.removeCardsFromContainer(
+					container._id.toString(),
+					cardProduct._id.toString(),
+					4,
+					partner
+				)
+			).rejects.toThrow("Cannot remove 4 copies. Container only holds 3");
+		});
+
+		it("should set an exact count and remove the card at zero", async () => {
+			const updated = await inventoryService.setCardQuantity(
+				container._id.toString(),
+				cardProduct._id.toString(),
+				7,
+				partner
+			);
+			expect(updated.cardContainer.cardInventory[0].quantity).toBe(7);
+
+			const cleared = await inventoryService.setCardQuantity(
+				container._id.toString(),
+				cardProduct._id.toString(),
+				0,
+				partner
+			);
+			expect(cleared.cardContainer.cardInventory).toHaveLength(0);
+		});
+
+		it("should block managers from other stores", async () => {
+			const otherManager = await User.create(
+				userFixtures.storeManager(otherStore._id, {
+					username: "othermanager",
+					email: "othermanager@tcg.com",
+				})
+			);
+
+			await expect(
+				inventoryService.addCardsToContainer(
+					container._id.toString(),
+					{ productId: cardProduct._id.toString(), quantity: 1 },
+					otherManager
+				)
+			).rejects.toThrow("You can only access your assigned store");
+		});
+	});
+
+	describe("Card Containers - moveCardsBetweenContainers", () => {
+		let bulkBin;
+		let displayCase;
+
+		beforeEach(async () => {
+			bulkBin = await Inventory.create(
+				inventoryFixtures.bulkBox(testStore._id, [
+					{ productId: cardProduct._id, quantity: 5 },
+				])
+			);
+			displayCase = await Inventory.create(
+				inventoryFixtures.displayCase(testStore._id)
+			);
+		});
+
+		it("should move copies and record who moved them", async () => {
+			const result = await inventoryService.moveCardsBetweenContainers(
+				bulkBin._id.toString(),
+				{
+					toContainerId: displayCase._id.toString(),
+					productId: cardProduct._id.toString(),
+					quantity: 2,
+				},
+				manager
+			);
+
+			const [fromCard] = result.fromContainer.cardContainer.cardInventory;
+			const [toCard] = result.toContainer.cardContainer.cardInventory;
+			expect(fromCard.quantity).toBe(3);
+			expect(toCard.quantity).toBe(2);
+			expect(result.move.movedBy.toString()).toBe(manager._id.toString());
+			expect(result.move.quantity).toBe(2);
+		});
+
+		it("should drop the source entry when every copy is moved", async () => {
+			const result = await inventoryService.moveCardsBetweenContainers(
+				bulkBin._id.toString(),
+				{
+					toContainerId: displayCase._id.toString(),
+					productId: cardProduct._id.toString(),
+					quantity: 5,
+				},
+				partner
+			);
+
+			expect(result.fromContainer.cardContainer.cardInventory).toHaveLength(0);
+			expect(result.toContainer.cardContainer.cardInventory[0].quantity).toBe(5);
+		});
+
+		it("should refuse to move more copies than the source holds", async () => {
+			await expect(
+				inventoryService.moveCardsBetweenContainers(
+					bulkBin._id.toString(),
+					{
+						toContainerId: displayCase._id.toString(),
+						productId: cardProduct._id.toString(),
+						quantity: 6,
+					},
+					partner
+				)
+			).rejects.toThrow("Cannot move 6 copies. Source container only holds 5");
+
+			const unchanged = await Inventory.findById(bulkBin._id);
+			expect(unchanged.cardContainer.cardInventory[0].quantity).toBe(5);
+		});
+
+		it("should refuse to move cards to another store", async () => {
+			const otherCase = await Inventory.create(
+				inventoryFixtures.displayCase(otherStore._id)
+			);
+
+			await expect(
+				inventoryService.moveCardsBetweenContainers(
+					bulkBin._id.toString(),
+					{
+						toContainerId: otherCase._id.toString(),
+						productId: cardProduct._id.toString(),
+						quantity: 1,
+					},
+					partner
+				)
+			).rejects.toThrow("same store");
+		});
+
+		it("should list the move in both containers' history", async () => {
+			await inventoryService.moveCardsBetweenContainers(
+				bulkBin._id.toString(),
+				{
+					toContainerId: displayCase._id.toString(),
+					productId: cardProduct._id.toString(),
+					quantity: 1,
+				},
+				manager
+			);
+
+			const fromMoves = await inventoryService.getContainerMoves(
+				bulkBin._id.toString(),
+				manager
+			);
+			const toMoves = await inventoryService.getContainerMoves(
+				displayCase._id.toString(),
+				manager
+			);
+
+			expect(fromMoves).toHaveLength(1);
+			expect(toMoves).toHaveLength(1);
+		});
+	});
+
+	describe("moveBetweenLocations", () => {
+		let booster;
+		let backStock;
+		let employee;
+
+		beforeEach(async () => {
+			booster = await Product.create(productFixtures.boosterPack());
+			backStock = await Inventory.create(
+				inventoryFixtures.back(testStore._id, booster._id, { quantity: 20 })
+			);
+			employee = await User.create(userFixtures.employee(testStore._id));
+		});
+
+		it("should create a floor record when none exists", async () => {
+			const result = await inventoryService.moveBetweenLocations(
+				backStock._id.toString(),
+				{ quantity: 8 },
+				employee
+			);
+
+			expect(result.from.quantity).toBe(12);
+			expect(result.to.location).toBe(LOCATIONS.FLOOR);
+			expect(result.to.quantity).toBe(8);
+			expect(result.to.lastRestocked).toBeInstanceOf(Date);
+		});
+
+		it("should merge into the existing floor record", async () => {
+			const floorStock = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, booster._id, { quantity: 3 })
+			);
+
+			const result = await inventoryService.moveBetweenLocations(
+				backStock._id.toString(),
+				{ quantity: 20 },
+				manager
+			);
+
+			expect(result.to._id.toString()).toBe(floorStock._id.toString());
+			expect(result.to.quantity).toBe(23);
+			expect(result.from.quantity).toBe(0);
+			expect(
+				await Inventory.countDocuments({ productId: booster._id })
+			).toBe(2);
+		});
+
+		it("should refuse to move more units than the source holds", async () => {
+			await expect(
+				inventoryService.moveBetweenLocations(
+					backStock._id.toString(),
+					{ quantity: 21 },
+					employee
+				)
+			).rejects.toThrow("Cannot move 21 units. Only 20 available on the back");
+		});
+
+		it("should block employees from other stores", async () => {
+			const otherEmployee = await User.create(
+				userFixtures.employee(otherStore._id, {
+					username: "otheremployee",
+					email: "otheremployee@tcg.com",
+				})
+			);
+
+			await expect(
+				inventoryService.moveBetweenLocations(
+					backStock._id.toString(),
+					{ quantity: 1 },
+					otherEmployee
+				)
+			).rejects.toThrow("You can only access your assigned store");
+		});
+	});
+
+	describe("Location capacity limits", () => {
+		let booster;
+
+		beforeEach(async () => {
+			booster = await Product.create(productFixtures.boosterPack());
+			await Store.findByIdAndUpdate(testStore._id, {
+				"locationCapacity.floor.maxCapacity": 10,
+			});
+		});
+
+		it("should reject stock beyond the floor limit", async () => {
+			await expect(
+				inventoryService.createInventory(
+					{
+						storeId: testStore._id.toString(),
+						productId: booster._id.toString(),
+						quantity: 15,
+						location: LOCATIONS.FLOOR,
+					},
+					manager
+				)
+			).rejects.toThrow("Insufficient floor capacity. Required: 15");
+		});
+
+		it("should allow back stock while the floor is limited", async () => {
+			const inventory = await inventoryService.createInventory(
+				{
+					storeId: testStore._id.toString(),
+					productId: booster._id.toString(),
+					quantity: 15,
+					location: LOCATIONS.BACK,
+				},
+				manager
+			);
+
+			expect(inventory.quantity).toBe(15);
+
+			const updatedStore = await Store.findById(testStore._id);
+			expect(updatedStore.currentCapacity).toBe(15);
+			expect(updatedStore.locationCapacity.back.currentCapacity).toBe(15);
+			expect(updatedStore.locationCapacity.floor.currentCapacity).toBe(0);
+		});
+
+		it("should refuse moves that would overfill the floor", async () => {
+			const backStock = await Inventory.create(
+				inventoryFixtures.back(testStore._id, booster._id, { quantity: 20 })
+			);
+
+			await expect(
+				inventoryService.moveBetweenLocations(
+					backStock._id.toString(),
+					{ quantity: 12 },
+					manager
+				)
+			).rejects.toThrow("Insufficient floor capacity. Required: 12");
+
+			const unchanged = await Inventory.findById(backStock._id);
+			expect(unchanged.quantity).toBe(20);
+		});
+	});
+
+	describe("Capacity accounting", () => {
+		let booster;
+
+		beforeEach(async () => {
+			booster = await Product.create(productFixtures.boosterPack());
+		});
+
+		it("should check space against the store's capacity counters", async () => {
+			await Store.findByIdAndUpdate(testStore._id, { currentCapacity: 95 });
+
+			await expect(
+				inventoryService.createInventory(
+					{
+						storeId: testStore._id.toString(),
+						productId: booster._id.toString(),
+						quantity: 10,
+						location: LOCATIONS.BACK,
+					},
+					manager
+				)
+			).rejects.toThrow("Insufficient capacity. Required: 10, Available: 5");
+		});
+
+		it("should apply each write as a delta per location", async () => {
+			const { inventory } = await inventoryService.createInventory(
+				{
+					storeId: testStore._id.toString(),
+					productId: booster._id.toString(),
+					quantity: 30,
+					location: LOCATIONS.BACK,
+				},
+				manager
+			);
+
+			await inventoryService.moveBetweenLocations(
+				inventory._id.toString(),
+				{ quantity: 10 },
+				manager
+			);
+			await inventoryService.updateInventory(
+				inventory._id.toString(),
+				{ quantity: 15 },
+				manager
+			);
+
+			const updatedStore = await Store.findById(testStore._id);
+			expect(updatedStore.currentCapacity).toBe(25);
+			expect(updatedStore.locationCapacity.floor.currentCapacity).toBe(10);
+			expect(updatedStore.locationCapacity.back.currentCapacity).toBe(15);
+		});
+
+		it("should free a deleted record's space only once", async () => {
+			const { inventory } = await inventoryService.createInventory(
+				{
+					storeId: testStore._id.toString(),
+					productId: booster._id.toString(),
+					quantity: 20,
+					location: LOCATIONS.FLOOR,
+				},
+				manager
+			);
+
+			await inventoryService.deleteInventory(inventory._id.toString(), manager);
+			await inventoryService.deleteInventory(inventory._id.toString(), manager);
+
+			const updatedStore = await Store.findById(testStore._id);
+			expect(updatedStore.currentCapacity).toBe(0);
+			expect(updatedStore.locationCapacity.floor.currentCapacity).toBe(0);
+		});
+	});
+
+	describe("Optimistic concurrency", () => {
+		let booster;
+		let stock;
+
+		beforeEach(async () => {
+			booster = await Product.create(productFixtures.boosterPack());
+			stock = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, booster._id, { quantity: 10 })
+			);
+		});
+
+		it("should apply an edit based on the current version", async () => {
+			const updated = await inventoryService.updateInventory(
+				stock._id.toString(),
+				{ quantity: 12, version: stock.__v },
+				manager
+			);
+
+			expect(updated.quantity).toBe(12);
+			expect(updated.__v).toBe(stock.__v + 1);
+		});
+
+		it("should reject a stale edit with the current state", async () => {
+			await inventoryService.updateInventory(
+				stock._id.toString(),
+				{ quantity: 7, version: stock.__v },
+				manager
+			);
+
+			const staleEdit = inventoryService.updateInventory(
+				stock._id.toString(),
+				{ quantity: 15, version: stock.__v },
+				partner
+			);
+
+			await expect(staleEdit).rejects.toMatchObject({
+				statusCode: 409,
+				details: { current: expect.objectContaining({ quantity: 7 }) },
+			});
+			expect((await Inventory.findById(stock._id)).quantity).toBe(7);
+		});
+
+		it("should treat atomic updates as changes to the item", async () => {
+			await Inventory.findByIdAndUpdate(stock._id, { $inc: { quantity: -1 } });
+
+			await expect(
+				inventoryService.updateInventory(
+					stock._id.toString(),
+					{ quantity: 20, version: stock.__v },
+					manager
+				)
+			).rejects.toThrow("This item was changed by someone else");
+		});
+
+		it("should count every addition when stock is added at the same time", async () => {
+			const addStock = (quantity, user) =>
+				inventoryService.createInventory(
+					{
+						storeId: testStore._id.toString(),
+						productId: booster._id.toString(),
+						quantity,
+						location: LOCATIONS.FLOOR,
+					},
+					user
+				);
+
+			const results = await Promise.all([
+				addStock(3, manager),
+				addStock(4, partner),
+			]);
+
+			expect(results.every((result) => result.merged)).toBe(true);
+			expect((await Inventory.findById(stock._id)).quantity).toBe(17);
+		});
+
+		it("should not treat placing or releasing holds as changes to the item", async () => {
+			const held = await inventoryService.placeHold(
+				stock._id.toString(),
+				{ quantity: 2, reason: "Reserved for tournament" },
+				manager
+			);
+			await inventoryService.releaseHold(
+				stock._id.toString(),
+				held.holds[0]._id.toString(),
+				manager
+			);
+
+			const updated = await inventoryService.updateInventory(
+				stock._id.toString(),
+				{ quantity: 12, version: stock.__v },
+				manager
+			);
+			expect(updated.quantity).toBe(12);
+		});
+	});
+
+	describe("Stock movement ledger", () => {
+		let booster;
+
+		beforeEach(async () => {
+			booster = await Product.create(productFixtures.boosterPack());
+		});
+
+		it("should record a receive movement when inventory is created", async () => {
+			const { inventory } = await inventoryService.createInventory(
+				{
+					storeId: testStore._id.toString(),
+					productId: booster._id.toString(),
+					quantity: 10,
+					location: LOCATIONS.BACK,
+				},
+				manager
+			);
+
+			const { history } = await inventoryService.getInventoryHistory(
+				inventory._id.toString(),
+				manager
+			);
+
+			expect(history).toHaveLength(1);
+			expect(history[0].reason).toBe(STOCK_MOVEMENT_REASONS.RECEIVE);
+			expect(history[0].delta).toBe(10);
+			expect(history[0].resultingQuantity).toBe(10);
+			expect(history[0].performedBy._id.toString()).toBe(
+				manager._id.toString()
+			);
+		});
+
+		it("should record the delta and reason of a quantity update", async () => {
+			const inventory = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, booster._id, { quantity: 10 })
+			);
+
+			await inventoryService.updateInventory(
+				inventory._id.toString(),
+				{ quantity: 7, reason: STOCK_MOVEMENT_REASONS.SALE },
+				manager
+			);
+
+			const [movement] = await StockMovement.find({
+				inventoryId: inventory._id,
+			});
+			expect(movement.delta).toBe(-3);
+			expect(movement.resultingQuantity).toBe(7);
+			expect(movement.reason).toBe(STOCK_MOVEMENT_REASONS.SALE);
+		});
+
+		it("should not record updates that leave quantity unchanged", async () => {
+			const inventory = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, booster._id, { quantity: 10 })
+			);
+
+			await inventoryService.updateInventory(
+				inventory._id.toString(),
+				{ notes: "Endcap display" },
+				manager
+			);
+
+			expect(
+				await StockMovement.countDocuments({ inventoryId: inventory._id })
+			).toBe(0);
+		});
+
+		it("should reject an unknown reason", async () => {
+			const inventory = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, booster._id)
+			);
+
+			await expect(
+				inventoryService.updateInventory(
+					inventory._id.toString(),
+					{ quantity: 1, reason: "shrinkage" },
+					manager
+				)
+			).rejects.toThrow("Invalid reason");
+		});
+
+		it("should write off remaining units when inventory is removed", async () => {
+			const inventory = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, booster._id, { quantity: 4 })
+			);
+
+			await inventoryService.deleteInventory(inventory._id.toString(), partner);
+
+			const [movement] = await StockMovement.find({
+				inventoryId: inventory._id,
+			});
+			expect(movement.delta).toBe(-4);
+			expect(movement.resultingQuantity).toBe(0);
+		});
+
+		it("should write off removed inventory only once", async () => {
+			const inventory = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, booster._id, { quantity: 4 })
+			);
+
+			await inventoryService.deleteInventory(inventory._id.toString(), partner);
+			await inventoryService.deleteInventory(inventory._id.toString(), partner);
+
+			expect(
+				await StockMovement.countDocuments({ inventoryId: inventory._id })
+			).toBe(1);
+		});
+	});
+
+	describe("Stock holds", () => {
+		let booster;
+		let floorStock;
+		let employee;
+
+		beforeEach(async () => {
+			booster = await Product.create(productFixtures.boosterPack());
+			floorStock = await Inventory.create(
+				inventoryFixtures.floor(testStore._id, booster._id, { quantity: 10 })
+			);
+			employee = await User.create(userFixtures.employee(testStore._id));
+		});
+
+		it("should hold units and report them as unavailable", async () => {
+			const result = await inventoryService.placeHold(
+				floorStock._id.toString(),
+				{ quantity: 4, reason: "Reserved for tournament" },
+				employee
+			);
+
+			expect(result.quantity).toBe(10);
+			expect(result.heldQuantity).toBe(4);
+			expect(result.availableQuantity).toBe(6);
+			expect(result.holds[0].ownerId._id.toString()).toBe(
+				employee._id.toString()
+			);
+		});
+
+		it("should refuse to hold more than the available units", async () => {
+			await inventoryService.placeHold(
+				floorStock._id.toString(),
+				{ quantity: 8, reason: "Reserved for tournament" },
+				manager
+			);
+
+			await expect(
+				inventoryService.placeHold(
+					floorStock._id.toString(),
+					{ quantity: 3, reason: "Customer pickup" },
+					manager
+				)
+			).rejects.toThrow("Only 2 available (8 already on hold)");
+		});
+
+		it("should clear expired holds before placing a new one", async () => {
+			await Inventory.updateOne(
+				{ _id: floorStock._id },
+				{
+					holds: [
+						{
+							quantity: 10,
+							reason: "Prerelease",
+							ownerId: manager._id,
+							expiresAt: new Date(Date.now() - 60 * 1000),
+						},
+					],
+				}
+			);
+
+			const result = await inventoryService.placeHold(
+				floorStock._id.toString(),
+				{ quantity: 5, reason: "Customer pickup" },
+				manager
+			);
+
+			expect(result.holds).toHaveLength(1);
+			expect(result.availableQuantity).toBe(5);
+		});
+
+		it("should release a hold", async () => {
+			const held = await inventoryService.placeHold(
+				floorStock._id.toString(),
+				{ quantity: 4, reason: "Reserved for tournament" },
+				manager
+			);
+
+			const result = await inventoryService.releaseHold(
+				floorStock._id.toString(),
+				held.holds[0]._id.toString(),
+				employee
+			);
+
+			expect(result.holds).toHaveLength(0);
+			expect(result.availableQuantity).toBe(10);
+		});
+
+		it("should reject holds on card containers", async () => {
+			const container = await Inventory.create(
+				inventoryFixtures.displayCase(testStore._id, [])
+			);
+
+			await expect(
+				inventoryService.placeHold(
+					container._id.toString(),
+					{ quantity: 1, reason: "Reserved" },
+					manager
+				)
+			).rejects.toThrow("Holds can only be placed on standard inventory");
+		});
+
+		it("should not sell held units", async () => {
+			await inventoryService.placeHold(
+				floorStock._id.toString(),
+				{ quantity: 8, reason: "Reserved for tournament" },
+				manager
+			);
+
+			await expect(
+				inventoryService.updateInventory(
+					floorStock._id.toString(),
+					{ quantity: 5, reason: STOCK_MOVEMENT_REASONS.SALE },
+					manager
+				)
+			).rejects.toThrow("Cannot sell 5 units. Only 2 available (8 on hold)");
+		});
+
+		it("should not set the quantity below the units on hold", async () => {
+			await inventoryService.placeHold(
+				floorStock._id.toString(),
+				{ quantity: 8, reason: "Reserved for tournament" },
+				manager
+			);
+
+			await expect(
+				inventoryService.updateInventory(
+					floorStock._id.toString(),
+					{ quantity: 5, reason: STOCK_MOVEMENT_REASONS.DAMAGED },
+					manager
+				)
+			).rejects.toMatchObject({ statusCode: 409 });
+			expect((await Inventory.findById(floorStock._id)).quantity).toBe(10);
+		});
+
+		it("should not move held units off the shelf", async () => {
+			await inventoryService.placeHold(
+				floorStock._id.toString(),
+				{ quantity: 8, reason: "Reserved for tournament" },
+				manager
+			);
+
+			await expect(
+				inventoryService.moveBetweenLocations(
+					floorStock._id.toString(),
+					{ quantity: 3 },
+					employee
+				)
+			).rejects.toThrow("Only 2 available on the floor (8 on hold)");
+		});
+
+		it("should not remove inventory while units are on hold", async () => {
+			await inventoryService.placeHold(
+				floorStock._id.toString(),
+				{ quantity: 3, reason: "Reserved for tournament" },
+				manager
+			);
+
+			await expect(
+				inventoryService.deleteInventory(floorStock._id.toString(), manager)
+			).rejects.toThrow("Cannot remove inventory with 3 units on hold");
+
+			const saved = await Inventory.findById(floorStock._id);
+			expect(saved.isActive).toBe(true);
+		});
+
+		it("should not move units held after the record was read", async () => {
+			await Promise.allSettled([
+				inventoryService.placeHold(
+					floorStock._id.toString(),
+					{ quantity: 8, reason: "Reserved for tournament" },
+					manager
+				),
+				inventoryService.moveBetweenLocations(
+					floorStock._id.toString(),
+					{ quantity: 5 },
+					employee
+				),
+			]);
+
+			const saved = await Inventory.findById(floorStock._id);
+			expect(saved.quantity).toBeGreaterThanOrEqual(saved.heldQuantity);
+		});
+	});
+
+	describe("getLowStock", () => {
+		let booster;
+
+		beforeEach(async () => {
+			booster = await Product.create(productFixtures.boosterPack());
+			await Inventory.create([
+				inventoryFixtures.floor(testStore._id, booster._id, {
+					quantity: 2,
+					minStockLevel: 5,
+				}),
+				inventoryFixtures.back(testStore._id, booster._id, {
+					quantity: 20,
+					minStockLevel: 5,
+				}),
+				inventoryFixtures.floor(otherStore._id, booster._id, {
+					quantity: 1,
+					minStockLevel: 5,
+				}),
+				inventoryFixtures.displayCase(testStore._id, [
+					{ productId: cardProduct._id, quantity: 3 },
+				]),
+			]);
+		});
+
+		it("should scope managers to their own store", async () => {
+			const result = await inventoryService.getLowStock(manager);
+
+			expect(result.items).toHaveLength(1);
+			expect(result.items[0].storeId._id.toString()).toBe(
+				testStore._id.toString()
+			);
+		});
+
+		it("should block managers asking for another store", async () => {
+			await expect(
+				inventoryService.getLowStock(manager, {
+					storeId: otherStore._id.toString(),
+				})
+			).rejects.toThrow("You can only access your assigned store");
+		});
+
+		it("should return every store to partners unless filtered", async () => {
+			const all = await inventoryService.getLowStock(partner);
+			const filtered = await inventoryService.getLowStock(partner, {
+				storeId: otherStore._id.toString(),
+			});
+
+			expect(all.items).toHaveLength(2);
+			expect(filtered.items).toHaveLength(1);
+			expect(filtered.containers).toHaveLength(0);
+		});
+
+		it("should report containers below the card threshold", async () => {
+			const byDefault = await inventoryService.getLowStock(manager);
+			const lowered = await inventoryService.getLowStock(manager, {
+				cardThreshold: "3",
+			});
+			const skipped = await inventoryService.getLowStock(manager, {
+				cardThreshold: "0",
+			});
+
+			expect(byDefault.containers).toHaveLength(1);
+			expect(byDefault.cardThreshold).toBe(10);
+			expect(lowered.containers).toHaveLength(0);
+			expect(skipped.containers).toHaveLength(0);
+		});
+
+		it("should reject an invalid card threshold", async () => {
+			await expect(
+				inventoryService.getLowStock(partner, { cardThreshold: "-1" })
+			).rejects.toThrow("Card threshold must be a whole number");
+		});
+	});
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for Store Service
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { Inventory } from "../../src/models/inventory.model.js";
+import { Store } from "../../src/models/store.model.js";
+import { Product } from "../../src/models/product.model.js";
+import * as storeService from "../../src/services/store.service.js";
+import "../setup.js"; // Import test setup
+import {
+	storeFixtures,
+	productFixtures,
+	inventoryFixtures,
+} from "../fixtures/testData.js";
+
+describe("Store Service", () => {
+	describe("reconcileCapacity", () => {
+		let driftedStore;
+		let accurateStore;
+
+		beforeEach(async () => {
+			const booster = await Product.create(productFixtures.boosterPack());
+
+			// Cached at 0 while 30 units sit on the floor and 20 in the back
+			driftedStore = await Store.create(
+				storeFixtures.seattle({ currentCapacity: 0 })
+			);
+			await Inventory.create([
+				inventoryFixtures.floor(driftedStore._id, booster._id, {
+					quantity: 30,
+				}),
+				inventoryFixtures.back(driftedStore._id, booster._id, {
+					quantity: 20,
+				}),
+			]);
+
+			accurateStore = await Store.create(
+				storeFixtures.denver({ currentCapacity: 0 })
+			);
+		});
+
+		it("should report and correct stores whose usage drifted", async () => {
+			const report = await storeService.reconcileCapacity();
+
+			expect(report.dryRun).toBe(false);
+			expect(report.storesChecked).toBe(2);
+			expect(report.drifted).toHaveLength(1);
+
+			const [entry] = report.drifted;
+			expect(entry.storeId.toString()).toBe(driftedStore._id.toString());
+			expect(entry.recorded.total).toBe(0);
+			expect(entry.actual).toEqual({ total: 50, floor: 30, back: 20 });
+			expect(entry.drift).toEqual({ total: 50, floor: 30, back: 20 });
+
+			const corrected = await Store.findById(driftedStore._id);
+			expect(corrected.currentCapacity).toBe(50);
+			expect(corrected.locationCapacity.floor.currentCapacity).toBe(30);
+			expect(corrected.locationCapacity.back.currentCapacity).toBe(20);
+		});
+
+		it("should leave cached values alone on a dry run", async () => {
+			const report = await storeService.reconcileCapacity({ dryRun: true });
+
+			expect(report.dryRun).toBe(true);
+			expect(report.drifted).toHaveLength(1);
+
+			const unchanged = await Store.findById(driftedStore._id);
+			expect(unchanged.currentCapacity).toBe(0);
+		});
+
+		it("should reconcile a single store", async () => {
+			const report = await storeService.reconcileCapacity({
+				storeId: accurateStore._id.toString(),
+			});
+
+			expect(report.storesChecked).toBe(1);
+			expect(report.drifted).toHaveLength(0);
+		});
+
+		it("should reject unknown stores", async () => {
+			await expect(
+				storeService.reconcileCapacity({
+					storeId: "507f1f77bcf86cd799439011",
+				})
+			).rejects.toThrow("Store not found");
+		});
+	});
+
+	describe("updateStore - location limits", () => {
+		let store;
+
+		beforeEach(async () => {
+			const booster = await Product.create(productFixtures.boosterPack());
+			store = await Store.create(
+				storeFixtures.seattle({ maxCapacity: 100, currentCapacity: 10 })
+			);
+			await Inventory.create(
+				inventoryFixtures.floor(store._id, booster._id, { quantity: 10 })
+			);
+			await Store.updateOne(
+				{ _id: store._id },
+				{
+					"locationCapacity.floor.maxCapacity": 50,
+					"locationCapacity.floor.currentCapacity": 10,
+				}
+			);
+		});
+
+		it("should set a limit without overwriting usage changed at the same time", async () => {
+			await Promise.all([
+				storeService.updateStore(store._id.toString(), {
+					locationCapacity: { floor: { maxCapacity: 60 } },
+				}),
+				Store.updateOne(
+					{ _id: store._id },
+					{ $inc: { "locationCapacity.floor.currentCapacity": 5 } }
+				),
+			]);
+
+			const updated = await Store.findById(store._id);
+			expect(updated.locationCapacity.floor.maxCapacity).toBe(60);
+			expect(updated.locationCapacity.floor.currentCapacity).toBe(15);
+		});
+
+		it("should count a location's usage before its first limit is checked", async () => {
+			// Back usage was never counted: 20 units sit there, the counter says 0
+			const booster = await Product.create(
+				productFixtures.boosterPack({ sku: "BOOSTER-BACK" })
+			);
+			await Inventory.create(
+				inventoryFixtures.back(store._id, booster._id, { quantity: 20 })
+			);
+
+			await expect(
+				storeService.updateStore(store._id.toString(), {
+					locationCapacity: { back: { maxCapacity: 15 } },
+				})
+			).rejects.toThrow(
+				"Cannot set the back max capacity below its current usage (20)"
+			);
+
+			const recounted = await Store.findById(store._id);
+			expect(recounted.locationCapacity.back.currentCapacity).toBe(20);
+		});
+	});
+});
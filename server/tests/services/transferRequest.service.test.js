@@ -0,0 +1,1262 @@
+/**
+ * Tests for Transfer Request Service
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { Inventory } from "../../src/models/inventory.model.js";
+import { Store } from "../../src/models/store.model.js";
+import { Product } from "../../src/models/product.model.js";
+import { User } from "../../src/models/user.model.js";
+import { StockMovement } from "../../src/models/stockMovement.model.js";
+import { TransferRequest } from "../../src/models/transferRequest.model.js";
+import { Counter } from "../../src/models/counter.model.js";
+import * as transferRequestService from "../../src/services/transferRequest.service.js";
+import * as inventoryService from "../../src/services/inventory.service.js";
+import { CONTAINER_TYPES, LOCATIONS } from "../../src/constants/enums.js";
+import "../setup.js"; // Import test setup
+import {
+	storeFixtures,
+	productFixtures,
+	inventoryFixtures,
+	userFixtures,
+} from "../fixtures/testData.js";
+
+describe("Transfer Request Service", () => {
+	let sourceStore;
+	let destinationStore;
+	let partner;
+	let booster;
+	let sleeves;
+
+	beforeEach(async () => {
+		sourceStore = await Store.create(storeFixtures.seattle());
+		destinationStore = await Store.create(storeFixtures.denver());
+		partner = await User.create(userFixtures.partner());
+		booster = await Product.create(productFixtures.boosterPack());
+		sleeves = await Product.create(productFixtures.sleeves());
+	});
+
+	describe("updateTransferStatus - atomic execution", () => {
+		let boosterStock;
+		let sleeveStock;
+		let transfer;
+
+		beforeEach(async () => {
+			boosterStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, booster._id, { quantity: 10 })
+			);
+			sleeveStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, sleeves._id, { quantity: 10 })
+			);
+
+			transfer = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 5 },
+						{ inventoryId: sleeveStock._id.toString(), requestedQuantity: 5 },
+					],
+				},
+				partner
+			);
+			await transferRequestService.updateTransferStatus(
+				transfer._id.toString(),
+				"requested",
+				partner
+			);
+		});
+
+		it("should deduct every item and change status together", async () => {
+			const sent = await transferRequestService.updateTransferStatus(
+				transfer._id.toString(),
+				"sent",
+				partner
+			);
+
+			expect(sent.status).toBe("sent");
+			expect((await Inventory.findById(boosterStock._id)).quantity).toBe(5);
+			expect((await Inventory.findById(sleeveStock._id)).quantity).toBe(5);
+		});
+
+		it("should roll back earlier items when a later item fails", async () => {
+			// A hold placed after the request leaves too few sleeves to send
+			await Inventory.findByIdAndUpdate(sleeveStock._id, {
+				$push: {
+					holds: { quantity: 8, reason: "Tournament", ownerId: partner._id },
+				},
+			});
+
+			await expect(
+				transferRequestService.updateTransferStatus(
+					transfer._id.toString(),
+					"sent",
+					partner
+				)
+			).rejects.toThrow("Insufficient inventory for");
+
+			expect((await Inventory.findById(boosterStock._id)).quantity).toBe(10);
+			expect((await TransferRequest.findById(transfer._id)).status).toBe(
+				"requested"
+			);
+			expect(
+				await StockMovement.countDocuments({ transferRequestId: transfer._id })
+			).toBe(0);
+		});
+	});
+
+	describe("createTransferRequest - request numbers", () => {
+		let boosterStock;
+		let today;
+
+		const createRequest = () =>
+			transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 1 },
+					],
+				},
+				partner
+			);
+
+		beforeEach(async () => {
+			boosterStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, booster._id, { quantity: 10 })
+			);
+			today = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+		});
+
+		it("should number requests in sequence for the day", async () => {
+			const first = await createRequest();
+			const second = await createRequest();
+
+			expect(first.requestNumber).toBe(`TR-${today}-0001`);
+			expect(second.requestNumber).toBe(`TR-${today}-0002`);
+		});
+
+		it("should give simultaneous requests unique, gapless numbers", async () => {
+			const created = await Promise.all(
+				Array.from({ length: 5 }, () => createRequest())
+			);
+
+			const sequences = created
+				.map((request) => parseInt(request.requestNumber.slice(-4)))
+				.sort((a, b) => a - b);
+			expect(sequences).toEqual([1, 2, 3, 4, 5]);
+		});
+
+		it("should use the destination store's request prefix", async () => {
+			await Store.findByIdAndUpdate(destinationStore._id, {
+				requestPrefix: "DEN",
+			});
+
+			const request = await createRequest();
+
+			expect(request.requestNumber).toBe(`TR-DEN-${today}-0001`);
+		});
+
+		it("should continue after numbers the counter didn't hand out", async () => {
+			// Request stored before counters were used; no counter exists yet
+			await TransferRequest.create({
+				requestNumber: `TR-${today}-0007`,
+				fromStoreId: sourceStore._id,
+				toStoreId: destinationStore._id,
+				items: [
+					{
+						inventoryId: boosterStock._id,
+						productId: booster._id,
+						requestedQuantity: 1,
+					},
+				],
+				createdBy: partner._id,
+			});
+			await Counter.updateOne(
+				{ _id: `transferRequest:TR-${today}-` },
+				{ seq: 6 },
+				{ upsert: true }
+			);
+
+			const request = await createRequest();
+
+			expect(request.requestNumber).toBe(`TR-${today}-0008`);
+		});
+
+		it("should give back the number when creation fails", async () => {
+			await expect(
+				transferRequestService.createTransferRequest(
+					{
+						fromStoreId: sourceStore._id.toString(),
+						toStoreId: destinationStore._id.toString(),
+						items: [
+							{
+								inventoryId: boosterStock._id.toString(),
+								requestedQuantity: 1,
+							},
+						],
+						notes: "x".repeat(2000),
+					},
+					partner
+				)
+			).rejects.toThrow();
+
+			const request = await createRequest();
+
+			expect(request.requestNumber).toBe(`TR-${today}-0001`);
+		});
+	});
+
+	describe("card containers", () => {
+		let ring;
+		let sourceCase;
+		let destinationBox;
+
+		const transition = (request, status) =>
+			transferRequestService.updateTransferStatus(
+				request._id.toString(),
+				status,
+				partner
+			);
+
+		const createCardRequest = (item) =>
+			transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [{ inventoryId: sourceCase._id.toString(), ...item }],
+				},
+				partner
+			);
+
+		const copiesOf = (container, card) =>
+			container.cardContainer.cardInventory.find((entry) =>
+				entry.productId.equals(card._id)
+			)?.quantity || 0;
+
+		beforeEach(async () => {
+			ring = await Product.create(productFixtures.singleCard());
+			sourceCase = await Inventory.create(
+				inventoryFixtures.displayCase(sourceStore._id, [
+					{ productId: ring._id, quantity: 4 },
+				])
+			);
+			destinationBox = await Inventory.create(
+				inventoryFixtures.bulkBox(destinationStore._id)
+			);
+		});
+
+		it("should reject more copies than the container holds", async () => {
+			await expect(
+				createCardRequest({
+					cardItems: [{ productId: ring._id.toString(), quantity: 5 }],
+				})
+			).rejects.toThrow(
+				"Insufficient copies of The One Ring in Display Case A3. Requested: 5, Available: 4"
+			);
+		});
+
+		it("should move cards into the chosen destination container", async () => {
+			const request = await createCardRequest({
+				cardItems: [{ productId: ring._id.toString(), quantity: 3 }],
+				destinationContainerId: destinationBox._id.toString(),
+			});
+			expect(request.items[0].itemType).toBe("cards");
+			expect(request.items[0].requestedQuantity).toBe(3);
+
+			await transition(request, "requested");
+			await transition(request, "sent");
+			expect(copiesOf(await Inventory.findById(sourceCase._id), ring)).toBe(1);
+
+			await transition(request, "complete");
+			expect(copiesOf(await Inventory.findById(destinationBox._id), ring)).toBe(
+				3
+			);
+		});
+
+		it("should create a matching container when none was chosen", async () => {
+			const request = await createCardRequest({
+				cardItems: [{ productId: ring._id.toString(), quantity: 4 }],
+			});
+
+			await transition(request, "requested");
+			await transition(request, "sent");
+			await transition(request, "complete");
+
+			const received = await Inventory.findOne({
+				storeId: destinationStore._id,
+				"cardContainer.containerName": "Display Case A3",
+			});
+			expect(received.cardContainer.containerType).toBe(
+				CONTAINER_TYPES.DISPLAY_CASE
+			);
+			expect(copiesOf(received, ring)).toBe(4);
+			expect(
+				(await Inventory.findById(sourceCase._id)).cardContainer.cardInventory
+			).toHaveLength(0);
+		});
+
+		it("should move a whole container to the destination store", async () => {
+			const request = await createCardRequest({});
+			expect(request.items[0].itemType).toBe("container");
+
+			await transition(request, "requested");
+			await transition(request, "sent");
+			expect((await Inventory.findById(sourceCase._id)).isActive).toBe(false);
+
+			await transition(request, "complete");
+			const moved = await Inventory.findById(sourceCase._id);
+			expect(moved.isActive).toBe(true);
+			expect(moved.storeId.toString()).toBe(destinationStore._id.toString());
+			expect(copiesOf(moved, ring)).toBe(4);
+		});
+
+		it("should hold a whole container until it is sent", async () => {
+			const request = await createCardRequest({});
+			await transition(request, "requested");
+
+			const held = await Inventory.findById(sourceCase._id);
+			expect(held.isReservedWhole).toBe(true);
+			await expect(
+				inventoryService.setCardQuantity(
+					sourceCase._id.toString(),
+					ring._id.toString(),
+					1,
+					partner
+				)
+			).rejects.toThrow("Display Case A3 is committed to a transfer");
+			await expect(
+				createCardRequest({
+					cardItems: [{ productId: ring._id.toString(), quantity: 1 }],
+				})
+			).rejects.toThrow("Requested: 1, Available: 0");
+			await expect(createCardRequest({})).rejects.toThrow(
+				"Display Case A3 has cards committed to another transfer"
+			);
+
+			await transition(request, "sent");
+			const sent = await Inventory.findById(sourceCase._id);
+			expect(sent.holds).toHaveLength(0);
+			expect(copiesOf(sent, ring)).toBe(4);
+		});
+
+		it("should not commit a container whose cards are held for another request", async () => {
+			const wholeRequest = await createCardRequest({});
+			const cardRequest = await createCardRequest({
+				cardItems: [{ productId: ring._id.toString(), quantity: 1 }],
+			});
+			await transition(cardRequest, "requested");
+
+			await expect(transition(wholeRequest, "requested")).rejects.toThrow(
+				"Display Case A3 has cards committed to another transfer"
+			);
+			const container = await Inventory.findById(sourceCase._id);
+			expect(container.isReservedWhole).toBe(false);
+			expect(container.heldCopiesOf(ring._id)).toBe(1);
+		});
+
+		it("should put cards back when a sent request is closed", async () => {
+			const request = await createCardRequest({
+				cardItems: [{ productId: ring._id.toString(), quantity: 2 }],
+			});
+
+			await transition(request, "requested");
+			await transition(request, "sent");
+			await transition(request, "closed");
+
+			expect(copiesOf(await Inventory.findById(sourceCase._id), ring)).toBe(4);
+		});
+	});
+
+	describe("partial shipments and receiving discrepancies", () => {
+		let boosterStock;
+		let request;
+
+		const transition = (status, additionalData, user = partner) =>
+			transferRequestService.updateTransferStatus(
+				request._id.toString(),
+				status,
+				user,
+				additionalData
+			);
+
+		beforeEach(async () => {
+			boosterStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, booster._id, { quantity: 10 })
+			);
+			request = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 6 },
+					],
+				},
+				partner
+			);
+			await transition("requested");
+		});
+
+		it("should require a reason for a short shipment", async () => {
+			await expect(
+				transition("sent", {
+					items: [{ inventoryId: boosterStock._id, shippedQuantity: 4 }],
+				})
+			).rejects.toThrow("Give a reason for shipping 4 of 6");
+		});
+
+		it("should deduct only the shipped units", async () => {
+			const sent = await transition("sent", {
+				items: [
+					{
+						inventoryId: boosterStock._id,
+						shippedQuantity: 4,
+						reason: "Only 4 on the shelf",
+					},
+				],
+			});
+
+			expect(sent.items[0].shippedQuantity).toBe(4);
+			expect((await Inventory.findById(boosterStock._id)).quantity).toBe(6);
+
+			const [discrepancy] = sent.statusHistory.at(-1).discrepancies;
+			expect(discrepancy.expectedQuantity).toBe(6);
+			expect(discrepancy.actualQuantity).toBe(4);
+			expect(discrepancy.reason).toBe("Only 4 on the shelf");
+		});
+
+		it("should hold damaged units and wait for a partner to resolve", async () => {
+			await transition("sent");
+			const received = await transition("complete", {
+				items: [
+					{
+						inventoryId: boosterStock._id,
+						receivedQuantity: 4,
+						damagedQuantity: 1,
+						reason: "One crushed, one missing",
+					},
+				],
+			});
+
+			expect(received.status).toBe("partially-received");
+			expect(received.items[0].receivedQuantity).toBe(4);
+			expect(received.items[0].damagedQuantity).toBe(1);
+
+			const stocked = await Inventory.findOne({
+				storeId: destinationStore._id,
+				productId: booster._id,
+			});
+			expect(stocked.quantity).toBe(5);
+			expect(stocked.heldQuantity).toBe(1);
+
+			const manager = await User.create(
+				userFixtures.storeManager(destinationStore._id, {
+					username: "denvermgr",
+					email: "denver@tcg.com",
+				})
+			);
+			await expect(
+				transition("complete", { note: "Written off" }, manager)
+			).rejects.toThrow("Cannot transition from partially-received");
+			await expect(transition("complete")).rejects.toThrow(
+				"Explain how the discrepancies were resolved"
+			);
+
+			const resolved = await transition("complete", {
+				note: "Missing pack written off",
+			});
+			expect(resolved.status).toBe("complete");
+			expect(resolved.statusHistory.at(-1).note).toBe(
+				"Missing pack written off"
+			);
+			expect(
+				(
+					await Inventory.findOne({
+						storeId: destinationStore._id,
+						productId: booster._id,
+					})
+				).quantity
+			).toBe(5);
+		});
+
+		it("should complete when everything arrives", async () => {
+			await transition("sent");
+			const received = await transition("complete");
+
+			expect(received.status).toBe("complete");
+			expect(received.items[0].receivedQuantity).toBe(6);
+		});
+	});
+
+	describe("receiving destinations and capacity", () => {
+		let boosterStock;
+		let request;
+
+		const transition = (status, additionalData) =>
+			transferRequestService.updateTransferStatus(
+				request._id.toString(),
+				status,
+				partner,
+				additionalData
+			);
+
+		beforeEach(async () => {
+			boosterStock = await Inventory.create(
+				inventoryFixtures.floor(sourceStore._id, booster._id, { quantity: 10 })
+			);
+			await Store.findByIdAndUpdate(sourceStore._id, {
+				currentCapacity: 10,
+				"locationCapacity.floor.currentCapacity": 10,
+			});
+			request = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 4 },
+					],
+				},
+				partner
+			);
+			await transition("requested");
+			await transition("sent");
+		});
+
+		it("should free the shipped space at the source store", async () => {
+			const store = await Store.findById(sourceStore._id);
+
+			expect(store.currentCapacity).toBe(6);
+			expect(store.locationCapacity.floor.currentCapacity).toBe(6);
+		});
+
+		it("should stock items at the chosen location", async () => {
+			const received = await transition("complete", {
+				destinations: [{ inventoryId: boosterStock._id, location: LOCATIONS.BACK }],
+			});
+
+			expect(received.items[0].receivedLocation).toBe(LOCATIONS.BACK);
+			const stocked = await Inventory.findOne({
+				storeId: destinationStore._id,
+				productId: booster._id,
+			});
+			expect(stocked.location).toBe(LOCATIONS.BACK);
+			expect(stocked.quantity).toBe(4);
+
+			const store = await Store.findById(destinationStore._id);
+			expect(store.currentCapacity).toBe(4);
+			expect(store.locationCapacity.back.currentCapacity).toBe(4);
+		});
+
+		it("should default to the source location", async () => {
+			const received = await transition("complete");
+
+			expect(received.items[0].receivedLocation).toBe(LOCATIONS.FLOOR);
+		});
+
+		it("should reject an invalid location", async () => {
+			await expect(
+				transition("complete", {
+					destinations: [{ inventoryId: boosterStock._id, location: "attic" }],
+				})
+			).rejects.toThrow("Location must be either 'floor' or 'back'");
+		});
+
+		it("should reject a receipt the destination has no room for", async () => {
+			await Store.findByIdAndUpdate(destinationStore._id, {
+				"locationCapacity.back.maxCapacity": 2,
+			});
+
+			await expect(
+				transition("complete", {
+					destinations: [{ inventoryId: boosterStock._id, location: LOCATIONS.BACK }],
+				})
+			).rejects.toThrow("Insufficient back capacity");
+
+			expect((await TransferRequest.findById(request._id)).status).toBe("sent");
+			expect(
+				await Inventory.countDocuments({ storeId: destinationStore._id })
+			).toBe(0);
+		});
+
+		it("should take the space back when a sent request is closed", async () => {
+			await transition("closed");
+
+			const store = await Store.findById(sourceStore._id);
+			expect(store.currentCapacity).toBe(10);
+		});
+	});
+
+	describe("stock reservation", () => {
+		let boosterStock;
+		let request;
+
+		const transition = (status) =>
+			transferRequestService.updateTransferStatus(
+				request._id.toString(),
+				status,
+				partner
+			);
+
+		beforeEach(async () => {
+			boosterStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, booster._id, { quantity: 10 })
+			);
+			request = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 6 },
+					],
+				},
+				partner
+			);
+		});
+
+		it("should hold the requested units once submitted", async () => {
+			await transition("requested");
+
+			const stock = await Inventory.findById(boosterStock._id);
+			expect(stock.heldQuantity).toBe(6);
+			expect(stock.availableQuantity).toBe(4);
+			expect(stock.holds[0].reason).toBe(
+				`Committed to transfer ${request.requestNumber}`
+			);
+		});
+
+		it("should keep reserved units out of other requests", async () => {
+			await transition("requested");
+
+			await expect(
+				transferRequestService.createTransferRequest(
+					{
+						fromStoreId: sourceStore._id.toString(),
+						toStoreId: destinationStore._id.toString(),
+						items: [
+							{ inventoryId: boosterStock._id.toString(), requestedQuantity: 5 },
+						],
+					},
+					partner
+				)
+			).rejects.toThrow("Available: 4 (6 on hold)");
+		});
+
+		it("should refuse to submit when the units are gone", async () => {
+			await Inventory.findByIdAndUpdate(boosterStock._id, { quantity: 3 });
+
+			await expect(transition("requested")).rejects.toThrow(
+				"Requested: 6, Available: 3"
+			);
+			expect((await TransferRequest.findById(request._id)).status).toBe("open");
+		});
+
+		it("should turn the reservation into the shipment when sent", async () => {
+			await transition("requested");
+			await transition("sent");
+
+			const stock = await Inventory.findById(boosterStock._id);
+			expect(stock.quantity).toBe(4);
+			expect(stock.holds).toHaveLength(0);
+		});
+
+		it("should release the reservation when closed", async () => {
+			await transition("requested");
+			await transition("closed");
+
+			const stock = await Inventory.findById(boosterStock._id);
+			expect(stock.quantity).toBe(10);
+			expect(stock.holds).toHaveLength(0);
+		});
+
+		it("should not let the reservation be released by hand", async () => {
+			await transition("requested");
+			const stock = await Inventory.findById(boosterStock._id);
+
+			await expect(
+				inventoryService.releaseHold(
+					boosterStock._id.toString(),
+					stock.holds[0]._id.toString(),
+					partner
+				)
+			).rejects.toThrow("released when it is sent, rejected or closed");
+		});
+
+		it("should hold requested cards alongside products", async () => {
+			const ring = await Product.create(productFixtures.singleCard());
+			const sourceCase = await Inventory.create(
+				inventoryFixtures.displayCase(sourceStore._id, [
+					{ productId: ring._id, quantity: 4 },
+				])
+			);
+			const mixed = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 2 },
+						{
+							inventoryId: sourceCase._id.toString(),
+							cardItems: [{ productId: ring._id.toString(), quantity: 3 }],
+						},
+					],
+				},
+				partner
+			);
+
+			await transferRequestService.updateTransferStatus(
+				mixed._id.toString(),
+				"requested",
+				partner
+			);
+
+			expect((await Inventory.findById(boosterStock._id)).heldQuantity).toBe(
+				2
+			);
+			const heldCase = await Inventory.findById(sourceCase._id);
+			expect(heldCase.heldCopiesOf(ring._id)).toBe(3);
+
+			await expect(
+				inventoryService.removeCardsFromContainer(
+					sourceCase._id.toString(),
+					ring._id.toString(),
+					2,
+					partner
+				)
+			).rejects.toThrow("Only 1 free in the container (3 committed to transfers)");
+
+			await transferRequestService.updateTransferStatus(
+				mixed._id.toString(),
+				"sent",
+				partner
+			);
+
+			const sentCase = await Inventory.findById(sourceCase._id);
+			expect(sentCase.holds).toHaveLength(0);
+			expect(sentCase.cardContainer.cardInventory[0].quantity).toBe(1);
+		});
+	});
+
+	describe("rejection and counter-proposals", () => {
+		let boosterStock;
+		let request;
+		let sourceManager;
+		let destinationManager;
+
+		const transition = (status, user, additionalData) =>
+			transferRequestService.updateTransferStatus(
+				request._id.toString(),
+				status,
+				user,
+				additionalData
+			);
+
+		const heldFor = async () =>
+			(await Inventory.findById(boosterStock._id)).heldQuantity;
+
+		beforeEach(async () => {
+			sourceManager = await User.create(
+				userFixtures.storeManager(sourceStore._id, {
+					username: "seattlemgr",
+					email: "seattle@tcg.com",
+				})
+			);
+			destinationManager = await User.create(
+				userFixtures.storeManager(destinationStore._id, {
+					username: "denvermgr",
+					email: "denver@tcg.com",
+				})
+			);
+			boosterStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, booster._id, { quantity: 10 })
+			);
+			request = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 6 },
+					],
+				},
+				destinationManager
+			);
+			await transition("requested", destinationManager);
+		});
+
+		it("should require a reason to reject", async () => {
+			await expect(transition("rejected", sourceManager)).rejects.toThrow(
+				"Give a reason for rejecting the request"
+			);
+		});
+
+		it("should let the source manager reject and free the stock", async () => {
+			const rejected = await transition("rejected", sourceManager, {
+				note: "Saving these for our prerelease",
+			});
+
+			expect(rejected.status).toBe("rejected");
+			expect(rejected.rejectionReason).toBe("Saving these for our prerelease");
+			expect(rejected.statusHistory.at(-1).note).toBe(
+				"Saving these for our prerelease"
+			);
+			expect(await heldFor()).toBe(0);
+
+			await expect(transition("closed", partner)).rejects.toThrow(
+				"Cannot transition from rejected"
+			);
+		});
+
+		it("should not let the requesting manager reject", async () => {
+			await expect(
+				transition("rejected", destinationManager, { note: "Never mind" })
+			).rejects.toThrow("Cannot transition from requested to rejected");
+		});
+
+		it("should hold only the offered units during a counter-proposal", async () => {
+			const proposed = await transition("counter-proposed", sourceManager, {
+				items: [{ inventoryId: boosterStock._id, proposedQuantity: 4 }],
+			});
+
+			expect(proposed.status).toBe("counter-proposed");
+			expect(proposed.items[0].proposedQuantity).toBe(4);
+			expect(proposed.statusHistory.at(-1).proposal[0]).toMatchObject({
+				requestedQuantity: 6,
+				proposedQuantity: 4,
+			});
+			expect(await heldFor()).toBe(4);
+		});
+
+		it("should require the offer to reduce something", async () => {
+			await expect(
+				transition("counter-proposed", sourceManager, {
+					items: [{ inventoryId: boosterStock._id, proposedQuantity: 6 }],
+				})
+			).rejects.toThrow("must offer fewer units of at least one item");
+		});
+
+		it("should lower the request when the offer is accepted", async () => {
+			await transition("counter-proposed", sourceManager, {
+				items: [{ inventoryId: boosterStock._id, proposedQuantity: 4 }],
+			});
+
+			await expect(
+				transition("requested", sourceManager, { decision: "accepted" })
+			).rejects.toThrow("Cannot transition from counter-proposed");
+
+			const accepted = await transition("requested", destinationManager, {
+				decision: "accepted",
+			});
+
+			expect(accepted.status).toBe("requested");
+			expect(accepted.items[0].requestedQuantity).toBe(4);
+			expect(accepted.items[0].proposedQuantity).toBeNull();
+			expect(accepted.statusHistory.at(-1).decision).toBe("accepted");
+			expect(await heldFor()).toBe(4);
+		});
+
+		it("should keep the original request when the offer is declined", async () => {
+			await transition("counter-proposed", sourceManager, {
+				items: [{ inventoryId: boosterStock._id, proposedQuantity: 4 }],
+			});
+
+			await expect(
+				transition("requested", destinationManager)
+			).rejects.toThrow("Accept or decline the counter-proposal");
+
+			const declined = await transition("requested", destinationManager, {
+				decision: "declined",
+			});
+
+			expect(declined.items[0].requestedQuantity).toBe(6);
+			expect(declined.statusHistory.at(-1).decision).toBe("declined");
+			expect(await heldFor()).toBe(6);
+		});
+
+		it("should let a partner close a request with an open offer", async () => {
+			await transition("counter-proposed", sourceManager, {
+				items: [{ inventoryId: boosterStock._id, proposedQuantity: 4 }],
+			});
+
+			const closed = await transition("closed", partner, {
+				closeReason: "Ordered from the distributor instead",
+			});
+
+			expect(closed.status).toBe("closed");
+			expect(closed.statusHistory.at(-1).decision).toBeUndefined();
+			expect(await heldFor()).toBe(0);
+		});
+	});
+
+	describe("updateTransferRequest - editing drafts", () => {
+		let boosterStock;
+		let sleeveStock;
+		let request;
+
+		const edit = (updateData) =>
+			transferRequestService.updateTransferRequest(
+				request._id.toString(),
+				updateData,
+				partner
+			);
+
+		beforeEach(async () => {
+			boosterStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, booster._id, { quantity: 10 })
+			);
+			sleeveStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, sleeves._id, { quantity: 4 })
+			);
+			request = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 3 },
+					],
+				},
+				partner
+			);
+		});
+
+		it("should replace the items and notes of an open request", async () => {
+			const updated = await edit({
+				items: [
+					{ inventoryId: boosterStock._id.toString(), requestedQuantity: 5 },
+					{ inventoryId: sleeveStock._id.toString(), requestedQuantity: 2 },
+				],
+				notes: "Restock for the weekend",
+			});
+
+			expect(updated.status).toBe("open");
+			expect(updated.notes).toBe("Restock for the weekend");
+			expect(
+				updated.items.map((item) => [
+					item.productId._id.toString(),
+					item.requestedQuantity,
+				])
+			).toEqual([
+				[booster._id.toString(), 5],
+				[sleeves._id.toString(), 2],
+			]);
+		});
+
+		it("should keep the items when only the notes change", async () => {
+			const updated = await edit({ notes: "Any time this week" });
+
+			expect(updated.items).toHaveLength(1);
+			expect(updated.items[0].requestedQuantity).toBe(3);
+		});
+
+		it("should check new quantities against source availability", async () => {
+			await expect(
+				edit({
+					items: [
+						{ inventoryId: sleeveStock._id.toString(), requestedQuantity: 5 },
+					],
+				})
+			).rejects.toThrow("Insufficient quantity for");
+
+			const unchanged = await TransferRequest.findById(request._id);
+			expect(unchanged.items[0].requestedQuantity).toBe(3);
+		});
+
+		it("should not allow removing every item", async () => {
+			await expect(edit({ items: [] })).rejects.toThrow(
+				"Transfer request must have at least one item"
+			);
+		});
+
+		it("should only edit open requests", async () => {
+			await transferRequestService.updateTransferStatus(
+				request._id.toString(),
+				"requested",
+				partner
+			);
+
+			await expect(edit({ notes: "Too late" })).rejects.toThrow(
+				"Only open transfer requests can be edited"
+			);
+		});
+	});
+
+	describe("addComment - comment threads", () => {
+		let boosterStock;
+		let request;
+
+		beforeEach(async () => {
+			boosterStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, booster._id, { quantity: 10 })
+			);
+			request = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 3 },
+					],
+				},
+				partner
+			);
+		});
+
+		it("should record the author, text and current status", async () => {
+			await transferRequestService.updateTransferStatus(
+				request._id.toString(),
+				"requested",
+				partner
+			);
+
+			const updated = await transferRequestService.addComment(
+				request._id.toString(),
+				"  Can these go out with Friday's delivery?  ",
+				partner
+			);
+
+			const comment = updated.comments.at(-1);
+			expect(comment.body).toBe("Can these go out with Friday's delivery?");
+			expect(comment.status).toBe("requested");
+			expect(comment.authorId.username).toBe(partner.username);
+		});
+
+		it("should let both involved stores' managers comment", async () => {
+			const sourceManager = await User.create(
+				userFixtures.storeManager(sourceStore._id, {
+					username: "seattlemgr",
+					email: "seattle@tcg.com",
+				})
+			);
+			const destinationManager = await User.create(
+				userFixtures.storeManager(destinationStore._id, {
+					username: "denvermgr",
+					email: "denver@tcg.com",
+				})
+			);
+
+			await transferRequestService.addComment(
+				request._id.toString(),
+				"Need these before Saturday",
+				destinationManager
+			);
+			const updated = await transferRequestService.addComment(
+				request._id.toString(),
+				"We can send them Thursday",
+				sourceManager
+			);
+
+			expect(updated.comments.map((comment) => comment.body)).toEqual([
+				"Need these before Saturday",
+				"We can send them Thursday",
+			]);
+		});
+
+		it("should not let other stores' managers comment", async () => {
+			const otherStore = await Store.create(
+				storeFixtures.seattle({ name: "Portland Store" })
+			);
+			const otherManager = await User.create(
+				userFixtures.storeManager(otherStore._id, {
+					username: "portlandmgr",
+					email: "portland@tcg.com",
+				})
+			);
+
+			await expect(
+				transferRequestService.addComment(
+					request._id.toString(),
+					"Any left over?",
+					otherManager
+				)
+			).rejects.toThrow("Insufficient permissions to view this request");
+		});
+
+		it("should reject empty comments", async () => {
+			await expect(
+				transferRequestService.addComment(request._id.toString(), "   ", partner)
+			).rejects.toThrow("Comment cannot be empty");
+		});
+	});
+
+	describe("getTransferDocument - packing slips and manifests", () => {
+		let boosterStock;
+		let request;
+
+		const documentFor = (type) =>
+			transferRequestService.getTransferDocument(
+				request._id.toString(),
+				type,
+				partner
+			);
+
+		beforeEach(async () => {
+			boosterStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, booster._id, { quantity: 10 })
+			);
+			request = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: boosterStock._id.toString(), requestedQuantity: 4 },
+					],
+					notes: "Fragile <handle with care>",
+				},
+				partner
+			);
+			await transferRequestService.updateTransferStatus(
+				request._id.toString(),
+				"requested",
+				partner
+			);
+		});
+
+		it("should list the stores and items on the packing slip", async () => {
+			const html = await documentFor("packing-slip");
+
+			expect(html).toContain("Packing Slip");
+			expect(html).toContain(request.requestNumber);
+			expect(html).toContain(sourceStore.fullAddress);
+			expect(html).toContain(destinationStore.fullAddress);
+			expect(html).toContain(booster.sku);
+			expect(html).toContain(booster.name);
+			expect(html).toContain("Fragile &lt;handle with care&gt;");
+		});
+
+		it("should only offer the receiving manifest once sent", async () => {
+			await expect(documentFor("receiving-manifest")).rejects.toThrow(
+				"A receiving manifest is available once the request is sent"
+			);
+
+			await transferRequestService.updateTransferStatus(
+				request._id.toString(),
+				"sent",
+				partner,
+				{
+					items: [
+						{
+							inventoryId: boosterStock._id.toString(),
+							shippedQuantity: 3,
+							reason: "One pack was damaged",
+						},
+					],
+				}
+			);
+			const html = await documentFor("receiving-manifest");
+
+			expect(html).toContain("Receiving Manifest");
+			expect(html).toContain('<td class="number">3</td>');
+		});
+
+		it("should reject unknown document types", async () => {
+			await expect(documentFor("invoice")).rejects.toThrow(
+				"Invalid document type"
+			);
+		});
+	});
+
+	describe("getRebalancingSuggestions", () => {
+		let sourceStock;
+
+		beforeEach(async () => {
+			// Denver is 5 boosters short; Seattle has 10 above its minimum
+			await Inventory.create(
+				inventoryFixtures.lowStock(destinationStore._id, booster._id)
+			);
+			sourceStock = await Inventory.create(
+				inventoryFixtures.back(sourceStore._id, booster._id, {
+					quantity: 30,
+					minStockLevel: 20,
+				})
+			);
+		});
+
+		it("should cover a shortfall from another store's surplus", async () => {
+			const suggestions =
+				await transferRequestService.getRebalancingSuggestions();
+
+			expect(suggestions).toHaveLength(1);
+			expect(suggestions[0].fromStore._id).toBe(sourceStore._id.toString());
+			expect(suggestions[0].toStore._id).toBe(
+				destinationStore._id.toString()
+			);
+			expect(suggestions[0].items).toMatchObject([
+				{ sku: booster.sku, requestedQuantity: 5, shortfall: 5 },
+			]);
+			expect(suggestions[0].items[0].inventoryId.toString()).toBe(
+				sourceStock._id.toString()
+			);
+		});
+
+		it("should not take a source below its own minimum", async () => {
+			await Inventory.findByIdAndUpdate(sourceStock._id, { quantity: 22 });
+
+			const [suggestion] =
+				await transferRequestService.getRebalancingSuggestions();
+
+			expect(suggestion.items[0].requestedQuantity).toBe(2);
+		});
+
+		it("should stay within the destination's free capacity", async () => {
+			await Store.findByIdAndUpdate(destinationStore._id, {
+				maxCapacity: 100,
+				currentCapacity: 97,
+			});
+
+			const [suggestion] =
+				await transferRequestService.getRebalancingSuggestions();
+
+			expect(suggestion.items[0].requestedQuantity).toBe(3);
+			expect(suggestion.space).toBe(3);
+		});
+
+		it("should stay within the destination's location limits", async () => {
+			await Store.findByIdAndUpdate(destinationStore._id, {
+				"locationCapacity.floor.maxCapacity": 10,
+				"locationCapacity.floor.currentCapacity": 8,
+				"locationCapacity.back.maxCapacity": 10,
+				"locationCapacity.back.currentCapacity": 9,
+			});
+
+			const [suggestion] =
+				await transferRequestService.getRebalancingSuggestions();
+
+			expect(suggestion.items[0].requestedQuantity).toBe(2);
+			expect(suggestion.space).toBe(2);
+		});
+
+		it("should count requests already on the way", async () => {
+			await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: sourceStore._id.toString(),
+					toStoreId: destinationStore._id.toString(),
+					items: [
+						{ inventoryId: sourceStock._id.toString(), requestedQuantity: 5 },
+					],
+				},
+				partner
+			);
+
+			expect(await transferRequestService.getRebalancingSuggestions()).toEqual(
+				[]
+			);
+		});
+
+		it("should create an open request from a suggestion", async () => {
+			const [suggestion] =
+				await transferRequestService.getRebalancingSuggestions();
+
+			const request = await transferRequestService.createTransferRequest(
+				{
+					fromStoreId: suggestion.fromStore._id,
+					toStoreId: suggestion.toStore._id,
+					items: suggestion.items.map((item) => ({
+						inventoryId: item.inventoryId.toString(),
+						requestedQuantity: item.requestedQuantity,
+					})),
+				},
+				partner
+			);
+
+			expect(request.status).toBe("open");
+			expect(request.items[0].requestedQuantity).toBe(5);
+		});
+	});
+});
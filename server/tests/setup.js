@@ -2,7 +2,7 @@
  * Test setup for MongoDB integration tests
  */
 
-import { MongoMemoryServer } from "mongodb-memory-server";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
 import mongoose from "mongoose";
 import { beforeAll, afterAll, afterEach } from "vitest";
 
@@ -12,8 +12,8 @@ let mongoServer;
  * Connect to MongoDB before all tests
  */
 beforeAll(async () => {
-	// Create MongoDB instance
-	mongoServer = await MongoMemoryServer.create();
+	// Create a single-node replica set (transfers run in transactions)
+	mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
 	const mongoUri = mongoServer.getUri();
 
 	// Connect mongoose to database